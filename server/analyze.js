@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// Runs the app's analysis on a file without a browser and writes a summary
+// report, e.g. nightly from cron:
+//
+//   node server/analyze.js trips.csv --out report.json --csv reports/
+//
+// The input goes through the same importers, cleaning, clustering, detectors
+// and safety score as in the app (src/analysis). Fields are mapped the way
+// the column mapping screen suggests unless --mapping gives them; the report
+// is described in src/export/report.js. Progress goes to stderr.
+
+const fs = require('fs');
+const path = require('path');
+const { register } = require('module');
+const { pathToFileURL } = require('url');
+
+register('./esmLoader.mjs', pathToFileURL(__filename));
+
+const USAGE = `Usage: node server/analyze.js <file> [options]
+
+Options:
+  --format <id>       csv, json, ndjson, geojson or gpx (default: from the extension)
+  --mapping <file>    JSON {"fields": {...}, "units": {...}} overriding the suggested field mapping
+  --out <file>        write the JSON report here instead of to stdout
+  --csv <dir>         also write summary.csv, clusters.csv and anomalies.csv to this directory
+  --from <time>       report on points from this time on (ISO 8601, needs --to)
+  --to <time>         report on points before this time (ISO 8601, needs --from)
+  --epsilon <m>       cluster radius in metres (default 500)
+  --min-points <n>    points needed to form a cluster (default 6)
+  --privacy           trim trip ends and suppress small groups, as privacy mode does
+  --k <n>             distinct trips a cluster or heat cell needs under --privacy (default 5)
+  --quiet             do not report progress`;
+
+const parseTime = (value, flag) => {
+  const time = Date.parse(value);
+  if (isNaN(time)) throw new Error(`${flag} is not a valid time: ${value}`);
+  return time;
+};
+
+const parseArgs = (argv) => {
+  const options = { file: null, format: null, mapping: null, out: null, csv: null, from: null, to: null, cluster: {}, privacy: false, k: null, quiet: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--privacy') options.privacy = true;
+    else if (arg === '--quiet') options.quiet = true;
+    else if (arg === '--format') options.format = argv[++i];
+    else if (arg === '--mapping') options.mapping = argv[++i];
+    else if (arg === '--out') options.out = argv[++i];
+    else if (arg === '--csv') options.csv = argv[++i];
+    else if (arg === '--from') options.from = parseTime(argv[++i], arg);
+    else if (arg === '--to') options.to = parseTime(argv[++i], arg);
+    else if (arg === '--epsilon') options.cluster.epsilon = parseFloat(argv[++i]);
+    else if (arg === '--min-points') options.cluster.minPoints = parseInt(argv[++i], 10);
+    else if (arg === '--k') options.k = parseInt(argv[++i], 10);
+    else if (arg === '--help' || arg === '-h') return null;
+    else if (!options.file) options.file = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  if (!options.file) return null;
+  if ((options.from === null) !== (options.to === null)) throw new Error('--from and --to go together');
+  if (options.from !== null && options.from >= options.to) throw new Error('--from must be before --to');
+  Object.entries({ epsilon: options.cluster.epsilon, 'min-points': options.cluster.minPoints, k: options.k }).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && !(value > 0)) throw new Error(`--${key} must be a positive number`);
+  });
+  return options;
+};
+
+// Suggested the way the column mapping screen does, from the fields of the
+// first records, with --mapping on top.
+const resolveMapping = async (analysis, file, importer, mappingFile) => {
+  const { records } = await analysis.sampleRecords(file, importer);
+  const suggested = analysis.suggestMapping(analysis.collectFields(records));
+  const given = mappingFile ? JSON.parse(fs.readFileSync(mappingFile, 'utf8')) : {};
+  const mapping = {
+    fields: { ...suggested.fields, ...given.fields },
+    units: { ...suggested.units, ...given.units },
+  };
+  const invalid = analysis.validateMapping(mapping);
+  if (invalid) throw new Error(`${invalid} Pass the field names with --mapping.`);
+  return mapping;
+};
+
+const run = async (options) => {
+  const analysis = await import('../src/analysis/index.js');
+  const { buildReport, reportCsvFiles } = await import('../src/export/report.js');
+
+  if (!fs.existsSync(options.file)) throw new Error(`No such file: ${options.file}`);
+  const name = path.basename(options.file);
+  const file = new File([await fs.openAsBlob(options.file)], name);
+  const importer = options.format ? analysis.getImporter(options.format) : analysis.findImporter(name, '');
+  if (!importer) throw new Error(`Cannot tell the format of ${name}; pass --format.`);
+
+  const log = options.quiet ? () => {} : (message) => process.stderr.write(`${message}\n`);
+  const settings = {
+    format: importer.id,
+    mapping: await resolveMapping(analysis, file, importer, options.mapping),
+    cleaning: analysis.DEFAULT_QUALITY_OPTIONS,
+    cluster: { ...analysis.DEFAULT_CLUSTER_OPTIONS, ...options.cluster },
+    privacy: {
+      ...analysis.DEFAULT_PRIVACY_OPTIONS,
+      enabled: options.privacy,
+      ...(options.k ? { k: options.k } : {}),
+    },
+  };
+  const raw = await analysis.analyzeFile(file, settings, ({ stage, message }) => log(`[${stage}] ${message}`));
+  const result = analysis.resolveResult(raw);
+  const report = buildReport(result, {
+    input: { file: name, format: importer.id, size: file.size, mapping: settings.mapping },
+    timeRange: options.from === null ? null : { from: options.from, to: options.to },
+  });
+
+  const json = `${JSON.stringify(report, null, 2)}\n`;
+  if (options.out) {
+    fs.writeFileSync(options.out, json);
+    log(`Wrote ${options.out}`);
+  } else {
+    process.stdout.write(json);
+  }
+  if (options.csv) {
+    fs.mkdirSync(options.csv, { recursive: true });
+    Object.entries(reportCsvFiles(report, result)).forEach(([fileName, csv]) => {
+      fs.writeFileSync(path.join(options.csv, fileName), csv);
+      log(`Wrote ${path.join(options.csv, fileName)}`);
+    });
+  }
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  if (!options) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  try {
+    await run(options);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+};
+
+main();
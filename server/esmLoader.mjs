@@ -0,0 +1,32 @@
+// Module hooks that let Node import the app's source tree as the bundler
+// does: relative imports without an extension resolve to `.js` or to the
+// directory's `index.js`, and `.js` files under src/ load as ES modules.
+// Registered by analyze.js.
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const SRC = new URL('../src/', import.meta.url).href;
+
+const isFile = (url) => {
+  try {
+    return fs.statSync(fileURLToPath(url)).isFile();
+  } catch (err) {
+    return false;
+  }
+};
+
+export const resolve = (specifier, context, nextResolve) => {
+  const relative = specifier.startsWith('./') || specifier.startsWith('../');
+  if (relative && context.parentURL && context.parentURL.startsWith(SRC)) {
+    const base = new URL(specifier, context.parentURL).href;
+    const found = [base, `${base}.js`, `${base}/index.js`].find(isFile);
+    if (found) return nextResolve(found, context);
+  }
+  return nextResolve(specifier, context);
+};
+
+export const load = (url, context, nextLoad) =>
+  url.startsWith(SRC) && url.endsWith('.js')
+    ? nextLoad(url, { ...context, format: 'module' })
+    : nextLoad(url, context);
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+// Replays a recorded geotrack dataset as a live stream so Live mode can be
+// tried without a real feed. Serves the same records over WebSocket and
+// Server-Sent Events on /live:
+//
+//   node server/replay.js data.json --port 8787 --speed 10 --loop
+//
+// Records that all carry a timestamp (ts, timestamp or time) are replayed with
+// their original gaps divided by --speed; otherwise they are sent at --rate
+// records per second times --speed. Every client gets its own replay from the
+// start of the file. A WebSocket client may send {"type":"pause"} and
+// {"type":"resume"}; a client whose socket buffer is full is not sent anything
+// until it drains, so a slow consumer slows its replay instead of piling up
+// memory.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const TICK_MS = 100;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const TIMESTAMP_FIELDS = ['ts', 'timestamp', 'time'];
+
+const USAGE = `Usage: node server/replay.js <file.json|file.ndjson> [options]
+
+Options:
+  --port <n>    port to listen on (default 8787)
+  --speed <x>   replay speed multiplier (default 1)
+  --rate <n>    records per second for data without timestamps (default 20)
+  --loop        start over at the end instead of closing the stream`;
+
+const parseArgs = (argv) => {
+  const options = { file: null, port: 8787, speed: 1, rate: 20, loop: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--loop') options.loop = true;
+    else if (arg === '--port') options.port = parseInt(argv[++i], 10);
+    else if (arg === '--speed') options.speed = parseFloat(argv[++i]);
+    else if (arg === '--rate') options.rate = parseFloat(argv[++i]);
+    else if (arg === '--help' || arg === '-h') return null;
+    else if (!options.file) options.file = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  if (!options.file) return null;
+  ['port', 'speed', 'rate'].forEach(key => {
+    if (!(options[key] > 0)) throw new Error(`--${key} must be a positive number`);
+  });
+  return options;
+};
+
+const readRecords = (file) => {
+  const text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.ndjson' || ext === '.jsonl') {
+    return text.split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`Line ${i + 1} is not valid JSON: ${err.message}`);
+      }
+    });
+  }
+  const data = JSON.parse(text);
+  if (!Array.isArray(data)) throw new Error('Expected a JSON array of records.');
+  return data;
+};
+
+const toMillis = (value) => {
+  if (typeof value === 'number' && isFinite(value)) return value < 1e12 ? value * 1000 : value;
+  if (typeof value === 'string' && value.trim()) {
+    const numeric = Number(value);
+    if (isFinite(numeric)) return toMillis(numeric);
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+  return null;
+};
+
+// Offsets in ms from the start of the replay, one per record.
+const scheduleRecords = (records, rate) => {
+  const field = TIMESTAMP_FIELDS.find(name => records.every(record => toMillis(record[name]) !== null));
+  if (!field || records.length === 0) {
+    return { records, offsets: records.map((record, i) => (i * 1000) / rate), field: null };
+  }
+  const sorted = records
+    .map(record => ({ record, time: toMillis(record[field]) }))
+    .sort((a, b) => a.time - b.time);
+  const start = sorted[0].time;
+  return { records: sorted.map(item => item.record), offsets: sorted.map(item => item.time - start), field };
+};
+
+// Drives one client's replay. `send` returns false while the client cannot
+// take more data; the replay clock stands still until `resume` is called.
+const createReplay = ({ records, offsets }, { speed, loop }, send, end) => {
+  let cursor = 0;
+  let clock = 0;
+  let paused = false;
+
+  const tick = () => {
+    if (paused) return;
+    clock += TICK_MS * speed;
+    const batch = [];
+    while (cursor < records.length && offsets[cursor] <= clock) batch.push(records[cursor++]);
+    if (batch.length > 0 && !send(batch)) paused = true;
+    if (cursor >= records.length) {
+      if (!loop) {
+        stop();
+        end();
+        return;
+      }
+      cursor = 0;
+      clock = 0;
+    }
+  };
+
+  const timer = setInterval(tick, TICK_MS);
+  const stop = () => clearInterval(timer);
+  return {
+    pause: () => { paused = true; },
+    resume: () => { paused = false; },
+    stop,
+  };
+};
+
+const serveEvents = (req, res, dataset, options) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.write('retry: 5000\n\n');
+  const replay = createReplay(
+    dataset,
+    options,
+    (batch) => res.write(`data: ${JSON.stringify(batch)}\n\n`),
+    () => res.end('event: end\ndata: {"type":"end"}\n\n')
+  );
+  res.on('drain', replay.resume);
+  req.on('close', replay.stop);
+};
+
+const encodeFrame = (opcode, payload) => {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeUInt32BE(Math.floor(length / 2 ** 32), 2);
+    header.writeUInt32BE(length % 2 ** 32, 6);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+};
+
+// Client frames are always masked. Returns the parsed frames and whatever is
+// left of an incomplete one.
+const decodeFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = buffer.readUInt32BE(cursor) * 2 ** 32 + buffer.readUInt32BE(cursor + 4);
+      cursor += 8;
+    }
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < cursor + maskLength + length) break;
+    const payload = Buffer.from(buffer.subarray(cursor + maskLength, cursor + maskLength + length));
+    if (masked) {
+      const mask = buffer.subarray(cursor, cursor + 4);
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ opcode, payload });
+    offset = cursor + maskLength + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+};
+
+const serveWebSocket = (req, socket, dataset, options) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  let clientPaused = false;
+  let pending = Buffer.alloc(0);
+  const close = () => {
+    replay.stop();
+    if (!socket.destroyed) socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+  };
+  const replay = createReplay(
+    dataset,
+    options,
+    (batch) => socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(batch)))),
+    () => {
+      socket.write(encodeFrame(0x1, Buffer.from('{"type":"end"}')));
+      close();
+    }
+  );
+
+  socket.on('drain', () => {
+    if (!clientPaused) replay.resume();
+  });
+  socket.on('data', (chunk) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+    frames.forEach(({ opcode, payload }) => {
+      if (opcode === 0x8) {
+        close();
+      } else if (opcode === 0x9) {
+        socket.write(encodeFrame(0xa, payload));
+      } else if (opcode === 0x1) {
+        let message;
+        try {
+          message = JSON.parse(payload.toString('utf8'));
+        } catch (err) {
+          return;
+        }
+        if (message.type === 'pause') {
+          clientPaused = true;
+          replay.pause();
+        } else if (message.type === 'resume') {
+          clientPaused = false;
+          replay.resume();
+        }
+      }
+    });
+  });
+  socket.on('close', replay.stop);
+  socket.on('error', replay.stop);
+};
+
+const main = () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  if (!options) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const dataset = scheduleRecords(readRecords(options.file), options.rate);
+  const duration = dataset.offsets.length ? dataset.offsets[dataset.offsets.length - 1] / options.speed / 1000 : 0;
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && pathname === '/live') {
+      serveEvents(req, res, dataset, options);
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found. Stream from /live.\n');
+    }
+  });
+  server.on('upgrade', (req, socket) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname === '/live' && (req.headers.upgrade || '').toLowerCase() === 'websocket') {
+      serveWebSocket(req, socket, dataset, options);
+    } else {
+      socket.destroy();
+    }
+  });
+
+  server.listen(options.port, () => {
+    console.log(
+      `Replaying ${dataset.records.length.toLocaleString()} records from ${path.basename(options.file)} ` +
+      `(${dataset.field ? `by "${dataset.field}"` : `at ${options.rate}/s`}, ${options.speed}x, ` +
+      `${duration.toFixed(1)} s per pass${options.loop ? ', looping' : ''})`
+    );
+    console.log(`  WebSocket: ws://localhost:${options.port}/live`);
+    console.log(`  SSE:       http://localhost:${options.port}/live`);
+  });
+};
+
+main();
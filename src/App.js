@@ -1,150 +1,512 @@
-import React, { useState, useEffect } from 'react';
-import { MapContainer, TileLayer, useMap, Marker, Popup, Polyline, CircleMarker } from 'react-leaflet';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { MapContainer, useMap, Marker, Popup, CircleMarker, Polygon, Tooltip } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
-import 'leaflet.heat';
+import markerIcon from 'leaflet/dist/images/marker-icon.png';
+import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png';
+import markerShadow from 'leaflet/dist/images/marker-shadow.png';
 import {
-  BarChart, Bar, LineChart, Line, PieChart, Pie, Cell, XAxis, YAxis,
-  CartesianGrid, Tooltip as RechartsTooltip, Legend, ResponsiveContainer,
-  RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar,
-  Area, AreaChart
+  BarChart, Bar, Cell, XAxis, YAxis,
+  CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer
 } from 'recharts';
+import {
+  DEFAULT_CLUSTER_OPTIONS, findImporter, acceptedExtensions, createTimeline, filterByTime,
+  nextBucket, computeSafetyFlags, safetyByCell, safetyByCluster,
+  DEFAULT_SAFETY_WEIGHTS, SAFETY_CELL_SIZE, DEFAULT_PRIVACY_OPTIONS, aggregateHexCells,
+  quantileBreaks, classOf, HEX_SIZES, DEFAULT_HEX_SIZE, tripEndpoints, findHotspots, hexZoning,
+  clusterZoning, buildOdMatrix, flowCurve, arrowHead, OD_HEX_SIZE, listDetectors, getDetector,
+  DEFAULT_QUALITY_OPTIONS, filterResult, EMPTY_SELECTION, isEmptySelection, describeSelection,
+  toggleIn, evaluateZones, getZoneRule, HOUR_MS, FORECAST_HORIZON, queryRandom, QUERY_CLUSTERS, QUERY_SEGMENTS, hasKTrips, privateSegments
+} from './analysis';
+import { inspectFile, processFile, clusterPoints, matchRoads, forecastZones } from './workers/geotrackWorker';
+import TripsView from './components/TripsView';
+import ColumnMapping from './components/ColumnMapping';
+import KpiCards from './components/KpiCards';
+import TimeBrush from './components/TimeBrush';
+import HeatmapLayer from './components/HeatmapLayer';
+import SafetyBreakdown from './components/SafetyBreakdown';
+import CongestionView from './components/CongestionView';
+import CompareView from './components/CompareView';
+import ExportMenu from './components/ExportMenu';
+import PrintReport from './components/PrintReport';
+import { filterClusterMetrics, clustersGeoJson, anomaliesGeoJson, bottlenecksGeoJson, metricsCsv, anomaliesCsv } from './export/results';
+import { downloadFile } from './export/download';
+import PrivacySettings from './components/PrivacySettings';
+import OdTable from './components/OdTable';
+import { useLiveStream } from './live/useLiveStream';
+import { LIVE_STATUS_LABELS } from './live/liveSource';
+import SessionList from './components/SessionList';
+import QualityReport from './components/QualityReport';
+import SelectionBar from './components/SelectionBar';
+import AnalyticsView from './components/AnalyticsView';
+import MapFocus from './components/MapFocus';
+import PolygonDrawLayer from './components/PolygonDrawLayer';
+import ZoneEditor from './components/ZoneEditor';
+import Toasts from './components/Toasts';
+import { loadZones, saveZones } from './sessions/zoneStore';
+import Basemap from './components/Basemap';
+import BasemapPicker from './components/BasemapPicker';
+import { DEFAULT_BASEMAP } from './basemap/tileSources';
+import ForecastPanel from './components/ForecastPanel';
+import { listSessions, saveSession, loadSession, renameSession, deleteSession } from './sessions/sessionStore';
 
 delete L.Icon.Default.prototype._getIconUrl;
 L.Icon.Default.mergeOptions({
-  iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon-2x.png',
-  iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon.png',
-  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png',
+  iconRetinaUrl: markerIcon2x,
+  iconUrl: markerIcon,
+  shadowUrl: markerShadow,
 });
 
+const EMPTY_SUMMARY = { records: 0, points: 0, meanSpeed: 0, stdSpeed: 0, bottlenecks: 0, retained: 0, sampled: false, heat: [] };
+const EMPTY_CONGESTION = { zones: [], dwells: [], slowPoints: 0, freeFlowKmh: 0 };
+const EMPTY_RESULT = { points: [], summary: EMPTY_SUMMARY, clusters: [], metrics: [], trips: [], congestion: EMPTY_CONGESTION, anomalies: [], bottlenecks: [] };
+const PLAY_STEP_MS = 800;
+const MAX_TOASTS = 5;
+const ZONE_VIOLATIONS_SHOWN = 50;
+
+const zoneName = (zones, id) => {
+  const zone = zones.find(candidate => candidate.id === id);
+  return zone ? zone.name : id;
+};
+
+const describeViolation = (violation) => {
+  const rule = getZoneRule(violation.rule);
+  return `${rule.label}: ${Math.round(violation.value)} ${rule.unit} (limit ${violation.limit})`;
+};
+const DEFAULT_LIVE_URL = process.env.REACT_APP_LIVE_URL || 'ws://localhost:8787/live';
+
 const App = () => {
   const [cleanData, setCleanData] = useState([]);
+  const [summary, setSummary] = useState(EMPTY_SUMMARY);
   const [clusters, setClusters] = useState([]);
   const [metrics, setMetrics] = useState([]);
+  const [trips, setTrips] = useState([]);
+  const [congestion, setCongestion] = useState(EMPTY_CONGESTION);
   const [anomalies, setAnomalies] = useState([]);
   const [bottlenecks, setBottlenecks] = useState([]);
-  const [safetyScore, setSafetyScore] = useState(0);
+  const [safetyWeights, setSafetyWeights] = useState(DEFAULT_SAFETY_WEIGHTS);
+  const [safetyZones, setSafetyZones] = useState('cells');
+  const [odZoning, setOdZoning] = useState('hex');
+  const [forecastZoning, setForecastZoning] = useState('hex');
+  const [forecastHour, setForecastHour] = useState(0);
+  const [forecastZoneId, setForecastZoneId] = useState(null);
+  const [demandForecast, setDemandForecast] = useState(null);
+  const [forecastError, setForecastError] = useState('');
+  const [hexMetric, setHexMetric] = useState('count');
+  const [hexSize, setHexSize] = useState(DEFAULT_HEX_SIZE);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [activeView, setActiveView] = useState('upload');
   const [realTimeMode, setRealTimeMode] = useState(false);
   const [showAllAnomalies, setShowAllAnomalies] = useState(false);
+  const [anomalyDetector, setAnomalyDetector] = useState(null);
+  const [clusterOptions, setClusterOptions] = useState(DEFAULT_CLUSTER_OPTIONS);
 
-  const processData = (raw) => {
-    const cleaned = raw
-      .map(row => ({
-        randomized_id: row.randomized_id,
-        lat: parseFloat(row.lat),
-        lng: parseFloat(row.lng),
-        alt: parseFloat(row.alt) || 0,
-        spd: parseFloat(row.spd) * 3.6,
-        azm: parseFloat(row.azm) || 0
-      }))
-      .filter(row =>
-        !isNaN(row.lat) &&
-        !isNaN(row.lng) &&
-        !isNaN(row.alt) &&
-        !isNaN(row.spd) &&
-        !isNaN(row.azm) &&
-        row.spd >= 0 && row.spd <= 200
-      );
-
-    if (cleaned.length === 0) {
-      setError('No valid data points after cleaning. Check data format.');
-      return;
-    }
+  const [roadSegments, setRoadSegments] = useState([]);
+  const [heatmapMode, setHeatmapMode] = useState('points');
+  const [pendingImport, setPendingImport] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [liveUrl, setLiveUrl] = useState(DEFAULT_LIVE_URL);
+  const [timeRange, setTimeRange] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [currentSession, setCurrentSession] = useState(null);
+  const [sessionError, setSessionError] = useState('');
+  const [mappingError, setMappingError] = useState('');
+  const [reprocessError, setReprocessError] = useState('');
+  const [clusterError, setClusterError] = useState('');
+  const [roadError, setRoadError] = useState('');
+  const [reportOpen, setReportOpen] = useState(false);
+  const [privacy, setPrivacy] = useState(DEFAULT_PRIVACY_OPTIONS);
+  const [cleaning, setCleaning] = useState(DEFAULT_QUALITY_OPTIONS);
+  const [lastImport, setLastImport] = useState(null);
+  const [selection, setSelection] = useState(EMPTY_SELECTION);
+  const [mapFocus, setMapFocus] = useState(null);
+  const [drawing, setDrawing] = useState(false);
+  const [zones, setZones] = useState(loadZones);
+  const [toasts, setToasts] = useState([]);
+  const [basemap, setBasemap] = useState(DEFAULT_BASEMAP);
+  const jobRef = useRef(null);
+  const datasetRef = useRef(null);
+  const seenViolations = useRef(new Set());
 
-    setCleanData(cleaned);
-
-    const clusterData = [];
-    const visited = new Set();
-    cleaned.forEach((point, i) => {
-      if (visited.has(i)) return;
-      const cluster = [point];
-      visited.add(i);
-      cleaned.forEach((other, j) => {
-        if (i !== j && !visited.has(j)) {
-          const dist = Math.sqrt(Math.pow(point.lat - other.lat, 2) + Math.pow(point.lng - other.lng, 2));
-          if (dist < 0.005) {
-            cluster.push(other);
-            visited.add(j);
-          }
-        }
+  // A failed job reports through `onError`, shown next to the control that
+  // started it, and leaves what is on screen as it was.
+  const runJob = (job, onResult, onError = setError) => {
+    jobRef.current = job;
+    setLoading(true);
+    setProgress(null);
+    onError('');
+    job.result
+      .then(onResult)
+      .catch(err => {
+        if (!err.cancelled) onError(err.message);
+      })
+      .finally(() => {
+        jobRef.current = null;
+        setLoading(false);
+        setProgress(null);
       });
-      if (cluster.length > 5) clusterData.push(cluster);
+  };
+
+  // Privacy settings the data on screen was processed with, or null. Anything
+  // derived from it later - re-clustering, time ranges, map layers - follows
+  // them too.
+  const dataPrivacy = useMemo(() => (summary.privacy ? { enabled: true, ...summary.privacy } : null), [summary.privacy]);
+  const minTrips = dataPrivacy ? dataPrivacy.k : 1;
+
+  const cancelJob = () => {
+    if (jobRef.current) jobRef.current.cancel();
+  };
+
+  const updateClusterOption = (key, value) => {
+    const parsed = parseFloat(value);
+    if (isNaN(parsed) || parsed <= 0) return;
+    const options = { ...clusterOptions, [key]: parsed };
+    runJob(clusterPoints(cleanData, { cluster: options, privacy: dataPrivacy }, setProgress), (result) => {
+      setClusterOptions(options);
+      setClusters(result.clusters);
+      setMetrics(result.metrics);
+      setSelection(prev => ({ ...prev, clusters: [] }));
+    }, setClusterError);
+  };
+
+  const handleRoadNetworkUpload = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    runJob(matchRoads(file, trips, setProgress), (segments) => {
+      setRoadSegments(dataPrivacy ? privateSegments(segments, dataPrivacy, queryRandom(summary, [], QUERY_SEGMENTS)) : segments);
+      setHeatmapMode('segments');
+    }, setRoadError);
+  };
+
+  const showResult = (result) => {
+    setCleanData(result.points);
+    setSummary(result.summary);
+    setClusters(result.clusters);
+    setMetrics(result.metrics);
+    setTrips(result.trips);
+    setCongestion(result.congestion);
+    setAnomalies(result.anomalies);
+    setBottlenecks(result.bottlenecks);
+  };
+
+  const applyResult = (result) => {
+    datasetRef.current = result;
+    setTimeRange(null);
+    setSelection(EMPTY_SELECTION);
+    setMapFocus(null);
+    setPlaying(false);
+    setRoadSegments([]);
+    setClusterError('');
+    setRoadError('');
+    setHeatmapMode('points');
+    showResult(result);
+  };
+
+  // Without IndexedDB there is simply nothing to list.
+  const refreshSessions = () => listSessions().then(setSessions).catch(() => setSessions([]));
+
+  useEffect(() => {
+    refreshSessions();
+  }, []);
+
+  const storeSession = (result, { id = null, name, fileName }) => {
+    setSessionError('');
+    saveSession({ id, name, fileName, result, settings: { clusterOptions, safetyWeights } })
+      .then(session => {
+        setCurrentSession(session);
+        refreshSessions();
+      })
+      .catch(err => setSessionError(`Session not saved: ${err.message}`));
+  };
+
+  // Saves what is on screen, including re-run clusters and changed weights,
+  // over the session it was opened from.
+  const saveCurrentSession = () =>
+    storeSession(
+      { points: cleanData, summary, clusters, metrics, trips, congestion, anomalies, bottlenecks },
+      currentSession
+    );
+
+  // The read itself can't be stopped, so cancelling just drops its result.
+  const openSession = (id) => {
+    let cancel;
+    const cancelled = new Promise((resolve, reject) => {
+      cancel = () => reject(Object.assign(new Error('Loading cancelled.'), { cancelled: true }));
+    });
+    runJob({ result: Promise.race([loadSession(id), cancelled]), cancel }, ({ session, result }) => {
+      setClusterOptions(session.settings.clusterOptions);
+      setSafetyWeights(session.settings.safetyWeights);
+      applyResult(result);
+      setCurrentSession(session);
+      setLastImport(null);
+      setActiveView('dashboard');
+    }, message => setSessionError(message && `Session not opened: ${message}`));
+  };
+
+  const renameStoredSession = (id, name) => {
+    setSessionError('');
+    renameSession(id, name)
+      .then(() => {
+        setCurrentSession(session => (session && session.id === id ? { ...session, name } : session));
+        refreshSessions();
+      })
+      .catch(err => setSessionError(`Session not renamed: ${err.message}`));
+  };
+
+  const deleteStoredSession = (id) => {
+    setSessionError('');
+    deleteSession(id)
+      .then(() => {
+        setCurrentSession(session => (session && session.id === id ? null : session));
+        refreshSessions();
+      })
+      .catch(err => setSessionError(`Session not deleted: ${err.message}`));
+  };
+
+  const live = useLiveStream({ url: liveUrl, enabled: realTimeMode, clusterOptions, onResult: showResult });
+
+  // Leaving live mode puts the loaded file's analysis back on screen.
+  const toggleLive = () => {
+    if (realTimeMode) showResult(datasetRef.current || EMPTY_RESULT);
+    setTimeRange(null);
+    setPlaying(false);
+    setRealTimeMode(!realTimeMode);
+    seenViolations.current = new Set();
+    setToasts([]);
+  };
+
+  const timeline = useMemo(() => createTimeline(cleanData), [cleanData]);
+
+  const safetyFlags = useMemo(() => computeSafetyFlags(cleanData, anomalies, trips), [cleanData, anomalies, trips]);
+
+  // What the Dashboard, Heatmap, Analytics and Safety views show: everything,
+  // or only the points inside the brushed time range and the selection.
+  // `indices` and `kept` are null for everything.
+  const shown = useMemo(
+    () => filterResult({ points: cleanData, clusters, summary, anomalies, bottlenecks }, { timeRange, selection, safetyFlags, safetyWeights }),
+    [timeRange, selection, cleanData, clusters, summary, anomalies, bottlenecks, safetyFlags, safetyWeights]
+  );
+
+  const shownPoints = useMemo(
+    () => (shown.indices ? shown.indices.map(i => cleanData[i]) : cleanData),
+    [shown.indices, cleanData]
+  );
+
+  // A cluster bar adds its cluster to the selection and shows it on the map;
+  // clicking it again takes it out.
+  const selectCluster = (index) => {
+    const selected = !selection.clusters.includes(index);
+    setSelection({ ...selection, clusters: toggleIn(selection.clusters, index) });
+    if (!selected || !clusters[index]) return;
+    setMapFocus({ bounds: clusters[index].map(point => [point.lat, point.lng]) });
+    setHeatmapMode('points');
+    setActiveView('heatmap');
+  };
+
+  // Under privacy the map only goes as close as the generalised coordinates
+  // shown in the lists.
+  const locatePoint = (point, label) => {
+    const { lat, lng } = point;
+    setMapFocus(dataPrivacy
+      ? { point: { lat: Number(lat.toFixed(3)), lng: Number(lng.toFixed(3)) }, zoom: 15, label }
+      : { point: { lat, lng }, zoom: 17, label });
+    setHeatmapMode('points');
+    setActiveView('heatmap');
+  };
+
+  const finishPolygon = (polygon) => {
+    setSelection({ ...selection, polygon });
+    setDrawing(false);
+  };
+
+  const safetyMap = useMemo(() => {
+    if (activeView !== 'heatmap' || heatmapMode !== 'safety') return [];
+    const zones = safetyZones === 'cells'
+      ? safetyByCell(cleanData, safetyFlags, safetyWeights, { indices: shown.indices })
+      : safetyByCluster(cleanData, safetyFlags, safetyWeights, clusters, metrics, { indices: shown.indices });
+    return zones.filter(zone => zone.trips >= minTrips);
+  }, [activeView, heatmapMode, safetyZones, cleanData, safetyFlags, safetyWeights, clusters, metrics, shown.indices, minTrips]);
+
+  const hexMap = useMemo(() => {
+    if (activeView !== 'heatmap' || heatmapMode !== 'hex') return null;
+    const anomalous = new Set(shown.anomalies.map(anomaly => anomaly.point));
+    const cells = aggregateHexCells(cleanData, anomalous, { size: hexSize, indices: shown.indices })
+      .filter(cell => cell.trips >= minTrips);
+    const metric = HEX_METRICS.find(m => m.key === hexMetric);
+    const values = cells.map(cell => cell[metric.key]);
+    return { cells, metric, breaks: quantileBreaks(values, metric.palette.length), min: Math.min(...values), max: Math.max(...values) };
+  }, [activeView, heatmapMode, hexSize, hexMetric, cleanData, shown.anomalies, shown.indices, minTrips]);
+
+  // Trips are placed in the time range by their start.
+  const odFlows = useMemo(() => {
+    if (activeView !== 'heatmap' || heatmapMode !== 'od') return null;
+    const all = tripEndpoints(trips);
+    const endpoints = timeRange ? filterByTime(all, timeRange, endpoint => endpoint.origin) : all;
+    const zoneOf = odZoning === 'hex' ? hexZoning(endpoints) : clusterZoning(clusters, metrics);
+    const { pickups, dropoffs } = findHotspots(endpoints);
+    const { flows, unzoned } = buildOdMatrix(endpoints, zoneOf);
+    const common = (item) => item.trips >= minTrips;
+    return {
+      pickups: pickups.filter(common),
+      dropoffs: dropoffs.filter(common),
+      flows: flows.filter(common),
+      unzoned,
+      trips: endpoints.length,
+    };
+  }, [activeView, heatmapMode, odZoning, trips, clusters, metrics, timeRange, minTrips]);
+
+  // Forecasts are fitted in a worker on the recent history, whatever the
+  // time range, and refitted when the data or zoning changes.
+  useEffect(() => {
+    if (activeView !== 'heatmap' || heatmapMode !== 'forecast') return undefined;
+    const zoning = forecastZoning === 'hex' ? { endpoints: tripEndpoints(trips) } : { clusters, metrics };
+    const job = forecastZones(cleanData, zoning, { minTrips });
+    setDemandForecast(null);
+    setForecastError('');
+    job.result.then(setDemandForecast).catch(err => {
+      if (!err.cancelled) setForecastError(err.message);
     });
-    setClusters(clusterData);
+    return job.cancel;
+  }, [activeView, heatmapMode, forecastZoning, cleanData, trips, clusters, metrics, minTrips]);
+
+  const forecastZone = demandForecast
+    ? demandForecast.zones.find(zone => zone.zone.id === forecastZoneId) || demandForecast.zones[0] || null
+    : null;
+
+  const updateSafetyWeight = (key, weight) => setSafetyWeights({ ...safetyWeights, [key]: weight });
+
+  useEffect(() => {
+    if (!playing || !timeline) return undefined;
+    setTimeRange(range => nextBucket(timeline, range));
+    const timer = setInterval(() => setTimeRange(range => nextBucket(timeline, range)), PLAY_STEP_MS);
+    return () => clearInterval(timer);
+  }, [playing, timeline]);
 
-    const clusterMetrics = clusterData.map((cluster, id) => ({
-      id: `Cluster ${id + 1}`,
-      points: cluster.length,
-      avgSpeed: Math.round(cluster.reduce((sum, p) => sum + p.spd, 0) / cluster.length),
-      density: Math.round((cluster.length / cleaned.length) * 100)
+  const updateZones = (next) => {
+    setZones(next);
+    saveZones(next);
+  };
+
+  const zoneReport = useMemo(
+    () => (activeView === 'safety' ? evaluateZones(trips, zones, shown.kept) : null),
+    [activeView, trips, zones, shown.kept]
+  );
+
+  // In live mode every new trip update is checked against the zones, and
+  // violations not seen before since going live pop up as alerts.
+  useEffect(() => {
+    if (!realTimeMode || zones.length === 0) return;
+    const fresh = evaluateZones(trips, zones).violations.filter(violation => {
+      const key = `${violation.zone}|${violation.rule}|${violation.point.randomized_id}`;
+      if (seenViolations.current.has(key)) return false;
+      seenViolations.current.add(key);
+      return true;
+    });
+    if (fresh.length === 0) return;
+    const alerts = fresh.slice(0, MAX_TOASTS).map(violation => ({
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      title: zoneName(zones, violation.zone),
+      message: `${describeViolation(violation)} · trip ${violation.point.randomized_id}`,
     }));
-    setMetrics(clusterMetrics);
+    setToasts(current => [...current, ...alerts].slice(-MAX_TOASTS));
+  }, [realTimeMode, trips, zones]);
+
+  const dismissToast = useCallback(id => setToasts(current => current.filter(toast => toast.id !== id)), []);
+
+  const listedAnomalies = anomalyDetector
+    ? shown.anomalies.filter(anomaly => anomaly.detector === anomalyDetector)
+    : shown.anomalies;
+
+  // Exports and the report cover what is on screen: the brushed time range,
+  // the selection and, for anomalies, the chosen detector.
+  const exportedClusters = useMemo(
+    () => (shown.kept
+      ? filterClusterMetrics(clusters, metrics, members => members.filter(point => shown.kept.has(point)), {
+        privacy: dataPrivacy,
+        random: dataPrivacy && queryRandom(summary, shown.indices, QUERY_CLUSTERS),
+      })
+      : metrics),
+    [shown.kept, shown.indices, clusters, metrics, summary, dataPrivacy]
+  );
+
+  const activeFilters = [
+    timeRange && `${new Date(timeRange.from).toLocaleString()} – ${new Date(timeRange.to).toLocaleString()}`,
+    ...describeSelection(selection, metrics),
+    anomalyDetector && `${getDetector(anomalyDetector).label} anomalies only`,
+  ].filter(Boolean);
 
-    const meanSpd = cleaned.reduce((sum, r) => sum + r.spd, 0) / cleaned.length;
-    const variance = cleaned.reduce((sum, r) => sum + Math.pow(r.spd - meanSpd, 2), 0) / cleaned.length;
-    const stdDev = Math.sqrt(variance);
-    setAnomalies(cleaned.filter(r => r.spd > meanSpd + 2 * stdDev));
+  const exportFile = (suffix, extension, content, mimeType) => {
+    const base = (currentSession ? currentSession.name : 'geotrack').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+    downloadFile(`${base}-${suffix}.${extension}`, content, mimeType);
+  };
+
+  const pointExport = dataPrivacy
+    ? { disabled: true, title: 'Privacy mode is on: exports of individual points are disabled' }
+    : {};
 
-    setBottlenecks(cleaned.filter(r => r.spd < 10));
+  const exportItems = [
+    { key: 'clusters-geojson', label: 'Clusters (GeoJSON)', onSelect: () => exportFile('clusters', 'geojson', clustersGeoJson(exportedClusters), 'application/geo+json') },
+    { key: 'clusters-csv', label: 'Cluster metrics (CSV)', onSelect: () => exportFile('clusters', 'csv', metricsCsv(exportedClusters), 'text/csv;charset=utf-8') },
+    { key: 'anomalies-geojson', label: 'Anomalies (GeoJSON)', ...pointExport, onSelect: () => exportFile('anomalies', 'geojson', anomaliesGeoJson(listedAnomalies), 'application/geo+json') },
+    { key: 'anomalies-csv', label: 'Anomalies (CSV)', ...pointExport, onSelect: () => exportFile('anomalies', 'csv', anomaliesCsv(listedAnomalies), 'text/csv;charset=utf-8') },
+    { key: 'bottlenecks-geojson', label: 'Bottlenecks (GeoJSON)', ...pointExport, onSelect: () => exportFile('bottlenecks', 'geojson', bottlenecksGeoJson(shown.bottlenecks), 'application/geo+json') },
+    { key: 'report', label: 'Printable report', onSelect: () => setReportOpen(true) },
+  ];
 
-    const safetyMetric = 100 - (anomalies.length / cleaned.length * 100);
-    setSafetyScore(Math.round(safetyMetric > 0 ? safetyMetric : 0));
+  const connectLive = () => {
+    setRealTimeMode(true);
+    setActiveView('dashboard');
   };
 
   const handleFileUpload = (event) => {
     const file = event.target.files[0];
+    event.target.value = '';
     if (!file) return;
 
-    if (file.type !== 'application/json') {
-      setError('Invalid file type. Please upload a JSON file.');
+    const importer = findImporter(file.name, file.type);
+    if (!importer) {
+      setError('Invalid file type. Please upload a JSON, NDJSON, CSV, GeoJSON or GPX file.');
       return;
     }
 
-    setLoading(true);
-    setError('');
-
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const jsonData = JSON.parse(e.target.result);
-        if (!Array.isArray(jsonData)) {
-          throw new Error('JSON file must contain an array of data points.');
-        }
-        processData(jsonData);
-        setActiveView('dashboard');
-      } catch (err) {
-        setError(`Error parsing JSON: ${err.message}. Please ensure the file is a valid JSON array.`);
-      } finally {
-        setLoading(false);
-      }
-    };
-    reader.onerror = () => {
-      setLoading(false);
-      setError('Failed to read the file.');
-    };
-    reader.readAsText(file);
+    runJob(inspectFile(file, importer.id, setProgress), (inspection) => {
+      setPendingImport({ ...inspection, file, format: importer.id, fileName: file.name, formatLabel: importer.label });
+      setActiveView('mapping');
+    });
   };
 
-  useEffect(() => {
-    if (realTimeMode && cleanData.length > 0) {
-      const interval = setInterval(() => {
-        const lastPoint = cleanData[cleanData.length - 1];
-        const newPoint = {
-          randomized_id: `rt_${Date.now()}`,
-          lat: lastPoint.lat + (Math.random() - 0.5) * 0.001,
-          lng: lastPoint.lng + (Math.random() - 0.5) * 0.001,
-          alt: lastPoint.alt + (Math.random() - 0.5) * 10,
-          spd: Math.random() * 50 + 10,
-          azm: Math.random() * 360
-        };
-        setCleanData(prev => [...prev.slice(-999), newPoint]);
-      }, 5000);
-      return () => clearInterval(interval);
-    }
-  }, [realTimeMode, cleanData]);
+  // The file is kept after processing so the data-quality report can run it
+  // again with other cleaning thresholds.
+  const confirmMapping = (mapping) => {
+    const { file, format, fileName } = pendingImport;
+    runJob(processFile(file, { cluster: clusterOptions, format, mapping, privacy, cleaning }, setProgress), (result) => {
+      applyResult(result);
+      storeSession(result, { name: fileName, fileName });
+      setLastImport({ file, format, mapping, privacy });
+      setPendingImport(null);
+      setActiveView('quality');
+    }, setMappingError);
+  };
+
+  // Re-processes the last file with new thresholds over its session.
+  const reprocess = (settings) => {
+    const { file, format, mapping } = lastImport;
+    setCleaning(settings);
+    runJob(processFile(file, { cluster: clusterOptions, format, mapping, privacy: lastImport.privacy, cleaning: settings }, setProgress), (result) => {
+      applyResult(result);
+      if (currentSession) storeSession(result, currentSession);
+    }, setReprocessError);
+  };
+
+  const cancelMapping = () => {
+    setMappingError('');
+    setPendingImport(null);
+    setActiveView('upload');
+  };
 
   if (loading) {
     return React.createElement(
@@ -152,12 +514,29 @@ const App = () => {
       { className: 'loading-container' },
       React.createElement('div', { className: 'loading-spinner' }),
       React.createElement('h2', null, 'Loading Geotrack Analyzer'),
-      React.createElement('p', null, 'Processing geotrack data...')
+      React.createElement('p', null, progress ? progress.message : 'Processing geotrack data...'),
+      React.createElement(
+        'div',
+        { className: 'progress-bar' },
+        React.createElement('div', {
+          className: 'progress-fill',
+          style: { width: `${progress ? progress.fraction * 100 : 0}%` },
+        })
+      ),
+      React.createElement('button', { className: 'cancel-btn', onClick: cancelJob }, 'Cancel'),
+      progress && progress.summary &&
+        React.createElement(
+          'div',
+          { className: 'loading-kpis' },
+          React.createElement(KpiCards, {
+            points: progress.summary.points,
+            avgSpeed: progress.summary.meanSpeed,
+            safetyScore: null,
+          })
+        )
     );
   }
 
-  if (error) return React.createElement('div', { className: 'error' }, error);
-
   const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042'];
 
   return React.createElement(
@@ -184,22 +563,54 @@ const App = () => {
               'div',
               { className: 'shit' },
               React.createElement('h2', null, 'Загрузите файл с данными'),
-              React.createElement('p', null, 'Для начала работы, пожалуйста, выберите файл в формате JSON.'),
+              React.createElement('p', null, 'Для начала работы, пожалуйста, выберите файл в формате JSON, NDJSON, CSV, GeoJSON или GPX.'),
               React.createElement(
                 'div',
                 { className: 'file-input-wrapper' },
                 React.createElement('input', {
                   type: 'file',
-                  accept: '.json',
+                  accept: acceptedExtensions(),
                   onChange: handleFileUpload,
                   className: 'file-input',
                 }),
                 React.createElement('button', { className: 'upload-btn' }, 'Выбрать файл')
               )
             ),
+            React.createElement(PrivacySettings, { privacy, onChange: setPrivacy }),
+            React.createElement(
+              'div',
+              { className: 'live-connect' },
+              React.createElement('h3', null, 'Или подключитесь к потоку'),
+              React.createElement('p', null, 'Адрес WebSocket (ws://) или Server-Sent Events (http://), например локального сервера воспроизведения.'),
+              React.createElement('input', {
+                type: 'text',
+                className: 'live-url',
+                value: liveUrl,
+                onChange: (e) => setLiveUrl(e.target.value),
+              }),
+              React.createElement('button', { className: 'upload-btn', onClick: connectLive, disabled: !liveUrl }, 'Подключиться')
+            ),
+            sessions.length > 0 &&
+              React.createElement(SessionList, {
+                sessions,
+                onOpen: openSession,
+                onRename: renameStoredSession,
+                onDelete: deleteStoredSession,
+              }),
+            sessionError && React.createElement('div', { className: 'error-message' }, sessionError),
             error && React.createElement('div', { className: 'error-message' }, error)
           )
         )
+      : activeView === 'mapping'
+      ? React.createElement(ColumnMapping, { inspection: pendingImport, error: mappingError, onConfirm: confirmMapping, onCancel: cancelMapping })
+      : activeView === 'quality' && summary.quality
+      ? React.createElement(QualityReport, {
+          summary,
+          canReprocess: Boolean(lastImport),
+          onReprocess: reprocess,
+          error: reprocessError,
+          onContinue: () => setActiveView('dashboard'),
+        })
       : React.createElement(
           React.Fragment,
           null,
@@ -240,6 +651,33 @@ const App = () => {
                   React.createElement('span', { className: 'nav-icon' }, '🗺️'),
                   ' Heatmap'
                 ),
+                React.createElement(
+                  'button',
+                  {
+                    className: `nav-btn ${activeView === 'analytics' ? 'active' : ''}`,
+                    onClick: () => setActiveView('analytics'),
+                  },
+                  React.createElement('span', { className: 'nav-icon' }, '📈'),
+                  ' Analytics'
+                ),
+                React.createElement(
+                  'button',
+                  {
+                    className: `nav-btn ${activeView === 'trips' ? 'active' : ''}`,
+                    onClick: () => setActiveView('trips'),
+                  },
+                  React.createElement('span', { className: 'nav-icon' }, '🧭'),
+                  ' Trips'
+                ),
+                React.createElement(
+                  'button',
+                  {
+                    className: `nav-btn ${activeView === 'congestion' ? 'active' : ''}`,
+                    onClick: () => setActiveView('congestion'),
+                  },
+                  React.createElement('span', { className: 'nav-icon' }, '🚦'),
+                  ' Congestion'
+                ),
                 React.createElement(
                   'button',
                   {
@@ -248,22 +686,99 @@ const App = () => {
                   },
                   React.createElement('span', { className: 'nav-icon' }, '🛡️'),
                   ' Safety'
-                )
+                ),
+                React.createElement(
+                  'button',
+                  {
+                    className: `nav-btn ${activeView === 'compare' ? 'active' : ''}`,
+                    onClick: () => setActiveView('compare'),
+                  },
+                  React.createElement('span', { className: 'nav-icon' }, '⚖️'),
+                  ' Compare'
+                ),
+                summary.quality && !realTimeMode &&
+                  React.createElement(
+                    'button',
+                    {
+                      className: 'nav-btn',
+                      onClick: () => setActiveView('quality'),
+                    },
+                    React.createElement('span', { className: 'nav-icon' }, '🧪'),
+                    ' Data Quality'
+                  )
               ),
               React.createElement(
                 'div',
                 { className: 'header-actions' },
+                React.createElement('input', {
+                  type: 'text',
+                  className: 'live-url',
+                  title: 'Live stream endpoint (ws:// or http:// for Server-Sent Events)',
+                  value: liveUrl,
+                  disabled: realTimeMode,
+                  onChange: (e) => setLiveUrl(e.target.value),
+                }),
+                dataPrivacy && !realTimeMode &&
+                  React.createElement(
+                    'span',
+                    {
+                      className: 'privacy-badge',
+                      title: `Trip ends trimmed by ${dataPrivacy.trimMeters} m, areas with fewer than ${dataPrivacy.k} trips hidden` +
+                        (dataPrivacy.noise ? `, noise added to aggregates (ε = ${dataPrivacy.epsilon})` : ''),
+                    },
+                    '🔒 Privacy mode'
+                  ),
+                summary.sampled && !realTimeMode &&
+                  React.createElement(
+                    'span',
+                    {
+                      className: 'downsampled-badge',
+                      title: `Trips, clusters, congestion and anomalies cover a random sample of whole trips: ${summary.retained.toLocaleString()} of ${summary.points.toLocaleString()} points. Counts and speeds in the KPIs cover every point.`,
+                    },
+                    'Sampled trips'
+                  ),
+                sessionError &&
+                  React.createElement('span', { className: 'downsampled-badge', title: sessionError }, 'Not saved'),
+                React.createElement(ExportMenu, { items: exportItems }),
+                currentSession && !realTimeMode &&
+                  React.createElement(
+                    'button',
+                    {
+                      className: 'mode-btn',
+                      title: `Save the current analysis as "${currentSession.name}"`,
+                      onClick: saveCurrentSession,
+                    },
+                    '💾 Save'
+                  ),
+                realTimeMode && live.error &&
+                  React.createElement('span', { className: 'downsampled-badge', title: live.error }, 'Live analysis failed'),
+                realTimeMode && live.dropped > 0 &&
+                  React.createElement(
+                    'span',
+                    { className: 'downsampled-badge', title: 'Points dropped because they arrived faster than they could be analysed' },
+                    `${live.dropped.toLocaleString()} dropped`
+                  ),
                 React.createElement(
                   'button',
                   {
                     className: `realtime-btn ${realTimeMode ? 'active' : ''}`,
-                    onClick: () => setRealTimeMode(!realTimeMode),
+                    onClick: toggleLive,
                   },
-                  realTimeMode ? '🔴 Live' : '⏸️ Static'
+                  realTimeMode ? `${live.status === 'open' ? '🔴' : '🟡'} ${LIVE_STATUS_LABELS[live.status]}` : '⏸️ Static'
                 )
               )
             )
           ),
+          timeline &&
+            React.createElement(TimeBrush, {
+              timeline,
+              range: timeRange,
+              onChange: setTimeRange,
+              playing,
+              onTogglePlay: () => setPlaying(!playing),
+            }),
+          ['dashboard', 'heatmap', 'analytics', 'safety'].includes(activeView) &&
+            React.createElement(SelectionBar, { selection, metrics, onChange: setSelection }),
           React.createElement(
             'main',
             { className: 'main-content' },
@@ -271,51 +786,13 @@ const App = () => {
               React.createElement(
                 'div',
                 { className: 'dashboard-view' },
-                React.createElement('p', { className: 'explanation' }, 'The dashboard shows key metrics from the geotrack data. \'Active Trips\' is the number of data points (each point represents a location update during a trip). \'Avg Speed\' is the average speed across all points in km/h. \'Safety Score\' is the percentage of points with normal speeds (not anomalies).'),
-                React.createElement(
-                  'div',
-                  { className: 'kpi-grid' },
-                  React.createElement(
-                    'div',
-                    { className: 'kpi-card gradient-1' },
-                    React.createElement('div', { className: 'kpi-icon' }, '🚗'),
-                    React.createElement(
-                      'div',
-                      { className: 'kpi-content' },
-                      React.createElement('h3', null, 'Active Trips'),
-                      React.createElement('div', { className: 'kpi-value' }, cleanData.length.toLocaleString()),
-                      React.createElement('div', { className: 'kpi-change' }, 'Number of geotrack points')
-                    )
-                  ),
-                  React.createElement(
-                    'div',
-                    { className: 'kpi-card gradient-2' },
-                    React.createElement('div', { className: 'kpi-icon' }, '⚡'),
-                    React.createElement(
-                      'div',
-                      { className: 'kpi-content' },
-                      React.createElement('h3', null, 'Avg Speed'),
-                      React.createElement(
-                        'div',
-                        { className: 'kpi-value' },
-                        cleanData.length > 0 ? `${Math.round(cleanData.reduce((s, d) => s + d.spd, 0) / cleanData.length)} km/h` : '0 km/h'
-                      ),
-                      React.createElement('div', { className: 'kpi-change' }, 'Average across all points')
-                    )
-                  ),
-                  React.createElement(
-                    'div',
-                    { className: 'kpi-card gradient-3' },
-                    React.createElement('div', { className: 'kpi-icon' }, '🛡️'),
-                    React.createElement(
-                      'div',
-                      { className: 'kpi-content' },
-                      React.createElement('h3', null, 'Safety Score'),
-                      React.createElement('div', { className: 'kpi-value' }, `${safetyScore}%`),
-                      React.createElement('div', { className: 'kpi-change' }, `${anomalies.length} anomalies detected`)
-                    )
-                  )
-                ),
+                React.createElement('p', { className: 'explanation' }, 'The dashboard shows key metrics from the geotrack data. \'Active Trips\' is the number of data points (each point represents a location update during a trip). \'Avg Speed\' is the average speed across all points in km/h. \'Safety Score\' combines speeding, harsh acceleration/braking, night driving and bottleneck exposure; see the Safety view for its breakdown.'),
+                React.createElement(KpiCards, {
+                  points: shown.summary.points,
+                  avgSpeed: shown.summary.meanSpeed,
+                  safetyScore: shown.safety.score,
+                  anomalyCount: shown.anomalies.length,
+                }),
                 React.createElement(
                   'div',
                   { className: 'charts-grid' },
@@ -323,7 +800,7 @@ const App = () => {
                     'div',
                     { className: 'chart-card' },
                     React.createElement('h3', null, 'Cluster Density'),
-                    React.createElement('p', { className: 'explanation' }, 'This bar chart shows the density of each cluster as a percentage of total points. Higher density means more activity in that area.'),
+                    React.createElement('p', { className: 'explanation' }, 'This bar chart shows the density of each cluster as a percentage of total points. Higher density means more activity in that area. Click a bar to add its cluster to the selection and zoom the map to it.'),
                     React.createElement(
                       ResponsiveContainer,
                       { width: '100%', height: 300 },
@@ -334,7 +811,13 @@ const App = () => {
                         React.createElement(XAxis, { dataKey: 'id', stroke: '#64748b' }),
                         React.createElement(YAxis, { stroke: '#64748b' }),
                         React.createElement(RechartsTooltip, { contentStyle: { backgroundColor: '#ffffff', border: 'none' } }),
-                        React.createElement(Bar, { dataKey: 'density', fill: '#00C49F' })
+                        React.createElement(
+                          Bar,
+                          { dataKey: 'density', fill: '#00C49F', cursor: 'pointer', onClick: (_, index) => selectCluster(index) },
+                          metrics.map((metric, i) =>
+                            React.createElement(Cell, { key: metric.id, fill: selection.clusters.includes(i) ? '#0088FE' : '#00C49F' })
+                          )
+                        )
                       )
                     )
                   )
@@ -363,10 +846,16 @@ const App = () => {
                       { className: 'insight-card' },
                       React.createElement('div', { className: 'insight-icon' }, '⚠️'),
                       React.createElement('h4', null, 'Bottleneck Zones'),
-                      React.createElement('p', null, `${bottlenecks.length} points with speeds below 10 km/h, indicating potential slow-moving or congested areas.`),
+                      React.createElement(
+                        'p',
+                        null,
+                        congestion.zones.length > 0
+                          ? `${congestion.zones.length} congestion zones from ${congestion.slowPoints} slow moving points; the worst, ${congestion.zones[0].id} (${congestion.zones[0].direction}), adds ${(congestion.zones[0].delay / 60).toFixed(1)} min across ${congestion.zones[0].trips} trips. ${congestion.dwells.length} dwell events at stops and pickups are not counted as congestion.`
+                          : `${shown.bottlenecks.length} points with speeds below 10 km/h, but no persistent congestion zones; ${congestion.dwells.length} of the slow stretches are dwell events at stops and pickups.`
+                      ),
                       React.createElement(
                         'div',
-                        { className: 'insight-action', onClick: () => setActiveView('safety') },
+                        { className: 'insight-action', onClick: () => setActiveView('congestion') },
                         'View Details →'
                       )
                     )
@@ -390,9 +879,168 @@ const App = () => {
                 React.createElement(
                   'div',
                   { className: 'map-controls' },
-                  React.createElement('h2', null, 'Demand Heatmap')
+                  React.createElement('h2', null, 'Demand Heatmap'),
+                  React.createElement(
+                    'div',
+                    { className: 'cluster-settings' },
+                    React.createElement(
+                      'label',
+                      null,
+                      'Radius (m) ',
+                      React.createElement('input', {
+                        type: 'number',
+                        min: 1,
+                        step: 50,
+                        defaultValue: clusterOptions.epsilon,
+                        onBlur: (e) => updateClusterOption('epsilon', e.target.value),
+                      })
+                    ),
+                    React.createElement(
+                      'label',
+                      null,
+                      'Min points ',
+                      React.createElement('input', {
+                        type: 'number',
+                        min: 1,
+                        step: 1,
+                        defaultValue: clusterOptions.minPoints,
+                        onBlur: (e) => updateClusterOption('minPoints', e.target.value),
+                      })
+                    ),
+                    clusterError && React.createElement('div', { className: 'error-message' }, `Clustering failed: ${clusterError}`)
+                  )
                 ),
-                React.createElement('p', { className: 'explanation' }, 'The heatmap shows density of geotrack points. Red areas have high concentration of points (high demand/activity). Blue circles represent clusters of close points. Hover on clusters for details.'),
+                React.createElement(
+                  'div',
+                  { className: 'map-modes' },
+                  React.createElement(
+                    'button',
+                    {
+                      className: `mode-btn ${heatmapMode === 'points' ? 'active' : ''}`,
+                      onClick: () => setHeatmapMode('points'),
+                    },
+                    'Points'
+                  ),
+                  React.createElement(
+                    'button',
+                    {
+                      className: `mode-btn ${heatmapMode === 'segments' ? 'active' : ''}`,
+                      disabled: roadSegments.length === 0,
+                      onClick: () => setHeatmapMode('segments'),
+                    },
+                    'Road segments'
+                  ),
+                  React.createElement(
+                    'button',
+                    {
+                      className: `mode-btn ${heatmapMode === 'safety' ? 'active' : ''}`,
+                      onClick: () => setHeatmapMode('safety'),
+                    },
+                    'Safety'
+                  ),
+                  React.createElement(
+                    'button',
+                    {
+                      className: `mode-btn ${heatmapMode === 'hex' ? 'active' : ''}`,
+                      onClick: () => setHeatmapMode('hex'),
+                    },
+                    'Hex grid'
+                  ),
+                  heatmapMode === 'hex' &&
+                    React.createElement(
+                      'select',
+                      { className: 'mode-btn', value: hexMetric, onChange: (e) => setHexMetric(e.target.value) },
+                      ['Density', 'Speed', 'Risk'].map(group =>
+                        React.createElement(
+                          'optgroup',
+                          { key: group, label: group },
+                          HEX_METRICS.filter(metric => metric.group === group).map(metric =>
+                            React.createElement('option', { key: metric.key, value: metric.key }, metric.label)
+                          )
+                        )
+                      )
+                    ),
+                  heatmapMode === 'hex' &&
+                    React.createElement(
+                      'select',
+                      { className: 'mode-btn', value: hexSize, onChange: (e) => setHexSize(Number(e.target.value)) },
+                      HEX_SIZES.map(size => React.createElement('option', { key: size, value: size }, `${size} m hexagons`))
+                    ),
+                  React.createElement(
+                    'button',
+                    {
+                      className: `mode-btn ${heatmapMode === 'od' ? 'active' : ''}`,
+                      onClick: () => setHeatmapMode('od'),
+                    },
+                    'OD Flows'
+                  ),
+                  heatmapMode === 'od' &&
+                    React.createElement(
+                      'select',
+                      { className: 'mode-btn', value: odZoning, onChange: (e) => setOdZoning(e.target.value) },
+                      React.createElement('option', { value: 'hex' }, `${OD_HEX_SIZE / 1000} km hex cells`),
+                      React.createElement('option', { value: 'clusters' }, 'Clusters')
+                    ),
+                  React.createElement(
+                    'button',
+                    {
+                      className: `mode-btn ${heatmapMode === 'forecast' ? 'active' : ''}`,
+                      onClick: () => setHeatmapMode('forecast'),
+                    },
+                    'Predicted demand'
+                  ),
+                  heatmapMode === 'forecast' &&
+                    React.createElement(
+                      'select',
+                      { className: 'mode-btn', value: forecastZoning, onChange: (e) => setForecastZoning(e.target.value) },
+                      React.createElement('option', { value: 'hex' }, `${OD_HEX_SIZE / 1000} km hex cells`),
+                      React.createElement('option', { value: 'clusters' }, 'Clusters')
+                    ),
+                  heatmapMode === 'forecast' && demandForecast && demandForecast.forecastStart !== null &&
+                    React.createElement(
+                      'select',
+                      { className: 'mode-btn', value: forecastHour, onChange: (e) => setForecastHour(Number(e.target.value)) },
+                      Array.from({ length: FORECAST_HORIZON }, (_, h) =>
+                        React.createElement('option', { key: h, value: h }, `+${h + 1} h · ${forecastHourLabel(demandForecast, h)}`)
+                      )
+                    ),
+                  heatmapMode === 'safety' &&
+                    React.createElement(
+                      'select',
+                      { className: 'mode-btn', value: safetyZones, onChange: (e) => setSafetyZones(e.target.value) },
+                      React.createElement('option', { value: 'cells' }, `Per ${SAFETY_CELL_SIZE} m cell`),
+                      React.createElement('option', { value: 'clusters' }, 'Per cluster')
+                    ),
+                  React.createElement(
+                    'button',
+                    {
+                      className: `mode-btn ${drawing ? 'active' : ''}`,
+                      title: 'Click the map to add corners, double-click to close the area',
+                      onClick: () => setDrawing(!drawing),
+                    },
+                    drawing ? 'Cancel drawing' : '✏️ Draw area'
+                  ),
+                  React.createElement(BasemapPicker, { basemap, onChange: setBasemap }),
+                  React.createElement(
+                    'label',
+                    { className: 'mode-btn road-file' },
+                    'Load road network (.osm.pbf / GeoJSON)',
+                    React.createElement('input', {
+                      type: 'file',
+                      accept: '.pbf,.geojson,.json',
+                      onChange: handleRoadNetworkUpload,
+                    })
+                  )
+                ),
+                roadError && React.createElement('div', { className: 'error-message' }, `Road network not loaded: ${roadError}`),
+                React.createElement('p', { className: 'explanation' }, 'The heatmap shows density of geotrack points, counted on a 100 m grid over every point in the file. Red areas have high concentration of points (high demand/activity). Circles represent DBSCAN clusters: groups of at least \'Min points\' locations each within \'Radius\' metres of one another. Click a cluster for details. Load a road network from a local OpenStreetMap extract to snap trips onto roads: \'Road segments\' colours each road by the average speed of the trips matched onto it, and draws it thicker the more trips drove it. \'Safety\' colours each grid cell or cluster by its own safety score, using the weights set in the Safety view. \'Hex grid\' counts the points in hexagonal cells of the chosen size and colours each cell by one metric - points or unique trips for density, mean or 85th percentile speed, or the share of anomalous or bottleneck points for risk - in five classes holding equally many cells; hover a cell for all of its numbers. \'OD Flows\' takes the first and last point of every trip: green circles are pickup hotspots and orange ones drop-off hotspots, and arrows run between the zones trips start and end in, wider the more trips take them. Zones are hex cells or the DBSCAN clusters; trips starting or ending outside every cluster are left out. When the data has timestamps, drag across the timeline under the header to show a time range only, or press ▶ to step through it bucket by bucket on a fixed colour scale. \'Draw area\' narrows every view and the KPIs to the points inside a polygon you draw; together with the speed range, selected clusters and trips it forms the selection shown under the header. \'Predicted demand\' forecasts the distinct trips per zone for each of the next 24 hours from the hourly history of timestamped points (the last 28 days at most), with a daily Holt-Winters or seasonal naive model chosen per zone by how well it predicted the last day of the data; click a zone for its forecast chart and backtest errors. The basemap menu switches every map between online tiles, a raster MBTiles or PMTiles package opened from disk, and a plain grid for machines without a network.'),
+                !isEmptySelection(selection) &&
+                  React.createElement(KpiCards, {
+                    points: shown.summary.points,
+                    avgSpeed: shown.summary.meanSpeed,
+                    safetyScore: shown.safety.score,
+                    anomalyCount: shown.anomalies.length,
+                  }),
                 React.createElement(
                   'div',
                   { className: 'map-container' },
@@ -403,26 +1051,50 @@ const App = () => {
                       zoom: 12,
                       style: { height: '600px', width: '100%' },
                     },
-                    React.createElement(TileLayer, {
-                      url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
-                      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>',
-                    }),
-                    React.createElement(HeatmapLayer, { data: cleanData }),
-                    clusters.map((cluster, i) =>
+                    React.createElement(Basemap, { basemap }),
+                    heatmapMode === 'segments' && React.createElement(RoadSegmentsLayer, { segments: roadSegments }),
+                    heatmapMode === 'safety' && React.createElement(SafetyLayer, { zones: safetyMap }),
+                    heatmapMode === 'od' && odFlows && React.createElement(OdFlowsLayer, { od: odFlows }),
+                    heatmapMode === 'hex' && hexMap && React.createElement(HexLayer, { hex: hexMap }),
+                    heatmapMode === 'forecast' && demandForecast &&
+                      React.createElement(ForecastLayer, {
+                        forecast: demandForecast,
+                        hour: forecastHour,
+                        selectedId: forecastZone ? forecastZone.zone.id : null,
+                        onSelect: setForecastZoneId,
+                      }),
+                    heatmapMode === 'points' && React.createElement(HeatmapLayer, { cells: shown.summary.heat, maxCount: playing ? timeline.peak : null }),
+                    React.createElement(MapFocus, { focus: mapFocus }),
+                    drawing && React.createElement(PolygonDrawLayer, { onFinish: finishPolygon }),
+                    selection.polygon &&
+                      React.createElement(Polygon, {
+                        positions: selection.polygon,
+                        pathOptions: { color: '#0088FE', weight: 2, dashArray: '6 4', fillOpacity: 0.05 },
+                        interactive: false,
+                      }),
+                    mapFocus && mapFocus.label &&
                       React.createElement(
+                        CircleMarker,
+                        {
+                          center: [mapFocus.point.lat, mapFocus.point.lng],
+                          radius: 12,
+                          pathOptions: { color: '#ef4444', weight: 3, fillOpacity: 0.2 },
+                          className: 'focus-marker',
+                        },
+                        React.createElement(Tooltip, { permanent: true, direction: 'top' }, mapFocus.label)
+                      ),
+                    heatmapMode === 'points' && clusters.map((cluster, i) =>
+                      (!dataPrivacy || hasKTrips(cluster, minTrips)) && React.createElement(
                         CircleMarker,
                         {
                           key: i,
-                          center: [
-                            cluster.reduce((s, p) => s + p.lat, 0) / cluster.length,
-                            cluster.reduce((s, p) => s + p.lng, 0) / cluster.length,
-                          ],
-                          radius: Math.min(cluster.length / 20, 10),
+                          center: [metrics[i].lat, metrics[i].lng],
+                          radius: Math.min(metrics[i].points / 20, 10),
                           fillColor: COLORS[i % COLORS.length],
                           fillOpacity: 0.6,
                           stroke: true,
-                          weight: 2,
-                          color: '#ffffff',
+                          weight: selection.clusters.includes(i) ? 4 : 2,
+                          color: selection.clusters.includes(i) ? '#1e293b' : '#ffffff',
                         },
                         React.createElement(
                           Popup,
@@ -430,49 +1102,183 @@ const App = () => {
                           React.createElement(
                             'div',
                             { className: 'popup-content' },
-                            React.createElement('h4', null, `Cluster ${i + 1}`),
-                            React.createElement('p', null, `Points: ${cluster.length} (group of close locations)`),
+                            React.createElement('h4', null, metrics[i].id),
+                            React.createElement('p', null, `Points: ${metrics[i].points.toLocaleString()} (group of close locations)`),
+                            React.createElement('p', null, `Avg Speed: ${metrics[i].avgSpeed} km/h`)
+                          )
+                        )
+                      )
+                    )
+                  )
+                ),
+                heatmapMode === 'hex' && hexMap
+                  ? React.createElement(
+                      'div',
+                      { className: 'map-legend' },
+                      React.createElement('h4', null, `${hexMap.metric.label} per ${hexSize} m hexagon`),
+                      hexMap.cells.length === 0
+                        ? React.createElement('div', { className: 'legend-item' }, 'No points to aggregate.')
+                        : hexClasses(hexMap).map(band =>
                             React.createElement(
-                              'p',
+                              'div',
+                              { key: band.color, className: 'legend-item' },
+                              React.createElement('span', { className: 'legend-color legend-square', style: { background: band.color } }),
+                              React.createElement('span', null, band.label)
+                            )
+                          )
+                    )
+                  : heatmapMode === 'forecast' && !demandForecast
+                  ? React.createElement(
+                      'div',
+                      { className: 'map-legend' },
+                      React.createElement('div', { className: 'legend-item' }, forecastError ? `Forecast failed: ${forecastError}` : 'Fitting forecasts...')
+                    )
+                  : heatmapMode === 'forecast'
+                  ? React.createElement(
+                      React.Fragment,
+                      null,
+                      React.createElement(
+                        'div',
+                        { className: 'map-legend' },
+                        demandForecast.forecastStart === null
+                          ? React.createElement('div', { className: 'legend-item' }, 'The data has no timestamps, so there is no history to forecast from.')
+                          : React.createElement(
+                              React.Fragment,
                               null,
-                              `Avg Speed: ${Math.round(cluster.reduce((s, p) => s + p.spd, 0) / cluster.length)} km/h`
+                              React.createElement('h4', null, `Predicted trips at ${forecastHourLabel(demandForecast, forecastHour)}`),
+                              demandForecast.zones.length === 0
+                                ? React.createElement('div', { className: 'legend-item' }, 'No zones with enough trips.')
+                                : hexClasses(forecastClasses(demandForecast, forecastHour)).map(band =>
+                                    React.createElement(
+                                      'div',
+                                      { key: band.color, className: 'legend-item' },
+                                      React.createElement('span', { className: 'legend-color legend-square', style: { background: band.color } }),
+                                      React.createElement('span', null, band.label)
+                                    )
+                                  )
                             )
+                      ),
+                      forecastZone && React.createElement(ForecastPanel, { forecast: demandForecast, zone: forecastZone, onSelectZone: setForecastZoneId })
+                    )
+                  : heatmapMode === 'od' && odFlows
+                  ? React.createElement(
+                      React.Fragment,
+                      null,
+                      React.createElement(
+                        'div',
+                        { className: 'map-legend' },
+                        React.createElement('h4', null, 'Legend'),
+                        React.createElement(
+                          'div',
+                          { className: 'legend-item' },
+                          React.createElement('span', { className: 'legend-color', style: { background: PICKUP_COLOR } }),
+                          React.createElement('span', null, `Pickup hotspot (${odFlows.pickups.length})`)
+                        ),
+                        React.createElement(
+                          'div',
+                          { className: 'legend-item' },
+                          React.createElement('span', { className: 'legend-color', style: { background: DROPOFF_COLOR } }),
+                          React.createElement('span', null, `Drop-off hotspot (${odFlows.dropoffs.length})`)
+                        ),
+                        React.createElement(
+                          'div',
+                          { className: 'legend-item' },
+                          React.createElement('span', { className: 'legend-line', style: { background: FLOW_COLOR } }),
+                          React.createElement(
+                            'span',
+                            null,
+                            `Flow between zones, top ${Math.min(MAX_DRAWN_FLOWS, odFlows.flows.length)} drawn · ` +
+                              `${odFlows.unzoned.toLocaleString()} of ${odFlows.trips.toLocaleString()} trips outside every zone`
                           )
                         )
+                      ),
+                      React.createElement(OdTable, { flows: odFlows.flows, zoning: odZoning })
+                    )
+                  : heatmapMode === 'safety'
+                  ? React.createElement(
+                      'div',
+                      { className: 'map-legend' },
+                      React.createElement('h4', null, 'Safety Score'),
+                      SAFETY_BANDS.map(band =>
+                        React.createElement(
+                          'div',
+                          { key: band.label, className: 'legend-item' },
+                          React.createElement('span', { className: 'legend-color', style: { background: band.color } }),
+                          React.createElement('span', null, band.label)
+                        )
+                      )
+                    )
+                  : heatmapMode === 'segments'
+                  ? React.createElement(
+                      'div',
+                      { className: 'map-legend' },
+                      React.createElement('h4', null, 'Legend'),
+                      SPEED_BANDS.map(band =>
+                        React.createElement(
+                          'div',
+                          { key: band.label, className: 'legend-item' },
+                          React.createElement('span', { className: 'legend-line', style: { background: band.color } }),
+                          React.createElement('span', null, band.label)
+                        )
+                      )
+                    )
+                  : React.createElement(
+                      'div',
+                      { className: 'map-legend' },
+                      React.createElement('h4', null, 'Legend'),
+                      React.createElement(
+                        'div',
+                        { className: 'legend-item' },
+                        React.createElement('span', { className: 'legend-color', style: { background: COLORS[0], width: '8px', height: '8px' } }),
+                        React.createElement('span', null, 'High Density Cluster')
+                      ),
+                      React.createElement(
+                        'div',
+                        { className: 'legend-item' },
+                        React.createElement('span', { className: 'legend-color', style: { background: COLORS[1], width: '8px', height: '8px' } }),
+                        React.createElement('span', null, 'Medium Density Cluster')
+                      ),
+                      React.createElement(
+                        'div',
+                        { className: 'legend-item' },
+                        React.createElement('span', { className: 'legend-color', style: { background: COLORS[2], width: '8px', height: '8px' } }),
+                        React.createElement('span', null, 'Low Density Cluster')
                       )
                     )
-                  )
-                ),
-                React.createElement(
-                  'div',
-                  { className: 'map-legend' },
-                  React.createElement('h4', null, 'Legend'),
-                  React.createElement(
-                    'div',
-                    { className: 'legend-item' },
-                    React.createElement('span', { className: 'legend-color', style: { background: COLORS[0], width: '8px', height: '8px' } }),
-                    React.createElement('span', null, 'High Density Cluster')
-                  ),
-                  React.createElement(
-                    'div',
-                    { className: 'legend-item' },
-                    React.createElement('span', { className: 'legend-color', style: { background: COLORS[1], width: '8px', height: '8px' } }),
-                    React.createElement('span', null, 'Medium Density Cluster')
-                  ),
-                  React.createElement(
-                    'div',
-                    { className: 'legend-item' },
-                    React.createElement('span', { className: 'legend-color', style: { background: COLORS[2], width: '8px', height: '8px' } }),
-                    React.createElement('span', null, 'Low Density Cluster')
-                  )
-                )
               ),
+            activeView === 'analytics' &&
+              React.createElement(AnalyticsView, {
+                points: shownPoints,
+                kept: shown.kept,
+                clusters,
+                metrics,
+                trips,
+                anomalies: shown.anomalies,
+              }),
+            activeView === 'trips' &&
+              React.createElement(TripsView, {
+                trips,
+                basemap,
+                filtered: selection.trips,
+                onToggleFilter: (id) => setSelection({ ...selection, trips: toggleIn(selection.trips, id) }),
+              }),
+            activeView === 'congestion' && React.createElement(CongestionView, { congestion, basemap }),
+            activeView === 'compare' &&
+              React.createElement(CompareView, {
+                sessions,
+                basemap,
+                dataset: { points: cleanData, summary, anomalies, trips },
+                timeline,
+                clusterOptions,
+                privacy: dataPrivacy,
+                safetyWeights,
+              }),
             activeView === 'safety' &&
               React.createElement(
                 'div',
                 { className: 'safety-view' },
                 React.createElement('h2', null, 'Safety Monitoring'),
-                React.createElement('p', { className: 'explanation' }, 'Safety Score is the percentage of points with normal speeds (within 2 standard deviations of average). Anomalies are points with unusually high speeds. Bottlenecks are points with speeds below 10 km/h.'),
+                React.createElement('p', { className: 'explanation' }, 'Safety Score is a weighted mix of four factors, each scored from 0 to 100 by how often it occurs: speeding, harsh acceleration/braking, night driving and bottleneck exposure. The breakdown below shows each factor and lets you change its weight; factors the data cannot support (no timestamps) are left out. Anomalies are judged in context rather than against one city-wide average: speed against its own grid cell or cluster, robust median-based thresholds, physically implausible motion within a trip, and heading reversals. Bottlenecks are points with speeds below 10 km/h.'),
                 React.createElement(
                   'div',
                   { className: 'safety-score-display' },
@@ -488,35 +1294,40 @@ const App = () => {
                         cy: '100',
                         r: '90',
                         fill: 'none',
-                        stroke: safetyScore > 50 ? '#00C49F' : '#FF8042',
+                        stroke: shown.safety.score > 50 ? '#00C49F' : '#FF8042',
                         strokeWidth: '10',
-                        strokeDasharray: `${safetyScore * 5.65} 565`,
+                        strokeDasharray: `${(shown.safety.score || 0) * 5.65} 565`,
                         transform: 'rotate(-90 100 100)',
                       })
                     ),
                     React.createElement(
                       'div',
                       { className: 'score-text' },
-                      React.createElement('span', { className: 'score-value' }, `${safetyScore}%`),
+                      React.createElement('span', { className: 'score-value' }, shown.safety.score === null ? '—' : `${shown.safety.score}%`),
                       React.createElement('span', { className: 'score-label' }, 'Safety Score')
                     )
                   )
                 ),
+                React.createElement(SafetyBreakdown, {
+                  components: shown.safety.components,
+                  onWeightChange: updateSafetyWeight,
+                  onReset: () => setSafetyWeights(DEFAULT_SAFETY_WEIGHTS),
+                }),
                 React.createElement(
                   'div',
                   { className: 'safety-metrics' },
                   React.createElement(
                     'div',
                     { className: 'safety-card' },
-                    React.createElement('h4', null, 'Speed Anomalies'),
-                    React.createElement('div', { className: 'violation-count' }, anomalies.length),
-                    React.createElement('p', null, 'Points with unusually high speeds')
+                    React.createElement('h4', null, 'Anomalies'),
+                    React.createElement('div', { className: 'violation-count' }, shown.anomalies.length),
+                    React.createElement('p', null, 'Detector findings, most severe first')
                   ),
                   React.createElement(
                     'div',
                     { className: 'safety-card' },
                     React.createElement('h4', null, 'Bottlenecks'),
-                    React.createElement('div', { className: 'violation-count' }, bottlenecks.length),
+                    React.createElement('div', { className: 'violation-count' }, shown.bottlenecks.length),
                     React.createElement('p', null, 'Points with low speeds (10 km/h)')
                   )
                 ),
@@ -524,42 +1335,310 @@ const App = () => {
                   'div',
                   { className: 'incident-list' },
                   React.createElement('h3', null, 'All Anomalies'),
-                  React.createElement('p', { className: 'explanation' }, 'List of detected speed anomalies (high speeds). Each entry shows the point ID and speed in km/h. Showing first 10; click \'Show All\' to see complete list.'),
+                  React.createElement('p', { className: 'explanation' }, 'Each entry shows the detector that fired, why, the trip ID and coordinates of the point, and its speed. Pick a detector to list only its findings, and click an entry to fly the map to it. Showing first 10; click \'Show All\' to see complete list.'),
+                  React.createElement(
+                    'div',
+                    { className: 'map-modes detector-filter' },
+                    React.createElement(
+                      'button',
+                      { className: `mode-btn ${anomalyDetector === null ? 'active' : ''}`, onClick: () => setAnomalyDetector(null) },
+                      `All (${shown.anomalies.length})`
+                    ),
+                    listDetectors().map(detector =>
+                      React.createElement(
+                        'button',
+                        {
+                          key: detector.id,
+                          className: `mode-btn ${anomalyDetector === detector.id ? 'active' : ''}`,
+                          title: detector.description,
+                          onClick: () => setAnomalyDetector(detector.id),
+                        },
+                        `${detector.icon} ${detector.label} (${shown.anomalies.filter(anomaly => anomaly.detector === detector.id).length})`
+                      )
+                    )
+                  ),
                   React.createElement(
                     'div',
                     { className: 'incident-table' },
-                    anomalies
-                      .slice(0, showAllAnomalies ? anomalies.length : 10)
-                      .map((incident, i) =>
-                        React.createElement(
+                    listedAnomalies
+                      .slice(0, showAllAnomalies ? listedAnomalies.length : 10)
+                      .map((incident, i) => {
+                        const detector = getDetector(incident.detector);
+                        return React.createElement(
                           'div',
-                          { key: i, className: 'incident-row' },
-                          React.createElement('span', { className: 'incident-type' }, '⚡ Speed Anomaly'),
-                          React.createElement('span', { className: 'incident-speed' }, `${Math.round(incident.spd)} km/h`)
-                        )
-                      )
+                          { key: i, className: 'incident-row clickable', title: 'Show on the map', onClick: () => locatePoint(incident.point, detector.label) },
+                          React.createElement('span', { className: 'incident-type', title: detector.description }, `${detector.icon} ${detector.label}`),
+                          React.createElement('span', { className: 'incident-location' }, incident.reason),
+                          React.createElement(
+                            'span',
+                            { className: 'incident-point' },
+                            dataPrivacy
+                              ? `≈ ${incident.point.lat.toFixed(3)}, ${incident.point.lng.toFixed(3)}`
+                              : `${incident.point.randomized_id} · ${incident.point.lat.toFixed(5)}, ${incident.point.lng.toFixed(5)}`
+                          ),
+                          React.createElement('span', { className: 'incident-speed' }, `${Math.round(incident.point.spd)} km/h`)
+                        );
+                      })
                   ),
                   !showAllAnomalies &&
-                    anomalies.length > 10 &&
+                    listedAnomalies.length > 10 &&
                     React.createElement('button', { className: 'show-more-btn', onClick: () => setShowAllAnomalies(true) }, 'Show All Anomalies')
-                )
+                ),
+                React.createElement(ZoneEditor, {
+                  zones,
+                  summaries: zoneReport ? zoneReport.zones : [],
+                  center: cleanData.length > 0 ? [cleanData[0].lat, cleanData[0].lng] : [51.1, 71.4],
+                  basemap,
+                  onChange: updateZones,
+                }),
+                zoneReport && zoneReport.violations.length > 0 &&
+                  React.createElement(
+                    'div',
+                    { className: 'incident-list' },
+                    React.createElement('h3', null, `Zone Violations (${zoneReport.violations.length})`),
+                    React.createElement('p', { className: 'explanation' }, 'Breaches of the zone rules by the trips on screen, furthest past the limit first. Click an entry to fly the map to it.'),
+                    React.createElement(
+                      'div',
+                      { className: 'incident-table' },
+                      zoneReport.violations.slice(0, ZONE_VIOLATIONS_SHOWN).map((violation, i) =>
+                        React.createElement(
+                          'div',
+                          {
+                            key: i,
+                            className: 'incident-row clickable',
+                            title: 'Show on the map',
+                            onClick: () => locatePoint(violation.point, zoneName(zones, violation.zone)),
+                          },
+                          React.createElement('span', { className: 'incident-type' }, zoneName(zones, violation.zone)),
+                          React.createElement('span', { className: 'incident-location' }, describeViolation(violation)),
+                          React.createElement(
+                            'span',
+                            { className: 'incident-point' },
+                            dataPrivacy
+                              ? `≈ ${violation.point.lat.toFixed(3)}, ${violation.point.lng.toFixed(3)}`
+                              : `${violation.point.randomized_id} · ${violation.point.lat.toFixed(5)}, ${violation.point.lng.toFixed(5)}`
+                          )
+                        )
+                      )
+                    )
+                  )
               )
           )
-        )
+        ),
+    toasts.length > 0 && React.createElement(Toasts, { toasts, onDismiss: dismissToast }),
+    reportOpen &&
+      React.createElement(PrintReport, {
+        title: currentSession ? `Geotrack Report: ${currentSession.name}` : 'Geotrack Report',
+        filters: activeFilters,
+        summary: shown.summary,
+        safety: shown.safety,
+        anomalyCount: listedAnomalies.length,
+        metrics: exportedClusters,
+        basemap,
+        onClose: () => setReportOpen(false),
+      })
   );
 };
 
-const HeatmapLayer = ({ data }) => {
+const SPEED_BANDS = [
+  { max: 15, color: '#FF8042', label: 'Below 15 km/h' },
+  { max: 40, color: '#FFBB28', label: '15–40 km/h' },
+  { max: Infinity, color: '#00C49F', label: 'Above 40 km/h' },
+];
+
+const RoadSegmentsLayer = ({ segments }) => {
   const map = useMap();
   useEffect(() => {
-    if (!data || data.length === 0) return;
-    const heat = L.heatLayer(
-      data.map(d => [d.lat, d.lng, d.spd / 100]),
-      { radius: 25, blur: 15, maxZoom: 17 }
+    if (!segments || segments.length === 0) return;
+    const maxTraversals = segments.reduce((max, s) => Math.max(max, s.traversals), 1);
+    const renderer = L.canvas();
+    const layer = L.layerGroup(
+      segments.map(s =>
+        L.polyline(s.coords, {
+          renderer,
+          color: s.avgSpeed === null ? '#94a3b8' : SPEED_BANDS.find(band => s.avgSpeed < band.max).color,
+          weight: 2 + (6 * s.traversals) / maxTraversals,
+          opacity: 0.85,
+        }).bindTooltip(
+          `${s.name || 'Unnamed road'}: ${s.traversals} trips, ${s.avgSpeed === null ? 'no speed data' : `${Math.round(s.avgSpeed)} km/h`}`
+        )
+      )
     );
-    heat.addTo(map);
-    return () => map.removeLayer(heat);
-  }, [data, map]);
+    layer.addTo(map);
+    return () => map.removeLayer(layer);
+  }, [segments, map]);
+  return null;
+};
+
+const SAFETY_BANDS = [
+  { min: 80, color: '#00C49F', label: '80–100' },
+  { min: 60, color: '#FFBB28', label: '60–80' },
+  { min: 0, color: '#FF8042', label: 'Below 60' },
+];
+
+const safetyColor = (score) => (score === null ? '#94a3b8' : SAFETY_BANDS.find(band => score >= band.min).color);
+
+const describeSafety = (zone) =>
+  `${zone.id ? `${zone.id}: ` : ''}safety ${zone.score === null ? 'n/a' : zone.score} over ${zone.points} points` +
+  zone.components
+    .filter(component => component.score !== null)
+    .map(component => `<br>${component.label}: ${Math.round(component.score)}`)
+    .join('');
+
+// Grid zones carry their cell bounds; cluster zones their centroid.
+const SafetyLayer = ({ zones }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (!zones || zones.length === 0) return;
+    const renderer = L.canvas();
+    const layer = L.layerGroup(
+      zones.map(zone => {
+        const style = { renderer, color: safetyColor(zone.score), weight: 1, fillOpacity: 0.45 };
+        const shape = zone.bounds
+          ? L.rectangle(zone.bounds, style)
+          : L.circleMarker([zone.lat, zone.lng], { ...style, radius: 6 + Math.min(Math.sqrt(zone.points), 14) });
+        return shape.bindTooltip(describeSafety(zone));
+      })
+    );
+    layer.addTo(map);
+    return () => map.removeLayer(layer);
+  }, [zones, map]);
+  return null;
+};
+
+const DENSITY_PALETTE = ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'];
+const SPEED_PALETTE = ['#f0f9e8', '#bae4bc', '#7bccc4', '#43a2ca', '#0868ac'];
+const formatShare = (value) => `${(value * 100).toFixed(1)}%`;
+const formatSpeed = (value) => `${Math.round(value)} km/h`;
+
+const HEX_METRICS = [
+  { key: 'count', label: 'Points', group: 'Density', palette: DENSITY_PALETTE, format: value => Math.round(value).toLocaleString() },
+  { key: 'trips', label: 'Unique trips', group: 'Density', palette: DENSITY_PALETTE, format: value => Math.round(value).toLocaleString() },
+  { key: 'meanSpeed', label: 'Mean speed', group: 'Speed', palette: SPEED_PALETTE, format: formatSpeed },
+  { key: 'p85Speed', label: '85th percentile speed', group: 'Speed', palette: SPEED_PALETTE, format: formatSpeed },
+  { key: 'anomalyRate', label: 'Anomaly rate', group: 'Risk', palette: DENSITY_PALETTE, format: formatShare },
+  { key: 'bottleneckShare', label: 'Bottleneck share', group: 'Risk', palette: DENSITY_PALETTE, format: formatShare },
+];
+
+// One legend entry per quantile class, with the range of values it covers.
+const hexClasses = ({ metric, breaks, min, max }) =>
+  [min, ...breaks].map((from, k) => ({
+    color: metric.palette[k],
+    label: k === breaks.length
+      ? `${metric.format(from)} – ${metric.format(max)}`
+      : `${metric.format(from)} – under ${metric.format(breaks[k])}`,
+  }));
+
+const describeHexCell = (cell) =>
+  HEX_METRICS.map(metric => `${metric.label}: ${metric.format(cell[metric.key])}`).join('<br>');
+
+const HexLayer = ({ hex }) => {
+  const map = useMap();
+  useEffect(() => {
+    const { cells, metric, breaks } = hex;
+    if (cells.length === 0) return;
+    const renderer = L.canvas();
+    const layer = L.layerGroup(
+      cells.map(cell =>
+        L.polygon(cell.polygon, {
+          renderer,
+          color: '#ffffff',
+          weight: 0.5,
+          fillColor: metric.palette[classOf(breaks, cell[metric.key])],
+          fillOpacity: 0.65,
+        }).bindTooltip(describeHexCell(cell))
+      )
+    );
+    layer.addTo(map);
+    return () => map.removeLayer(layer);
+  }, [hex, map]);
+  return null;
+};
+
+const PICKUP_COLOR = '#00C49F';
+const DROPOFF_COLOR = '#FF8042';
+const FLOW_COLOR = '#0088FE';
+const MAX_DRAWN_FLOWS = 50;
+
+const forecastHourLabel = (forecast, hour) => {
+  const date = new Date(forecast.forecastStart + hour * HOUR_MS);
+  return `${date.toLocaleDateString(undefined, { weekday: 'short' })} ${String(date.getHours()).padStart(2, '0')}:00`;
+};
+
+// Quantile classes of the predicted trips at `hour`, in the shape `hexClasses`
+// and the hex layer use.
+const forecastClasses = (forecast, hour) => {
+  const values = forecast.zones.map(zone => zone.forecast[hour]);
+  return {
+    metric: { palette: DENSITY_PALETTE, format: value => value.toFixed(1) },
+    breaks: quantileBreaks(values, DENSITY_PALETTE.length),
+    min: Math.min(...values),
+    max: Math.max(...values),
+  };
+};
+
+// Hex zones are drawn as cells, cluster zones as circles at their centre.
+const ForecastLayer = ({ forecast, hour, selectedId, onSelect }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (forecast.zones.length === 0) return;
+    const { metric, breaks } = forecastClasses(forecast, hour);
+    const renderer = L.canvas();
+    const layer = L.layerGroup(
+      forecast.zones.map(({ zone, forecast: predicted, reliability }) => {
+        const style = {
+          renderer,
+          color: zone.id === selectedId ? '#0f172a' : '#ffffff',
+          weight: zone.id === selectedId ? 3 : 0.5,
+          fillColor: metric.palette[classOf(breaks, predicted[hour])],
+          fillOpacity: 0.65,
+        };
+        const shape = zone.polygon ? L.polygon(zone.polygon, style) : L.circleMarker([zone.lat, zone.lng], { ...style, radius: 12 });
+        return shape
+          .bindTooltip(`${zone.id}: ${predicted[hour].toFixed(1)} trips predicted · ${reliability ? reliability.label.toLowerCase() : 'not backtested'}`)
+          .on('click', () => onSelect(zone.id));
+      })
+    );
+    layer.addTo(map);
+    return () => map.removeLayer(layer);
+  }, [forecast, hour, selectedId, onSelect, map]);
+  return null;
+};
+
+// Trips that start and end in the same zone have no arrow; they are still in
+// the OD table.
+const OdFlowsLayer = ({ od }) => {
+  const map = useMap();
+  useEffect(() => {
+    const flows = od.flows.filter(flow => flow.origin !== flow.destination).slice(0, MAX_DRAWN_FLOWS);
+    const maxTrips = flows.reduce((max, flow) => Math.max(max, flow.trips), 1);
+    const renderer = L.canvas();
+    const arrows = flows.flatMap(flow => {
+      const curve = flowCurve(flow.from, flow.to);
+      const tooltip = `${flow.origin} → ${flow.destination}: ${flow.trips} trips`;
+      const style = { renderer, color: FLOW_COLOR, opacity: 0.35 + (0.5 * flow.trips) / maxTrips };
+      return [
+        L.polyline(curve, { ...style, weight: 1.5 + (6 * flow.trips) / maxTrips }).bindTooltip(tooltip),
+        L.polygon(arrowHead(curve), { ...style, weight: 1, fillOpacity: style.opacity }).bindTooltip(tooltip),
+      ];
+    });
+    const hotspot = (color, label) => (spot) =>
+      L.circleMarker([spot.lat, spot.lng], {
+        renderer,
+        radius: 4 + Math.min(Math.sqrt(spot.trips), 12),
+        color: '#ffffff',
+        weight: 1,
+        fillColor: color,
+        fillOpacity: 0.8,
+      }).bindTooltip(`${spot.id}: ${spot.trips} ${label}`);
+    const layer = L.layerGroup([
+      ...arrows,
+      ...od.pickups.map(hotspot(PICKUP_COLOR, 'pickups')),
+      ...od.dropoffs.map(hotspot(DROPOFF_COLOR, 'drop-offs')),
+    ]);
+    layer.addTo(map);
+    return () => map.removeLayer(layer);
+  }, [od, map]);
   return null;
 };
 
@@ -1,8 +1,12 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// The worker client needs `import.meta`, which the test environment cannot
+// load; nothing is processed here anyway.
+jest.mock('./workers/geotrackWorker', () => ({}));
+
+test('starts on the upload screen with privacy mode off', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByText('Загрузите файл с данными')).toBeInTheDocument();
+  expect(screen.getByRole('checkbox', { name: /Режим конфиденциальности/ })).not.toBeChecked();
 });
@@ -0,0 +1,198 @@
+import { createCellGrid } from './spatialIndex';
+
+// Welford's online mean and variance. `remove` undoes an earlier `push`, so
+// the stats can follow a sliding window.
+export const createRunningStats = () => {
+  let count = 0;
+  let mean = 0;
+  let m2 = 0;
+  return {
+    push: (value) => {
+      count++;
+      const delta = value - mean;
+      mean += delta / count;
+      m2 += delta * (value - mean);
+    },
+    remove: (value) => {
+      if (count <= 1) {
+        count = 0;
+        mean = 0;
+        m2 = 0;
+        return;
+      }
+      count--;
+      const delta = value - mean;
+      mean -= delta / count;
+      m2 = Math.max(0, m2 - delta * (value - mean));
+    },
+    count: () => count,
+    mean: () => mean,
+    variance: () => (count > 0 ? m2 / count : 0),
+    std: () => (count > 0 ? Math.sqrt(m2 / count) : 0),
+  };
+};
+
+// Point counts per grid cell, positioned at the centroid of the points that
+// fell into each cell. The grid is sized at the first point's latitude.
+export const createGridCounter = (cellSize) => {
+  let grid = null;
+  const cells = new Map();
+  return {
+    add: (lat, lng) => {
+      if (!grid) grid = createCellGrid(cellSize, Math.abs(lat));
+      const key = grid.keyOf(lat, lng);
+      const cell = cells.get(key);
+      if (cell) {
+        cell.lat += lat;
+        cell.lng += lng;
+        cell.count++;
+      } else {
+        cells.set(key, { lat, lng, count: 1 });
+      }
+    },
+    remove: (lat, lng) => {
+      const key = grid.keyOf(lat, lng);
+      const cell = cells.get(key);
+      if (!cell) return;
+      cell.count--;
+      if (cell.count === 0) {
+        cells.delete(key);
+      } else {
+        cell.lat -= lat;
+        cell.lng -= lng;
+      }
+    },
+    toCells: () => Array.from(cells.values(), cell => [cell.lat / cell.count, cell.lng / cell.count, cell.count]),
+    // Flat [lat, lng, count, lat, lng, count, ...] so it can be transferred.
+    toArray: () => {
+      const flat = new Float64Array(cells.size * 3);
+      let i = 0;
+      cells.forEach(cell => {
+        flat[i++] = cell.lat / cell.count;
+        flat[i++] = cell.lng / cell.count;
+        flat[i++] = cell.count;
+      });
+      return flat;
+    },
+  };
+};
+
+// Fixed-width bins from `min` to `max`; values outside fall into `under` or
+// `over`, and non-numbers are not counted.
+export const createHistogram = ({ min, max, width }) => {
+  const counts = new Array(Math.ceil((max - min) / width)).fill(0);
+  let under = 0;
+  let over = 0;
+  return {
+    add: (value) => {
+      if (isNaN(value)) return;
+      if (value < min) under++;
+      else if (value >= max) over++;
+      else counts[Math.floor((value - min) / width)]++;
+    },
+    toJSON: () => ({ min, width, counts: counts.slice(), under, over }),
+  };
+};
+
+// Uniform random sample of at most `capacity` items from a stream of unknown
+// length (Vitter's algorithm R).
+export const createReservoir = (capacity) => {
+  const items = [];
+  let seen = 0;
+  return {
+    add: (item) => {
+      seen++;
+      if (items.length < capacity) {
+        items.push(item);
+        return;
+      }
+      const slot = Math.floor(Math.random() * seen);
+      if (slot < capacity) items[slot] = item;
+    },
+    seen: () => seen,
+    items: () => items,
+  };
+};
+
+// FNV-1a over the characters of `key`, started from `seed`, as a fraction
+// in [0, 1).
+const hashFraction = (key, seed) => {
+  let hash = (seed ^ 0x811c9dc5) >>> 0;
+  for (let i = 0; i < key.length; i++) hash = Math.imul(hash ^ key.charCodeAt(i), 16777619);
+  hash = Math.imul(hash ^ (hash >>> 15), 0x2c1b3c6d);
+  return ((hash ^ (hash >>> 12)) >>> 0) / 4294967296;
+};
+
+// Random sample of whole groups (e.g. the points of one trip) holding at
+// most `capacity` items, for streams where a group's items arrive spread
+// out. Every group gets a random priority from a hash of its key; when the
+// items outgrow the capacity, the groups with the highest priority are
+// dropped, and later items of a group at or above the priority of any group
+// dropped so far are turned away. Kept groups are therefore complete.
+export const createGroupReservoir = (capacity, groupOf) => {
+  const seed = Math.floor(Math.random() * 2 ** 32);
+  const groups = new Map();
+  const heap = [];
+  let cutoff = Infinity;
+  let size = 0;
+  let seen = 0;
+
+  const swap = (i, j) => { [heap[i], heap[j]] = [heap[j], heap[i]]; };
+  const push = (group) => {
+    heap.push(group);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent].priority >= heap[i].priority) break;
+      swap(i, parent);
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let largest = i;
+        if (l < heap.length && heap[l].priority > heap[largest].priority) largest = l;
+        if (r < heap.length && heap[r].priority > heap[largest].priority) largest = r;
+        if (largest === i) break;
+        swap(i, largest);
+        i = largest;
+      }
+    }
+    return top;
+  };
+
+  return {
+    add: (item) => {
+      seen++;
+      const key = String(groupOf(item));
+      let group = groups.get(key);
+      if (!group) {
+        const priority = hashFraction(key, seed);
+        if (priority >= cutoff) return;
+        group = { key, priority, items: [] };
+        groups.set(key, group);
+        push(group);
+      }
+      group.items.push(item);
+      size++;
+      while (size > capacity) {
+        const dropped = pop();
+        groups.delete(dropped.key);
+        size -= dropped.items.length;
+        cutoff = Math.min(cutoff, dropped.priority);
+      }
+    },
+    seen: () => seen,
+    size: () => size,
+    groups: () => groups.size,
+    items: () => Array.from(groups.values()).flatMap(group => group.items),
+  };
+};
+
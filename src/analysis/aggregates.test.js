@@ -0,0 +1,78 @@
+import { createRunningStats, createGridCounter, createReservoir, createGroupReservoir, createHistogram } from './aggregates';
+import { createIngestor } from './ingest';
+
+test('running stats match the batch mean and variance', () => {
+  const values = [3, 7, 7, 19, 24];
+  const stats = createRunningStats();
+  values.forEach(stats.push);
+  expect(stats.count()).toBe(5);
+  expect(stats.mean()).toBeCloseTo(12);
+  expect(stats.variance()).toBeCloseTo(64.8);
+});
+
+test('grid counter places each cell at its centroid', () => {
+  const grid = createGridCounter(100);
+  grid.add(51.1, 71.4);
+  grid.add(51.1002, 71.4002);
+  grid.add(51.2, 71.5);
+  const flat = Array.from(grid.toArray());
+  expect(flat).toHaveLength(6);
+  expect(flat[2] + flat[5]).toBe(3);
+});
+
+test('reservoir never holds more than its capacity', () => {
+  const reservoir = createReservoir(10);
+  for (let i = 0; i < 1000; i++) reservoir.add(i);
+  expect(reservoir.items()).toHaveLength(10);
+  expect(reservoir.seen()).toBe(1000);
+});
+
+test('histogram counts values outside its range separately', () => {
+  const histogram = createHistogram({ min: 0, max: 30, width: 10 });
+  [-5, 0, 9, 10, 29, 30, NaN].forEach(histogram.add);
+  expect(histogram.toJSON()).toEqual({ min: 0, width: 10, counts: [2, 1, 1], under: 1, over: 1 });
+});
+
+test('ingestor keeps exact aggregates while sampling whole trips', () => {
+  const ingestor = createIngestor({ retainLimit: 50 });
+  const records = Array.from({ length: 200 }, (_, i) => ({ randomized_id: `t${i % 20}`, lat: 51.1 + i * 1e-5, lng: 71.4, spd: i % 2 ? 5 : 'bad' }));
+  ingestor.add(records.slice(0, 120));
+  ingestor.add(records.slice(120));
+  const { points, summary } = ingestor.finish();
+  expect(points.length).toBeGreaterThan(0);
+  expect(points.length).toBeLessThanOrEqual(50);
+  const perTrip = new Map();
+  points.forEach(point => perTrip.set(point.randomized_id, (perTrip.get(point.randomized_id) || 0) + 1));
+  perTrip.forEach(count => expect(count).toBe(10));
+  expect(summary).toMatchObject({ records: 200, points: 100, bottlenecks: 0, retained: points.length, sampled: true });
+  expect(summary.meanSpeed).toBeCloseTo(18);
+});
+
+test('group reservoir keeps whole groups within its capacity', () => {
+  const reservoir = createGroupReservoir(30, item => item.group);
+  for (let i = 0; i < 400; i++) reservoir.add({ group: i % 40, i });
+  expect(reservoir.seen()).toBe(400);
+  expect(reservoir.size()).toBe(reservoir.items().length);
+  expect(reservoir.size()).toBeLessThanOrEqual(30);
+  expect(reservoir.size()).toBe(reservoir.groups() * 10);
+});
+
+test('untimestamped repeats count as duplicates when speed and heading match too', () => {
+  const ingestor = createIngestor();
+  const row = (id, lat, spd, azm) => ({ randomized_id: id, lat, lng: 71.4, alt: 300, spd, azm });
+  ingestor.add([row('a', 51.1, 5, 90), row('a', 51.1, 5, 90), row('b', 51.1, 5, 90), row('a', 51.1, 6, 90), row('a', 51.1, 6, 45), row('a', 51.2, 6, 45)]);
+  const { summary } = ingestor.finish();
+  expect(summary.quality.rejected).toEqual({ duplicate: 1 });
+  expect(createIngestor({ cleaning: { dropDuplicates: false } }).finish().summary.quality.rejected).toEqual({});
+});
+
+test('ingestor counts rejected records by reason', () => {
+  const ingestor = createIngestor({ cleaning: { maxAlt: 1000 } });
+  const row = (spd, alt, ts) => ({ randomized_id: 'a', lat: 51.1, lng: 71.4, alt, spd, ts });
+  ingestor.add([row(20, 300, 1), row(20, 300, 1), row(250, 300, 2), row(20, 4000, 3), row('bad', 300, 4), row(20, 300, 5)]);
+  const { summary } = ingestor.finish();
+  expect(summary.points).toBe(2);
+  expect(summary.quality.rejected).toEqual({ duplicate: 1, speedRange: 1, altRange: 1, spd: 1 });
+  expect(summary.quality.histograms.speed.before.counts[7]).toBe(3);
+  expect(summary.quality.histograms.speed.after.counts[7]).toBe(2);
+});
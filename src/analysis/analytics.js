@@ -0,0 +1,90 @@
+import { haversine } from './geo';
+import { BOTTLENECK_SPEED_KMH } from './ingest';
+
+export const SPEED_BIN_KMH = 10;
+export const HEADING_SECTORS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+export const RADAR_AXES = [
+  { key: 'avgSpeed', label: 'Speed' },
+  { key: 'density', label: 'Density' },
+  { key: 'anomalyRate', label: 'Anomaly rate' },
+  { key: 'bottleneckShare', label: 'Bottleneck share' },
+];
+
+// Point counts in `width` km/h bins from 0 up to the fastest point.
+export const speedHistogram = (points, width = SPEED_BIN_KMH) => {
+  if (points.length === 0) return [];
+  const fastest = points.reduce((max, point) => Math.max(max, point.spd), 0);
+  const counts = new Array(Math.floor(fastest / width) + 1).fill(0);
+  points.forEach(point => { counts[Math.max(Math.floor(point.spd / width), 0)]++; });
+  return counts.map((count, i) => ({ bin: `${i * width}–${(i + 1) * width}`, from: i * width, count }));
+};
+
+// Mean speed per group; groups without points get a null speed so a chart
+// leaves a gap instead of drawing a zero.
+const meanSpeeds = (points, groups, groupOf) => {
+  const sums = new Array(groups.length).fill(0);
+  const counts = new Array(groups.length).fill(0);
+  points.forEach(point => {
+    const group = groupOf(point);
+    if (group === null) return;
+    sums[group] += point.spd;
+    counts[group]++;
+  });
+  return groups.map((label, i) => ({ label, meanSpeed: counts[i] > 0 ? sums[i] / counts[i] : null, points: counts[i] }));
+};
+
+// Hours are local time; points without a timestamp are left out.
+export const speedByHour = (points) =>
+  meanSpeeds(
+    points,
+    Array.from({ length: 24 }, (_, hour) => `${String(hour).padStart(2, '0')}:00`),
+    point => (point.ts === null ? null : new Date(point.ts).getHours())
+  );
+
+export const speedByHeading = (points) => {
+  const width = 360 / HEADING_SECTORS.length;
+  return meanSpeeds(points, HEADING_SECTORS, point =>
+    Math.floor((((point.azm % 360) + 360 + width / 2) % 360) / width));
+};
+
+// Altitude and speed against the distance driven along a trip, in km.
+export const altitudeProfile = (trip) => {
+  let distance = 0;
+  return trip.path.map((point, k) => {
+    if (k > 0) {
+      const prev = trip.path[k - 1];
+      distance += haversine(prev.lat, prev.lng, point.lat, point.lng);
+    }
+    return { distance: distance / 1000, alt: point.alt, spd: point.spd };
+  });
+};
+
+// The largest clusters side by side on every `RADAR_AXES` metric. Each axis
+// is scaled to 100 for the highest cluster on it, so axes with different
+// units share one chart; density is a cluster's share of the clustered
+// points. `kept`, when given, limits the clusters to the points in it;
+// `anomalous` holds the points flagged by any detector.
+export const clusterRadar = (clusters, metrics, anomalous, kept = null, limit = 5) => {
+  const members = clusters.map(cluster => (kept ? cluster.filter(point => kept.has(point)) : cluster));
+  const total = members.reduce((sum, points) => sum + points.length, 0);
+  const profiles = members
+    .map((points, i) => ({
+      id: metrics[i] ? metrics[i].id : `Cluster ${i + 1}`,
+      points: points.length,
+      avgSpeed: points.reduce((sum, point) => sum + point.spd, 0) / (points.length || 1),
+      density: points.length / (total || 1),
+      anomalyRate: points.filter(point => anomalous.has(point)).length / (points.length || 1),
+      bottleneckShare: points.filter(point => point.spd < BOTTLENECK_SPEED_KMH).length / (points.length || 1),
+    }))
+    .filter(profile => profile.points > 0)
+    .sort((a, b) => b.points - a.points)
+    .slice(0, limit);
+
+  const data = RADAR_AXES.map(({ key, label }) => {
+    const max = Math.max(...profiles.map(profile => profile[key]), 0);
+    const row = { axis: label };
+    profiles.forEach(profile => { row[profile.id] = max > 0 ? (profile[key] / max) * 100 : 0; });
+    return row;
+  });
+  return { profiles, data };
+};
@@ -0,0 +1,39 @@
+import { speedHistogram, speedByHour, speedByHeading, altitudeProfile, clusterRadar } from './analytics';
+
+const point = (spd, azm = 0, ts = null, lat = 51.1) => ({ randomized_id: 'a', lat, lng: 71.4, alt: 300, spd, azm, ts });
+
+test('speeds are binned from zero up to the fastest point', () => {
+  const histogram = speedHistogram([point(3), point(9), point(25)]);
+  expect(histogram.map(bin => bin.count)).toEqual([2, 0, 1]);
+  expect(histogram[2].bin).toBe('20–30');
+});
+
+test('mean speeds by hour and heading leave empty groups as gaps', () => {
+  const at = (hour) => new Date(2024, 0, 1, hour, 30).getTime();
+  const byHour = speedByHour([point(20, 0, at(8)), point(40, 0, at(8)), point(50)]);
+  expect(byHour).toHaveLength(24);
+  expect(byHour[8]).toEqual({ label: '08:00', meanSpeed: 30, points: 2 });
+  expect(byHour[9].meanSpeed).toBeNull();
+
+  const byHeading = speedByHeading([point(10, 350), point(30, 5), point(60, 90)]);
+  expect(byHeading[0]).toMatchObject({ label: 'N', meanSpeed: 20, points: 2 });
+  expect(byHeading[4]).toMatchObject({ label: 'E', meanSpeed: 60 });
+});
+
+test('altitude profile accumulates distance along the trip', () => {
+  const profile = altitudeProfile({ path: [point(10, 0, null, 51.1), point(10, 0, null, 51.101), point(10, 0, null, 51.102)] });
+  expect(profile.map(step => step.distance)).toEqual([0, expect.any(Number), expect.any(Number)]);
+  expect(profile[2].distance).toBeCloseTo(0.222, 2);
+});
+
+test('cluster radar scales every axis to the highest cluster', () => {
+  const slow = [point(5), point(5), point(5)];
+  const fast = [point(40)];
+  const { profiles, data } = clusterRadar([fast, slow], [{ id: 'Cluster 1' }, { id: 'Cluster 2' }], new Set([fast[0]]));
+  expect(profiles.map(profile => profile.id)).toEqual(['Cluster 2', 'Cluster 1']);
+  expect(data.find(row => row.axis === 'Speed')).toEqual({ axis: 'Speed', 'Cluster 1': 100, 'Cluster 2': 12.5 });
+  expect(data.find(row => row.axis === 'Bottleneck share')['Cluster 2']).toBe(100);
+
+  const kept = new Set([slow[0]]);
+  expect(clusterRadar([fast, slow], [], new Set(), kept).profiles).toHaveLength(1);
+});
@@ -0,0 +1,74 @@
+import { createGridIndex } from './spatialIndex';
+
+export const NOISE = -1;
+const UNVISITED = -2;
+
+export const DEFAULT_CLUSTER_OPTIONS = {
+  epsilon: 500,
+  minPoints: 6,
+};
+
+// DBSCAN over haversine distance in metres. Returns a label per point
+// (NOISE or the cluster number) and the member indices of every cluster.
+export const dbscan = (points, options = {}) => {
+  const { epsilon, minPoints } = { ...DEFAULT_CLUSTER_OPTIONS, ...options };
+  const labels = new Int32Array(points.length).fill(UNVISITED);
+  const clusters = [];
+  if (points.length === 0) return { labels, clusters };
+
+  const index = createGridIndex(points, epsilon);
+  const neighbours = (i) => index.within(points[i].lat, points[i].lng, epsilon);
+
+  for (let i = 0; i < points.length; i++) {
+    if (labels[i] !== UNVISITED) continue;
+    const seeds = neighbours(i);
+    if (seeds.length < minPoints) {
+      labels[i] = NOISE;
+      continue;
+    }
+
+    const clusterId = clusters.length;
+    const members = [i];
+    clusters.push(members);
+    labels[i] = clusterId;
+
+    const queue = [];
+    const claim = (candidates) => {
+      for (let k = 0; k < candidates.length; k++) {
+        const j = candidates[k];
+        if (labels[j] === UNVISITED) queue.push(j);
+        else if (labels[j] !== NOISE) continue;
+        labels[j] = clusterId;
+        members.push(j);
+      }
+    };
+
+    claim(seeds);
+    for (let q = 0; q < queue.length; q++) {
+      const reach = neighbours(queue[q]);
+      if (reach.length >= minPoints) claim(reach);
+    }
+  }
+
+  return { labels, clusters };
+};
+
+export const summarizeClusters = (points, clusters) =>
+  clusters.map((members, id) => {
+    let lat = 0;
+    let lng = 0;
+    let spd = 0;
+    members.forEach((i) => {
+      lat += points[i].lat;
+      lng += points[i].lng;
+      spd += points[i].spd;
+    });
+    return {
+      id: `Cluster ${id + 1}`,
+      points: members.length,
+      lat: lat / members.length,
+      lng: lng / members.length,
+      avgSpeed: Math.round(spd / members.length),
+      density: Math.round((members.length / points.length) * 100),
+    };
+  });
@@ -0,0 +1,38 @@
+import { dbscan, summarizeClusters, NOISE } from './clustering';
+
+const around = (lat, lng, count, spread) =>
+  Array.from({ length: count }, (_, i) => ({
+    lat: lat + (i % 3) * spread,
+    lng: lng + Math.floor(i / 3) * spread,
+    spd: 20,
+  }));
+
+test('groups nearby points and leaves isolated ones as noise', () => {
+  const points = [
+    ...around(51.1, 71.4, 9, 0.0005),
+    ...around(51.2, 71.5, 9, 0.0005),
+    { lat: 51.5, lng: 71.9, spd: 5 },
+  ];
+  const { labels, clusters } = dbscan(points, { epsilon: 200, minPoints: 4 });
+  expect(clusters).toHaveLength(2);
+  expect(clusters[0]).toHaveLength(9);
+  expect(labels[points.length - 1]).toBe(NOISE);
+});
+
+test('measures epsilon in metres rather than degrees', () => {
+  // 0.004 degrees of longitude is ~445 m at the equator but ~152 m at 70°N.
+  const pair = (lat) => [0, 1, 2].flatMap(() => [{ lat, lng: 10 }, { lat, lng: 10.004 }]);
+  expect(dbscan(pair(0), { epsilon: 200, minPoints: 2 }).clusters).toHaveLength(2);
+  expect(dbscan(pair(70), { epsilon: 200, minPoints: 2 }).clusters).toHaveLength(1);
+});
+
+test('summarizes clusters with centroid, speed and density', () => {
+  const points = around(51.1, 71.4, 6, 0.0001);
+  const { clusters } = dbscan(points, { epsilon: 100, minPoints: 3 });
+  const [summary] = summarizeClusters(points, clusters);
+  expect(summary.id).toBe('Cluster 1');
+  expect(summary.points).toBe(6);
+  expect(summary.avgSpeed).toBe(20);
+  expect(summary.density).toBe(100);
+  expect(summary.lat).toBeCloseTo(51.1001, 4);
+});
@@ -0,0 +1,122 @@
+import { haversine } from './geo';
+import { createCellGrid, maxAbsLatitude } from './spatialIndex';
+import { computeSafetyFlags, safetyScore } from './safety';
+import { summarizePoints } from './timeline';
+import { privateSummary, noisyCount, queryRandom, QUERY_SUMMARY, QUERY_COMPARE } from './privacy';
+
+export const DIFF_CELL_SIZE = 500;
+export const CLUSTER_MATCH_RADIUS = 300;
+
+// The headline numbers of one side of a comparison: a whole result, or the
+// points of it at `indices`. A private result (one whose summary records
+// `privacy`) keeps its protections: the points summary and anomaly count are
+// noised like the dashboard's, and `random` noises the difference map.
+export const describeSide = ({ points, summary = {}, anomalies, trips }, weights, indices = null) => {
+  const members = indices ? indices.map(i => points[i]) : points;
+  const kept = indices ? new Set(members) : null;
+  const anomalyCount = kept ? anomalies.filter(anomaly => kept.has(anomaly.point)).length : anomalies.length;
+  const safety = safetyScore(computeSafetyFlags(points, anomalies, trips), weights, indices).score;
+  const { privacy } = summary;
+  if (!privacy) return { points: members, summary: summarizePoints(members), safety, anomalies: anomalyCount, privacy: null, random: null };
+  const asked = indices || [];
+  const random = queryRandom(summary, asked, QUERY_COMPARE);
+  return {
+    points: members,
+    summary: indices
+      ? { ...summarizePoints(members), ...privateSummary(members, privacy, queryRandom(summary, asked, QUERY_SUMMARY)), privacy }
+      : summary,
+    safety,
+    anomalies: privacy.noise ? noisyCount(anomalyCount, privacy.epsilon, random) : anomalyCount,
+    privacy,
+    random,
+  };
+};
+
+// The protections a comparison of two sides needs: the larger `k`, and noise
+// at the smaller ε if either side is noised.
+export const comparisonPrivacy = (before, after) => {
+  const sides = [before.privacy, after.privacy].filter(Boolean);
+  if (sides.length === 0) return null;
+  const noised = sides.filter(privacy => privacy.noise);
+  return {
+    k: Math.max(...sides.map(privacy => privacy.k)),
+    noise: noised.length > 0,
+    epsilon: noised.length > 0 ? Math.min(...noised.map(privacy => privacy.epsilon)) : null,
+  };
+};
+
+// `change` is relative to `before`, and null when there is nothing to
+// compare against.
+export const compareKpis = (before, after) =>
+  [
+    { key: 'points', label: 'Points', before: before.summary.points, after: after.summary.points },
+    { key: 'meanSpeed', label: 'Avg Speed', before: before.summary.meanSpeed, after: after.summary.meanSpeed },
+    { key: 'safety', label: 'Safety Score', before: before.safety, after: after.safety },
+    { key: 'anomalies', label: 'Anomalies', before: before.anomalies, after: after.anomalies },
+  ].map(kpi => {
+    const delta = kpi.before === null || kpi.after === null ? null : kpi.after - kpi.before;
+    return { ...kpi, delta, change: delta === null || kpi.before === 0 ? null : delta / kpi.before };
+  });
+
+// Each grid cell's share of the points before and after. Comparing shares
+// rather than counts keeps a larger upload from looking busier everywhere.
+// `change` is the difference in percentage points. Under `privacy`, cells
+// seen by fewer than `k` distinct trips on either side (but not none) are
+// dropped, and with its `noise` the counts are noised with `random`.
+export const heatDifference = (before, after, { cellSize = DIFF_CELL_SIZE, privacy = null, random = Math.random } = {}) => {
+  if (before.length === 0 || after.length === 0) return [];
+  const grid = createCellGrid(cellSize, Math.max(maxAbsLatitude(before), maxAbsLatitude(after)));
+  const cells = new Map();
+  const count = (points, side) => points.forEach(({ randomized_id: id, lat, lng }) => {
+    const key = grid.keyOf(lat, lng);
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = { bounds: grid.boundsOf(lat, lng), before: 0, after: 0, trips: { before: new Set(), after: new Set() } };
+      cells.set(key, cell);
+    }
+    cell[side]++;
+    cell.trips[side].add(id);
+  });
+  count(before, 'before');
+  count(after, 'after');
+  const tooFew = (trips) => privacy && trips.size > 0 && trips.size < privacy.k;
+  const noised = (value) => (privacy && privacy.noise ? noisyCount(value, privacy.epsilon, random) : value);
+  return Array.from(cells.values())
+    .filter(cell => !tooFew(cell.trips.before) && !tooFew(cell.trips.after))
+    .map(({ trips, ...cell }) => {
+      const counts = { before: noised(cell.before), after: noised(cell.after) };
+      return {
+        ...cell,
+        ...counts,
+        change: ((counts.after / after.length) - (counts.before / before.length)) * 100,
+      };
+    });
+};
+
+// Pairs each cluster with the nearest unclaimed cluster of the other side
+// within `radius` metres, closest pairs first. Whatever is left over appeared
+// or disappeared.
+export const matchClusters = (before, after, radius = CLUSTER_MATCH_RADIUS) => {
+  const pairs = [];
+  before.forEach((a, i) => after.forEach((b, j) => {
+    const distance = haversine(a.lat, a.lng, b.lat, b.lng);
+    if (distance <= radius) pairs.push({ i, j, distance });
+  }));
+  pairs.sort((a, b) => a.distance - b.distance);
+
+  const usedBefore = new Set();
+  const usedAfter = new Set();
+  const matched = [];
+  pairs.forEach(({ i, j, distance }) => {
+    if (usedBefore.has(i) || usedAfter.has(j)) return;
+    usedBefore.add(i);
+    usedAfter.add(j);
+    matched.push({ before: before[i], after: after[j], distance });
+  });
+
+  return {
+    matched,
+    appeared: after.filter((cluster, j) => !usedAfter.has(j)),
+    disappeared: before.filter((cluster, i) => !usedBefore.has(i)),
+  };
+};
@@ -0,0 +1,51 @@
+import { describeSide, comparisonPrivacy, compareKpis, heatDifference, matchClusters } from './comparison';
+import { DEFAULT_SAFETY_WEIGHTS } from './safety';
+
+const point = (id, lat, spd, ts = null) => ({ randomized_id: id, lat, lng: 71.4, alt: 0, spd, azm: 0, ts });
+
+test('KPI deltas compare two sides of a result', () => {
+  const points = [point('a', 51.1, 20, 1000), point('a', 51.1001, 20, 2000), point('b', 51.1, 40, 5000), point('b', 51.1001, 60, 6000)];
+  const result = { points, anomalies: [{ point: points[3], detector: 'speed-mad', reason: '', score: 4 }], trips: [] };
+  const before = describeSide(result, DEFAULT_SAFETY_WEIGHTS, [0, 1]);
+  const after = describeSide(result, DEFAULT_SAFETY_WEIGHTS, [2, 3]);
+
+  const kpis = Object.fromEntries(compareKpis(before, after).map(kpi => [kpi.key, kpi]));
+  expect(kpis.points).toMatchObject({ before: 2, after: 2, delta: 0, change: 0 });
+  expect(kpis.meanSpeed).toMatchObject({ before: 20, after: 50, delta: 30, change: 1.5 });
+  expect(kpis.anomalies).toMatchObject({ before: 0, after: 1, delta: 1, change: null });
+  expect(kpis.safety.delta).toBeLessThan(0);
+});
+
+test('the difference heatmap compares shares of points per cell', () => {
+  const before = [point('a', 51.1, 20), point('a', 51.2, 20)];
+  const after = [point('b', 51.1, 20), point('b', 51.1, 20), point('b', 51.1, 20), point('b', 51.2, 20)];
+  const cells = heatDifference(before, after).sort((a, b) => a.change - b.change);
+  expect(cells.map(cell => [cell.before, cell.after])).toEqual([[1, 1], [1, 3]]);
+  expect(cells[0].change).toBeCloseTo(-25);
+  expect(cells[1].change).toBeCloseTo(25);
+});
+
+test('clusters are matched by distance and the rest appeared or disappeared', () => {
+  const before = [{ id: 'Cluster 1', lat: 51.1, lng: 71.4 }, { id: 'Cluster 2', lat: 51.2, lng: 71.4 }];
+  const after = [{ id: 'Cluster 1', lat: 51.3, lng: 71.4 }, { id: 'Cluster 2', lat: 51.1005, lng: 71.4 }];
+  const { matched, appeared, disappeared } = matchClusters(before, after);
+  expect(matched.map(pair => [pair.before.id, pair.after.id])).toEqual([['Cluster 1', 'Cluster 2']]);
+  expect(appeared.map(cluster => cluster.lat)).toEqual([51.3]);
+  expect(disappeared.map(cluster => cluster.lat)).toEqual([51.2]);
+});
+
+test('private results keep their protections in a comparison', () => {
+  const privacy = { k: 2, noise: true, epsilon: 0.1 };
+  const points = [point('a', 51.1, 20), point('b', 51.1, 20), point('c', 51.2, 20), point('d', 51.1, 30), point('e', 51.1, 30)];
+  const result = { points, summary: { privacy }, anomalies: [], trips: [] };
+  const before = describeSide(result, DEFAULT_SAFETY_WEIGHTS, [0, 1, 2]);
+  const after = describeSide(result, DEFAULT_SAFETY_WEIGHTS, [3, 4]);
+  expect(before.summary.privacy).toBe(privacy);
+  expect(describeSide(result, DEFAULT_SAFETY_WEIGHTS, [0, 1, 2]).summary).toEqual(before.summary);
+  expect(comparisonPrivacy(before, { privacy: null })).toEqual(privacy);
+
+  const exact = heatDifference(before.points, after.points, { privacy: { k: 2, noise: false } });
+  expect(exact.map(cell => [cell.before, cell.after])).toEqual([[2, 2]]);
+  const noisy = heatDifference(before.points, after.points, { privacy, random: () => 0.99 });
+  expect(noisy[0].before).toBeGreaterThan(2);
+});
@@ -0,0 +1,152 @@
+import { haversine, convexHull, toRadians, metersToDegreesLat, metersToDegreesLng } from './geo';
+import { dbscan } from './clustering';
+import { median } from './detectors/groups';
+import { BOTTLENECK_SPEED_KMH } from './ingest';
+import { STOP_SPEED_KMH } from './trips';
+
+export const DEFAULT_CONGESTION_OPTIONS = {
+  dwellRadius: 30,
+  dwellSeconds: 120,
+  zoneRadius: 150,
+  zoneMinPoints: 5,
+};
+
+const FALLBACK_FREE_FLOW_KMH = 40;
+const MAX_STEP_DELAY_S = 300;
+const ZONE_PADDING_M = 25;
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// Runs of consecutive slow points within each trip, as positions in its path.
+const slowRuns = (points, path) => {
+  const runs = [];
+  let run = null;
+  path.forEach((i, k) => {
+    if (points[i].spd < BOTTLENECK_SPEED_KMH) {
+      if (!run) runs.push((run = []));
+      run.push(k);
+    } else {
+      run = null;
+    }
+  });
+  return runs;
+};
+
+// A run is a dwell when the car stays put: at the start or end of its trip
+// (a pickup, drop-off or parked car), for longer than `dwellSeconds`, or -
+// without timestamps - for several fixes that are all standing still.
+const isDwell = (points, path, run, { dwellRadius, dwellSeconds }) => {
+  const first = points[path[run[0]]];
+  const last = points[path[run[run.length - 1]]];
+  const stationary = run.every(k => haversine(first.lat, first.lng, points[path[k]].lat, points[path[k]].lng) <= dwellRadius);
+  if (!stationary) return false;
+  if (run[0] === 0 || run[run.length - 1] === path.length - 1) return true;
+  if (first.ts !== null && last.ts !== null) return last.ts - first.ts >= dwellSeconds * 1000;
+  return run.length >= 3 && run.every(k => points[path[k]].spd < STOP_SPEED_KMH);
+};
+
+// Extra time spent on the step leaving a slow point compared with covering
+// the same distance at free-flow speed.
+const stepDelay = (a, b, freeFlowKmh) => {
+  const distance = haversine(a.lat, a.lng, b.lat, b.lng);
+  const seconds = a.ts !== null && b.ts !== null
+    ? (b.ts - a.ts) / 1000
+    : distance / (Math.max((a.spd + b.spd) / 2, 1) / 3.6);
+  return Math.min(Math.max(seconds - distance / (freeFlowKmh / 3.6), 0), MAX_STEP_DELAY_S);
+};
+
+const headingOf = (points, indices) => {
+  let x = 0;
+  let y = 0;
+  indices.forEach(i => {
+    x += Math.sin(toRadians(points[i].azm));
+    y += Math.cos(toRadians(points[i].azm));
+  });
+  const heading = ((Math.atan2(x, y) * 180) / Math.PI + 360) % 360;
+  return { heading, consistency: Math.hypot(x, y) / indices.length };
+};
+
+// Convex hull of the zone pushed out by a margin so small or linear zones
+// still draw as an area.
+const zonePolygon = (points, indices, lat, lng) => {
+  const hull = convexHull(indices.map(i => [points[i].lat, points[i].lng]));
+  const dLat = metersToDegreesLat(ZONE_PADDING_M);
+  const dLng = metersToDegreesLng(ZONE_PADDING_M, lat);
+  if (hull.length < 3) {
+    const reach = Math.max(...hull.map(([a, b]) => haversine(lat, lng, a, b))) / ZONE_PADDING_M + 1;
+    return Array.from({ length: 8 }, (_, k) => [
+      lat + reach * dLat * Math.cos((k * Math.PI) / 4),
+      lng + reach * dLng * Math.sin((k * Math.PI) / 4),
+    ]);
+  }
+  return hull.map(([a, b]) => {
+    const north = (a - lat) / dLat;
+    const east = (b - lng) / dLng;
+    const length = Math.hypot(north, east) || 1;
+    return [a + (north / length) * dLat, b + (east / length) * dLng];
+  });
+};
+
+// Splits slow points into dwell events and slow moving traffic, then groups
+// the slow traffic into zones per direction of travel (so the two sides of a
+// road are separate zones) and ranks them by the delay they cause. `trips`
+// are `{ path }` objects with point indices in travel order.
+export const analyseCongestion = (points, trips, options = {}) => {
+  const settings = { ...DEFAULT_CONGESTION_OPTIONS, ...options };
+  const moving = points.filter(point => point.spd >= BOTTLENECK_SPEED_KMH).map(point => point.spd);
+  const freeFlowKmh = moving.length > 0 ? median(moving) : FALLBACK_FREE_FLOW_KMH;
+
+  const dwells = [];
+  const slow = [];
+  const delay = new Map();
+  trips.forEach(({ path }) => {
+    slowRuns(points, path).forEach(run => {
+      if (isDwell(points, path, run, settings)) {
+        const first = points[path[run[0]]];
+        const last = points[path[run[run.length - 1]]];
+        dwells.push({
+          id: first.randomized_id,
+          lat: first.lat,
+          lng: first.lng,
+          points: run.length,
+          duration: first.ts !== null && last.ts !== null ? (last.ts - first.ts) / 1000 : null,
+          position: run[0] === 0 ? 'start' : run[run.length - 1] === path.length - 1 ? 'end' : 'middle',
+        });
+        return;
+      }
+      run.forEach(k => {
+        slow.push(path[k]);
+        const next = path[k + 1];
+        delay.set(path[k], next === undefined ? 0 : stepDelay(points[path[k]], points[next], freeFlowKmh));
+      });
+    });
+  });
+
+  const zones = [];
+  [0, 1, 2, 3].forEach(quadrant => {
+    const members = slow.filter(i => Math.floor(((points[i].azm + 45) % 360) / 90) === quadrant);
+    const { clusters } = dbscan(members.map(i => points[i]), { epsilon: settings.zoneRadius, minPoints: settings.zoneMinPoints });
+    clusters.forEach(cluster => {
+      const indices = cluster.map(c => members[c]);
+      const lat = indices.reduce((sum, i) => sum + points[i].lat, 0) / indices.length;
+      const lng = indices.reduce((sum, i) => sum + points[i].lng, 0) / indices.length;
+      const { heading, consistency } = headingOf(points, indices);
+      zones.push({
+        lat,
+        lng,
+        polygon: zonePolygon(points, indices, lat, lng),
+        points: indices.length,
+        trips: new Set(indices.map(i => points[i].randomized_id)).size,
+        delay: indices.reduce((sum, i) => sum + delay.get(i), 0),
+        meanSpeed: indices.reduce((sum, i) => sum + points[i].spd, 0) / indices.length,
+        heading,
+        direction: `${COMPASS[Math.round(heading / 45) % 8]}-bound`,
+        consistency,
+      });
+    });
+  });
+
+  zones.sort((a, b) => b.delay - a.delay || b.trips - a.trips);
+  zones.forEach((zone, i) => { zone.id = `Zone ${i + 1}`; });
+
+  return { zones, dwells, slowPoints: slow.length, freeFlowKmh };
+};
@@ -0,0 +1,43 @@
+import { analyseCongestion } from './congestion';
+import { buildTrips } from './trips';
+import { convexHull } from './geo';
+
+const point = (id, lat, spd, azm, ts = null) => ({ randomized_id: id, lat, lng: 71.4, alt: 0, spd, azm, ts });
+
+// Each trip drives north at 50 km/h, crawls through 51.105-51.106 and drives on.
+const crawlingTrip = (id, azm) => {
+  const t0 = Date.UTC(2024, 0, 1, 8);
+  const lats = [51.1, 51.102, 51.104, 51.105, 51.1052, 51.1054, 51.1056, 51.1058, 51.106, 51.108, 51.11];
+  return lats.map((lat, k) => point(id, lat, lat >= 51.105 && lat <= 51.106 ? 5 : 50, azm, t0 + k * 20000));
+};
+
+test('slow traffic forms a zone per direction and dwells are set aside', () => {
+  const points = [
+    ...['a', 'b', 'c'].flatMap(id => crawlingTrip(id, 0)),
+    ...[0, 1, 2].map(k => point('parked', 51.2, 0, 90, Date.UTC(2024, 0, 1, 8, k))),
+    point('parked', 51.21, 40, 0, Date.UTC(2024, 0, 1, 8, 5)),
+  ];
+  const { zones, dwells, slowPoints } = analyseCongestion(points, buildTrips(points));
+
+  expect(dwells).toEqual([expect.objectContaining({ id: 'parked', points: 3, duration: 120, position: 'start' })]);
+  expect(slowPoints).toBe(18);
+  expect(zones).toHaveLength(1);
+  expect(zones[0]).toMatchObject({ id: 'Zone 1', trips: 3, points: 18, direction: 'N-bound' });
+  expect(zones[0].delay).toBeGreaterThan(0);
+  expect(zones[0].polygon.length).toBeGreaterThanOrEqual(3);
+});
+
+test('opposite directions on the same road are separate zones ranked by delay', () => {
+  const points = [
+    ...['a', 'b', 'c'].flatMap(id => crawlingTrip(id, 0)),
+    ...['d', 'e'].flatMap(id => crawlingTrip(id, 180)),
+  ];
+  const { zones } = analyseCongestion(points, buildTrips(points));
+  expect(zones.map(zone => [zone.direction, zone.trips])).toEqual([['N-bound', 3], ['S-bound', 2]]);
+});
+
+test('convex hull drops interior points', () => {
+  const hull = convexHull([[0, 0], [0, 1], [1, 1], [1, 0], [0.5, 0.5]]);
+  expect(hull).toHaveLength(4);
+  expect(hull).not.toContainEqual([0.5, 0.5]);
+});
@@ -0,0 +1,14 @@
+import { groupByCell, zScoreOutliers } from './groups';
+
+const cellZScore = {
+  id: 'cell-zscore',
+  label: 'Local speed',
+  icon: '⚡',
+  kind: 'speed',
+  description: 'Speed far above the mean of the surrounding grid cell.',
+  defaults: { cellSize: 500, threshold: 3, minPoints: 10, minStd: 2 },
+  detect: (points, context, options) =>
+    zScoreOutliers(points, groupByCell(points, options.cellSize), options, () => `this ${options.cellSize} m cell`),
+};
+
+export default cellZScore;
@@ -0,0 +1,19 @@
+import { zScoreOutliers } from './groups';
+import { groupByLabel } from '../transfer';
+
+// Needs the DBSCAN labels of exactly these points; skipped without them.
+const clusterZScore = {
+  id: 'cluster-zscore',
+  label: 'Cluster speed',
+  icon: '📍',
+  kind: 'speed',
+  description: 'Speed far above the mean of the DBSCAN cluster the point belongs to.',
+  defaults: { threshold: 3, minPoints: 10, minStd: 2 },
+  detect: (points, { labels }, options) => {
+    if (!labels || labels.length !== points.length) return [];
+    const groups = groupByLabel(labels, points.map((point, i) => i));
+    return zScoreOutliers(points, groups, options, (g) => `Cluster ${g + 1}`);
+  },
+};
+
+export default clusterZScore;
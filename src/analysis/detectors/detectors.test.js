@@ -0,0 +1,55 @@
+import { detectAnomalies, getDetector } from '.';
+import { buildTrips } from '../trips';
+
+const point = (overrides) => ({ randomized_id: 'a', lat: 51.1, lng: 71.4, alt: 0, spd: 30, azm: 90, ts: null, ...overrides });
+
+// Two neighbourhoods: a residential block around 20 km/h and a highway around
+// 90 km/h, 5 km apart.
+const city = () => [
+  ...Array.from({ length: 30 }, (_, i) => point({ randomized_id: `r${i}`, lat: 51.1 + i * 1e-5, spd: 18 + (i % 5) })),
+  ...Array.from({ length: 30 }, (_, i) => point({ randomized_id: `h${i}`, lat: 51.15 + i * 1e-5, spd: 88 + (i % 5) })),
+];
+
+test('local z-scores catch residential speeding that a city-wide threshold misses', () => {
+  const points = [...city(), point({ randomized_id: 'fast', lat: 51.1001, spd: 60 })];
+  const found = getDetector('cell-zscore').detect(points, {}, getDetector('cell-zscore').defaults);
+  expect(found.map(anomaly => points[anomaly.index].randomized_id)).toEqual(['fast']);
+  expect(found[0].reason).toMatch(/60 km\/h where this 500 m cell averages 2\d/);
+});
+
+test('MAD threshold is not widened by the outliers themselves', () => {
+  const points = [...city(), ...[150, 160, 170].map(spd => point({ randomized_id: 'x', lat: 51.15, spd }))];
+  const ids = detectAnomalies(points, {}, ['speed-mad']).map(anomaly => points[anomaly.index].spd);
+  expect(ids.sort()).toEqual([150, 160, 170]);
+});
+
+test('trip physics flags teleports and impossible acceleration', () => {
+  const t0 = Date.UTC(2024, 0, 1);
+  const points = [
+    point({ ts: t0, spd: 40 }),
+    point({ ts: t0 + 2000, lat: 51.10022, spd: 40 }),
+    point({ ts: t0 + 4000, lat: 51.1004, spd: 120 }),
+    point({ ts: t0 + 6000, lat: 51.2, spd: 40 }),
+  ];
+  const found = detectAnomalies(points, { trips: buildTrips(points) }, ['trip-physics']);
+  expect(found.map(anomaly => anomaly.index)).toEqual([3, 2]);
+  expect(found[0].reason).toMatch(/^Jumped 11\.\d km in 2 s/);
+  expect(found[1].reason).toMatch(/m\/s² acceleration/);
+});
+
+test('heading reversals only count while moving', () => {
+  const t0 = Date.UTC(2024, 0, 1);
+  const points = [
+    point({ ts: t0, azm: 10, spd: 50 }),
+    point({ ts: t0 + 5000, lat: 51.1005, azm: 190, spd: 50 }),
+    point({ ts: t0 + 10000, lat: 51.1006, azm: 10, spd: 5 }),
+  ];
+  const found = detectAnomalies(points, { trips: buildTrips(points) }, ['heading-reversal']);
+  expect(found.map(anomaly => anomaly.index)).toEqual([1]);
+  expect(found[0]).toMatchObject({ detector: 'heading-reversal', reason: 'Heading flipped 180° (10° → 190°) at 50 km/h' });
+});
+
+test('cluster detector needs labels for the same points', () => {
+  expect(detectAnomalies(city(), { labels: null }, ['cluster-zscore'])).toEqual([]);
+  expect(() => detectAnomalies([], {}, ['nope'])).toThrow('Unknown anomaly detector "nope".');
+});
@@ -0,0 +1,44 @@
+import { createCellGrid, maxAbsLatitude } from '../spatialIndex';
+
+// Point indices grouped by the grid cell they fall in.
+export const groupByCell = (points, cellSize) => {
+  const grid = createCellGrid(cellSize, maxAbsLatitude(points));
+  const groups = new Map();
+  points.forEach((point, i) => {
+    const key = grid.keyOf(point.lat, point.lng);
+    const group = groups.get(key);
+    if (group) group.push(i);
+    else groups.set(key, [i]);
+  });
+  return Array.from(groups.values());
+};
+
+export const median = (values) => {
+  const sorted = Float64Array.from(values).sort();
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Flags points in each group whose speed sits more than `threshold` standard
+// deviations above the group mean. `describe(group)` names the group in the
+// reason text.
+export const zScoreOutliers = (points, groups, { threshold, minPoints, minStd }, describe) => {
+  const found = [];
+  groups.forEach((group, g) => {
+    if (group.length < minPoints) return;
+    const mean = group.reduce((sum, i) => sum + points[i].spd, 0) / group.length;
+    const variance = group.reduce((sum, i) => sum + (points[i].spd - mean) ** 2, 0) / group.length;
+    const std = Math.max(Math.sqrt(variance), minStd);
+    group.forEach(i => {
+      const z = (points[i].spd - mean) / std;
+      if (z > threshold) {
+        found.push({
+          index: i,
+          score: z / threshold,
+          reason: `${Math.round(points[i].spd)} km/h where ${describe(g)} averages ${Math.round(mean)} ± ${Math.round(std)} km/h (z = ${z.toFixed(1)})`,
+        });
+      }
+    });
+  });
+  return found;
+};
@@ -0,0 +1,36 @@
+import { angleDifference, haversine } from '../geo';
+
+// A moving car does not turn around between two nearby fixes; when `azm`
+// flips it is either a dangerous manoeuvre or a bad heading sensor.
+const headingReversal = {
+  id: 'heading-reversal',
+  label: 'Heading reversal',
+  icon: '↩️',
+  kind: 'motion',
+  description: 'The heading flips by close to 180° between consecutive points of a trip while the car is moving.',
+  defaults: { minAngle: 150, minSpeed: 15, maxGapSeconds: 30, maxGapMeters: 300 },
+  detect: (points, { trips = [] }, { minAngle, minSpeed, maxGapSeconds, maxGapMeters }) => {
+    const found = [];
+    trips.forEach(({ path }) => {
+      for (let k = 1; k < path.length; k++) {
+        const a = points[path[k - 1]];
+        const b = points[path[k]];
+        if (a.spd < minSpeed || b.spd < minSpeed) continue;
+        const close = a.ts !== null && b.ts !== null
+          ? b.ts - a.ts <= maxGapSeconds * 1000
+          : haversine(a.lat, a.lng, b.lat, b.lng) <= maxGapMeters;
+        const turn = angleDifference(a.azm, b.azm);
+        if (close && turn >= minAngle) {
+          found.push({
+            index: path[k],
+            score: turn / minAngle,
+            reason: `Heading flipped ${Math.round(turn)}° (${Math.round(a.azm)}° → ${Math.round(b.azm)}°) at ${Math.round(b.spd)} km/h`,
+          });
+        }
+      }
+    });
+    return found;
+  },
+};
+
+export default headingReversal;
@@ -0,0 +1,40 @@
+import cellZScore from './cellZScore';
+import clusterZScore from './clusterZScore';
+import speedMad from './speedMad';
+import tripPhysics from './tripPhysics';
+import headingReversal from './headingReversal';
+
+// A detector looks at the cleaned points (plus the trips and cluster labels
+// found for them) and returns `{ index, score, reason }` for every point it
+// considers anomalous. `score` is how far past its threshold the point is, so
+// 1 is borderline whichever detector fired. `kind` is 'speed' for detectors
+// that judge a speed against its surroundings and 'motion' for those that
+// judge how a trip moves; the safety score counts speed findings as speeding.
+const detectors = [];
+
+export const registerDetector = (detector) => {
+  detectors.push(detector);
+};
+
+export const listDetectors = () => detectors.slice();
+
+export const getDetector = (id) => {
+  const detector = detectors.find(candidate => candidate.id === id);
+  if (!detector) throw new Error(`Unknown anomaly detector "${id}".`);
+  return detector;
+};
+
+// `options` maps detector ids to threshold overrides. Results from every
+// detector are merged, most severe first; a point can appear once per
+// detector that fired on it.
+export const detectAnomalies = (points, context = {}, ids = detectors.map(detector => detector.id), options = {}) =>
+  ids
+    .flatMap(id => {
+      const detector = getDetector(id);
+      return detector
+        .detect(points, context, { ...detector.defaults, ...options[id] })
+        .map(anomaly => ({ ...anomaly, detector: id }));
+    })
+    .sort((a, b) => b.score - a.score);
+
+[cellZScore, clusterZScore, speedMad, tripPhysics, headingReversal].forEach(registerDetector);
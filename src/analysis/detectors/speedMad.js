@@ -0,0 +1,40 @@
+import { groupByCell, median } from './groups';
+
+// 0.6745 scales the median absolute deviation to a standard deviation for
+// normally distributed data, so `threshold` reads like a z-score.
+const MAD_SCALE = 0.6745;
+
+const deviationFrom = (speeds, minMad) => {
+  const centre = median(speeds);
+  return { centre, mad: Math.max(median(speeds.map(spd => Math.abs(spd - centre))), minMad) };
+};
+
+const speedMad = {
+  id: 'speed-mad',
+  label: 'Robust speed',
+  icon: '📏',
+  kind: 'speed',
+  description: 'Speed far above the median of its grid cell, measured in median absolute deviations so a few extreme values cannot widen the threshold. Sparse cells fall back to the city-wide median.',
+  defaults: { cellSize: 500, threshold: 3.5, minPoints: 10, minMad: 1 },
+  detect: (points, context, { cellSize, threshold, minPoints, minMad }) => {
+    const global = deviationFrom(points.map(point => point.spd), minMad);
+    const found = [];
+    groupByCell(points, cellSize).forEach(group => {
+      const local = group.length >= minPoints;
+      const { centre, mad } = local ? deviationFrom(group.map(i => points[i].spd), minMad) : global;
+      group.forEach(i => {
+        const score = (MAD_SCALE * (points[i].spd - centre)) / mad;
+        if (score > threshold) {
+          found.push({
+            index: i,
+            score: score / threshold,
+            reason: `${Math.round(points[i].spd)} km/h, ${score.toFixed(1)} robust deviations above the ${local ? 'local' : 'city-wide'} median of ${Math.round(centre)} km/h`,
+          });
+        }
+      });
+    });
+    return found;
+  },
+};
+
+export default speedMad;
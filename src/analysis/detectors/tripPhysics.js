@@ -0,0 +1,64 @@
+import { haversine } from '../geo';
+
+const formatDistance = (meters) => (meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`);
+
+// Checks each step between consecutive points of a trip. With timestamps it
+// flags speed changes no car can make and jumps that would need an
+// implausible speed; without them only the jump distance can be judged.
+const tripPhysics = {
+  id: 'trip-physics',
+  label: 'Implausible motion',
+  icon: '🚀',
+  kind: 'motion',
+  description: 'Acceleration or braking beyond what a car can do, or a position jump between consecutive points of a trip that implies teleporting.',
+  defaults: { maxAcceleration: 8, maxJumpSpeed: 250, minJumpDistance: 200, maxJumpDistance: 2000 },
+  detect: (points, { trips = [] }, { maxAcceleration, maxJumpSpeed, minJumpDistance, maxJumpDistance }) => {
+    const found = [];
+    trips.forEach(({ path }) => {
+      for (let k = 1; k < path.length; k++) {
+        const a = points[path[k - 1]];
+        const b = points[path[k]];
+        const distance = haversine(a.lat, a.lng, b.lat, b.lng);
+        const timed = a.ts !== null && b.ts !== null;
+        const seconds = timed ? (b.ts - a.ts) / 1000 : null;
+
+        if (!timed) {
+          if (distance > maxJumpDistance) {
+            found.push({
+              index: path[k],
+              score: distance / maxJumpDistance,
+              reason: `Jumped ${formatDistance(distance)} from the previous point of trip ${b.randomized_id}`,
+            });
+          }
+          continue;
+        }
+
+        const implied = seconds > 0 ? (distance / seconds) * 3.6 : Infinity;
+        if (distance > minJumpDistance && implied > maxJumpSpeed) {
+          found.push({
+            index: path[k],
+            score: Math.min(implied / maxJumpSpeed, 10),
+            reason: seconds > 0
+              ? `Jumped ${formatDistance(distance)} in ${Math.round(seconds)} s (${Math.round(implied)} km/h implied)`
+              : `Jumped ${formatDistance(distance)} with no time between fixes`,
+          });
+          continue;
+        }
+
+        if (seconds > 0) {
+          const acceleration = (b.spd - a.spd) / 3.6 / seconds;
+          if (Math.abs(acceleration) > maxAcceleration) {
+            found.push({
+              index: path[k],
+              score: Math.abs(acceleration) / maxAcceleration,
+              reason: `Speed went from ${Math.round(a.spd)} to ${Math.round(b.spd)} km/h in ${Math.round(seconds)} s (${Math.abs(acceleration).toFixed(1)} m/s² ${acceleration > 0 ? 'acceleration' : 'braking'})`,
+            });
+          }
+        }
+      }
+    });
+    return found;
+  },
+};
+
+export default tripPhysics;
@@ -0,0 +1,84 @@
+import { parseTimestamp } from './trips';
+
+// The canonical point schema every importer is mapped onto. Unit factors
+// convert to the canonical unit: metres, km/h and degrees.
+export const CANONICAL_FIELDS = [
+  {
+    key: 'randomized_id',
+    label: 'Trip / vehicle ID',
+    aliases: ['randomized_id', 'id', 'trip_id', 'track_id', 'track', 'vehicle_id', 'driver_id', 'feature_id'],
+  },
+  { key: 'lat', label: 'Latitude', required: true, aliases: ['lat', 'latitude', 'y'] },
+  { key: 'lng', label: 'Longitude', required: true, aliases: ['lng', 'lon', 'long', 'longitude', 'x'] },
+  {
+    key: 'alt',
+    label: 'Altitude',
+    aliases: ['alt', 'altitude', 'ele', 'elevation'],
+    units: { m: 1, ft: 0.3048 },
+  },
+  {
+    key: 'spd',
+    label: 'Speed',
+    aliases: ['spd', 'speed', 'velocity'],
+    units: { 'm/s': 3.6, 'km/h': 1, mph: 1.609344, kn: 1.852 },
+  },
+  {
+    key: 'azm',
+    label: 'Heading',
+    aliases: ['azm', 'azimuth', 'heading', 'bearing', 'course'],
+    units: { deg: 1, rad: 180 / Math.PI },
+  },
+  {
+    key: 'ts',
+    label: 'Timestamp',
+    aliases: ['ts', 'timestamp', 'time', 'datetime', 'date'],
+    units: { auto: null, s: null, ms: null },
+  },
+];
+
+export const DEFAULT_UNITS = { alt: 'm', spd: 'm/s', azm: 'deg', ts: 'auto' };
+
+// The layout the app originally required: fixed keys, speed in m/s.
+export const DEFAULT_MAPPING = {
+  fields: { randomized_id: 'randomized_id', lat: 'lat', lng: 'lng', alt: 'alt', spd: 'spd', azm: 'azm', ts: 'ts' },
+  units: DEFAULT_UNITS,
+};
+
+export const suggestMapping = (sourceFields) => {
+  const byName = new Map(sourceFields.map(name => [name.toLowerCase(), name]));
+  const fields = {};
+  CANONICAL_FIELDS.forEach(({ key, aliases }) => {
+    const alias = aliases.find(candidate => byName.has(candidate));
+    fields[key] = alias ? byName.get(alias) : '';
+  });
+  return { fields, units: { ...DEFAULT_UNITS } };
+};
+
+export const validateMapping = ({ fields }) => {
+  const missing = CANONICAL_FIELDS.filter(field => field.required && !fields[field.key]);
+  if (missing.length > 0) {
+    return `Map a source column to ${missing.map(field => field.label).join(' and ')}.`;
+  }
+  if (!fields.spd && !fields.ts) {
+    return 'Map either Speed or Timestamp, so speeds can be derived from consecutive points.';
+  }
+  return null;
+};
+
+const factor = (key, units) => CANONICAL_FIELDS.find(field => field.key === key).units[units[key]];
+
+export const createRecordMapper = ({ fields, units }) => {
+  const altFactor = factor('alt', units);
+  const spdFactor = factor('spd', units);
+  const azmFactor = factor('azm', units);
+  const read = (record, key) => (fields[key] ? record[fields[key]] : undefined);
+  return (record) => ({
+    randomized_id: read(record, 'randomized_id'),
+    lat: parseFloat(read(record, 'lat')),
+    lng: parseFloat(read(record, 'lng')),
+    alt: parseFloat(read(record, 'alt')) * altFactor || 0,
+    spd: parseFloat(read(record, 'spd')) * spdFactor,
+    azm: ((parseFloat(read(record, 'azm')) * azmFactor || 0) % 360 + 360) % 360,
+    ts: parseTimestamp(read(record, 'ts'), units.ts),
+  });
+};
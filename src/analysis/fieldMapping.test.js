@@ -0,0 +1,49 @@
+import { suggestMapping, validateMapping, createRecordMapper } from './fieldMapping';
+import { cleanPoints } from './pipeline';
+import { createIngestor } from './ingest';
+
+test('suggests source columns by alias, case-insensitively', () => {
+  const { fields } = suggestMapping(['Track', 'Latitude', 'LON', 'ele', 'time']);
+  expect(fields).toEqual({ randomized_id: 'Track', lat: 'Latitude', lng: 'LON', alt: 'ele', spd: '', azm: '', ts: 'time' });
+});
+
+test('requires coordinates and either speed or timestamps', () => {
+  const mapping = suggestMapping(['lat', 'lng']);
+  expect(validateMapping(mapping)).toMatch(/Speed or Timestamp/);
+  expect(validateMapping(suggestMapping(['lng', 'spd']))).toMatch(/Latitude/);
+  expect(validateMapping(suggestMapping(['lat', 'lng', 'spd']))).toBeNull();
+});
+
+test('converts units onto the canonical schema', () => {
+  const mapping = suggestMapping(['id', 'lat', 'lng', 'alt', 'speed', 'heading', 'ts']);
+  mapping.units = { alt: 'ft', spd: 'km/h', azm: 'rad', ts: 's' };
+  expect(createRecordMapper(mapping)({ id: 'x', lat: '51', lng: '71', alt: '100', speed: '50', heading: Math.PI, ts: '10' }))
+    .toEqual({ randomized_id: 'x', lat: 51, lng: 71, alt: 30.48, spd: 50, azm: 180, ts: 10000 });
+});
+
+test('derives speed from timestamps when no speed column is mapped', () => {
+  const mapping = suggestMapping(['track', 'lat', 'lon', 'time']);
+  const points = cleanPoints([
+    { track: 'a', lat: 51.1, lon: 71.4, time: '2024-01-01T08:00:00Z' },
+    { track: 'a', lat: 51.101, lon: 71.4, time: '2024-01-01T08:00:10Z' },
+    { track: 'b', lat: 51.2, lon: 71.4 },
+  ], mapping);
+  expect(points).toHaveLength(2);
+  expect(points[0].spd).toBeCloseTo(40.07, 1);
+  expect(points[1].spd).toBeCloseTo(40.07, 1);
+});
+
+test('reorders shuffled points before deriving speeds and counts late ones', () => {
+  const mapping = suggestMapping(['track', 'lat', 'lon', 'time']);
+  const row = (i) => ({ track: 'a', lat: 51.1 + i * 0.001, lon: 71.4, time: 1704096000 + i * 10 });
+  const shuffled = [3, 0, 4, 1, 2].map(row);
+  const points = cleanPoints(shuffled, mapping);
+  expect(points.map(point => point.ts)).toEqual([0, 1, 2, 3, 4].map(i => (1704096000 + i * 10) * 1000));
+  points.forEach(point => expect(point.spd).toBeCloseTo(40.03, 1));
+
+  const ingestor = createIngestor({ mapping });
+  ingestor.add([...Array.from({ length: 20 }, (_, i) => row(i + 1)), row(0)]);
+  const { points: kept, summary } = ingestor.finish();
+  expect(kept).toHaveLength(20);
+  expect(summary.quality.rejected).toEqual({ outOfOrder: 1 });
+});
@@ -0,0 +1,165 @@
+export const HOUR_MS = 60 * 60 * 1000;
+export const FORECAST_SEASON = 24;
+export const FORECAST_HORIZON = 24;
+export const MAX_FORECAST_ZONES = 200;
+export const FORECAST_HISTORY_DAYS = 28;
+
+export const FORECAST_MODELS = {
+  holtWinters: 'Holt-Winters',
+  seasonalNaive: 'Seasonal naive',
+  mean: 'Hourly mean',
+};
+
+// Backtest WAPE (absolute error as a share of the actual demand) up to which
+// a forecast is called reliable, then rough; anything above is unreliable.
+export const RELIABILITY_BANDS = [
+  { key: 'reliable', label: 'Reliable', maxWape: 0.25 },
+  { key: 'rough', label: 'Rough', maxWape: 0.5 },
+  { key: 'unreliable', label: 'Unreliable', maxWape: Infinity },
+];
+
+const HW_ALPHAS = [0.1, 0.3, 0.6];
+const HW_BETAS = [0, 0.05];
+const HW_GAMMAS = [0.1, 0.3];
+
+// Demand per zone and hour, counted as the distinct trips seen in the zone
+// during that hour. `zoneOf` maps a point to its `{ id, ... }` zone or null
+// (see hexZoning and clusterZoning in odFlows); points without a timestamp
+// are left out. Every series covers the same hours, from the hour of the
+// earliest point to that of the latest but no more than `historyDays` back,
+// so one stray old timestamp cannot stretch the series over years.
+export const hourlySeries = (points, zoneOf, { historyDays = FORECAST_HISTORY_DAYS } = {}) => {
+  const timed = points.filter(point => point.ts !== null);
+  if (timed.length === 0) return { start: null, hours: 0, zones: [] };
+  const last = Math.floor(timed.reduce((max, point) => Math.max(max, point.ts), -Infinity) / HOUR_MS);
+  const earliest = Math.floor(timed.reduce((min, point) => Math.min(min, point.ts), Infinity) / HOUR_MS);
+  const first = Math.max(earliest, last - historyDays * 24 + 1);
+  const hours = last - first + 1;
+  const byZone = new Map();
+  timed.forEach(point => {
+    const hour = Math.floor(point.ts / HOUR_MS) - first;
+    const zone = hour >= 0 ? zoneOf(point) : null;
+    if (!zone) return;
+    if (!byZone.has(zone.id)) byZone.set(zone.id, { zone, trips: new Set(), hourly: new Map() });
+    const entry = byZone.get(zone.id);
+    if (!entry.hourly.has(hour)) entry.hourly.set(hour, new Set());
+    entry.hourly.get(hour).add(point.randomized_id);
+    entry.trips.add(point.randomized_id);
+  });
+  return {
+    start: first * HOUR_MS,
+    hours,
+    zones: Array.from(byZone.values(), ({ zone, trips, hourly }) => {
+      const counts = new Array(hours).fill(0);
+      hourly.forEach((ids, hour) => { counts[hour] = ids.size; });
+      return { zone, trips: trips.size, counts };
+    }),
+  };
+};
+
+// Repeats the last full season.
+export const seasonalNaive = (series, horizon, season = FORECAST_SEASON) =>
+  Array.from({ length: horizon }, (_, h) => series[series.length - season + (h % season)]);
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+
+// Additive Holt-Winters with the level and trend started from the first two
+// seasons. Returns the forecast and the squared one-step errors over the
+// history, which `fitHoltWinters` minimises.
+export const holtWinters = (series, horizon, { alpha, beta, gamma }, season = FORECAST_SEASON) => {
+  let level = mean(series.slice(0, season));
+  let trend = (mean(series.slice(season, 2 * season)) - level) / season;
+  const seasonal = series.slice(0, season).map(value => value - level);
+  let sse = 0;
+  for (let t = season; t < series.length; t++) {
+    const s = seasonal[t % season];
+    const error = series[t] - (level + trend + s);
+    sse += error * error;
+    const next = alpha * (series[t] - s) + (1 - alpha) * (level + trend);
+    trend = beta * (next - level) + (1 - beta) * trend;
+    seasonal[t % season] = gamma * (series[t] - next) + (1 - gamma) * s;
+    level = next;
+  }
+  const forecast = Array.from({ length: horizon }, (_, h) =>
+    level + (h + 1) * trend + seasonal[(series.length + h) % season]);
+  return { forecast, sse };
+};
+
+// Holt-Winters with the smoothing parameters from a small grid that fit the
+// history best.
+export const fitHoltWinters = (series, horizon, season = FORECAST_SEASON) => {
+  let best = null;
+  HW_ALPHAS.forEach(alpha => HW_BETAS.forEach(beta => HW_GAMMAS.forEach(gamma => {
+    const fit = holtWinters(series, horizon, { alpha, beta, gamma }, season);
+    if (!best || fit.sse < best.sse) best = { ...fit, params: { alpha, beta, gamma } };
+  })));
+  return best;
+};
+
+const MODEL_FORECASTS = {
+  holtWinters: (series, horizon, season) => fitHoltWinters(series, horizon, season).forecast,
+  seasonalNaive,
+  mean: (series, horizon) => new Array(horizon).fill(mean(series)),
+};
+
+// History each model needs before it can forecast.
+const minimumHistory = (model, season) => (model === 'holtWinters' ? 2 * season : model === 'seasonalNaive' ? season : 1);
+
+export const errorMetrics = (actual, predicted) => {
+  const errors = actual.map((value, i) => value - predicted[i]);
+  const total = actual.reduce((sum, value) => sum + value, 0);
+  return {
+    mae: mean(errors.map(Math.abs)),
+    rmse: Math.sqrt(mean(errors.map(error => error * error))),
+    wape: total > 0 ? errors.reduce((sum, error) => sum + Math.abs(error), 0) / total : null,
+  };
+};
+
+// Forecasts the last `horizon` hours from the hours before them and scores
+// the result against what happened; null when the history is too short.
+export const backtest = (series, model, horizon, season = FORECAST_SEASON) => {
+  if (series.length - horizon < minimumHistory(model, season)) return null;
+  const training = series.slice(0, series.length - horizon);
+  const predicted = MODEL_FORECASTS[model](training, horizon, season).map(value => Math.max(value, 0));
+  return { ...errorMetrics(series.slice(-horizon), predicted), predicted };
+};
+
+export const reliabilityOf = (metrics) =>
+  metrics && metrics.wape !== null ? RELIABILITY_BANDS.find(band => metrics.wape <= band.maxWape) : null;
+
+// Picks the model with the lowest backtest error among those the history
+// supports and forecasts the next `horizon` hours with it, never below 0.
+export const forecastSeries = (series, horizon = FORECAST_HORIZON, season = FORECAST_SEASON) => {
+  const candidates = ['holtWinters', 'seasonalNaive', 'mean']
+    .filter(model => series.length >= minimumHistory(model, season))
+    .map(model => ({ model, backtest: backtest(series, model, horizon, season) }));
+  const tested = candidates.filter(candidate => candidate.backtest);
+  const chosen = tested.length > 0
+    ? tested.reduce((best, candidate) => (candidate.backtest.mae < best.backtest.mae ? candidate : best))
+    : candidates[0];
+  return {
+    model: chosen.model,
+    forecast: MODEL_FORECASTS[chosen.model](series, horizon, season).map(value => Math.max(value, 0)),
+    backtest: chosen.backtest,
+    reliability: reliabilityOf(chosen.backtest),
+  };
+};
+
+// Hourly demand forecasts for the busiest zones with at least `minTrips`
+// distinct trips, fitted on at most the last `historyDays` of data. The
+// forecast starts at `forecastStart`, the hour after the last one in the data.
+export const forecastDemand = (points, zoneOf, {
+  horizon = FORECAST_HORIZON, minTrips = 1, limit = MAX_FORECAST_ZONES, historyDays = FORECAST_HISTORY_DAYS,
+} = {}) => {
+  const { start, hours, zones } = hourlySeries(points, zoneOf, { historyDays });
+  return {
+    start,
+    hours,
+    forecastStart: start === null ? null : start + hours * HOUR_MS,
+    zones: zones
+      .filter(zone => zone.trips >= minTrips)
+      .sort((a, b) => b.trips - a.trips)
+      .slice(0, limit)
+      .map(zone => ({ ...zone, ...forecastSeries(zone.counts, horizon) })),
+  };
+};
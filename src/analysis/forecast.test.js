@@ -0,0 +1,86 @@
+import {
+  HOUR_MS, FORECAST_HISTORY_DAYS, hourlySeries, seasonalNaive, holtWinters, fitHoltWinters, backtest, forecastSeries, forecastDemand, reliabilityOf,
+} from './forecast';
+
+const point = (id, lat, lng, ts) => ({ randomized_id: id, lat, lng, alt: 0, spd: 30, azm: 0, ts });
+
+// A daily cycle peaking in the afternoon, `days` days long.
+const daily = (days, growth = 0) =>
+  Array.from({ length: days * 24 }, (_, t) => 10 + 8 * Math.sin(((t % 24) - 9) * (Math.PI / 12)) + growth * t);
+
+const westOrEast = (p) => (p.lng < 71.5 ? { id: 'west' } : { id: 'east' });
+
+test('hourly series count distinct trips per zone and hour', () => {
+  const base = 1700000000000 - (1700000000000 % HOUR_MS);
+  const points = [
+    point('a', 51.1, 71.4, base),
+    point('a', 51.1, 71.4, base + 60000),
+    point('b', 51.1, 71.4, base + 120000),
+    point('c', 51.1, 71.6, base + 2 * HOUR_MS),
+    point('d', 51.1, 71.6, null),
+  ];
+  const series = hourlySeries(points, westOrEast);
+  expect(series).toMatchObject({ start: base, hours: 3 });
+  expect(series.zones.map(zone => [zone.zone.id, zone.trips, zone.counts])).toEqual([
+    ['west', 2, [2, 0, 0]],
+    ['east', 1, [0, 0, 1]],
+  ]);
+});
+
+test('seasonal naive repeats the last day', () => {
+  const series = daily(2);
+  expect(seasonalNaive(series, 30)).toEqual([...series.slice(24), ...series.slice(24, 30)]);
+});
+
+test('Holt-Winters picks up a daily cycle with a trend', () => {
+  const series = daily(5, 0.05);
+  const actual = daily(6, 0.05).slice(-24);
+  const { forecast, params } = fitHoltWinters(series, 24);
+  expect(params).toBeDefined();
+  forecast.forEach((value, h) => expect(Math.abs(value - actual[h])).toBeLessThan(1));
+  expect(holtWinters(series, 24, { alpha: 0.3, beta: 0, gamma: 0.1 }).sse).toBeGreaterThanOrEqual(0);
+});
+
+test('backtests score the held-out last hours', () => {
+  const series = daily(3);
+  const result = backtest(series, 'seasonalNaive', 24);
+  expect(result.mae).toBeCloseTo(0);
+  expect(reliabilityOf(result).key).toBe('reliable');
+  expect(backtest(daily(1), 'holtWinters', 24)).toBeNull();
+  expect(reliabilityOf({ wape: 0.4 }).key).toBe('rough');
+  expect(reliabilityOf({ wape: null })).toBeNull();
+});
+
+test('the model follows how much history there is', () => {
+  expect(forecastSeries(daily(4)).model).not.toBe('mean');
+  const short = forecastSeries([3, 5, 4]);
+  expect(short).toMatchObject({ model: 'mean', backtest: null, reliability: null });
+  expect(short.forecast).toHaveLength(24);
+  expect(short.forecast[0]).toBeCloseTo(4);
+  forecastSeries(daily(3).map(value => value - 15)).forecast.forEach(value => expect(value).toBeGreaterThanOrEqual(0));
+});
+
+test('demand is forecast per zone, busiest first, above the trip threshold', () => {
+  const base = 1700000000000 - (1700000000000 % HOUR_MS);
+  const points = [];
+  for (let t = 0; t < 72; t++) {
+    const trips = 1 + (t % 24 < 12 ? 2 : 0);
+    for (let k = 0; k < trips; k++) points.push(point(`w${t}-${k}`, 51.1, 71.4, base + t * HOUR_MS));
+    if (t % 12 === 0) points.push(point(`e${t}`, 51.1, 71.6, base + t * HOUR_MS));
+  }
+  const result = forecastDemand(points, westOrEast, { horizon: 6, minTrips: 10 });
+  expect(result.forecastStart).toBe(base + 72 * HOUR_MS);
+  expect(result.zones.map(zone => zone.zone.id)).toEqual(['west']);
+  expect(result.zones[0].forecast.map(Math.round)).toEqual([3, 3, 3, 3, 3, 3]);
+});
+
+test('the history is cut to the last days, whatever stray old timestamps there are', () => {
+  const base = 1700000000000 - (1700000000000 % HOUR_MS);
+  const points = [point('stray', 51.1, 71.4, 0)];
+  for (let t = 0; t < 24 * 40; t += 6) points.push(point(`w${t}`, 51.1, 71.4, base + t * HOUR_MS));
+  const series = hourlySeries(points, westOrEast, { historyDays: 30 });
+  expect(series.hours).toBe(30 * 24);
+  expect(series.start).toBe(base + (954 - 30 * 24 + 1) * HOUR_MS);
+  expect(series.zones[0].trips).toBe(30 * 4);
+  expect(forecastDemand(points, westOrEast).hours).toBe(FORECAST_HISTORY_DAYS * 24);
+});
@@ -0,0 +1,56 @@
+export const EARTH_RADIUS_M = 6371008.8;
+export const METERS_PER_DEGREE_LAT = 111320;
+
+export const toRadians = (deg) => (deg * Math.PI) / 180;
+
+export const haversine = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Degrees of longitude spanned by `meters` at the given latitude. Clamped near
+// the poles so grid cells never collapse to zero width.
+export const metersToDegreesLng = (meters, lat) =>
+  meters / (METERS_PER_DEGREE_LAT * Math.max(Math.cos(toRadians(lat)), 0.01));
+
+export const metersToDegreesLat = (meters) => meters / METERS_PER_DEGREE_LAT;
+
+// Initial bearing from the first point to the second, in degrees clockwise
+// from north, matching the convention of the `azm` field.
+export const bearing = (lat1, lng1, lat2, lng2) => {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dLng = toRadians(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLng);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+export const angleDifference = (a, b) => {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+};
+
+// Convex hull of [lat, lng] pairs (Andrew's monotone chain), counter-clockwise
+// in lng/lat space without repeating the first vertex. Treats coordinates as
+// planar, which is fine at city scale.
+export const convexHull = (coords) => {
+  const sorted = coords.slice().sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+  if (sorted.length < 3) return sorted;
+  const cross = (o, a, b) => (a[1] - o[1]) * (b[0] - o[0]) - (a[0] - o[0]) * (b[1] - o[1]);
+  const lower = [];
+  sorted.forEach(p => {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  });
+  const upper = [];
+  sorted.slice().reverse().forEach(p => {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  });
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+};
@@ -0,0 +1,138 @@
+import { pointInPolygon } from './selection';
+import { polygonFeature, featureCollection } from '../export/geojson';
+
+// A zone is `{ id, name, polygon, rules }` with `polygon` a ring of
+// [lat, lng] vertices. Every rule is off until it is given a limit.
+export const DEFAULT_ZONE_RULES = { maxSpeed: null, maxDwellMinutes: null };
+
+// Each rule looks at the runs of consecutive trip points inside a zone and
+// returns `{ point, value }` for every breach of `limit`; `score` on the
+// violation is how far past the limit it went, so 1 is borderline.
+export const ZONE_RULES = [
+  {
+    key: 'maxSpeed',
+    label: 'Speed limit',
+    unit: 'km/h',
+    evaluate: (runs, limit) =>
+      runs.flatMap(run => run.filter(point => point.spd > limit).map(point => ({ point, value: point.spd }))),
+  },
+  {
+    key: 'maxDwellMinutes',
+    label: 'Dwell limit',
+    unit: 'min',
+    evaluate: (runs, limit) =>
+      runs
+        .filter(run => run[0].ts !== null && run[run.length - 1].ts !== null)
+        .map(run => ({ point: run[0], value: (run[run.length - 1].ts - run[0].ts) / 60000 }))
+        .filter(breach => breach.value > limit),
+  },
+];
+
+export const getZoneRule = (key) => ZONE_RULES.find(rule => rule.key === key);
+
+export const newZoneId = () => `zone-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const boundsOf = (polygon) => ({
+  south: Math.min(...polygon.map(([lat]) => lat)),
+  north: Math.max(...polygon.map(([lat]) => lat)),
+  west: Math.min(...polygon.map(([, lng]) => lng)),
+  east: Math.max(...polygon.map(([, lng]) => lng)),
+});
+
+// Runs of consecutive points of each trip that lie inside the polygon.
+// Points outside `kept`, when given, count as outside.
+const runsInside = (trips, polygon, kept) => {
+  const box = boundsOf(polygon);
+  const inside = (point) =>
+    (!kept || kept.has(point)) &&
+    point.lat >= box.south && point.lat <= box.north && point.lng >= box.west && point.lng <= box.east &&
+    pointInPolygon(point.lat, point.lng, polygon);
+  const runs = [];
+  trips.forEach(trip => {
+    let run = null;
+    trip.path.forEach(point => {
+      if (!inside(point)) {
+        run = null;
+        return;
+      }
+      if (!run) runs.push((run = []));
+      run.push(point);
+    });
+  });
+  return runs;
+};
+
+// Checks every trip, given with its `path` of points, against the rules of
+// every zone. Returns the violations, worst first, and per zone how many
+// points and trips it holds and how many violations each rule found.
+export const evaluateZones = (trips, zones, kept = null) => {
+  const violations = [];
+  const summaries = zones.map(zone => {
+    const runs = runsInside(trips, zone.polygon, kept);
+    const counts = {};
+    ZONE_RULES.forEach(rule => {
+      const limit = zone.rules[rule.key];
+      if (limit === null || limit === undefined) return;
+      const breaches = rule.evaluate(runs, limit);
+      counts[rule.key] = breaches.length;
+      breaches.forEach(({ point, value }) => violations.push({
+        zone: zone.id,
+        rule: rule.key,
+        point,
+        value,
+        limit,
+        score: limit > 0 ? value / limit : value,
+      }));
+    });
+    return {
+      id: zone.id,
+      name: zone.name,
+      points: runs.reduce((sum, run) => sum + run.length, 0),
+      trips: new Set(runs.map(run => run[0].randomized_id)).size,
+      violations: counts,
+    };
+  });
+  return { violations: violations.sort((a, b) => b.score - a.score), zones: summaries };
+};
+
+export const zonesToGeoJson = (zones) =>
+  featureCollection(zones.map(zone => polygonFeature(zone.polygon, { id: zone.id, name: zone.name, ...zone.rules })));
+
+const parseLimit = (value) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) || parsed < 0 ? null : parsed;
+};
+
+// Zones from the Polygon and MultiPolygon features of a GeoJSON object. Only
+// the outer ring of each polygon is kept; each part of a MultiPolygon
+// becomes its own zone.
+export const zonesFromGeoJson = (data) => {
+  const features = data.type === 'FeatureCollection'
+    ? data.features
+    : data.type === 'Feature' ? [data] : [{ type: 'Feature', geometry: data, properties: {} }];
+  const zones = [];
+  features.forEach(feature => {
+    const { geometry } = feature;
+    const properties = feature.properties || {};
+    if (!geometry) return;
+    const polygons = geometry.type === 'Polygon'
+      ? [geometry.coordinates]
+      : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+    const name = properties.name || `Zone ${zones.length + 1}`;
+    polygons.forEach((rings, part) => {
+      const ring = rings[0].map(([lng, lat]) => [lat, lng]);
+      const [first] = ring;
+      const last = ring[ring.length - 1];
+      if (first[0] === last[0] && first[1] === last[1]) ring.pop();
+      if (ring.length < 3) return;
+      zones.push({
+        id: polygons.length === 1 && properties.id ? String(properties.id) : newZoneId(),
+        name: polygons.length > 1 ? `${name} ${part + 1}` : name,
+        polygon: ring,
+        rules: Object.fromEntries(Object.keys(DEFAULT_ZONE_RULES).map(key => [key, parseLimit(properties[key])])),
+      });
+    });
+  });
+  if (zones.length === 0) throw new Error('No polygons found in the GeoJSON file.');
+  return zones;
+};
@@ -0,0 +1,56 @@
+import { evaluateZones, zonesToGeoJson, zonesFromGeoJson, DEFAULT_ZONE_RULES } from './geofences';
+
+const point = (id, lat, lng, spd, ts) => ({ randomized_id: id, lat, lng, alt: 0, spd, azm: 0, ts });
+
+const square = [[51.0, 71.0], [51.0, 71.1], [51.1, 71.1], [51.1, 71.0]];
+const zone = (rules) => ({ id: 'z1', name: 'Centre', polygon: square, rules: { ...DEFAULT_ZONE_RULES, ...rules } });
+
+const trips = [
+  {
+    id: 'a',
+    path: [
+      point('a', 50.9, 71.05, 30, 0),
+      point('a', 51.05, 71.05, 70, 60000),
+      point('a', 51.06, 71.05, 40, 15 * 60000),
+      point('a', 51.2, 71.05, 90, 16 * 60000),
+    ],
+  },
+  { id: 'b', path: [point('b', 51.05, 71.02, 20, 0), point('b', 51.05, 71.03, 20, 60000)] },
+];
+
+test('rules without a limit are not checked', () => {
+  const report = evaluateZones(trips, [zone({})]);
+  expect(report.violations).toEqual([]);
+  expect(report.zones[0]).toMatchObject({ id: 'z1', points: 4, trips: 2, violations: {} });
+});
+
+test('speed and dwell limits flag the points and runs inside the zone', () => {
+  const report = evaluateZones(trips, [zone({ maxSpeed: 50, maxDwellMinutes: 10 })]);
+  expect(report.zones[0].violations).toEqual({ maxSpeed: 1, maxDwellMinutes: 1 });
+  const [worst, next] = report.violations;
+  expect(worst).toMatchObject({ rule: 'maxSpeed', value: 70, limit: 50 });
+  expect(worst.point).toBe(trips[0].path[1]);
+  expect(next).toMatchObject({ rule: 'maxDwellMinutes', value: 14, limit: 10 });
+});
+
+test('points outside kept are left out', () => {
+  const kept = new Set(trips[1].path);
+  const report = evaluateZones(trips, [zone({ maxSpeed: 50 })], kept);
+  expect(report.violations).toEqual([]);
+  expect(report.zones[0]).toMatchObject({ points: 2, trips: 1 });
+});
+
+test('zones survive a GeoJSON round trip', () => {
+  const zones = [zone({ maxSpeed: 40 })];
+  const data = JSON.parse(zonesToGeoJson(zones));
+  expect(data.features[0].geometry.coordinates[0][0]).toEqual([71.0, 51.0]);
+  expect(zonesFromGeoJson(data)).toEqual(zones);
+});
+
+test('each part of a MultiPolygon becomes a zone', () => {
+  const ring = [[71.0, 51.0], [71.1, 51.0], [71.1, 51.1], [71.0, 51.0]];
+  const zones = zonesFromGeoJson({ type: 'MultiPolygon', coordinates: [[ring], [ring]] });
+  expect(zones.map(z => z.name)).toEqual(['Zone 1 1', 'Zone 1 2']);
+  expect(zones[0].rules).toEqual(DEFAULT_ZONE_RULES);
+  expect(() => zonesFromGeoJson({ type: 'FeatureCollection', features: [] })).toThrow('No polygons');
+});
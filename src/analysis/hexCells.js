@@ -0,0 +1,65 @@
+import { createHexGrid } from './hexGrid';
+import { BOTTLENECK_SPEED_KMH } from './ingest';
+
+export const HEX_SIZES = [250, 500, 1000, 2000];
+export const DEFAULT_HEX_SIZE = 500;
+
+// Linear interpolation between the closest ranks of ascending `sorted`.
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = (sorted.length - 1) * p;
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+};
+
+// Upper bounds of `classes` equal-count classes of `values`. Ties can merge
+// classes, so there may be fewer breaks than `classes - 1`.
+export const quantileBreaks = (values, classes = 5) => {
+  const sorted = Float64Array.from(values).sort();
+  const breaks = [];
+  for (let k = 1; k < classes; k++) {
+    const value = percentile(sorted, k / classes);
+    if (value !== null && value > sorted[0] && value !== breaks[breaks.length - 1]) breaks.push(value);
+  }
+  return breaks;
+};
+
+// Class of `value` given `quantileBreaks`: 0 below the first break up to
+// `breaks.length` at or above the last.
+export const classOf = (breaks, value) => {
+  let k = 0;
+  while (k < breaks.length && value >= breaks[k]) k++;
+  return k;
+};
+
+// Per-cell metrics on a hex grid of `size` metres over the points at
+// `indices` (all points when null). `anomalous` is the set of flagged points.
+export const aggregateHexCells = (points, anomalous, { size = DEFAULT_HEX_SIZE, indices = null } = {}) => {
+  const members = indices ? indices.map(i => points[i]) : points;
+  if (members.length === 0) return [];
+  const grid = createHexGrid(size, members[0].lat);
+  const cells = new Map();
+  members.forEach(point => {
+    const key = grid.keyOf(point.lat, point.lng);
+    const cell = cells.get(key);
+    if (cell) cell.push(point);
+    else cells.set(key, [point]);
+  });
+  return Array.from(cells, ([key, cellPoints]) => {
+    const speeds = Float64Array.from(cellPoints, point => point.spd).sort();
+    const [lat, lng] = grid.centreOf(key);
+    return {
+      key,
+      lat,
+      lng,
+      polygon: grid.polygonOf(key),
+      count: cellPoints.length,
+      trips: new Set(cellPoints.map(point => point.randomized_id)).size,
+      meanSpeed: speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length,
+      p85Speed: percentile(speeds, 0.85),
+      anomalyRate: cellPoints.filter(point => anomalous.has(point)).length / cellPoints.length,
+      bottleneckShare: cellPoints.filter(point => point.spd < BOTTLENECK_SPEED_KMH).length / cellPoints.length,
+    };
+  });
+};
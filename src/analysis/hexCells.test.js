@@ -0,0 +1,33 @@
+import { aggregateHexCells, percentile, quantileBreaks, classOf } from './hexCells';
+
+const point = (id, lat, spd) => ({ randomized_id: id, lat, lng: 71.4, alt: 0, spd, azm: 0, ts: null });
+
+test('cells report density, speed and risk metrics', () => {
+  const points = [
+    point('a', 51.1, 5), point('a', 51.1001, 20), point('b', 51.1002, 30), point('c', 51.1003, 40),
+    point('d', 51.2, 60),
+  ];
+  const anomalous = new Set([points[3]]);
+  const cells = aggregateHexCells(points, anomalous, { size: 500 });
+  const busy = cells.find(cell => cell.count === 4);
+
+  expect(cells).toHaveLength(2);
+  expect(busy).toMatchObject({ trips: 3, meanSpeed: 23.75, anomalyRate: 0.25, bottleneckShare: 0.25 });
+  expect(busy.p85Speed).toBeCloseTo(35.5);
+  expect(busy.polygon).toHaveLength(6);
+});
+
+test('only the points at the given indices are aggregated', () => {
+  const points = [point('a', 51.1, 5), point('b', 51.2, 50), point('c', 51.2001, 50)];
+  const cells = aggregateHexCells(points, new Set(), { indices: [1, 2] });
+  expect(cells.map(cell => cell.count)).toEqual([2]);
+  expect(aggregateHexCells(points, new Set(), { indices: [] })).toEqual([]);
+});
+
+test('quantile breaks split values into equal-count classes', () => {
+  expect(percentile([10, 20, 30, 40], 0.5)).toBe(25);
+  const breaks = quantileBreaks([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], 5);
+  expect(breaks).toHaveLength(4);
+  expect([1, 3, 10].map(value => classOf(breaks, value))).toEqual([0, 1, 4]);
+  expect(quantileBreaks([3, 3, 3, 3], 5)).toEqual([]);
+});
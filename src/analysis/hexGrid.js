@@ -0,0 +1,46 @@
+import { metersToDegreesLat, metersToDegreesLng } from './geo';
+
+const SQRT3 = Math.sqrt(3);
+
+// Pointy-top hexagons `size` metres from centre to corner, laid out on a
+// plane that is equirectangular around `refLat`. Cells are keyed "q,r" in
+// axial coordinates.
+export const createHexGrid = (size, refLat) => {
+  const degLat = metersToDegreesLat(1);
+  const degLng = metersToDegreesLng(1, refLat);
+  const toPlane = (lat, lng) => [lng / degLng, lat / degLat];
+  const toLatLng = (x, y) => [y * degLat, x * degLng];
+
+  const keyOf = (lat, lng) => {
+    const [x, y] = toPlane(lat, lng);
+    const q = ((SQRT3 / 3) * x - y / 3) / size;
+    const r = ((2 / 3) * y) / size;
+    const s = -q - r;
+    let rq = Math.round(q);
+    let rr = Math.round(r);
+    const rs = Math.round(s);
+    const dq = Math.abs(rq - q);
+    const dr = Math.abs(rr - r);
+    const ds = Math.abs(rs - s);
+    if (dq > dr && dq > ds) rq = -rr - rs;
+    else if (dr > ds) rr = -rq - rs;
+    return `${rq},${rr}`;
+  };
+
+  const centreOf = (key) => {
+    const [q, r] = key.split(',').map(Number);
+    return toLatLng(size * SQRT3 * (q + r / 2), size * 1.5 * r);
+  };
+
+  const polygonOf = (key) => {
+    const [q, r] = key.split(',').map(Number);
+    const cx = size * SQRT3 * (q + r / 2);
+    const cy = size * 1.5 * r;
+    return Array.from({ length: 6 }, (_, k) => {
+      const angle = (Math.PI / 180) * (60 * k - 30);
+      return toLatLng(cx + size * Math.cos(angle), cy + size * Math.sin(angle));
+    });
+  };
+
+  return { keyOf, centreOf, polygonOf };
+};
@@ -0,0 +1,130 @@
+const DELIMITERS = [',', ';', '\t'];
+
+const detectDelimiter = (headerLine) => {
+  let best = ',';
+  let bestCount = 0;
+  DELIMITERS.forEach(delimiter => {
+    const count = headerLine.split(delimiter).length;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+// Incremental RFC 4180 tokenizer: quoted fields may contain delimiters,
+// doubled quotes and line breaks, and any of those may straddle two chunks.
+const createRowTokenizer = (delimiter) => {
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let quotePending = false;
+  let skipLineFeed = false;
+
+  const push = (text) => {
+    const rows = [];
+    const endRow = () => {
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      field = '';
+    };
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (char === '\n') continue;
+      }
+      if (quotePending) {
+        quotePending = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        quoted = false;
+      }
+      if (quoted) {
+        if (char === '"') quotePending = true;
+        else field += char;
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        skipLineFeed = char === '\r';
+        endRow();
+      } else {
+        field += char;
+      }
+    }
+    return { rows, endRow };
+  };
+
+  return {
+    push: (text) => push(text).rows,
+    end: () => {
+      const { rows, endRow } = push('');
+      if (field !== '' || row.length > 0) endRow();
+      return rows;
+    },
+  };
+};
+
+const stripBom = (text) => text.replace(/^\uFEFF/, '');
+
+const createParser = () => {
+  let tokenizer = null;
+  let head = '';
+  let names = null;
+
+  const toRecords = (rows) => {
+    if (!names && rows.length > 0) names = rows.shift().map(name => name.trim());
+    return rows.map(values => {
+      const record = {};
+      names.forEach((name, i) => {
+        record[name] = values[i];
+      });
+      return record;
+    });
+  };
+
+  return {
+    push: (text) => {
+      if (tokenizer) return toRecords(tokenizer.push(text));
+      head += text;
+      const lineEnd = head.search(/\r?\n/);
+      if (lineEnd === -1) return [];
+      const body = stripBom(head);
+      tokenizer = createRowTokenizer(detectDelimiter(body.slice(0, body.search(/\r?\n/))));
+      head = '';
+      return toRecords(tokenizer.push(body));
+    },
+    end: () => {
+      let rows = [];
+      if (!tokenizer) {
+        const body = stripBom(head);
+        tokenizer = createRowTokenizer(detectDelimiter(body));
+        rows = tokenizer.push(body);
+      }
+      const records = toRecords([...rows, ...tokenizer.end()]);
+      if (!names) throw new Error('CSV file is empty.');
+      return records;
+    },
+  };
+};
+
+const csv = {
+  id: 'csv',
+  label: 'CSV',
+  extensions: ['.csv', '.tsv', '.txt'],
+  mimeTypes: ['text/csv', 'text/tab-separated-values'],
+  createParser,
+  parse: (text) => {
+    const parser = createParser();
+    return [...parser.push(text), ...parser.end()];
+  },
+};
+
+export default csv;
@@ -0,0 +1,41 @@
+const vertexRecords = (feature, coordinates, featureIndex) => {
+  const { coordTimes, ...properties } = feature.properties || {};
+  const id = feature.id ?? properties.id ?? featureIndex;
+  return coordinates.map(([lng, lat, alt], i) => ({
+    ...properties,
+    feature_id: id,
+    lat,
+    lng,
+    alt,
+    ...(Array.isArray(coordTimes) ? { time: coordTimes[i] } : {}),
+  }));
+};
+
+// Point features become one record each; line features contribute one record
+// per vertex, tagged with the feature id so each line reads as a trip.
+const geojson = {
+  id: 'geojson',
+  label: 'GeoJSON FeatureCollection',
+  extensions: ['.geojson'],
+  mimeTypes: ['application/geo+json'],
+  parse: (text) => {
+    let collection;
+    try {
+      collection = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Error parsing GeoJSON: ${err.message}`);
+    }
+    if (collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+      throw new Error('GeoJSON file must contain a FeatureCollection.');
+    }
+    return collection.features.flatMap((feature, index) => {
+      const { type, coordinates } = feature.geometry || {};
+      if (type === 'Point') return vertexRecords(feature, [coordinates], index);
+      if (type === 'MultiPoint' || type === 'LineString') return vertexRecords(feature, coordinates, index);
+      if (type === 'MultiLineString') return vertexRecords(feature, coordinates.flat(), index);
+      return [];
+    });
+  },
+};
+
+export default geojson;
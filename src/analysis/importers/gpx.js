@@ -0,0 +1,55 @@
+// Workers have no DOMParser, so GPX is read with a small tag scanner that
+// only understands track and route points.
+const POINT_PATTERN = /<(trkpt|rtept)\b([^>]*?)(\/>|>([\s\S]*?)<\/\1>)/g;
+const CONTAINER_PATTERN = /<(trk|rte)\b[^>]*>([\s\S]*?)<\/\1>/g;
+const CHILD_PATTERN = /<(?:\w+:)?(ele|time|speed|course|hdop|sat)>([^<]*)</g;
+
+const attribute = (attrs, name) => {
+  const match = attrs.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return match ? match[1] : undefined;
+};
+
+const decodeEntities = (value) =>
+  value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const gpx = {
+  id: 'gpx',
+  label: 'GPX',
+  extensions: ['.gpx'],
+  mimeTypes: ['application/gpx+xml'],
+  parse: (text) => {
+    const records = [];
+    let trackIndex = 0;
+    let container;
+    CONTAINER_PATTERN.lastIndex = 0;
+    while ((container = CONTAINER_PATTERN.exec(text)) !== null) {
+      const body = container[2];
+      const nameMatch = body.match(/<name>([^<]*)<\/name>/);
+      const track = nameMatch ? decodeEntities(nameMatch[1].trim()) : `${container[1]} ${trackIndex + 1}`;
+      trackIndex++;
+
+      let point;
+      POINT_PATTERN.lastIndex = 0;
+      while ((point = POINT_PATTERN.exec(body)) !== null) {
+        const record = { track, lat: attribute(point[2], 'lat'), lon: attribute(point[2], 'lon') };
+        let child;
+        CHILD_PATTERN.lastIndex = 0;
+        while ((child = CHILD_PATTERN.exec(point[4] || '')) !== null) {
+          record[child[1]] = child[2].trim();
+        }
+        records.push(record);
+      }
+    }
+    if (records.length === 0 && !/<gpx\b/.test(text)) {
+      throw new Error('File is not a GPX document.');
+    }
+    return records;
+  },
+};
+
+export default gpx;
@@ -0,0 +1,77 @@
+import { findImporter, getImporter, collectFields } from '.';
+
+test('picks importers by extension before MIME type', () => {
+  expect(findImporter('tracks.GPX', '').id).toBe('gpx');
+  expect(findImporter('zones.geojson', 'application/json').id).toBe('geojson');
+  expect(findImporter('export', 'text/csv').id).toBe('csv');
+  expect(findImporter('notes.docx', '')).toBeNull();
+});
+
+test('parses quoted CSV with a detected delimiter', () => {
+  const records = getImporter('csv').parse('id;lat;lon;note\r\n1;51.1;71.4;"a; ""b"""\r\n2;51.2;71.5;\r\n');
+  expect(records).toEqual([
+    { id: '1', lat: '51.1', lon: '71.4', note: 'a; "b"' },
+    { id: '2', lat: '51.2', lon: '71.5', note: '' },
+  ]);
+});
+
+test('parses NDJSON and reports the failing line', () => {
+  expect(getImporter('ndjson').parse('{"a":1}\n\n{"a":2}\n')).toEqual([{ a: 1 }, { a: 2 }]);
+  expect(() => getImporter('ndjson').parse('{"a":1}\n{oops}')).toThrow(/line 2/);
+});
+
+test('flattens GeoJSON points and lines into records', () => {
+  const records = getImporter('geojson').parse(JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { speed: 3 }, geometry: { type: 'Point', coordinates: [71.4, 51.1] } },
+      {
+        type: 'Feature',
+        id: 'trip-7',
+        properties: { coordTimes: ['2024-01-01T08:00:00Z', '2024-01-01T08:00:10Z'] },
+        geometry: { type: 'LineString', coordinates: [[71.4, 51.1, 350], [71.41, 51.1, 351]] },
+      },
+    ],
+  }));
+  expect(records).toHaveLength(3);
+  expect(records[0]).toMatchObject({ lat: 51.1, lng: 71.4, speed: 3, feature_id: 0 });
+  expect(records[2]).toMatchObject({ feature_id: 'trip-7', alt: 351, time: '2024-01-01T08:00:10Z' });
+  expect(collectFields(records)).toEqual(expect.arrayContaining(['feature_id', 'lat', 'lng', 'alt', 'speed', 'time']));
+});
+
+test('reads GPX track points with their child elements', () => {
+  const records = getImporter('gpx').parse(`<?xml version="1.0"?>
+    <gpx version="1.1"><trk><name>Shift A &amp; B</name><trkseg>
+      <trkpt lat="51.1" lon="71.4"><ele>350</ele><time>2024-01-01T08:00:00Z</time></trkpt>
+      <trkpt lat='51.2' lon='71.5'/>
+    </trkseg></trk></gpx>`);
+  expect(records).toEqual([
+    { track: 'Shift A & B', lat: '51.1', lon: '71.4', ele: '350', time: '2024-01-01T08:00:00Z' },
+    { track: 'Shift A & B', lat: '51.2', lon: '71.5' },
+  ]);
+});
+
+const feed = (importer, text, size) => {
+  const parser = importer.createParser();
+  const records = [];
+  for (let i = 0; i < text.length; i += size) records.push(...parser.push(text.slice(i, i + size)));
+  return [...records, ...parser.end()];
+};
+
+test('streams JSON arrays, NDJSON and CSV in arbitrary chunk sizes', () => {
+  const rows = [{ id: 'a,"]', lat: 51.1, tags: [1, { x: '}' }] }, { id: 'b', lat: 51.2, tags: [] }];
+  const csvText = 'id,lat,note\r\na,51.1,"line\r\nbreak ""q"""\r\nb,51.2,\r\n';
+  [1, 3, 7, 1000].forEach(size => {
+    expect(feed(getImporter('json'), ` ${JSON.stringify(rows, null, 2)}\n`, size)).toEqual(rows);
+    expect(feed(getImporter('ndjson'), rows.map(r => JSON.stringify(r)).join('\r\n'), size)).toEqual(rows);
+    expect(feed(getImporter('csv'), csvText, size)).toEqual([
+      { id: 'a', lat: '51.1', note: 'line\r\nbreak "q"' },
+      { id: 'b', lat: '51.2', note: '' },
+    ]);
+  });
+});
+
+test('rejects truncated or non-array JSON while streaming', () => {
+  expect(() => feed(getImporter('json'), '[{"a":1},', 4)).toThrow(/Unexpected end/);
+  expect(() => feed(getImporter('json'), '{"a":1}', 4)).toThrow(/must contain an array/);
+});
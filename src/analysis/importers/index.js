@@ -0,0 +1,44 @@
+import json from './json';
+import ndjson from './ndjson';
+import csv from './csv';
+import geojson from './geojson';
+import gpx from './gpx';
+
+// An importer turns the text of a file into flat records whose keys are the
+// source field names. Mapping those onto the canonical schema happens later.
+const importers = [];
+
+export const registerImporter = (importer) => {
+  importers.push(importer);
+};
+
+export const listImporters = () => importers.slice();
+
+export const getImporter = (id) => {
+  const importer = importers.find(candidate => candidate.id === id);
+  if (!importer) throw new Error(`Unknown input format "${id}".`);
+  return importer;
+};
+
+// Extension wins over MIME type, since browsers report `.geojson` and `.gpx`
+// inconsistently and sometimes leave the type empty.
+export const findImporter = (fileName, mimeType) => {
+  const name = fileName.toLowerCase();
+  return (
+    importers.find(importer => importer.extensions.some(ext => name.endsWith(ext))) ||
+    importers.find(importer => importer.mimeTypes.includes(mimeType)) ||
+    null
+  );
+};
+
+export const acceptedExtensions = () => importers.flatMap(importer => importer.extensions).join(',');
+
+export const collectFields = (records, limit = 1000) => {
+  const fields = new Set();
+  records.slice(0, limit).forEach(record => {
+    Object.keys(record).forEach(key => fields.add(key));
+  });
+  return Array.from(fields);
+};
+
+[json, ndjson, csv, geojson, gpx].forEach(registerImporter);
@@ -0,0 +1,95 @@
+const parseError = (message) =>
+  new Error(`Error parsing JSON: ${message}. Please ensure the file is a valid JSON array.`);
+
+// Incremental tokenizer for a top-level JSON array: it tracks nesting and
+// string state across chunks and hands each complete element to JSON.parse.
+const createParser = () => {
+  let text = '';
+  let pos = 0;
+  let elementStart = -1;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let opened = false;
+  let closed = false;
+
+  const parseElement = (records, end) => {
+    const source = text.slice(elementStart, end).trim();
+    elementStart = -1;
+    if (!source) return;
+    try {
+      records.push(JSON.parse(source));
+    } catch (err) {
+      throw parseError(err.message);
+    }
+  };
+
+  return {
+    push: (chunk) => {
+      text += chunk;
+      const records = [];
+      for (; pos < text.length; pos++) {
+        const char = text[pos];
+        if (closed) {
+          if (!/\s/.test(char)) throw parseError(`Unexpected token ${char} after the end of the array`);
+          continue;
+        }
+        if (!opened) {
+          if (char === '[') {
+            opened = true;
+            elementStart = pos + 1;
+          } else if (!/\s/.test(char)) {
+            throw parseError('JSON file must contain an array of data points');
+          }
+          continue;
+        }
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (char === '\\') escaped = true;
+          else if (char === '"') inString = false;
+        } else if (char === '"') {
+          inString = true;
+        } else if (char === '{' || char === '[') {
+          depth++;
+        } else if (depth > 0 && (char === '}' || char === ']')) {
+          depth--;
+        } else if (depth === 0 && (char === ',' || char === ']')) {
+          parseElement(records, pos);
+          elementStart = pos + 1;
+          if (char === ']') closed = true;
+        }
+      }
+      // Drop what has been consumed so the buffer only holds the open element.
+      const keep = elementStart === -1 ? pos : elementStart;
+      text = text.slice(keep);
+      pos -= keep;
+      if (elementStart !== -1) elementStart = 0;
+      return records;
+    },
+    end: () => {
+      if (!closed) throw parseError('Unexpected end of JSON input');
+      return [];
+    },
+  };
+};
+
+const json = {
+  id: 'json',
+  label: 'JSON array',
+  extensions: ['.json'],
+  mimeTypes: ['application/json'],
+  createParser,
+  parse: (text) => {
+    try {
+      const rows = JSON.parse(text);
+      if (!Array.isArray(rows)) {
+        throw new Error('JSON file must contain an array of data points.');
+      }
+      return rows;
+    } catch (err) {
+      throw parseError(err.message);
+    }
+  },
+};
+
+export default json;
@@ -0,0 +1,45 @@
+const createParser = () => {
+  let carry = '';
+  let lineNumber = 0;
+
+  const parseLines = (lines) => {
+    const records = [];
+    lines.forEach(line => {
+      lineNumber++;
+      if (!line.trim()) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (err) {
+        throw new Error(`Error parsing NDJSON line ${lineNumber}: ${err.message}`);
+      }
+    });
+    return records;
+  };
+
+  return {
+    push: (text) => {
+      const lines = (carry + text).split(/\r?\n/);
+      carry = lines.pop();
+      return parseLines(lines);
+    },
+    end: () => {
+      const records = parseLines([carry]);
+      carry = '';
+      return records;
+    },
+  };
+};
+
+const ndjson = {
+  id: 'ndjson',
+  label: 'Newline-delimited JSON',
+  extensions: ['.ndjson', '.jsonl'],
+  mimeTypes: ['application/x-ndjson', 'application/jsonl'],
+  createParser,
+  parse: (text) => {
+    const parser = createParser();
+    return [...parser.push(text), ...parser.end()];
+  },
+};
+
+export default ndjson;
@@ -0,0 +1,29 @@
+// The analysis package: everything from reading a file to the figures the
+// views show, with no React, DOM or worker code, so the app, its workers and
+// the `analyze` CLI share it. Result shapes are described in ./schema.
+export * from './pipeline';
+export * from './ingest';
+export * from './streaming';
+export * from './importers';
+export * from './fieldMapping';
+export * from './quality';
+export * from './privacy';
+export * from './clustering';
+export * from './trips';
+export * from './detectors';
+export * from './congestion';
+export * from './safety';
+export * from './timeline';
+export * from './selection';
+export * from './view';
+export * from './analytics';
+export * from './comparison';
+export * from './hexCells';
+export * from './odFlows';
+export * from './forecast';
+export * from './geofences';
+export * from './slidingWindow';
+export * from './roadGraph';
+export * from './mapMatching';
+export * from './transfer';
+export * from './geo';
@@ -0,0 +1,137 @@
+import { createRecordMapper, DEFAULT_MAPPING } from './fieldMapping';
+import { createSpeedDeriver } from './trips';
+import { createRunningStats, createGridCounter, createGroupReservoir, createHistogram } from './aggregates';
+
+export const BOTTLENECK_SPEED_KMH = 10;
+export const DEFAULT_RETAIN_LIMIT = 500000;
+export const HEAT_CELL_SIZE = 100;
+
+// Thresholds a point must meet to be kept. The altitude range only rules out
+// readings no road vehicle can produce.
+export const DEFAULT_CLEANING = {
+  minSpeed: 0,
+  maxSpeed: 200,
+  minAlt: -500,
+  maxAlt: 9000,
+  dropDuplicates: true,
+};
+
+// Why a point is dropped, or null to keep it: the name of a field that did
+// not parse, 'speedRange' or 'altRange'. Duplicates need the previous point
+// and are checked by the ingestor, which also counts 'noSpeed' for records
+// whose speed could not be derived and 'outOfOrder' for those that arrived
+// too far out of time order to derive one.
+export const rejectionReason = (row, cleaning = DEFAULT_CLEANING) => {
+  const field = ['lat', 'lng', 'alt', 'spd', 'azm'].find(key => isNaN(row[key]));
+  if (field) return field;
+  if (row.spd < cleaning.minSpeed || row.spd > cleaning.maxSpeed) return 'speedRange';
+  if (row.alt < cleaning.minAlt || row.alt > cleaning.maxAlt) return 'altRange';
+  return null;
+};
+
+export const isValidPoint = (row, cleaning = DEFAULT_CLEANING) => rejectionReason(row, cleaning) === null;
+
+export const SPEED_HISTOGRAM = { min: 0, max: 250, width: 10 };
+export const ALTITUDE_HISTOGRAM = { min: -500, max: 5000, width: 250 };
+
+// Cleans records batch by batch while keeping exact running aggregates over
+// every valid point. Only a sample of at most `retainLimit` points is kept
+// for the passes that need individual points, made of whole trips so trip
+// distances, stops and speeds stay right. `summary.quality` counts the
+// rejected records by reason and keeps speed and altitude histograms from
+// before and after cleaning.
+export const createIngestor = ({ mapping = DEFAULT_MAPPING, retainLimit = DEFAULT_RETAIN_LIMIT, cleaning = {} } = {}) => {
+  const thresholds = { ...DEFAULT_CLEANING, ...cleaning };
+  const toPoint = createRecordMapper(mapping);
+  const deriver = mapping.fields.spd ? null : createSpeedDeriver();
+  const speed = createRunningStats();
+  const heat = createGridCounter(HEAT_CELL_SIZE);
+  const sample = createGroupReservoir(retainLimit, point => point.randomized_id);
+  const rejected = {};
+  const histograms = {
+    speed: { before: createHistogram(SPEED_HISTOGRAM), after: createHistogram(SPEED_HISTOGRAM) },
+    alt: { before: createHistogram(ALTITUDE_HISTOGRAM), after: createHistogram(ALTITUDE_HISTOGRAM) },
+  };
+  const previous = new Map();
+  let records = 0;
+  let bottlenecks = 0;
+
+  // A repeat of the trip's previous point: same time and place or, without
+  // timestamps, same place, speed and heading.
+  const isDuplicate = (point) => {
+    if (!thresholds.dropDuplicates) return false;
+    const prev = previous.get(point.randomized_id);
+    previous.set(point.randomized_id, point);
+    if (prev === undefined || prev.lat !== point.lat || prev.lng !== point.lng) return false;
+    return point.ts === null
+      ? prev.ts === null && prev.spd === point.spd && prev.azm === point.azm
+      : prev.ts === point.ts;
+  };
+
+  const reject = (reason) => {
+    rejected[reason] = (rejected[reason] || 0) + 1;
+  };
+
+  const accept = (point) => {
+    histograms.speed.before.add(point.spd);
+    histograms.alt.before.add(point.alt);
+    const reason = rejectionReason(point, thresholds);
+    if (reason) {
+      reject(reason);
+      return;
+    }
+    histograms.speed.after.add(point.spd);
+    histograms.alt.after.add(point.alt);
+    speed.push(point.spd);
+    heat.add(point.lat, point.lng);
+    if (point.spd < BOTTLENECK_SPEED_KMH) bottlenecks++;
+    sample.add(point);
+  };
+
+  const summary = () => ({
+    records,
+    points: speed.count(),
+    meanSpeed: speed.mean(),
+    stdSpeed: speed.std(),
+    bottlenecks,
+    retained: sample.size(),
+    sampled: sample.size() < speed.count(),
+  });
+
+  return {
+    add: (batch) => {
+      batch.forEach(record => {
+        records++;
+        const point = toPoint(record);
+        if (isDuplicate(point)) reject('duplicate');
+        else if (deriver) deriver.push(point).forEach(accept);
+        else accept(point);
+      });
+    },
+    summary,
+    // Drains the speed deriver; records it never released were lost for want
+    // of a speed.
+    finish: () => {
+      if (deriver) {
+        deriver.flush().forEach(accept);
+        if (deriver.outOfOrder() > 0) rejected.outOfOrder = deriver.outOfOrder();
+      }
+      const counted = speed.count() + Object.values(rejected).reduce((sum, count) => sum + count, 0);
+      if (deriver && records > counted) rejected.noSpeed = records - counted;
+      return {
+        points: sample.items(),
+        summary: {
+          ...summary(),
+          heat: heat.toArray(),
+          quality: {
+            rejected: { ...rejected },
+            histograms: {
+              speed: { before: histograms.speed.before.toJSON(), after: histograms.speed.after.toJSON() },
+              alt: { before: histograms.alt.before.toJSON(), after: histograms.alt.after.toJSON() },
+            },
+          },
+        },
+      };
+    },
+  };
+};
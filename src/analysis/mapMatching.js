@@ -0,0 +1,163 @@
+import { haversine, angleDifference, toRadians } from './geo';
+import { nearestEdges, edgeBearing, shortestPaths } from './roadGraph';
+
+export const DEFAULT_MATCH_OPTIONS = {
+  searchRadius: 50,
+  sigma: 10,
+  beta: 50,
+  maxCandidates: 5,
+};
+
+// Heading only says something about the direction of travel while moving.
+const HEADING_MIN_SPEED = 5;
+
+const emission = (graph, point, candidate, sigma) => {
+  let score = -0.5 * (candidate.distance / sigma) ** 2;
+  if (point.spd >= HEADING_MIN_SPEED) {
+    const diff = angleDifference(edgeBearing(graph, candidate.edge), point.azm);
+    score += Math.log(0.55 + 0.45 * Math.cos(toRadians(diff)));
+  }
+  return score;
+};
+
+const routeLength = (graph, from, to, routes) => {
+  const a = graph.edges[from.edge];
+  const b = graph.edges[to.edge];
+  if (from.edge === to.edge && to.fraction >= from.fraction) {
+    return (to.fraction - from.fraction) * a.length;
+  }
+  const between = routes.get(a.to).distanceTo(b.from);
+  return (1 - from.fraction) * a.length + between + to.fraction * b.length;
+};
+
+const routeEdges = (graph, from, to, routes) => {
+  if (from.edge === to.edge && to.fraction >= from.fraction) return [];
+  return [...routes.get(graph.edges[from.edge].to).edgesTo(graph.edges[to.edge].from), to.edge];
+};
+
+// Hidden Markov model map matching (Newson & Krumm, 2009): candidates are
+// road edges near each fix, emissions fall off with GPS distance, and
+// transitions prefer routes whose length agrees with the straight-line hop.
+// Returns the matched edge for each kept point and the full sequence of edges
+// driven. A gap the graph cannot bridge starts a new chain.
+export const matchTrip = (graph, path, options = {}) => {
+  const { searchRadius, sigma, beta, maxCandidates } = { ...DEFAULT_MATCH_OPTIONS, ...options };
+  const matches = [];
+  const driven = [];
+  let chain = [];
+
+  const closeChain = () => {
+    if (chain.length === 0) return;
+    let best = 0;
+    const last = chain[chain.length - 1];
+    last.scores.forEach((score, c) => {
+      if (score > last.scores[best]) best = c;
+    });
+    const picked = [];
+    for (let k = chain.length - 1; k >= 0; k--) {
+      picked.unshift({ point: chain[k].point, candidate: chain[k].candidates[best] });
+      best = chain[k].back[best];
+    }
+    picked.forEach((step, k) => {
+      if (k === 0) driven.push(step.candidate.edge);
+      else driven.push(...routeEdges(graph, picked[k - 1].candidate, step.candidate, chain[k].routes));
+      matches.push(step);
+    });
+    chain = [];
+  };
+
+  let lastKept = null;
+  path.forEach((point, k) => {
+    const isLast = k === path.length - 1;
+    if (lastKept && !isLast && haversine(lastKept.lat, lastKept.lng, point.lat, point.lng) < 2 * sigma) return;
+    const candidates = nearestEdges(graph, point.lat, point.lng, searchRadius, maxCandidates);
+    if (candidates.length === 0) {
+      closeChain();
+      return;
+    }
+    const emissions = candidates.map(c => emission(graph, point, c, sigma));
+
+    const prev = chain[chain.length - 1];
+    if (!prev) {
+      chain.push({ point, candidates, scores: emissions, back: candidates.map(() => -1), routes: null });
+      lastKept = point;
+      return;
+    }
+
+    const hop = haversine(prev.point.lat, prev.point.lng, point.lat, point.lng);
+    const maxRoute = hop * 3 + 2 * searchRadius + 200;
+    const targets = candidates.map(c => graph.edges[c.edge].from);
+    const routes = new Map();
+    prev.candidates.forEach(c => {
+      const source = graph.edges[c.edge].to;
+      if (!routes.has(source)) routes.set(source, shortestPaths(graph, source, targets, maxRoute));
+    });
+
+    const scores = [];
+    const back = [];
+    candidates.forEach((candidate, c) => {
+      let bestScore = -Infinity;
+      let bestPrev = -1;
+      prev.candidates.forEach((from, p) => {
+        const length = routeLength(graph, from, candidate, routes);
+        if (!isFinite(length)) return;
+        const score = prev.scores[p] - Math.abs(length - hop) / beta;
+        if (score > bestScore) {
+          bestScore = score;
+          bestPrev = p;
+        }
+      });
+      scores.push(bestScore + emissions[c]);
+      back.push(bestPrev);
+    });
+
+    if (scores.every(score => score === -Infinity)) {
+      closeChain();
+      chain.push({ point, candidates, scores: emissions, back: candidates.map(() => -1), routes: null });
+    } else {
+      chain.push({ point, candidates, scores, back, routes });
+    }
+    lastKept = point;
+  });
+  closeChain();
+
+  return { matches, driven };
+};
+
+// Matches every trip and aggregates per road segment: how many trips drove
+// it and the number and average speed of the fixes snapped onto it.
+export const matchTrips = (graph, trips, options = {}, onProgress = () => {}) => {
+  const traversals = new Map();
+  const speeds = new Map();
+
+  trips.forEach((trip, t) => {
+    const { matches, driven } = matchTrip(graph, trip.path, options);
+    new Set(driven.map(e => graph.edges[e].segment)).forEach(segment => {
+      traversals.set(segment, (traversals.get(segment) || 0) + 1);
+    });
+    matches.forEach(({ point, candidate }) => {
+      const segment = graph.edges[candidate.edge].segment;
+      const entry = speeds.get(segment) || { sum: 0, count: 0 };
+      entry.sum += point.spd;
+      entry.count += 1;
+      speeds.set(segment, entry);
+    });
+    if ((t + 1) % 100 === 0) onProgress(t + 1);
+  });
+
+  return Array.from(traversals, ([segment, count]) => {
+    const { from, to, name } = graph.segments[segment];
+    const speed = speeds.get(segment);
+    return {
+      segment,
+      name,
+      coords: [
+        [graph.nodes[from].lat, graph.nodes[from].lng],
+        [graph.nodes[to].lat, graph.nodes[to].lng],
+      ],
+      traversals: count,
+      fixes: speed ? speed.count : 0,
+      avgSpeed: speed ? speed.sum / speed.count : null,
+    };
+  });
+};
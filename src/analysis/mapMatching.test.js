@@ -0,0 +1,41 @@
+import { createRoadGraph } from './roadGraph';
+import { matchTrip, matchTrips } from './mapMatching';
+
+// Two parallel east-west streets ~110 m apart joined by a north-south street.
+const roads = [
+  { coords: [[51.1, 71.4], [51.1, 71.402], [51.1, 71.404]], oneway: false, name: 'South' },
+  { coords: [[51.101, 71.4], [51.101, 71.402], [51.101, 71.404]], oneway: false, name: 'North' },
+  { coords: [[51.1, 71.404], [51.101, 71.404]], oneway: false, name: 'Link' },
+];
+
+const fix = (lat, lng, azm) => ({ lat, lng, spd: 30, azm });
+
+test('snaps a noisy trace to the street it drives along', () => {
+  const graph = createRoadGraph(roads);
+  const path = [
+    fix(51.09994, 71.4, 90),
+    fix(51.10008, 71.401, 90),
+    fix(51.09994, 71.402, 90),
+    fix(51.10008, 71.403, 90),
+  ];
+  const { matches, driven } = matchTrip(graph, path);
+  const names = new Set(driven.map(e => graph.segments[graph.edges[e].segment].name));
+  expect(matches.length).toBeGreaterThan(0);
+  expect(names).toEqual(new Set(['South']));
+});
+
+test('routes through the connecting street when turning onto the parallel road', () => {
+  const graph = createRoadGraph(roads);
+  const path = [
+    fix(51.1, 71.401, 90),
+    fix(51.1, 71.4035, 90),
+    fix(51.1005, 71.40401, 0),
+    fix(51.101, 71.4035, 270),
+    fix(51.101, 71.401, 270),
+  ];
+  const segments = matchTrips(graph, [{ path }]);
+  const names = segments.map(s => s.name);
+  expect(names).toContain('Link');
+  expect(names).toContain('North');
+  segments.forEach(s => expect(s.traversals).toBe(1));
+});
@@ -0,0 +1,125 @@
+import { dbscan } from './clustering';
+import { createHexGrid } from './hexGrid';
+import { toRadians } from './geo';
+
+export const DEFAULT_HOTSPOT_OPTIONS = { epsilon: 250, minPoints: 3 };
+export const OD_HEX_SIZE = 1000;
+
+// The first and last point of every trip that has more than one point. Trip
+// paths hold the points themselves.
+export const tripEndpoints = (trips) =>
+  trips
+    .filter(trip => trip.path.length >= 2)
+    .map(trip => ({ trip, origin: trip.path[0], destination: trip.path[trip.path.length - 1] }));
+
+const hotspotsOf = (points, options, label) =>
+  dbscan(points, options).clusters
+    .map(members => ({
+      lat: members.reduce((sum, i) => sum + points[i].lat, 0) / members.length,
+      lng: members.reduce((sum, i) => sum + points[i].lng, 0) / members.length,
+      trips: members.length,
+    }))
+    .sort((a, b) => b.trips - a.trips)
+    .map((hotspot, i) => ({ id: `${label} ${i + 1}`, ...hotspot }));
+
+export const findHotspots = (endpoints, options = {}) => {
+  const settings = { ...DEFAULT_HOTSPOT_OPTIONS, ...options };
+  return {
+    pickups: hotspotsOf(endpoints.map(endpoint => endpoint.origin), settings, 'Pickup'),
+    dropoffs: hotspotsOf(endpoints.map(endpoint => endpoint.destination), settings, 'Drop-off'),
+  };
+};
+
+// A zoning maps a point to the `{ id, lat, lng }` zone it belongs to, or null.
+export const hexZoning = (endpoints, size = OD_HEX_SIZE) => {
+  if (endpoints.length === 0) return () => null;
+  const grid = createHexGrid(size, endpoints[0].origin.lat);
+  const zones = new Map();
+  return (point) => {
+    const key = grid.keyOf(point.lat, point.lng);
+    if (!zones.has(key)) {
+      const [lat, lng] = grid.centreOf(key);
+      zones.set(key, { id: `Hex ${key}`, lat, lng, polygon: grid.polygonOf(key) });
+    }
+    return zones.get(key);
+  };
+};
+
+// Points outside every DBSCAN cluster have no zone.
+export const clusterZoning = (clusters, metrics) => {
+  const zones = new Map();
+  clusters.forEach((members, c) => members.forEach(point => zones.set(point, metrics[c])));
+  return (point) => zones.get(point) || null;
+};
+
+// Trip counts between zones, busiest first. Trips starting or ending outside
+// every zone are counted in `unzoned`.
+export const buildOdMatrix = (endpoints, zoneOf) => {
+  const flows = new Map();
+  let unzoned = 0;
+  endpoints.forEach(({ trip, origin, destination }) => {
+    const from = zoneOf(origin);
+    const to = zoneOf(destination);
+    if (!from || !to) {
+      unzoned++;
+      return;
+    }
+    const key = `${from.id}→${to.id}`;
+    let flow = flows.get(key);
+    if (!flow) {
+      flow = { origin: from.id, destination: to.id, from: [from.lat, from.lng], to: [to.lat, to.lng], trips: 0, distance: 0, duration: 0, timed: 0 };
+      flows.set(key, flow);
+    }
+    flow.trips++;
+    flow.distance += trip.distance;
+    if (trip.duration !== null) {
+      flow.duration += trip.duration;
+      flow.timed++;
+    }
+  });
+  return {
+    flows: Array.from(flows.values())
+      .map(({ distance, duration, timed, ...flow }) => ({
+        ...flow,
+        avgDistance: distance / flow.trips,
+        avgDuration: timed > 0 ? duration / timed : null,
+      }))
+      .sort((a, b) => b.trips - a.trips),
+    unzoned,
+  };
+};
+
+// Points along a quadratic curve from `from` to `to`, bowed to the right of
+// the direction of travel so that A→B and B→A don't draw on top of each
+// other.
+export const flowCurve = (from, to, bend = 0.2, steps = 24) => {
+  const cos = Math.cos(toRadians((from[0] + to[0]) / 2));
+  const [x1, y1, x2, y2] = [from[1] * cos, from[0], to[1] * cos, to[0]];
+  const cx = (x1 + x2) / 2 + (y2 - y1) * bend;
+  const cy = (y1 + y2) / 2 - (x2 - x1) * bend;
+  return Array.from({ length: steps + 1 }, (_, k) => {
+    const t = k / steps;
+    const x = (1 - t) ** 2 * x1 + 2 * (1 - t) * t * cx + t ** 2 * x2;
+    const y = (1 - t) ** 2 * y1 + 2 * (1 - t) * t * cy + t ** 2 * y2;
+    return [y, x / cos];
+  });
+};
+
+// Triangle at the end of a curve, pointing along its last step and sized as
+// a share of the distance between the curve's ends.
+export const arrowHead = (curve, share = 0.12) => {
+  const cos = Math.cos(toRadians(curve[0][0]));
+  const toPlane = ([lat, lng]) => [lng * cos, lat];
+  const [tx, ty] = toPlane(curve[curve.length - 1]);
+  const [px, py] = toPlane(curve[curve.length - 2]);
+  const [sx, sy] = toPlane(curve[0]);
+  const size = Math.hypot(tx - sx, ty - sy) * share;
+  const length = Math.hypot(tx - px, ty - py) || 1;
+  const [ux, uy] = [(tx - px) / length, (ty - py) / length];
+  const [bx, by] = [tx - ux * size, ty - uy * size];
+  return [
+    [ty, tx / cos],
+    [by + ux * size * 0.5, (bx - uy * size * 0.5) / cos],
+    [by - ux * size * 0.5, (bx + uy * size * 0.5) / cos],
+  ];
+};
@@ -0,0 +1,75 @@
+import { tripEndpoints, findHotspots, hexZoning, clusterZoning, buildOdMatrix, flowCurve, arrowHead } from './odFlows';
+import { createHexGrid } from './hexGrid';
+import { haversine } from './geo';
+
+const point = (id, lat, lng, ts = null) => ({ randomized_id: id, lat, lng, alt: 0, spd: 30, azm: 0, ts });
+
+// Decoded trips hold their points in `path`.
+const trip = (id, from, to, minutes = 10) => {
+  const t0 = Date.UTC(2024, 0, 1, 8);
+  const path = [point(id, ...from, t0), point(id, (from[0] + to[0]) / 2, (from[1] + to[1]) / 2), point(id, ...to, t0 + minutes * 60000)];
+  return { id, path, distance: haversine(...from, ...to), duration: minutes * 60 };
+};
+
+const STATION = [51.1, 71.4];
+const AIRPORT = [51.03, 71.46];
+
+test('hex cells round-trip their centre and neighbours stay apart', () => {
+  const grid = createHexGrid(500, 51.1);
+  const key = grid.keyOf(51.1, 71.4);
+  const [lat, lng] = grid.centreOf(key);
+  expect(grid.keyOf(lat, lng)).toBe(key);
+  expect(haversine(51.1, 71.4, lat, lng)).toBeLessThanOrEqual(500);
+  expect(grid.polygonOf(key)).toHaveLength(6);
+  grid.polygonOf(key).forEach(([a, b]) => expect(haversine(lat, lng, a, b)).toBeCloseTo(500, -1));
+  expect(grid.keyOf(51.1, 71.42)).not.toBe(key);
+});
+
+test('trip ends form pickup and drop-off hotspots', () => {
+  const trips = [
+    ...['a', 'b', 'c', 'd'].map(id => trip(id, STATION, AIRPORT)),
+    trip('e', AIRPORT, [51.2, 71.5]),
+    { id: 'single', path: [point('single', 51.3, 71.3)], distance: 0, duration: null },
+  ];
+  const endpoints = tripEndpoints(trips);
+  expect(endpoints).toHaveLength(5);
+
+  const { pickups, dropoffs } = findHotspots(endpoints);
+  expect(pickups).toEqual([expect.objectContaining({ id: 'Pickup 1', trips: 4 })]);
+  expect(pickups[0].lat).toBeCloseTo(STATION[0]);
+  expect(dropoffs).toEqual([expect.objectContaining({ id: 'Drop-off 1', trips: 4 })]);
+});
+
+test('the OD matrix counts trips between hex cells, busiest first', () => {
+  const trips = [
+    ...['a', 'b', 'c'].map(id => trip(id, STATION, AIRPORT)),
+    trip('d', AIRPORT, STATION, 20),
+  ];
+  const endpoints = tripEndpoints(trips);
+  const { flows, unzoned } = buildOdMatrix(endpoints, hexZoning(endpoints));
+  expect(unzoned).toBe(0);
+  expect(flows.map(flow => flow.trips)).toEqual([3, 1]);
+  expect(flows[0].origin).toBe(flows[1].destination);
+  expect(flows[0].avgDuration).toBe(600);
+  expect(flows[1].avgDuration).toBe(1200);
+});
+
+test('cluster zoning leaves out trips ending outside every cluster', () => {
+  const trips = [trip('a', STATION, AIRPORT), trip('b', STATION, [51.2, 71.5])];
+  const clusters = [[trips[0].path[0], trips[1].path[0]], [trips[0].path[2]]];
+  const metrics = [{ id: 'Cluster 1', lat: STATION[0], lng: STATION[1] }, { id: 'Cluster 2', lat: AIRPORT[0], lng: AIRPORT[1] }];
+  const { flows, unzoned } = buildOdMatrix(tripEndpoints(trips), clusterZoning(clusters, metrics));
+  expect(flows).toEqual([expect.objectContaining({ origin: 'Cluster 1', destination: 'Cluster 2', trips: 1 })]);
+  expect(unzoned).toBe(1);
+});
+
+test('flow curves bow to the right and end in an arrow at the destination', () => {
+  const curve = flowCurve([51, 71], [51.1, 71]);
+  expect(curve[0]).toEqual([51, 71]);
+  expect(curve[curve.length - 1][0]).toBeCloseTo(51.1);
+  expect(curve[Math.floor(curve.length / 2)][1]).toBeGreaterThan(71);
+
+  const [tip, ...base] = arrowHead(curve);
+  expect(tip).toEqual(curve[curve.length - 1]);
+  base.forEach(([lat]) => expect(lat).toBeLessThan(tip[0]));
+});
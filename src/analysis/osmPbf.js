@@ -0,0 +1,214 @@
+// Minimal reader for the OpenStreetMap PBF format: just enough protobuf
+// decoding to pull nodes and tagged ways out of a local extract.
+// https://wiki.openstreetmap.org/wiki/PBF_Format
+
+let textDecoder = null;
+const decodeText = (bytes) => {
+  if (!textDecoder) textDecoder = new TextDecoder();
+  return textDecoder.decode(bytes);
+};
+
+const createReader = (bytes) => {
+  let pos = 0;
+
+  const varint = () => {
+    let result = 0;
+    let shift = 1;
+    let byte;
+    do {
+      byte = bytes[pos++];
+      result += (byte & 0x7f) * shift;
+      shift *= 128;
+    } while (byte & 0x80);
+    return result;
+  };
+
+  const zigzag = (n) => (n % 2 === 0 ? n / 2 : -(n + 1) / 2);
+
+  // A negative int64 is a ten-byte two's complement varint, past what a
+  // double holds exactly, so the bits from 28 up are summed on their own.
+  const int64 = () => {
+    let low = 0;
+    let high = 0;
+    let shift = 1;
+    let byte;
+    do {
+      byte = bytes[pos++];
+      if (shift < 2 ** 28) low += (byte & 0x7f) * shift;
+      else high += (byte & 0x7f) * (shift / 2 ** 28);
+      shift *= 128;
+    } while (byte & 0x80);
+    return (high >= 2 ** 35 ? high - 2 ** 36 : high) * 2 ** 28 + low;
+  };
+
+  const bytesField = () => {
+    const length = varint();
+    const slice = bytes.subarray(pos, pos + length);
+    pos += length;
+    return slice;
+  };
+
+  const skip = (wireType) => {
+    if (wireType === 0) varint();
+    else if (wireType === 1) pos += 8;
+    else if (wireType === 2) pos += varint();
+    else if (wireType === 5) pos += 4;
+    else throw new Error(`Unsupported protobuf wire type ${wireType}`);
+  };
+
+  const packed = (signed) => {
+    const sub = createReader(bytesField());
+    const values = [];
+    while (!sub.done()) values.push(signed ? sub.svarint() : sub.varint());
+    return values;
+  };
+
+  return {
+    done: () => pos >= bytes.length,
+    tag: () => {
+      const key = varint();
+      return [Math.floor(key / 8), key % 8];
+    },
+    varint,
+    int64,
+    svarint: () => zigzag(varint()),
+    bytes: bytesField,
+    string: () => decodeText(bytesField()),
+    packed,
+    skip,
+  };
+};
+
+const readFields = (bytes, handlers) => {
+  const reader = createReader(bytes);
+  while (!reader.done()) {
+    const [field, wireType] = reader.tag();
+    if (handlers[field]) handlers[field](reader);
+    else reader.skip(wireType);
+  }
+};
+
+const inflate = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const readBlob = async (bytes) => {
+  let raw = null;
+  let zlib = null;
+  readFields(bytes, {
+    1: r => { raw = r.bytes(); },
+    3: r => { zlib = r.bytes(); },
+  });
+  if (raw) return raw;
+  if (zlib) return inflate(zlib);
+  throw new Error('Unsupported PBF blob compression (only raw and zlib are supported).');
+};
+
+const tagsFrom = (keys, vals, strings) => {
+  const tags = {};
+  keys.forEach((key, i) => {
+    tags[strings[key]] = strings[vals[i]];
+  });
+  return tags;
+};
+
+const readPrimitiveBlock = (bytes, onNode, onWay) => {
+  const strings = [];
+  const groups = [];
+  let granularity = 100;
+  let latOffset = 0;
+  let lngOffset = 0;
+  readFields(bytes, {
+    1: r => readFields(r.bytes(), { 1: s => strings.push(s.string()) }),
+    2: r => groups.push(r.bytes()),
+    17: r => { granularity = r.varint(); },
+    19: r => { latOffset = r.int64(); },
+    20: r => { lngOffset = r.int64(); },
+  });
+  const toLat = (value) => 1e-9 * (latOffset + granularity * value);
+  const toLng = (value) => 1e-9 * (lngOffset + granularity * value);
+
+  groups.forEach(group => readFields(group, {
+    1: r => {
+      let id = 0;
+      let lat = 0;
+      let lng = 0;
+      readFields(r.bytes(), {
+        1: n => { id = n.svarint(); },
+        8: n => { lat = n.svarint(); },
+        9: n => { lng = n.svarint(); },
+      });
+      onNode(id, toLat(lat), toLng(lng));
+    },
+    2: r => {
+      let ids = [];
+      let lats = [];
+      let lngs = [];
+      readFields(r.bytes(), {
+        1: d => { ids = d.packed(true); },
+        8: d => { lats = d.packed(true); },
+        9: d => { lngs = d.packed(true); },
+      });
+      let id = 0;
+      let lat = 0;
+      let lng = 0;
+      for (let i = 0; i < ids.length; i++) {
+        id += ids[i];
+        lat += lats[i];
+        lng += lngs[i];
+        onNode(id, toLat(lat), toLng(lng));
+      }
+    },
+    3: r => {
+      let id = 0;
+      let keys = [];
+      let vals = [];
+      let refs = [];
+      readFields(r.bytes(), {
+        1: w => { id = w.varint(); },
+        2: w => { keys = w.packed(false); },
+        3: w => { vals = w.packed(false); },
+        8: w => { refs = w.packed(true); },
+      });
+      for (let i = 1; i < refs.length; i++) refs[i] += refs[i - 1];
+      onWay({ id, refs, tags: tagsFrom(keys, vals, strings) });
+    },
+  }));
+};
+
+// Reads every node and every way accepted by `wayFilter(tags)`. Node
+// coordinates are kept in parallel arrays keyed through `nodes.index`.
+export const readOsmPbf = async (buffer, wayFilter = () => true) => {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const nodes = { index: new Map(), lat: [], lng: [] };
+  const ways = [];
+
+  const onNode = (id, lat, lng) => {
+    nodes.index.set(id, nodes.lat.length);
+    nodes.lat.push(lat);
+    nodes.lng.push(lng);
+  };
+  const onWay = (way) => {
+    if (wayFilter(way.tags)) ways.push(way);
+  };
+
+  let pos = 0;
+  while (pos < bytes.length) {
+    const headerLength = view.getUint32(pos);
+    pos += 4;
+    let type = '';
+    let dataSize = 0;
+    readFields(bytes.subarray(pos, pos + headerLength), {
+      1: r => { type = r.string(); },
+      3: r => { dataSize = r.varint(); },
+    });
+    pos += headerLength;
+    const blob = bytes.subarray(pos, pos + dataSize);
+    pos += dataSize;
+    if (type === 'OSMData') readPrimitiveBlock(await readBlob(blob), onNode, onWay);
+  }
+
+  return { nodes, ways };
+};
@@ -0,0 +1,97 @@
+import { TextDecoder } from 'util';
+import { readOsmPbf } from './osmPbf';
+import { loadRoadNetwork } from './roadGraph';
+
+global.TextDecoder = TextDecoder;
+
+const varint = (value) => {
+  const out = [];
+  while (value >= 128) {
+    out.push((value % 128) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  out.push(value);
+  return out;
+};
+
+// Negative int64 values take all ten bytes of their two's complement.
+const int64 = (value) => {
+  if (value >= 0) return varint(value);
+  const low = ((value % 2 ** 28) + 2 ** 28) % 2 ** 28;
+  const high = (value - low) / 2 ** 28 + 2 ** 36;
+  const chunks = [0, 1, 2, 3].map(i => Math.floor(low / 128 ** i) % 128)
+    .concat([0, 1, 2, 3, 4, 5].map(i => Math.floor(high / 128 ** i) % 128));
+  return chunks.map((chunk, i) => (i < 9 ? chunk | 0x80 : chunk));
+};
+
+const sint = (value) => varint(value < 0 ? -2 * value - 1 : 2 * value);
+const key = (field, wireType) => varint(field * 8 + wireType);
+const bytesField = (field, bytes) => [...key(field, 2), ...varint(bytes.length), ...bytes];
+const text = (value) => [...Buffer.from(value)];
+const packed = (field, values, encode) => bytesField(field, values.flatMap(encode));
+const deltas = (values) => values.map((value, i) => value - (i > 0 ? values[i - 1] : 0));
+
+// One raw OSMData blob holding a single PrimitiveBlock.
+const buildPbf = ({ strings, latOffset, lngOffset, nodes, ways }) => {
+  const toUnits = (degrees, offset) => Math.round((degrees * 1e9 - offset) / 100);
+  const dense = [
+    ...packed(1, deltas(nodes.map(node => node.id)), sint),
+    ...packed(8, deltas(nodes.map(node => toUnits(node.lat, latOffset))), sint),
+    ...packed(9, deltas(nodes.map(node => toUnits(node.lng, lngOffset))), sint),
+  ];
+  const group = [
+    ...bytesField(2, dense),
+    ...ways.flatMap(way => bytesField(3, [
+      ...key(1, 0), ...varint(way.id),
+      ...packed(2, Object.keys(way.tags).map(tag => strings.indexOf(tag)), varint),
+      ...packed(3, Object.values(way.tags).map(tag => strings.indexOf(tag)), varint),
+      ...packed(8, deltas(way.refs), sint),
+    ])),
+  ];
+  const block = [
+    ...bytesField(1, strings.flatMap(string => bytesField(1, text(string)))),
+    ...bytesField(2, group),
+    ...key(17, 0), ...varint(100),
+    ...key(19, 0), ...int64(latOffset),
+    ...key(20, 0), ...int64(lngOffset),
+  ];
+  const blob = bytesField(1, block);
+  const header = [...bytesField(1, text('OSMData')), ...key(3, 0), ...varint(blob.length)];
+  const length = new Uint8Array(4);
+  new DataView(length.buffer).setUint32(0, header.length);
+  return Uint8Array.from([...length, ...header, ...blob]).buffer;
+};
+
+const pbf = buildPbf({
+  strings: ['', 'highway', 'residential', 'footway', 'name', 'Defensa'],
+  latOffset: -34000000000,
+  lngOffset: -58000000000,
+  nodes: [
+    { id: 101, lat: -34.6101, lng: -58.3712 },
+    { id: 102, lat: -34.6111, lng: -58.3713 },
+    { id: 103, lat: -34.6121, lng: -58.3714 },
+  ],
+  ways: [
+    { id: 7, refs: [101, 102, 103], tags: { highway: 'residential', name: 'Defensa' } },
+    { id: 8, refs: [103, 101], tags: { highway: 'footway' } },
+  ],
+});
+
+test('reads dense nodes and ways, with negative coordinate offsets', async () => {
+  const { nodes, ways } = await readOsmPbf(pbf);
+  expect([...nodes.index.keys()]).toEqual([101, 102, 103]);
+  expect(nodes.lat[2]).toBeCloseTo(-34.6121, 7);
+  expect(nodes.lng[2]).toBeCloseTo(-58.3714, 7);
+  expect(ways).toEqual([
+    { id: 7, refs: [101, 102, 103], tags: { highway: 'residential', name: 'Defensa' } },
+    { id: 8, refs: [103, 101], tags: { highway: 'footway' } },
+  ]);
+});
+
+test('loads the drivable ways of a PBF extract as a road graph', async () => {
+  const graph = await loadRoadNetwork({ name: 'centro.osm.pbf', arrayBuffer: async () => pbf });
+  expect(graph.nodes).toHaveLength(3);
+  expect(graph.nodes[0].lat).toBeCloseTo(-34.6101, 7);
+  expect(graph.segments.map(segment => segment.name)).toEqual(['Defensa', 'Defensa']);
+  expect(graph.edges).toHaveLength(4);
+});
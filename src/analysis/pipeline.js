@@ -0,0 +1,112 @@
+import { dbscan, summarizeClusters } from './clustering';
+import { buildTrips } from './trips';
+import { createIngestor, BOTTLENECK_SPEED_KMH } from './ingest';
+import { detectAnomalies } from './detectors';
+import { analyseCongestion } from './congestion';
+import { applyPrivacy, suppressClusters, noisyClusterMetrics, privateCongestion } from './privacy';
+import { applyQuality, findJitter, findGaps, DEFAULT_QUALITY_OPTIONS } from './quality';
+import { streamRecords, formatBytes } from './streaming';
+import { getImporter } from './importers';
+
+const PARTIAL_INTERVAL_MS = 250;
+
+export const cleanPoints = (records, mapping, cleaning) => {
+  const ingestor = createIngestor({ mapping, retainLimit: Infinity, cleaning });
+  ingestor.add(records);
+  return ingestor.finish().points;
+};
+
+export const findBottlenecks = (points) => {
+  const indices = [];
+  points.forEach((r, i) => {
+    if (r.spd < BOTTLENECK_SPEED_KMH) indices.push(i);
+  });
+  return indices;
+};
+
+export const PIPELINE_STAGES = ['read', 'cleaned', 'quality', 'clustered', 'trips', 'congestion', 'analysed'];
+
+// With privacy on, clusters of fewer than `k` distinct trips are dropped.
+export const clusterStage = (points, clusterOptions, privacy = null) => {
+  let { labels, clusters } = dbscan(points, clusterOptions);
+  if (!privacy || !privacy.enabled) return { labels, metrics: summarizeClusters(points, clusters) };
+  ({ labels, clusters } = suppressClusters(points, labels, clusters, privacy.k));
+  const metrics = summarizeClusters(points, clusters);
+  return { labels, metrics: privacy.noise ? noisyClusterMetrics(metrics, points.length, privacy.epsilon) : metrics };
+};
+
+// Runs the passes that need individual points over the cleaned (possibly
+// sampled) points. `onProgress` receives `{ stage, message }` after each pass
+// so callers can report how far along a long run is. `options.cleaning` sets
+// the data-quality checks, which run first; with `options.privacy` enabled,
+// trip ends are trimmed before anything else sees the points.
+export const runAnalysis = (cleaned, cleanedSummary, options = {}, onProgress = () => {}) => {
+  if (cleaned.length === 0) {
+    throw new Error('No valid data points after cleaning. Check data format.');
+  }
+  onProgress({
+    stage: 'cleaned',
+    message: `Cleaned ${cleanedSummary.points.toLocaleString()} valid points from ${cleanedSummary.records.toLocaleString()} rows`,
+  });
+
+  const quality = { ...DEFAULT_QUALITY_OPTIONS, ...options.cleaning };
+  const checked = applyQuality(cleaned, cleanedSummary, quality);
+  const privacy = options.privacy && options.privacy.enabled ? options.privacy : null;
+  const { points, summary } = privacy ? applyPrivacy(checked.points, checked.summary, privacy) : checked;
+  if (points.length === 0) {
+    throw new Error('No points left after trimming trip ends for privacy. Lower the trimmed distance.');
+  }
+  onProgress({
+    stage: 'quality',
+    message: `Found ${summary.quality.outliers.toLocaleString()} points far outside the data` +
+      (privacy ? `, trimmed ${summary.privacy.trimmed.toLocaleString()} from trip ends` : ''),
+  });
+
+  const { labels, metrics } = clusterStage(points, options.cluster, privacy);
+  onProgress({ stage: 'clustered', message: `Found ${metrics.length.toLocaleString()} clusters` });
+
+  const trips = buildTrips(points);
+  summary.quality.jitter = findJitter(points, trips, quality.jitterMeters);
+  summary.quality.gaps = findGaps(points, trips, quality.gapSeconds);
+  onProgress({ stage: 'trips', message: `Reconstructed ${trips.length.toLocaleString()} trips` });
+
+  const found = analyseCongestion(points, trips, options.congestion);
+  const congestion = privacy ? privateCongestion(found, privacy.k) : found;
+  onProgress({ stage: 'congestion', message: `Found ${congestion.zones.length.toLocaleString()} congestion zones` });
+
+  const anomalies = detectAnomalies(points, { trips, labels }, options.detectors, options.detectorOptions);
+  const bottlenecks = findBottlenecks(points);
+  onProgress({ stage: 'analysed', message: 'Detected anomalies and bottlenecks' });
+
+  return { points, summary, labels, metrics, trips, congestion, anomalies, bottlenecks };
+};
+
+// Whole-array variant for records that are already in memory.
+export const runPipeline = (records, options = {}, onProgress = () => {}) => {
+  const ingestor = createIngestor({ mapping: options.mapping, retainLimit: options.retainLimit, cleaning: options.cleaning });
+  ingestor.add(records);
+  const { points, summary } = ingestor.finish();
+  return runAnalysis(points, summary, options, onProgress);
+};
+
+// Streams `file` (a Blob with a name, or a File) through the importer for
+// `options.format` and analyses what it read. While reading, `onProgress`
+// also receives `within`, how far through the file the reader is, and the
+// running summary, at most every PARTIAL_INTERVAL_MS.
+export const analyzeFile = async (file, options, onProgress = () => {}) => {
+  const ingestor = createIngestor({ mapping: options.mapping, retainLimit: options.retainLimit, cleaning: options.cleaning });
+  let lastReport = 0;
+  onProgress({ stage: 'read', within: 0, message: `Reading ${file.name}` });
+  await streamRecords(file, getImporter(options.format), ingestor.add, (bytes) => {
+    if (Date.now() - lastReport < PARTIAL_INTERVAL_MS) return;
+    lastReport = Date.now();
+    onProgress({
+      stage: 'read',
+      within: file.size > 0 ? bytes / file.size : 1,
+      message: `Read ${formatBytes(bytes)} of ${formatBytes(file.size)}`,
+      summary: ingestor.summary(),
+    });
+  });
+  const { points, summary } = ingestor.finish();
+  return runAnalysis(points, summary, options, onProgress);
+};
@@ -0,0 +1,196 @@
+import { haversine } from './geo';
+import { groupById, orderTrip } from './trips';
+import { NOISE } from './clustering';
+import { createRunningStats } from './aggregates';
+import { createCellGrid, maxAbsLatitude } from './spatialIndex';
+import { BOTTLENECK_SPEED_KMH, HEAT_CELL_SIZE } from './ingest';
+
+// Speeds are capped at 200 km/h during cleaning, which bounds how much one
+// point can move a mean speed.
+const MAX_SPEED_KMH = 200;
+
+export const DEFAULT_PRIVACY_OPTIONS = {
+  enabled: false,
+  trimMeters: 200,
+  k: 5,
+  noise: false,
+  epsilon: 1,
+};
+
+// Drops the points within `meters` of the start and of the end of every
+// trip, measured along the trip, so its origin and destination - often a
+// home or workplace - are not shown. Trips shorter than twice that vanish.
+export const trimTripEnds = (points, meters) => {
+  const kept = new Uint8Array(points.length);
+  groupById(points).forEach(indices => {
+    const path = orderTrip(points, indices);
+    const along = [0];
+    for (let k = 1; k < path.length; k++) {
+      const a = points[path[k - 1]];
+      const b = points[path[k]];
+      along.push(along[k - 1] + haversine(a.lat, a.lng, b.lat, b.lng));
+    }
+    const total = along[along.length - 1];
+    path.forEach((i, k) => {
+      if (along[k] > meters && total - along[k] > meters) kept[i] = 1;
+    });
+  });
+  return points.filter((point, i) => kept[i]);
+};
+
+// Laplace noise with the given scale, from a uniform `random()`.
+export const laplace = (scale, random = Math.random) => {
+  const u = random() - 0.5;
+  return -scale * Math.sign(u) * Math.log(1 - 2 * Math.abs(u));
+};
+
+// A count changes by at most one when one point is added or removed, so
+// Laplace noise of scale 1/ε makes it ε-differentially private.
+export const noisyCount = (count, epsilon, random = Math.random) =>
+  Math.max(0, Math.round(count + laplace(1 / epsilon, random)));
+
+// mulberry32: a small seeded uniform generator.
+export const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const querySecrets = new WeakMap();
+
+// Noise for the points at `indices` of the private result `summary` belongs
+// to, seeded by those indices and a secret kept per summary object (never
+// stored or exported). Asking for the same points again gives the same noisy
+// figures rather than fresh draws that could be averaged away. Different
+// figures of the same points ask with their own `salt`, e.g. QUERY_CLUSTERS,
+// so their noise is not the same draws.
+export const QUERY_SUMMARY = 0;
+export const QUERY_CLUSTERS = 1;
+export const QUERY_SEGMENTS = 2;
+export const QUERY_COMPARE = 3;
+
+export const queryRandom = (summary, indices, salt = QUERY_SUMMARY) => {
+  if (!querySecrets.has(summary)) querySecrets.set(summary, Math.floor(Math.random() * 2 ** 32));
+  let hash = Math.imul(querySecrets.get(summary) ^ 0x811c9dc5, 16777619) ^ salt;
+  indices.forEach(i => {
+    hash = Math.imul(hash ^ i, 16777619);
+  });
+  return seededRandom(hash);
+};
+
+const noisyMean = (mean, count, epsilon, random) =>
+  count > 0 ? Math.min(Math.max(mean + laplace(MAX_SPEED_KMH / (count * epsilon), random), 0), MAX_SPEED_KMH) : mean;
+
+// Heat cells, as `[lat, lng, count]`, visited by at least `k` distinct trips.
+export const privateHeat = (points, k, cellSize = HEAT_CELL_SIZE) => {
+  if (points.length === 0) return [];
+  const grid = createCellGrid(cellSize, maxAbsLatitude(points));
+  const cells = new Map();
+  points.forEach(point => {
+    const key = grid.keyOf(point.lat, point.lng);
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = { lat: 0, lng: 0, count: 0, trips: new Set() };
+      cells.set(key, cell);
+    }
+    cell.lat += point.lat;
+    cell.lng += point.lng;
+    cell.count++;
+    cell.trips.add(point.randomized_id);
+  });
+  return Array.from(cells.values())
+    .filter(cell => cell.trips.size >= k)
+    .map(cell => [cell.lat / cell.count, cell.lng / cell.count, cell.count]);
+};
+
+// Whether the points `members` come from at least `k` distinct trips.
+export const hasKTrips = (members, k) => new Set(members.map(point => point.randomized_id)).size >= k;
+
+// Relabels clusters so only those with at least `k` distinct trips remain;
+// the members of the others become noise.
+export const suppressClusters = (points, labels, clusters, k) => {
+  const kept = clusters.filter(members => hasKTrips(members.map(i => points[i]), k));
+  const relabelled = new Int32Array(labels.length).fill(NOISE);
+  kept.forEach((members, c) => members.forEach(i => { relabelled[i] = c; }));
+  return { labels: relabelled, clusters: kept };
+};
+
+export const noisyClusterMetrics = (metrics, total, epsilon, random = Math.random) =>
+  metrics.map(cluster => {
+    const points = noisyCount(cluster.points, epsilon, random);
+    return {
+      ...cluster,
+      points,
+      avgSpeed: Math.round(noisyMean(cluster.avgSpeed, cluster.points, epsilon, random)),
+      density: total > 0 ? Math.round((points / total) * 100) : 0,
+    };
+  });
+
+// The summary fields of `points` that describe them in aggregate, with heat
+// cells below `k` trips suppressed and, with `noise`, Laplace noise on the
+// counts and mean speed. Heat comes as `[lat, lng, count]` cells.
+export const privateSummary = (points, options, random = Math.random) => {
+  const { k, noise, epsilon } = { ...DEFAULT_PRIVACY_OPTIONS, ...options };
+  const speed = createRunningStats();
+  let bottlenecks = 0;
+  points.forEach(point => {
+    speed.push(point.spd);
+    if (point.spd < BOTTLENECK_SPEED_KMH) bottlenecks++;
+  });
+  const heat = privateHeat(points, k);
+  const exact = { points: points.length, retained: points.length, bottlenecks, meanSpeed: speed.mean(), stdSpeed: speed.std() };
+  if (!noise) return { ...exact, heat };
+  return {
+    ...exact,
+    points: noisyCount(points.length, epsilon, random),
+    bottlenecks: noisyCount(bottlenecks, epsilon, random),
+    meanSpeed: noisyMean(speed.mean(), points.length, epsilon, random),
+    heat: heat
+      .map(([lat, lng, count]) => [lat, lng, noisyCount(count, epsilon, random)])
+      .filter(cell => cell[2] > 0),
+  };
+};
+
+// Congestion zones crossed by fewer than `k` distinct trips are dropped and
+// the rest renumbered, so the gaps do not give them away. Dwell events only
+// keep where in their trip they happened, not which trip or where.
+export const privateCongestion = (congestion, k) => ({
+  ...congestion,
+  zones: congestion.zones.filter(zone => zone.trips >= k).map((zone, i) => ({ ...zone, id: `Zone ${i + 1}` })),
+  dwells: congestion.dwells.map(({ position }) => ({ position })),
+});
+
+// Matched road segments driven by at least `k` trips, with the trip counts
+// and mean speeds noised under `noise`.
+export const privateSegments = (segments, options, random = Math.random) => {
+  const { k, noise, epsilon } = { ...DEFAULT_PRIVACY_OPTIONS, ...options };
+  const kept = segments.filter(segment => segment.traversals >= k);
+  if (!noise) return kept;
+  return kept.map(segment => ({
+    ...segment,
+    traversals: noisyCount(segment.traversals, epsilon, random),
+    avgSpeed: segment.avgSpeed === null ? null : noisyMean(segment.avgSpeed, segment.fixes, epsilon, random),
+  }));
+};
+
+// Trims trip ends and rebuilds the summary from what is left. The summary
+// records the settings in `privacy`.
+export const applyPrivacy = (points, summary, options, random = Math.random) => {
+  const settings = { ...DEFAULT_PRIVACY_OPTIONS, ...options };
+  const kept = trimTripEnds(points, settings.trimMeters);
+  const { heat, ...aggregates } = privateSummary(kept, settings, random);
+  const { trimMeters, k, noise, epsilon } = settings;
+  return {
+    points: kept,
+    summary: {
+      ...summary,
+      ...aggregates,
+      heat: Float64Array.from(heat.flat()),
+      privacy: { trimMeters, k, noise, epsilon, trimmed: points.length - kept.length },
+    },
+  };
+};
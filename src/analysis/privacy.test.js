@@ -0,0 +1,85 @@
+import { trimTripEnds, privateHeat, suppressClusters, applyPrivacy, noisyCount, laplace, privateCongestion, privateSegments } from './privacy';
+import { runPipeline } from './pipeline';
+import { dbscan } from './clustering';
+
+const point = (id, lat, spd = 30, ts = null) => ({ randomized_id: id, lat, lng: 71.4, alt: 0, spd, azm: 0, ts });
+
+// Points every ~111 m heading north.
+const trip = (id, count, lat0 = 51.1) =>
+  Array.from({ length: count }, (_, k) => point(id, lat0 + k * 0.001, 30, Date.UTC(2024, 0, 1, 8, k)));
+
+test('trip ends are trimmed along the trip and short trips vanish', () => {
+  const points = [...trip('long', 10), ...trip('short', 3, 51.3)];
+  const kept = trimTripEnds(points, 200);
+  expect(kept.every(p => p.randomized_id === 'long')).toBe(true);
+  expect(kept.map(p => Math.round((p.lat - 51.1) * 1000))).toEqual([2, 3, 4, 5, 6, 7]);
+});
+
+test('heat cells and clusters with fewer than k trips are suppressed', () => {
+  const crowd = ['a', 'b', 'c'].map(id => point(id, 51.1));
+  const lone = [0, 1, 2].map(() => point('d', 51.2));
+  const points = [...crowd, ...lone];
+
+  expect(privateHeat(points, 3)).toEqual([[51.1, 71.4, 3]]);
+
+  const { labels, clusters } = dbscan(points, { epsilon: 50, minPoints: 3 });
+  const suppressed = suppressClusters(points, labels, clusters, 3);
+  expect(suppressed.clusters).toHaveLength(1);
+  expect(Array.from(suppressed.labels)).toEqual([0, 0, 0, -1, -1, -1]);
+});
+
+test('noise is Laplace distributed around the true count', () => {
+  expect(laplace(1, () => 0.5)).toBeCloseTo(0);
+  expect(laplace(2, () => 0.75)).toBeCloseTo(2 * Math.log(2));
+  expect(noisyCount(3, 1, () => 0.01)).toBe(0);
+  const draws = Array.from({ length: 2000 }, () => noisyCount(100, 1));
+  expect(draws.reduce((sum, value) => sum + value, 0) / draws.length).toBeCloseTo(100, 0);
+});
+
+test('the pipeline runs on trimmed points and records the privacy settings', () => {
+  const rows = ['a', 'b', 'c', 'd', 'e'].flatMap(id => trip(id, 12));
+  const privacy = { enabled: true, trimMeters: 200, k: 5, noise: false, epsilon: 1 };
+  const result = runPipeline(rows, { cluster: { epsilon: 150, minPoints: 3 }, privacy });
+
+  expect(result.points).toHaveLength(5 * 8);
+  expect(result.summary.privacy).toMatchObject({ k: 5, trimMeters: 200, trimmed: 20 });
+  expect(result.metrics.every(cluster => cluster.points >= 5)).toBe(true);
+  expect(runPipeline(rows, { cluster: { epsilon: 150, minPoints: 3 } }).summary.privacy).toBeUndefined();
+
+  const { summary } = applyPrivacy(rows, { records: rows.length }, { k: 6 });
+  expect(summary.heat).toHaveLength(0);
+});
+
+test('congestion zones with fewer than k trips are dropped and dwells lose their location', () => {
+  const zone = (trips, delay) => ({ id: null, lat: 51.1, lng: 71.4, polygon: [], points: 10, trips, delay });
+  const congestion = {
+    zones: [zone(8, 300), zone(1, 200), zone(5, 100)].map((z, i) => ({ ...z, id: `Zone ${i + 1}` })),
+    dwells: [{ id: 'a', lat: 51.1, lng: 71.4, points: 4, duration: 120, position: 'start' }],
+    slowPoints: 30,
+    freeFlowKmh: 40,
+  };
+  const hidden = privateCongestion(congestion, 5);
+  expect(hidden.zones.map(z => [z.id, z.trips])).toEqual([['Zone 1', 8], ['Zone 2', 5]]);
+  expect(hidden.dwells).toEqual([{ position: 'start' }]);
+  expect(hidden.slowPoints).toBe(30);
+
+  // Three trips crawl through one stretch of road, a fourth through another.
+  const crawl = (id, lng) => Array.from({ length: 20 }, (_, k) => ({
+    randomized_id: id, lat: 51.1 + k * 0.0003, lng, spd: k < 4 || k >= 16 ? 12 : 1.5, ts: Date.UTC(2024, 0, 1, 8, 0, k * 10),
+  }));
+  const rows = [...['a', 'b', 'c'].flatMap(id => crawl(id, 71.4)), ...crawl('d', 71.5)];
+  const options = { cluster: { epsilon: 100, minPoints: 3 } };
+  expect(runPipeline(rows, options).congestion.zones.map(z => z.trips)).toEqual([3, 1]);
+  const result = runPipeline(rows, { ...options, privacy: { enabled: true, trimMeters: 0, k: 3 } });
+  expect(result.congestion.zones.map(z => [z.id, z.trips])).toEqual([['Zone 1', 3]]);
+  expect(result.congestion.dwells.every(dwell => Object.keys(dwell).join() === 'position')).toBe(true);
+});
+
+test('road segments driven by fewer than k trips are dropped and the rest noised', () => {
+  const segment = (id, traversals) => ({ segment: id, name: '', coords: [], traversals, fixes: traversals * 4, avgSpeed: 30 });
+  const segments = [segment(0, 8), segment(1, 2)];
+  expect(privateSegments(segments, { k: 3 }).map(s => s.segment)).toEqual([0]);
+  const [noisy] = privateSegments(segments, { k: 3, noise: true, epsilon: 0.1 }, () => 0.99);
+  expect(noisy.traversals).toBeGreaterThan(8);
+  expect(noisy.avgSpeed).toBeGreaterThan(30);
+});
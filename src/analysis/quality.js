@@ -0,0 +1,143 @@
+import { haversine } from './geo';
+import { STOP_SPEED_KMH } from './trips';
+import { percentile } from './hexCells';
+import { DEFAULT_CLEANING, BOTTLENECK_SPEED_KMH } from './ingest';
+
+// Row thresholds from `DEFAULT_CLEANING` plus the checks that need the whole
+// dataset. Only `dropOutliers` removes points; jitter and gaps are reported.
+export const DEFAULT_QUALITY_OPTIONS = {
+  ...DEFAULT_CLEANING,
+  outlierKm: 50,
+  dropOutliers: false,
+  jitterMeters: 20,
+  gapSeconds: 300,
+};
+
+// The box between the 1st and 99th percentile of latitudes and longitudes,
+// so a few stray fixes cannot stretch it.
+export const robustBounds = (points) => {
+  const lats = points.map(point => point.lat).sort((a, b) => a - b);
+  const lngs = points.map(point => point.lng).sort((a, b) => a - b);
+  return {
+    south: percentile(lats, 0.01),
+    north: percentile(lats, 0.99),
+    west: percentile(lngs, 0.01),
+    east: percentile(lngs, 0.99),
+  };
+};
+
+// Metres from the point to the nearest edge of `bounds`, 0 inside it.
+export const distanceOutside = (bounds, lat, lng) => {
+  const nearLat = Math.min(Math.max(lat, bounds.south), bounds.north);
+  const nearLng = Math.min(Math.max(lng, bounds.west), bounds.east);
+  return haversine(lat, lng, nearLat, nearLng);
+};
+
+const removeFromHistogram = (histogram, value) => {
+  if (value < histogram.min) histogram.under--;
+  else if (value >= histogram.min + histogram.counts.length * histogram.width) histogram.over--;
+  else histogram.counts[Math.floor((value - histogram.min) / histogram.width)]--;
+};
+
+// Copies of the ingestor's histograms with the outliers taken out of the
+// "after cleaning" side.
+const dropFromHistograms = (histograms, outliers) => {
+  const without = (key, field) => {
+    const after = { ...histograms[key].after, counts: histograms[key].after.counts.slice() };
+    outliers.forEach(point => removeFromHistogram(after, point[field]));
+    return { ...histograms[key], after };
+  };
+  return { speed: without('speed', 'spd'), alt: without('alt', 'alt') };
+};
+
+// Takes the outliers out of the exact aggregates of `summary`. The mean and
+// spread are recovered from the sums of values and squares, and heat cells
+// that lie outside the box themselves are dropped.
+const withoutOutliers = (summary, outliers, isOutlier) => {
+  const count = summary.points - outliers.length;
+  const sum = summary.meanSpeed * summary.points - outliers.reduce((total, point) => total + point.spd, 0);
+  const squares = (summary.stdSpeed ** 2 + summary.meanSpeed ** 2) * summary.points -
+    outliers.reduce((total, point) => total + point.spd ** 2, 0);
+  const meanSpeed = count > 0 ? sum / count : 0;
+  const heat = [];
+  for (let i = 0; i < summary.heat.length; i += 3) {
+    if (!isOutlier(summary.heat[i], summary.heat[i + 1])) heat.push(summary.heat[i], summary.heat[i + 1], summary.heat[i + 2]);
+  }
+  return {
+    points: count,
+    meanSpeed,
+    stdSpeed: count > 0 ? Math.sqrt(Math.max(squares / count - meanSpeed ** 2, 0)) : 0,
+    bottlenecks: summary.bottlenecks - outliers.filter(point => point.spd < BOTTLENECK_SPEED_KMH).length,
+    retained: summary.retained - outliers.length,
+    heat: Float64Array.from(heat),
+  };
+};
+
+// Finds points more than `outlierKm` outside the bounding box of the rest of
+// the data and, with `dropOutliers`, removes them. With sampled data only the
+// retained points can be dropped, but their heat cells go either way.
+export const applyQuality = (points, summary, options = {}) => {
+  const settings = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+  const bounds = robustBounds(points);
+  const isOutlier = (lat, lng) => distanceOutside(bounds, lat, lng) > settings.outlierKm * 1000;
+  const outliers = points.filter(point => isOutlier(point.lat, point.lng));
+  const quality = {
+    ...summary.quality,
+    settings,
+    bounds,
+    outliers: outliers.length,
+  };
+  if (!settings.dropOutliers || outliers.length === 0) {
+    return { points, summary: { ...summary, quality } };
+  }
+
+  const rejected = { ...quality.rejected, outlier: outliers.length };
+  const histograms = quality.histograms && dropFromHistograms(quality.histograms, outliers);
+  return {
+    points: points.filter(point => !isOutlier(point.lat, point.lng)),
+    summary: { ...summary, ...withoutOutliers(summary, outliers, isOutlier), quality: { ...quality, rejected, histograms } },
+  };
+};
+
+// Steps between two fixes that both report a standstill but lie further
+// apart than `jitterMeters` plus what walking pace would cover in the time
+// between them. Trips are `{ path }` objects with point indices.
+export const findJitter = (points, trips, jitterMeters) => {
+  let steps = 0;
+  let largest = 0;
+  const affected = new Set();
+  trips.forEach(({ path }) => {
+    for (let k = 1; k < path.length; k++) {
+      const a = points[path[k - 1]];
+      const b = points[path[k]];
+      if (a.spd >= STOP_SPEED_KMH || b.spd >= STOP_SPEED_KMH) continue;
+      const jump = haversine(a.lat, a.lng, b.lat, b.lng);
+      const drift = a.ts !== null && b.ts !== null ? (STOP_SPEED_KMH / 3.6) * Math.abs(b.ts - a.ts) / 1000 : 0;
+      if (jump <= jitterMeters + drift) continue;
+      steps++;
+      largest = Math.max(largest, jump);
+      affected.add(a.randomized_id);
+    }
+  });
+  return { steps, trips: affected.size, largest };
+};
+
+// Gaps longer than `gapSeconds` between consecutive timed fixes of a trip.
+export const findGaps = (points, trips, gapSeconds) => {
+  let count = 0;
+  let longest = 0;
+  const affected = new Set();
+  trips.forEach(({ path }) => {
+    for (let k = 1; k < path.length; k++) {
+      const a = points[path[k - 1]];
+      const b = points[path[k]];
+      if (a.ts === null || b.ts === null) continue;
+      const seconds = (b.ts - a.ts) / 1000;
+      if (seconds <= gapSeconds) continue;
+      count++;
+      longest = Math.max(longest, seconds);
+      affected.add(a.randomized_id);
+    }
+  });
+  return { count, trips: affected.size, longest };
+};
@@ -0,0 +1,50 @@
+import { applyQuality, robustBounds, findJitter, findGaps } from './quality';
+import { runPipeline } from './pipeline';
+import { createIngestor } from './ingest';
+
+const point = (id, lat, lng, spd = 30, ts = null) => ({ randomized_id: id, lat, lng, alt: 0, spd, azm: 0, ts });
+
+test('points far outside the robust bounding box are found and can be dropped', () => {
+  const rows = [
+    ...Array.from({ length: 200 }, (_, i) => point(`t${i % 10}`, 51.1 + (i % 20) * 0.001, 71.4 + Math.floor(i / 20) * 0.001, i % 2 ? 5 : 40)),
+    point('stray', 55.75, 37.6, 10),
+  ];
+  const ingestor = createIngestor();
+  ingestor.add(rows);
+  const { points, summary } = ingestor.finish();
+
+  expect(robustBounds(points).north).toBeLessThan(51.2);
+  const kept = applyQuality(points, summary, { outlierKm: 50 });
+  expect(kept.points).toHaveLength(201);
+  expect(kept.summary.quality.outliers).toBe(1);
+
+  const dropped = applyQuality(points, summary, { outlierKm: 50, dropOutliers: true });
+  expect(dropped.points).toHaveLength(200);
+  expect(dropped.summary.points).toBe(200);
+  expect(dropped.summary.meanSpeed).toBeCloseTo(81);
+  expect(dropped.summary.stdSpeed).toBeCloseTo(63);
+  expect(dropped.summary.quality.rejected.outlier).toBe(1);
+  expect(dropped.summary.quality.histograms.speed.after.counts[3]).toBe(0);
+  expect(Array.from(dropped.summary.heat).some((value, i) => i % 3 === 0 && value > 55)).toBe(false);
+});
+
+test('jitter is a standstill jump further than walking pace explains', () => {
+  const minute = 60000;
+  const points = [
+    point('a', 51.1, 71.4, 0, 0),
+    point('a', 51.1005, 71.4, 0, 10000),
+    point('a', 51.1005, 71.4, 0, 10 * minute),
+    point('a', 51.1015, 71.4, 0, 20 * minute),
+  ];
+  const trips = [{ path: [0, 1, 2, 3] }];
+  expect(findJitter(points, trips, 20)).toEqual({ steps: 1, trips: 1, largest: expect.any(Number) });
+  expect(findGaps(points, trips, 300)).toEqual({ count: 2, trips: 1, longest: 600 });
+});
+
+test('the pipeline reports the quality checks in the summary', () => {
+  const rows = Array.from({ length: 30 }, (_, k) => point(`t${k % 3}`, 51.1 + k * 0.0005, 71.4, 30, Date.UTC(2024, 0, 1, 8, k)));
+  const { summary } = runPipeline(rows, { cleaning: { gapSeconds: 60 } });
+  expect(summary.quality.settings.gapSeconds).toBe(60);
+  expect(summary.quality.gaps.count).toBe(27);
+  expect(summary.quality.rejected).toEqual({});
+});
@@ -0,0 +1,234 @@
+import { haversine, bearing, toRadians, METERS_PER_DEGREE_LAT } from './geo';
+import { createCellGrid, maxAbsLatitude } from './spatialIndex';
+import { readOsmPbf } from './osmPbf';
+
+export const DRIVABLE_HIGHWAYS = new Set([
+  'motorway', 'motorway_link', 'trunk', 'trunk_link', 'primary', 'primary_link',
+  'secondary', 'secondary_link', 'tertiary', 'tertiary_link', 'unclassified',
+  'residential', 'living_street', 'service', 'road',
+]);
+
+const INDEX_CELL_SIZE = 200;
+
+// Builds a routable graph from polylines of `[lat, lng]` pairs. Every pair of
+// consecutive vertices becomes a segment; two-way roads get a directed edge
+// in each direction, one-way roads only the forward edge.
+export const createRoadGraph = (roads) => {
+  const nodes = [];
+  const nodeIds = new Map();
+  const segments = [];
+  const edges = [];
+  const adjacency = [];
+
+  const nodeFor = ([lat, lng]) => {
+    const key = `${lat},${lng}`;
+    if (!nodeIds.has(key)) {
+      nodeIds.set(key, nodes.length);
+      nodes.push({ lat, lng });
+      adjacency.push([]);
+    }
+    return nodeIds.get(key);
+  };
+
+  const addEdge = (segment, from, to) => {
+    adjacency[from].push(edges.length);
+    edges.push({ segment, from, to, length: segments[segment].length });
+  };
+
+  roads.forEach(({ coords, oneway, name, highway }) => {
+    for (let i = 1; i < coords.length; i++) {
+      const from = nodeFor(coords[i - 1]);
+      const to = nodeFor(coords[i]);
+      if (from === to) continue;
+      const segment = segments.length;
+      segments.push({
+        from,
+        to,
+        length: haversine(nodes[from].lat, nodes[from].lng, nodes[to].lat, nodes[to].lng),
+        name,
+        highway,
+      });
+      if (oneway === -1) {
+        addEdge(segment, to, from);
+      } else {
+        addEdge(segment, from, to);
+        if (!oneway) addEdge(segment, to, from);
+      }
+    }
+  });
+
+  const grid = createCellGrid(INDEX_CELL_SIZE, maxAbsLatitude(nodes));
+  const cells = new Map();
+  // Edges are registered in every cell touched by samples taken at half-cell
+  // steps, so any edge within half a cell of a query falls in its 3x3 block.
+  edges.forEach((edge, e) => {
+    const a = nodes[edge.from];
+    const b = nodes[edge.to];
+    const steps = Math.ceil(edge.length / (INDEX_CELL_SIZE / 2)) || 1;
+    const keys = new Set();
+    for (let s = 0; s <= steps; s++) {
+      const t = s / steps;
+      keys.add(grid.keyOf(a.lat + (b.lat - a.lat) * t, a.lng + (b.lng - a.lng) * t));
+    }
+    keys.forEach(key => {
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(e);
+    });
+  });
+
+  return { nodes, segments, edges, adjacency, grid, cells };
+};
+
+const onewayOf = (tags) => {
+  if (tags.oneway === 'yes' || tags.oneway === '1' || tags.oneway === 'true') return true;
+  if (tags.oneway === '-1') return -1;
+  return tags.highway === 'motorway' || tags.junction === 'roundabout';
+};
+
+const roadsFromGeoJson = (geojson) => {
+  const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+  const roads = [];
+  features.forEach(feature => {
+    const tags = feature.properties || {};
+    if (tags.highway && !DRIVABLE_HIGHWAYS.has(tags.highway)) return;
+    const { type, coordinates } = feature.geometry || {};
+    const lines = type === 'LineString' ? [coordinates] : type === 'MultiLineString' ? coordinates : [];
+    lines.forEach(line => roads.push({
+      coords: line.map(([lng, lat]) => [lat, lng]),
+      oneway: onewayOf(tags),
+      name: tags.name || '',
+      highway: tags.highway || '',
+    }));
+  });
+  return roads;
+};
+
+const roadsFromPbf = async (buffer) => {
+  const { nodes, ways } = await readOsmPbf(buffer, tags => DRIVABLE_HIGHWAYS.has(tags.highway));
+  return ways.map(way => ({
+    coords: way.refs
+      .filter(ref => nodes.index.has(ref))
+      .map(ref => {
+        const i = nodes.index.get(ref);
+        return [nodes.lat[i], nodes.lng[i]];
+      }),
+    oneway: onewayOf(way.tags),
+    name: way.tags.name || '',
+    highway: way.tags.highway,
+  }));
+};
+
+// Loads a road network from a user-supplied `.osm.pbf` extract or a GeoJSON
+// file of LineStrings. Nothing is fetched over the network.
+export const loadRoadNetwork = async (file) => {
+  const name = file.name.toLowerCase();
+  const roads = name.endsWith('.pbf')
+    ? await roadsFromPbf(await file.arrayBuffer())
+    : roadsFromGeoJson(JSON.parse(await file.text()));
+  if (roads.length === 0) {
+    throw new Error('No drivable roads found in the road network file.');
+  }
+  return createRoadGraph(roads);
+};
+
+// Candidate edges within `radius` metres of a location, nearest first, with
+// the projected position expressed as a fraction along each edge.
+export const nearestEdges = (graph, lat, lng, radius, limit) => {
+  const cosLat = Math.cos(toRadians(lat));
+  const toXY = (node) => [
+    (node.lng - lng) * cosLat * METERS_PER_DEGREE_LAT,
+    (node.lat - lat) * METERS_PER_DEGREE_LAT,
+  ];
+  const seen = new Set();
+  const candidates = [];
+  graph.grid.neighbourKeys(lat, lng).forEach(key => {
+    (graph.cells.get(key) || []).forEach(e => {
+      if (seen.has(e)) return;
+      seen.add(e);
+      const edge = graph.edges[e];
+      const [ax, ay] = toXY(graph.nodes[edge.from]);
+      const [bx, by] = toXY(graph.nodes[edge.to]);
+      const dx = bx - ax;
+      const dy = by - ay;
+      const lengthSq = dx * dx + dy * dy;
+      const fraction = lengthSq > 0 ? Math.min(1, Math.max(0, -(ax * dx + ay * dy) / lengthSq)) : 0;
+      const distance = Math.hypot(ax + dx * fraction, ay + dy * fraction);
+      if (distance <= radius) candidates.push({ edge: e, fraction, distance });
+    });
+  });
+  return candidates.sort((a, b) => a.distance - b.distance).slice(0, limit);
+};
+
+export const edgeBearing = (graph, e) => {
+  const edge = graph.edges[e];
+  const a = graph.nodes[edge.from];
+  const b = graph.nodes[edge.to];
+  return bearing(a.lat, a.lng, b.lat, b.lng);
+};
+
+// Dijkstra from `source`, stopping once every target is settled or the
+// frontier passes `maxDistance`. Returns distances and the edge used to reach
+// each settled node.
+export const shortestPaths = (graph, source, targets, maxDistance) => {
+  const distance = new Map([[source, 0]]);
+  const via = new Map();
+  const heap = [[0, source]];
+  const pending = new Set(targets);
+
+  const push = (item) => {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent][0] <= heap[i][0]) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let smallest = i;
+        if (l < heap.length && heap[l][0] < heap[smallest][0]) smallest = l;
+        if (r < heap.length && heap[r][0] < heap[smallest][0]) smallest = r;
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  };
+
+  const settled = new Set();
+  while (heap.length > 0 && pending.size > 0) {
+    const [d, node] = pop();
+    if (settled.has(node)) continue;
+    if (d > maxDistance) break;
+    settled.add(node);
+    pending.delete(node);
+    graph.adjacency[node].forEach(e => {
+      const edge = graph.edges[e];
+      const next = d + edge.length;
+      if (next < (distance.has(edge.to) ? distance.get(edge.to) : Infinity)) {
+        distance.set(edge.to, next);
+        via.set(edge.to, e);
+        push([next, edge.to]);
+      }
+    });
+  }
+
+  return {
+    distanceTo: (node) => (settled.has(node) ? distance.get(node) : Infinity),
+    edgesTo: (node) => {
+      const path = [];
+      for (let n = node; n !== source; n = graph.edges[via.get(n)].from) path.push(via.get(n));
+      return path.reverse();
+    },
+  };
+};
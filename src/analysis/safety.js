@@ -0,0 +1,169 @@
+import { getDetector } from './detectors';
+import { BOTTLENECK_SPEED_KMH } from './ingest';
+import { createCellGrid, maxAbsLatitude } from './spatialIndex';
+
+export const HARSH_ACCELERATION = 3;
+const MAX_HARSH_GAP_SECONDS = 30;
+const NIGHT_START_HOUR = 22;
+const NIGHT_END_HOUR = 6;
+
+// Each factor is the share of points with some property. `saturation` is the
+// share at which the factor's own score reaches zero; `basis` names the
+// points the share is taken over, since harsh driving and night driving can
+// only be judged where timestamps exist.
+export const SAFETY_FACTORS = [
+  {
+    key: 'speeding',
+    label: 'Speeding',
+    description: 'Share of points a speed detector flagged as too fast for their surroundings.',
+    saturation: 0.2,
+    basis: 'all',
+  },
+  {
+    key: 'harsh',
+    label: 'Harsh acceleration/braking',
+    description: `Share of timed steps within a trip whose speed changed by more than ${HARSH_ACCELERATION} m/s².`,
+    saturation: 0.2,
+    basis: 'motion',
+  },
+  {
+    key: 'night',
+    label: 'Night driving',
+    description: `Share of timed points recorded between ${NIGHT_START_HOUR}:00 and ${NIGHT_END_HOUR}:00 local time.`,
+    saturation: 0.5,
+    basis: 'timed',
+  },
+  {
+    key: 'bottleneck',
+    label: 'Bottleneck exposure',
+    description: `Share of points moving below ${BOTTLENECK_SPEED_KMH} km/h.`,
+    saturation: 0.5,
+    basis: 'all',
+  },
+];
+
+export const DEFAULT_SAFETY_WEIGHTS = { speeding: 40, harsh: 25, night: 15, bottleneck: 20 };
+
+const isNight = (ts) => {
+  const hour = new Date(ts).getHours();
+  return hour >= NIGHT_START_HOUR || hour < NIGHT_END_HOUR;
+};
+
+// Per-point 0/1 flags for every factor, plus the `timed` and `motion` masks
+// that say which points a time-based factor could be judged on. Anomalies and
+// trip paths refer to points by identity.
+export const computeSafetyFlags = (points, anomalies, trips) => {
+  const n = points.length;
+  const indexOf = new Map(points.map((point, i) => [point, i]));
+  const flags = {
+    speeding: new Uint8Array(n),
+    harsh: new Uint8Array(n),
+    night: new Uint8Array(n),
+    bottleneck: new Uint8Array(n),
+    timed: new Uint8Array(n),
+    motion: new Uint8Array(n),
+  };
+
+  anomalies.forEach(anomaly => {
+    if (getDetector(anomaly.detector).kind !== 'speed') return;
+    const i = indexOf.get(anomaly.point);
+    if (i !== undefined) flags.speeding[i] = 1;
+  });
+
+  points.forEach((point, i) => {
+    if (point.spd < BOTTLENECK_SPEED_KMH) flags.bottleneck[i] = 1;
+    if (point.ts !== null && point.ts !== undefined) {
+      flags.timed[i] = 1;
+      if (isNight(point.ts)) flags.night[i] = 1;
+    }
+  });
+
+  trips.forEach(({ path }) => {
+    for (let k = 1; k < path.length; k++) {
+      const a = path[k - 1];
+      const b = path[k];
+      if (a.ts === null || b.ts === null) continue;
+      const seconds = (b.ts - a.ts) / 1000;
+      if (seconds <= 0 || seconds > MAX_HARSH_GAP_SECONDS) continue;
+      const i = indexOf.get(b);
+      flags.motion[i] = 1;
+      if (Math.abs((b.spd - a.spd) / 3.6 / seconds) > HARSH_ACCELERATION) flags.harsh[i] = 1;
+    }
+  });
+
+  return flags;
+};
+
+// Weighted mean of the factor scores over the points at `indices` (all points
+// when null). Factors with nothing to judge them on drop out of the weighting
+// rather than counting as perfect. `score` is null when no factor applies.
+export const safetyScore = (flags, weights, indices = null) => {
+  const count = (array) => {
+    let total = 0;
+    if (indices) indices.forEach(i => { total += array[i]; });
+    else array.forEach(value => { total += value; });
+    return total;
+  };
+  const size = indices ? indices.length : flags.speeding.length;
+
+  const components = SAFETY_FACTORS.map(factor => {
+    const basis = factor.basis === 'all' ? size : count(flags[factor.basis]);
+    const rate = basis > 0 ? count(flags[factor.key]) / basis : null;
+    return {
+      ...factor,
+      weight: weights[factor.key] || 0,
+      rate,
+      score: rate === null ? null : 100 * (1 - Math.min(rate / factor.saturation, 1)),
+    };
+  });
+
+  const weighted = components.filter(component => component.score !== null && component.weight > 0);
+  const totalWeight = weighted.reduce((sum, component) => sum + component.weight, 0);
+  const score = totalWeight > 0
+    ? Math.round(weighted.reduce((sum, component) => sum + component.weight * component.score, 0) / totalWeight)
+    : null;
+  return { score, components };
+};
+
+export const SAFETY_CELL_SIZE = 500;
+const MIN_ZONE_POINTS = 5;
+
+const distinctTrips = (points, members) => new Set(members.map(i => points[i].randomized_id)).size;
+
+// Scores per grid cell, for a choropleth, over the points at `indices` (all
+// points when null). Cells with too few points to say anything are left out;
+// `trips` counts the distinct trips in each, for privacy thresholds.
+export const safetyByCell = (points, flags, weights, { indices = null, cellSize = SAFETY_CELL_SIZE } = {}) => {
+  const grid = createCellGrid(cellSize, maxAbsLatitude(points));
+  const cells = new Map();
+  (indices || points.map((point, i) => i)).forEach(i => {
+    const { lat, lng } = points[i];
+    const key = grid.keyOf(lat, lng);
+    const cell = cells.get(key);
+    if (cell) cell.indices.push(i);
+    else cells.set(key, { bounds: grid.boundsOf(lat, lng), indices: [i] });
+  });
+  return Array.from(cells.values())
+    .filter(cell => cell.indices.length >= MIN_ZONE_POINTS)
+    .map(({ bounds, indices: members }) => ({
+      bounds,
+      points: members.length,
+      trips: distinctTrips(points, members),
+      ...safetyScore(flags, weights, members),
+    }));
+};
+
+// Scores per DBSCAN cluster, keyed like the cluster metrics. Cluster members
+// outside `indices`, or no longer among the points, are skipped.
+export const safetyByCluster = (points, flags, weights, clusters, metrics, { indices = null } = {}) => {
+  const indexOf = new Map(points.map((point, i) => [point, i]));
+  const included = indices ? new Set(indices) : null;
+  return clusters
+    .map((cluster, c) => {
+      const members = cluster
+        .map(point => indexOf.get(point))
+        .filter(i => i !== undefined && (!included || included.has(i)));
+      return { ...metrics[c], points: members.length, trips: distinctTrips(points, members), ...safetyScore(flags, weights, members) };
+    })
+    .filter(zone => zone.points >= MIN_ZONE_POINTS);
+};
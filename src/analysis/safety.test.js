@@ -0,0 +1,60 @@
+import { computeSafetyFlags, safetyScore, safetyByCell, safetyByCluster, DEFAULT_SAFETY_WEIGHTS } from './safety';
+
+const point = (overrides) => ({ randomized_id: 'a', lat: 51.1, lng: 71.4, alt: 0, spd: 40, azm: 0, ts: null, ...overrides });
+
+test('untimed data is scored on speeding and bottlenecks only', () => {
+  const points = Array.from({ length: 10 }, (_, i) => point({ spd: i < 5 ? 5 : 40 }));
+  const anomalies = [{ point: points[9], detector: 'cell-zscore' }, { point: points[8], detector: 'heading-reversal' }];
+  const { score, components } = safetyScore(computeSafetyFlags(points, anomalies, []), DEFAULT_SAFETY_WEIGHTS);
+  const byKey = Object.fromEntries(components.map(component => [component.key, component]));
+
+  expect(byKey.speeding).toMatchObject({ rate: 0.1, score: 50 });
+  expect(byKey.bottleneck).toMatchObject({ rate: 0.5, score: 0 });
+  expect(byKey.harsh.score).toBeNull();
+  expect(byKey.night.score).toBeNull();
+  expect(score).toBe(Math.round((40 * 50 + 20 * 0) / 60));
+});
+
+test('harsh steps and night points are judged from timestamps', () => {
+  const t0 = new Date(2024, 0, 1, 23, 0).getTime();
+  const path = [
+    point({ ts: t0, spd: 20 }),
+    point({ ts: t0 + 2000, spd: 60 }),
+    point({ ts: t0 + 4000, spd: 60 }),
+    point({ ts: t0 + 6000, spd: 58 }),
+  ];
+  const flags = computeSafetyFlags(path, [], [{ path }]);
+  const { components } = safetyScore(flags, { speeding: 0, harsh: 1, night: 1, bottleneck: 0 });
+  const byKey = Object.fromEntries(components.map(component => [component.key, component]));
+
+  expect(Array.from(flags.harsh)).toEqual([0, 1, 0, 0]);
+  expect(byKey.harsh.rate).toBeCloseTo(1 / 3);
+  expect(byKey.night.rate).toBe(1);
+});
+
+test('weights only shift the total, and subsets score on their own points', () => {
+  const points = [...Array.from({ length: 5 }, () => point({ spd: 5 })), ...Array.from({ length: 5 }, () => point({ lat: 51.2 }))];
+  const flags = computeSafetyFlags(points, [], []);
+  expect(safetyScore(flags, { speeding: 1, bottleneck: 0 }).score).toBe(100);
+  expect(safetyScore(flags, { speeding: 0, bottleneck: 1 }, [0, 1, 2, 3, 4]).score).toBe(0);
+
+  const cells = safetyByCell(points, flags, DEFAULT_SAFETY_WEIGHTS);
+  expect(cells.map(cell => cell.score).sort()).toEqual([100, 67]);
+  expect(cells[0].bounds[0][0]).toBeLessThanOrEqual(51.1);
+  expect(cells[0].bounds[1][0]).toBeGreaterThan(51.1);
+});
+
+test('zones count their distinct trips so small ones can be suppressed', () => {
+  const points = [
+    ...Array.from({ length: 5 }, (_, i) => point({ randomized_id: `t${i}` })),
+    ...Array.from({ length: 6 }, () => point({ randomized_id: 'solo', lat: 51.2 })),
+  ];
+  const flags = computeSafetyFlags(points, [], []);
+  const cells = safetyByCell(points, flags, DEFAULT_SAFETY_WEIGHTS);
+  expect(cells.map(cell => cell.trips).sort()).toEqual([1, 5]);
+  expect(cells.filter(cell => cell.trips >= 5).map(cell => cell.points)).toEqual([5]);
+
+  const clusters = [points.slice(0, 5), points.slice(5)];
+  const zones = safetyByCluster(points, flags, DEFAULT_SAFETY_WEIGHTS, clusters, [{ id: 'Cluster 1' }, { id: 'Cluster 2' }]);
+  expect(zones.map(zone => [zone.id, zone.trips])).toEqual([['Cluster 1', 5], ['Cluster 2', 1]]);
+});
@@ -0,0 +1,141 @@
+// Shapes of what the analysis package produces, for editors and type checks
+// through JSDoc, e.g. `@param {import('./schema').AnalysisResult} result`.
+// A raw `runAnalysis` result refers to points by index; `decodeResult` and
+// `resolveResult` turn it into the AnalysisResult below, where they are the
+// point objects themselves.
+
+/**
+ * A cleaned GPS fix. `ts` is milliseconds since the epoch, or null when the
+ * input had no usable time.
+ * @typedef {Object} Point
+ * @property {string} randomized_id Trip the fix belongs to.
+ * @property {number} lat
+ * @property {number} lng
+ * @property {number} alt Metres.
+ * @property {number} spd km/h, derived from neighbouring fixes when missing.
+ * @property {number} azm Heading in degrees.
+ * @property {number|null} ts
+ */
+
+/**
+ * `[lat, lng, count]` of one heat grid cell.
+ * @typedef {number[]} HeatCell
+ */
+
+/**
+ * @typedef {Object} QualityReport
+ * @property {Object<string, number>} rejected Records dropped per reason.
+ * @property {{speed: Object, alt: Object}} histograms Before and after cleaning.
+ * @property {Object} settings The checks that ran, see DEFAULT_QUALITY_OPTIONS.
+ * @property {{south: number, north: number, west: number, east: number}} bounds
+ * @property {number} outliers Points far outside the bounds.
+ * @property {{steps: number, trips: number, largest: number}} jitter
+ * @property {{count: number, trips: number, longest: number}} gaps
+ */
+
+/**
+ * @typedef {Object} PrivacySettings
+ * @property {number} trimMeters
+ * @property {number} k
+ * @property {boolean} noise
+ * @property {number} epsilon
+ * @property {number} trimmed Points trimmed from trip ends.
+ */
+
+/**
+ * Aggregates over every record read, even when only a sample of the points
+ * was retained (`sampled`).
+ * @typedef {Object} Summary
+ * @property {number} records Rows read.
+ * @property {number} points Valid points.
+ * @property {number} meanSpeed km/h.
+ * @property {number} stdSpeed km/h.
+ * @property {number} bottlenecks Points below BOTTLENECK_SPEED_KMH.
+ * @property {number} retained Points kept for the point-level passes, whole
+ *   trips at a time.
+ * @property {boolean} sampled
+ * @property {HeatCell[]} heat
+ * @property {QualityReport} [quality]
+ * @property {PrivacySettings} [privacy] Present when privacy mode was on.
+ */
+
+/**
+ * @typedef {Object} ClusterMetric
+ * @property {string} id
+ * @property {number} points
+ * @property {number} lat
+ * @property {number} lng
+ * @property {number} avgSpeed km/h.
+ * @property {number} density Share of clustered points, in percent.
+ */
+
+/**
+ * @typedef {Object} Trip
+ * @property {string} id
+ * @property {Point[]} path Ordered fixes.
+ * @property {number} points
+ * @property {number} distance Metres.
+ * @property {number|null} duration Seconds.
+ * @property {number} avgSpeed km/h.
+ * @property {number} maxSpeed km/h.
+ * @property {number} stops
+ */
+
+/**
+ * @typedef {Object} CongestionZone
+ * @property {string} id
+ * @property {number} lat
+ * @property {number} lng
+ * @property {number[][]} polygon
+ * @property {number} points
+ * @property {number} trips
+ * @property {number} delay Seconds lost against free flow.
+ * @property {number} meanSpeed km/h.
+ * @property {number} heading Degrees.
+ * @property {string} direction
+ * @property {number} consistency 0–1, how much the zone's traffic agrees on a heading.
+ */
+
+/**
+ * @typedef {Object} Congestion
+ * @property {CongestionZone[]} zones Most delay first.
+ * @property {Object[]} dwells Slow runs where the car stayed put, e.g. pickups; not counted as congestion.
+ * @property {number} slowPoints
+ * @property {number} freeFlowKmh
+ */
+
+/**
+ * @typedef {Object} Anomaly
+ * @property {Point} point
+ * @property {string} detector Id of the detector that fired.
+ * @property {string} reason
+ * @property {number} score How far past the detector's threshold; 1 is borderline.
+ */
+
+/**
+ * @typedef {Object} AnalysisResult
+ * @property {Point[]} points
+ * @property {Summary} summary
+ * @property {Point[][]} clusters Members of each cluster, noise left out.
+ * @property {ClusterMetric[]} metrics One per cluster, in the same order.
+ * @property {Trip[]} trips
+ * @property {Congestion} congestion
+ * @property {Anomaly[]} anomalies Most severe first.
+ * @property {Point[]} bottlenecks
+ */
+
+/**
+ * What `runAnalysis`, `runPipeline` and `analyzeFile` accept.
+ * @typedef {Object} AnalysisOptions
+ * @property {string} [format] Importer id, for `analyzeFile`.
+ * @property {Object} [mapping] Input fields per point field, see fieldMapping.
+ * @property {Object} [cleaning] See DEFAULT_CLEANING and DEFAULT_QUALITY_OPTIONS.
+ * @property {{epsilon: number, minPoints: number}} [cluster]
+ * @property {Object} [privacy] See DEFAULT_PRIVACY_OPTIONS.
+ * @property {Object} [congestion]
+ * @property {string[]} [detectors] Detector ids to run, all by default.
+ * @property {Object<string, Object>} [detectorOptions] Threshold overrides per detector.
+ * @property {number} [retainLimit] Points kept for the point-level passes.
+ */
+
+export {};
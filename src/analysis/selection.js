@@ -0,0 +1,70 @@
+// What the views are narrowed down to besides the time range. `speed` is
+// `{ min, max }` in km/h with either end optional, `clusters` holds indices
+// into the cluster list, `trips` trip ids and `polygon` `[lat, lng]` vertices.
+export const EMPTY_SELECTION = { speed: null, clusters: [], trips: [], polygon: null };
+
+export const isEmptySelection = (selection) =>
+  !selection.speed && selection.clusters.length === 0 && selection.trips.length === 0 && !selection.polygon;
+
+// Ray casting in plain degrees, which is fine at city scale.
+export const pointInPolygon = (lat, lng, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    if ((latI > lat) !== (latJ > lat) && lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI) inside = !inside;
+  }
+  return inside;
+};
+
+// A predicate that keeps the points matching every part of the selection.
+// `clusters` are the point arrays the cluster indices refer to.
+export const selectionPredicate = (selection, clusters) => {
+  const tests = [];
+  if (selection.speed) {
+    const { min = -Infinity, max = Infinity } = selection.speed;
+    tests.push(point => point.spd >= min && point.spd <= max);
+  }
+  if (selection.clusters.length > 0) {
+    const members = new Set(selection.clusters.flatMap(index => clusters[index] || []));
+    tests.push(point => members.has(point));
+  }
+  if (selection.trips.length > 0) {
+    const ids = new Set(selection.trips);
+    tests.push(point => ids.has(point.randomized_id));
+  }
+  if (selection.polygon) {
+    const { polygon } = selection;
+    tests.push(point => pointInPolygon(point.lat, point.lng, polygon));
+  }
+  return point => tests.every(test => test(point));
+};
+
+// Indices of the points in the selection, out of `indices` when given.
+export const indicesInSelection = (points, clusters, selection, indices = null) => {
+  const keep = selectionPredicate(selection, clusters);
+  const candidates = indices || points.map((point, i) => i);
+  return candidates.filter(i => keep(points[i]));
+};
+
+// Adds `item` to `list`, or takes it out when it is already there.
+export const toggleIn = (list, item) => (list.includes(item) ? list.filter(other => other !== item) : [...list, item]);
+
+// One short line per active part of the selection, e.g. for exports.
+export const describeSelection = (selection, metrics = []) => {
+  const parts = [];
+  if (selection.speed) {
+    const { min, max } = selection.speed;
+    parts.push(min !== undefined && max !== undefined
+      ? `${min}–${max} km/h`
+      : min !== undefined ? `Above ${min} km/h` : `Below ${max} km/h`);
+  }
+  if (selection.clusters.length > 0) {
+    parts.push(selection.clusters.map(index => (metrics[index] ? metrics[index].id : `Cluster ${index + 1}`)).join(', '));
+  }
+  if (selection.trips.length > 0) {
+    parts.push(selection.trips.length === 1 ? `Trip ${selection.trips[0]}` : `${selection.trips.length} trips`);
+  }
+  if (selection.polygon) parts.push(`Drawn area (${selection.polygon.length} vertices)`);
+  return parts;
+};
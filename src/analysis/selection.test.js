@@ -0,0 +1,28 @@
+import { EMPTY_SELECTION, isEmptySelection, pointInPolygon, indicesInSelection, describeSelection, toggleIn } from './selection';
+
+const point = (id, lat, lng, spd) => ({ randomized_id: id, lat, lng, alt: 0, spd, azm: 0, ts: null });
+
+const square = [[51.0, 71.0], [51.0, 71.1], [51.1, 71.1], [51.1, 71.0]];
+
+test('points inside a drawn polygon are found by ray casting', () => {
+  expect(pointInPolygon(51.05, 71.05, square)).toBe(true);
+  expect(pointInPolygon(51.15, 71.05, square)).toBe(false);
+  expect(pointInPolygon(51.05, 70.95, square)).toBe(false);
+});
+
+test('every part of the selection has to match', () => {
+  const points = [point('a', 51.05, 71.05, 20), point('a', 51.05, 71.06, 60), point('b', 51.2, 71.05, 20), point('c', 51.06, 71.05, 30)];
+  const clusters = [[points[0], points[1], points[3]], [points[2]]];
+  expect(isEmptySelection(EMPTY_SELECTION)).toBe(true);
+  expect(indicesInSelection(points, clusters, EMPTY_SELECTION)).toEqual([0, 1, 2, 3]);
+
+  const selection = { speed: { max: 40 }, clusters: [0], trips: [], polygon: square };
+  expect(indicesInSelection(points, clusters, selection)).toEqual([0, 3]);
+  expect(indicesInSelection(points, clusters, { ...selection, trips: ['c'] }, [0, 1, 2])).toEqual([]);
+  expect(describeSelection(selection, [{ id: 'Cluster 1' }])).toEqual(['Below 40 km/h', 'Cluster 1', 'Drawn area (4 vertices)']);
+});
+
+test('toggling adds a missing item and removes a present one', () => {
+  expect(toggleIn([1, 2], 3)).toEqual([1, 2, 3]);
+  expect(toggleIn([1, 2], 1)).toEqual([2]);
+});
@@ -0,0 +1,63 @@
+import { createRunningStats, createGridCounter } from './aggregates';
+import { BOTTLENECK_SPEED_KMH, HEAT_CELL_SIZE } from './ingest';
+
+export const DEFAULT_WINDOW_OPTIONS = {
+  maxPoints: 5000,
+  maxAgeMs: 15 * 60 * 1000,
+};
+
+// Keeps the most recent live points (bounded by count and by arrival age)
+// together with running speed stats, bottleneck count and heat grid that are
+// updated as points enter and leave.
+export const createSlidingWindow = (options = {}) => {
+  const { maxPoints, maxAgeMs } = { ...DEFAULT_WINDOW_OPTIONS, ...options };
+  let entries = [];
+  let head = 0;
+  let received = 0;
+  let bottlenecks = 0;
+  const speed = createRunningStats();
+  const heat = createGridCounter(HEAT_CELL_SIZE);
+
+  const evictOldest = () => {
+    const { point } = entries[head++];
+    speed.remove(point.spd);
+    heat.remove(point.lat, point.lng);
+    if (point.spd < BOTTLENECK_SPEED_KMH) bottlenecks--;
+  };
+
+  const add = (points, now = Date.now()) => {
+    points.forEach(point => {
+      received++;
+      entries.push({ point, receivedAt: now });
+      speed.push(point.spd);
+      heat.add(point.lat, point.lng);
+      if (point.spd < BOTTLENECK_SPEED_KMH) bottlenecks++;
+    });
+    while (entries.length - head > maxPoints) evictOldest();
+    while (head < entries.length && now - entries[head].receivedAt > maxAgeMs) evictOldest();
+    if (head > 1024 && head * 2 > entries.length) {
+      entries = entries.slice(head);
+      head = 0;
+    }
+  };
+
+  const snapshot = () => {
+    const points = entries.slice(head).map(entry => entry.point);
+    return {
+      points,
+      bottlenecks: points.filter(point => point.spd < BOTTLENECK_SPEED_KMH),
+      summary: {
+        records: received,
+        points: points.length,
+        meanSpeed: speed.mean(),
+        stdSpeed: speed.std(),
+        bottlenecks,
+        retained: points.length,
+        sampled: false,
+        heat: heat.toCells(),
+      },
+    };
+  };
+
+  return { add, snapshot };
+};
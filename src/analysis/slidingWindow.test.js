@@ -0,0 +1,32 @@
+import { createSlidingWindow } from './slidingWindow';
+import { createRunningStats } from './aggregates';
+
+const point = (spd, lat = 51.1) => ({ randomized_id: 'a', lat, lng: 71.4, alt: 0, spd, azm: 0, ts: null });
+
+test('removing values keeps running stats equal to the remaining values', () => {
+  const stats = createRunningStats();
+  [3, 7, 7, 19, 24].forEach(stats.push);
+  stats.remove(3);
+  stats.remove(24);
+  expect(stats.count()).toBe(3);
+  expect(stats.mean()).toBeCloseTo(11);
+  expect(stats.variance()).toBeCloseTo(32);
+});
+
+test('window evicts by count and keeps aggregates in step', () => {
+  const recent = createSlidingWindow({ maxPoints: 3 });
+  recent.add([point(5), point(20), point(30), point(40, 51.2)], 0);
+  const { points, summary, bottlenecks } = recent.snapshot();
+  expect(points.map(p => p.spd)).toEqual([20, 30, 40]);
+  expect(summary).toMatchObject({ records: 4, points: 3, bottlenecks: 0 });
+  expect(bottlenecks).toHaveLength(0);
+  expect(summary.meanSpeed).toBeCloseTo(30);
+  expect(summary.heat.reduce((sum, cell) => sum + cell[2], 0)).toBe(3);
+});
+
+test('window evicts by arrival age', () => {
+  const recent = createSlidingWindow({ maxAgeMs: 1000 });
+  recent.add([point(5), point(6)], 0);
+  recent.add([point(7)], 1500);
+  expect(recent.snapshot().points.map(p => p.spd)).toEqual([7]);
+});
@@ -0,0 +1,66 @@
+import { haversine, metersToDegreesLat, metersToDegreesLng } from './geo';
+
+const COL_SPAN = 2 ** 26;
+
+// Uniform lat/lng grid whose cells are at least `cellSize` metres wide
+// anywhere up to `maxAbsLat`, so everything within `cellSize` of a location
+// lies in the 3x3 block of cells around it.
+export const createCellGrid = (cellSize, maxAbsLat) => {
+  const dLat = metersToDegreesLat(cellSize);
+  const dLng = metersToDegreesLng(cellSize, maxAbsLat);
+  const rowOf = (lat) => Math.floor(lat / dLat);
+  const colOf = (lng) => Math.floor(lng / dLng);
+
+  const keyOf = (lat, lng) => rowOf(lat) * COL_SPAN + colOf(lng);
+
+  const neighbourKeys = (lat, lng) => {
+    const row = rowOf(lat);
+    const col = colOf(lng);
+    const keys = [];
+    for (let r = row - 1; r <= row + 1; r++) {
+      for (let c = col - 1; c <= col + 1; c++) keys.push(r * COL_SPAN + c);
+    }
+    return keys;
+  };
+
+  // [[south, west], [north, east]] of the cell containing the location.
+  const boundsOf = (lat, lng) => {
+    const row = rowOf(lat);
+    const col = colOf(lng);
+    return [[row * dLat, col * dLng], [(row + 1) * dLat, (col + 1) * dLng]];
+  };
+
+  return { keyOf, neighbourKeys, boundsOf };
+};
+
+export const maxAbsLatitude = (points) => {
+  let max = 0;
+  for (let i = 0; i < points.length; i++) max = Math.max(max, Math.abs(points[i].lat));
+  return max;
+};
+
+export const createGridIndex = (points, cellSize) => {
+  const grid = createCellGrid(cellSize, maxAbsLatitude(points));
+  const cells = new Map();
+  for (let i = 0; i < points.length; i++) {
+    const key = grid.keyOf(points[i].lat, points[i].lng);
+    const bucket = cells.get(key);
+    if (bucket) bucket.push(i);
+    else cells.set(key, [i]);
+  }
+
+  const within = (lat, lng, radius) => {
+    const result = [];
+    grid.neighbourKeys(lat, lng).forEach(key => {
+      const bucket = cells.get(key);
+      if (!bucket) return;
+      for (let k = 0; k < bucket.length; k++) {
+        const j = bucket[k];
+        if (haversine(lat, lng, points[j].lat, points[j].lng) <= radius) result.push(j);
+      }
+    });
+    return result;
+  };
+
+  return { within };
+};
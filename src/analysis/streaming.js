@@ -0,0 +1,39 @@
+// Feeds a file through an importer chunk by chunk when the importer has an
+// incremental parser, so the whole file never has to sit in one string.
+// Other formats are read in one go.
+export const streamRecords = async (file, importer, onRecords, onBytes = () => {}) => {
+  if (!importer.createParser) {
+    onRecords(importer.parse(await file.text()));
+    onBytes(file.size);
+    return;
+  }
+  const parser = importer.createParser();
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder();
+  let bytes = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    bytes += value.byteLength;
+    onRecords(parser.push(decoder.decode(value, { stream: true })));
+    onBytes(bytes);
+  }
+  onRecords(parser.push(decoder.decode()));
+  onRecords(parser.end());
+};
+
+// Parses just the start of a file, enough to list its fields and show a few
+// sample records. Formats without an incremental parser are read whole.
+export const sampleRecords = async (file, importer, headBytes = 256 * 1024) => {
+  if (!importer.createParser || file.size <= headBytes) {
+    return { records: importer.parse(await file.text()), complete: true };
+  }
+  const text = await file.slice(0, headBytes).text();
+  return { records: importer.createParser().push(text), complete: false };
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  if (bytes < 1024 ** 3) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+};
@@ -0,0 +1,94 @@
+import { createRunningStats, createGridCounter } from './aggregates';
+import { createCellGrid } from './spatialIndex';
+import { BOTTLENECK_SPEED_KMH, HEAT_CELL_SIZE } from './ingest';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const BUCKET_SIZES = [MINUTE, 5 * MINUTE, 15 * MINUTE, 30 * MINUTE, HOUR, 3 * HOUR, 6 * HOUR, 24 * HOUR, 7 * 24 * HOUR];
+const MAX_BUCKETS = 96;
+
+// Point counts per fixed-size time bucket over the timestamped points, with
+// the bucket size picked so the whole span fits in at most MAX_BUCKETS.
+// `peak` is the busiest heat cell in any single bucket, so an animation
+// through the buckets can keep one colour scale. Returns null when no point
+// has a timestamp.
+export const createTimeline = (points) => {
+  let first = Infinity;
+  let last = -Infinity;
+  let timed = 0;
+  points.forEach(point => {
+    if (point.ts === null || point.ts === undefined) return;
+    timed++;
+    if (point.ts < first) first = point.ts;
+    if (point.ts > last) last = point.ts;
+  });
+  if (timed === 0) return null;
+
+  const bucketMs = BUCKET_SIZES.find(size => (last - first) / size < MAX_BUCKETS) || BUCKET_SIZES[BUCKET_SIZES.length - 1];
+  const start = Math.floor(first / bucketMs) * bucketMs;
+  const counts = new Array(Math.floor((last - start) / bucketMs) + 1).fill(0);
+  const grid = createCellGrid(HEAT_CELL_SIZE, Math.abs(points[0].lat));
+  const cells = counts.map(() => new Map());
+  let peak = 0;
+  points.forEach(point => {
+    if (point.ts === null || point.ts === undefined) return;
+    const bucket = Math.floor((point.ts - start) / bucketMs);
+    counts[bucket]++;
+    const key = grid.keyOf(point.lat, point.lng);
+    const count = (cells[bucket].get(key) || 0) + 1;
+    cells[bucket].set(key, count);
+    if (count > peak) peak = count;
+  });
+
+  return { start, end: start + counts.length * bucketMs, bucketMs, counts, timed, untimed: points.length - timed, peak };
+};
+
+export const bucketRange = (timeline, index) => ({
+  from: timeline.start + index * timeline.bucketMs,
+  to: timeline.start + (index + 1) * timeline.bucketMs,
+});
+
+// The bucket after `range` when it is exactly one bucket, otherwise the first
+// one; wraps around at the end.
+export const nextBucket = (timeline, range) => {
+  const isBucket = range && range.to - range.from === timeline.bucketMs;
+  const index = isBucket ? Math.round((range.from - timeline.start) / timeline.bucketMs) + 1 : 0;
+  return bucketRange(timeline, index % timeline.counts.length);
+};
+
+// Ranges are half-open; points without a timestamp never fall inside one.
+const inRange = (ts, range) => ts !== null && ts !== undefined && ts >= range.from && ts < range.to;
+
+// `pointOf` picks the point out of items that wrap one.
+export const filterByTime = (items, range, pointOf = item => item) =>
+  range ? items.filter(item => inRange(pointOf(item).ts, range)) : items;
+
+export const indicesInRange = (points, range) => {
+  const indices = [];
+  points.forEach((point, i) => {
+    if (inRange(point.ts, range)) indices.push(i);
+  });
+  return indices;
+};
+
+// The same summary shape the ingestor produces, for a subset of points.
+export const summarizePoints = (points) => {
+  const speed = createRunningStats();
+  const heat = createGridCounter(HEAT_CELL_SIZE);
+  let bottlenecks = 0;
+  points.forEach(point => {
+    speed.push(point.spd);
+    heat.add(point.lat, point.lng);
+    if (point.spd < BOTTLENECK_SPEED_KMH) bottlenecks++;
+  });
+  return {
+    records: points.length,
+    points: points.length,
+    meanSpeed: speed.mean(),
+    stdSpeed: speed.std(),
+    bottlenecks,
+    retained: points.length,
+    sampled: false,
+    heat: heat.toCells(),
+  };
+};
@@ -0,0 +1,35 @@
+import { createTimeline, filterByTime, nextBucket, bucketRange, summarizePoints } from './timeline';
+
+const HOUR = 3600 * 1000;
+const at = (ts, spd = 30) => ({ randomized_id: 'a', lat: 51.1, lng: 71.4, alt: 0, spd, azm: 0, ts });
+
+test('timeline buckets timestamped points and skips untimed ones', () => {
+  const start = Date.UTC(2024, 0, 1, 8);
+  const points = [at(start), at(start + 10 * 60 * 1000), at(start + 5 * HOUR), at(null)];
+  const timeline = createTimeline(points);
+  expect(timeline.bucketMs).toBe(5 * 60 * 1000);
+  expect(timeline.start).toBe(start);
+  expect(timeline.counts.reduce((a, b) => a + b, 0)).toBe(3);
+  expect(timeline).toMatchObject({ timed: 3, untimed: 1, peak: 1 });
+  expect(createTimeline([at(null)])).toBeNull();
+});
+
+test('filtering uses half-open ranges', () => {
+  const points = [at(0), at(HOUR), at(2 * HOUR), at(null)];
+  expect(filterByTime(points, { from: 0, to: 2 * HOUR })).toHaveLength(2);
+  expect(filterByTime(points, null)).toBe(points);
+});
+
+test('playback steps through buckets and wraps around', () => {
+  const timeline = createTimeline([at(0), at(2 * HOUR + 1)]);
+  const last = bucketRange(timeline, timeline.counts.length - 1);
+  expect(nextBucket(timeline, null)).toEqual(bucketRange(timeline, 0));
+  expect(nextBucket(timeline, bucketRange(timeline, 0))).toEqual(bucketRange(timeline, 1));
+  expect(nextBucket(timeline, last)).toEqual(bucketRange(timeline, 0));
+});
+
+test('summary of a subset matches the ingestor summary shape', () => {
+  const summary = summarizePoints([at(0, 5), at(0, 25)]);
+  expect(summary).toMatchObject({ points: 2, meanSpeed: 15, bottlenecks: 1, sampled: false });
+  expect(summary.heat).toEqual([[51.1, 71.4, 2]]);
+});
@@ -0,0 +1,181 @@
+import { NOISE } from './clustering';
+
+// Points cross the worker boundary as one typed array per numeric field, so
+// the buffers can be transferred instead of structured-cloned. Missing
+// timestamps travel as NaN.
+const COLUMNS = ['lat', 'lng', 'alt', 'spd', 'azm', 'ts'];
+
+export const encodePoints = (points) => {
+  const columns = {};
+  COLUMNS.forEach(key => {
+    columns[key] = new Float64Array(points.length);
+  });
+  const ids = [];
+  const idIndex = new Uint32Array(points.length);
+  const lookup = new Map();
+
+  points.forEach((point, i) => {
+    COLUMNS.forEach(key => {
+      columns[key][i] = point[key] ?? NaN;
+    });
+    if (!lookup.has(point.randomized_id)) {
+      lookup.set(point.randomized_id, ids.length);
+      ids.push(point.randomized_id);
+    }
+    idIndex[i] = lookup.get(point.randomized_id);
+  });
+
+  return { length: points.length, columns, ids, idIndex };
+};
+
+export const decodePoints = ({ length, columns, ids, idIndex }) => {
+  const points = new Array(length);
+  for (let i = 0; i < length; i++) {
+    const point = { randomized_id: ids[idIndex[i]] };
+    COLUMNS.forEach(key => {
+      point[key] = columns[key][i];
+    });
+    if (isNaN(point.ts)) point.ts = null;
+    points[i] = point;
+  }
+  return points;
+};
+
+export const pointBuffers = (encoded) => [
+  ...COLUMNS.map(key => encoded.columns[key].buffer),
+  encoded.idIndex.buffer,
+];
+
+// Ordered trip paths travel as their concatenated points plus the length of
+// each path.
+export const encodePaths = (paths) => ({
+  points: encodePoints(paths.flat()),
+  counts: Uint32Array.from(paths, path => path.length),
+});
+
+export const pathBuffers = (encoded) => [...pointBuffers(encoded.points), encoded.counts.buffer];
+
+export const decodePaths = ({ points, counts }) => {
+  const flat = decodePoints(points);
+  const paths = [];
+  let offset = 0;
+  counts.forEach(count => {
+    paths.push(flat.slice(offset, offset + count));
+    offset += count;
+  });
+  return paths;
+};
+
+export const groupByLabel = (labels, points) => {
+  const groups = [];
+  labels.forEach((label, i) => {
+    if (label === NOISE) return;
+    if (!groups[label]) groups[label] = [];
+    groups[label].push(points[i]);
+  });
+  return groups;
+};
+
+// The inverse of `groupByLabel`: the cluster of each point, or NOISE.
+export const encodeLabels = (clusters, points) => {
+  const indexOf = new Map(points.map((point, i) => [point, i]));
+  const labels = new Int32Array(points.length).fill(NOISE);
+  clusters.forEach((cluster, c) => cluster.forEach(point => { labels[indexOf.get(point)] = c; }));
+  return labels;
+};
+
+// Trip paths are concatenated into one index array; each summary keeps the
+// offset of its slice.
+const encodeTrips = (trips) => {
+  const order = new Uint32Array(trips.reduce((sum, trip) => sum + trip.path.length, 0));
+  let offset = 0;
+  const summaries = trips.map(({ path, ...summary }) => {
+    const start = offset;
+    order.set(path, start);
+    offset += path.length;
+    return { ...summary, offset: start };
+  });
+  return { order, summaries };
+};
+
+const decodeTrips = ({ order, summaries }, points) =>
+  summaries.map(({ offset, ...summary }) => ({
+    ...summary,
+    path: Array.from(order.subarray(offset, offset + summary.points), i => points[i]),
+  }));
+
+// Anomalies keep their point index and score in typed arrays; the detector
+// ids and reason strings go through structured clone.
+const encodeAnomalies = (anomalies) => ({
+  indices: Uint32Array.from(anomalies, anomaly => anomaly.index),
+  scores: Float64Array.from(anomalies, anomaly => anomaly.score),
+  detectors: anomalies.map(anomaly => anomaly.detector),
+  reasons: anomalies.map(anomaly => anomaly.reason),
+});
+
+const decodeAnomalies = ({ indices, scores, detectors, reasons }, points) =>
+  Array.from(indices, (index, i) => ({
+    point: points[index],
+    detector: detectors[i],
+    reason: reasons[i],
+    score: scores[i],
+  }));
+
+export const encodeResult = (result) => ({
+  points: encodePoints(result.points),
+  summary: result.summary,
+  labels: result.labels,
+  metrics: result.metrics,
+  trips: encodeTrips(result.trips),
+  congestion: result.congestion,
+  anomalies: encodeAnomalies(result.anomalies),
+  bottlenecks: Uint32Array.from(result.bottlenecks),
+});
+
+// The inverse of `decodeResult` before encoding: points referenced by
+// clusters, trips, anomalies and bottlenecks become indices again, so a result
+// on screen can be stored with `encodeResult`.
+export const indexResult = (result) => {
+  const indexOf = new Map(result.points.map((point, i) => [point, i]));
+  return {
+    points: result.points,
+    summary: { ...result.summary, heat: Float64Array.from(result.summary.heat.flat()) },
+    labels: encodeLabels(result.clusters, result.points),
+    metrics: result.metrics,
+    trips: result.trips.map(trip => ({ ...trip, path: trip.path.map(point => indexOf.get(point)) })),
+    congestion: result.congestion,
+    anomalies: result.anomalies.map(({ point, ...anomaly }) => ({ ...anomaly, index: indexOf.get(point) })),
+    bottlenecks: result.bottlenecks.map(point => indexOf.get(point)),
+  };
+};
+
+export const resultBuffers = (encoded) => [
+  ...pointBuffers(encoded.points),
+  encoded.summary.heat.buffer,
+  encoded.labels.buffer,
+  encoded.trips.order.buffer,
+  encoded.anomalies.indices.buffer,
+  encoded.anomalies.scores.buffer,
+  encoded.bottlenecks.buffer,
+];
+
+export const decodeResult = (encoded) => {
+  const points = decodePoints(encoded.points);
+  const { heat, ...summary } = encoded.summary;
+  const cells = [];
+  for (let i = 0; i < heat.length; i += 3) cells.push([heat[i], heat[i + 1], heat[i + 2]]);
+  return {
+    points,
+    summary: { ...summary, heat: cells },
+    clusters: groupByLabel(encoded.labels, points),
+    metrics: encoded.metrics,
+    trips: decodeTrips(encoded.trips, points),
+    congestion: encoded.congestion,
+    anomalies: decodeAnomalies(encoded.anomalies, points),
+    bottlenecks: Array.from(encoded.bottlenecks, i => points[i]),
+  };
+};
+
+// The shape `decodeResult` gives, for a `runAnalysis` result that never
+// crossed a worker boundary, e.g. in Node.
+export const resolveResult = (result) => decodeResult(encodeResult(result));
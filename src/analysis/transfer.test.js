@@ -0,0 +1,34 @@
+import { runPipeline, PIPELINE_STAGES } from './pipeline';
+import { encodeResult, decodeResult, indexResult } from './transfer';
+
+const rows = [
+  ...Array.from({ length: 8 }, (_, i) => ({ randomized_id: 'a', lat: 51.1 + i * 0.0001, lng: 71.4, spd: 2 })),
+  { randomized_id: 'b', lat: 51.3, lng: 71.6, spd: 40 },
+  { randomized_id: 'b', lat: 51.4, lng: 71.6, spd: 40 },
+  { randomized_id: 'b', lat: 'n/a', lng: 71.6, spd: 40 },
+];
+
+test('round-trips pipeline results through typed arrays', () => {
+  const stages = [];
+  const result = runPipeline(rows, { cluster: { epsilon: 100, minPoints: 3 } }, p => stages.push(p.stage));
+  const decoded = decodeResult(encodeResult(result));
+
+  expect(stages).toEqual(PIPELINE_STAGES.slice(1));
+  expect(decoded.points).toEqual(result.points);
+  expect(decoded.clusters).toHaveLength(1);
+  expect(decoded.clusters[0]).toHaveLength(8);
+  expect(decoded.trips.map(trip => trip.path.length)).toEqual([8, 2]);
+  expect(decoded.trips[0].path[0]).toBe(decoded.points[0]);
+  expect(decoded.anomalies.map(anomaly => anomaly.detector).sort()).toEqual(['speed-mad', 'speed-mad', 'trip-physics']);
+  expect(decoded.anomalies).toEqual(result.anomalies.map(({ index, ...anomaly }) => ({ ...anomaly, point: result.points[index] })));
+  expect(decoded.bottlenecks).toHaveLength(8);
+});
+
+test('decoded results can be indexed and encoded again', () => {
+  const decoded = decodeResult(encodeResult(runPipeline(rows, { cluster: { epsilon: 100, minPoints: 3 } })));
+  const again = decodeResult(encodeResult(indexResult(decoded)));
+
+  expect(again).toEqual(decoded);
+  expect(again.clusters[0][0]).toBe(again.points[0]);
+  expect(again.points).toContain(again.anomalies[0].point);
+});
@@ -0,0 +1,178 @@
+import { haversine, bearing, angleDifference, toRadians, METERS_PER_DEGREE_LAT } from './geo';
+
+export const STOP_SPEED_KMH = 3;
+
+// Returns epoch milliseconds. With the `auto` unit, numbers below 1e12 are
+// taken as epoch seconds.
+export const parseTimestamp = (value, unit = 'auto') => {
+  if (value === undefined || value === null || value === '') return null;
+  const numeric = Number(value);
+  if (!isNaN(numeric)) {
+    if (unit === 's') return numeric * 1000;
+    if (unit === 'ms') return numeric;
+    return numeric < 1e12 ? numeric * 1000 : numeric;
+  }
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+export const groupById = (points) => {
+  const groups = new Map();
+  points.forEach((point, i) => {
+    const group = groups.get(point.randomized_id);
+    if (group) group.push(i);
+    else groups.set(point.randomized_id, [i]);
+  });
+  return groups;
+};
+
+// Without timestamps the trip starts at the point furthest "behind" along the
+// mean heading, then greedily follows the nearest point, penalising steps that
+// go against the current point's `azm`.
+const chainByHeading = (points, indices) => {
+  const lat0 = points[indices[0]].lat;
+  const lng0 = points[indices[0]].lng;
+  const cosLat = Math.cos(toRadians(lat0));
+  let hx = 0;
+  let hy = 0;
+  indices.forEach(i => {
+    hx += Math.sin(toRadians(points[i].azm));
+    hy += Math.cos(toRadians(points[i].azm));
+  });
+
+  let start = 0;
+  if (Math.hypot(hx, hy) > 1e-6) {
+    let best = Infinity;
+    indices.forEach((i, k) => {
+      const x = (points[i].lng - lng0) * cosLat * METERS_PER_DEGREE_LAT;
+      const y = (points[i].lat - lat0) * METERS_PER_DEGREE_LAT;
+      const along = x * hx + y * hy;
+      if (along < best) {
+        best = along;
+        start = k;
+      }
+    });
+  }
+
+  const remaining = indices.slice();
+  const ordered = [remaining.splice(start, 1)[0]];
+  while (remaining.length > 0) {
+    const current = points[ordered[ordered.length - 1]];
+    let bestK = 0;
+    let bestCost = Infinity;
+    remaining.forEach((j, k) => {
+      const other = points[j];
+      const dist = haversine(current.lat, current.lng, other.lat, other.lng);
+      const turn = dist > 0
+        ? angleDifference(bearing(current.lat, current.lng, other.lat, other.lng), current.azm)
+        : 0;
+      const cost = dist * (1.5 - 0.5 * Math.cos(toRadians(turn)));
+      if (cost < bestCost) {
+        bestCost = cost;
+        bestK = k;
+      }
+    });
+    ordered.push(remaining.splice(bestK, 1)[0]);
+  }
+  return ordered;
+};
+
+export const orderTrip = (points, indices) => {
+  if (indices.every(i => points[i].ts !== null)) {
+    return indices.slice().sort((a, b) => points[a].ts - points[b].ts);
+  }
+  return chainByHeading(points, indices);
+};
+
+export const summarizeTrip = (points, path) => {
+  let distance = 0;
+  let spdSum = 0;
+  let maxSpeed = 0;
+  let stops = 0;
+  path.forEach((i, k) => {
+    const point = points[i];
+    spdSum += point.spd;
+    maxSpeed = Math.max(maxSpeed, point.spd);
+    if (k === 0) return;
+    const prev = points[path[k - 1]];
+    distance += haversine(prev.lat, prev.lng, point.lat, point.lng);
+    if (prev.spd >= STOP_SPEED_KMH && point.spd < STOP_SPEED_KMH) stops++;
+  });
+  const first = points[path[0]];
+  const last = points[path[path.length - 1]];
+  return {
+    points: path.length,
+    distance,
+    duration: first.ts !== null && last.ts !== null ? (last.ts - first.ts) / 1000 : null,
+    avgSpeed: spdSum / path.length,
+    maxSpeed,
+    stops,
+  };
+};
+
+// Groups points by `randomized_id` into ordered trajectories. Each trip keeps
+// its ordered point indices in `path`.
+export const buildTrips = (points) => {
+  const trips = [];
+  groupById(points).forEach((indices, id) => {
+    const path = orderTrip(points, indices);
+    trips.push({ id, path, ...summarizeTrip(points, path) });
+  });
+  return trips;
+};
+
+export const REORDER_WINDOW = 16;
+
+// Derives speeds for points that have none from the distance and time to the
+// previous point of the same trip. Exports are not always in time order, so
+// each trip keeps its last `reorderWindow` points sorted by time and only derives
+// speeds for the earliest once the buffer is full; a point older than one
+// already released is counted in `outOfOrder()` and dropped. The first point
+// of a trip borrows the speed of the second. `push` returns the points whose
+// speed became known, `flush` those left in the buffers at the end.
+export const createSpeedDeriver = ({ reorderWindow = REORDER_WINDOW } = {}) => {
+  const trips = new Map();
+  let outOfOrder = 0;
+
+  // A repeated time leaves no interval to derive a speed from.
+  const release = (trip, point) => {
+    const prev = trip.released;
+    if (!prev) {
+      trip.released = { point, pending: true };
+      return [];
+    }
+    const seconds = (point.ts - prev.point.ts) / 1000;
+    if (seconds <= 0) return [];
+    trip.released = { point, pending: false };
+    point.spd = (haversine(prev.point.lat, prev.point.lng, point.lat, point.lng) / seconds) * 3.6;
+    if (!prev.pending) return [point];
+    prev.point.spd = point.spd;
+    return [prev.point, point];
+  };
+
+  return {
+    push: (point) => {
+      if (point.ts === null) return [];
+      if (!trips.has(point.randomized_id)) trips.set(point.randomized_id, { released: null, buffer: [] });
+      const trip = trips.get(point.randomized_id);
+      if (trip.released && point.ts < trip.released.point.ts) {
+        outOfOrder++;
+        return [];
+      }
+      const { buffer } = trip;
+      let at = buffer.length;
+      while (at > 0 && buffer[at - 1].ts > point.ts) at--;
+      buffer.splice(at, 0, point);
+      return buffer.length > reorderWindow ? release(trip, buffer.shift()) : [];
+    },
+    flush: () => {
+      const released = [];
+      trips.forEach(trip => {
+        trip.buffer.forEach(point => released.push(...release(trip, point)));
+        trip.buffer = [];
+      });
+      return released;
+    },
+    outOfOrder: () => outOfOrder,
+  };
+};
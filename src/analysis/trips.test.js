@@ -0,0 +1,50 @@
+import { buildTrips, parseTimestamp } from './trips';
+import { runPipeline } from './pipeline';
+
+const point = (id, lat, lng, extra = {}) => ({ randomized_id: id, lat, lng, alt: 0, spd: 30, azm: 0, ts: null, ...extra });
+
+test('parses epoch seconds, milliseconds and ISO strings', () => {
+  expect(parseTimestamp(1700000000)).toBe(1700000000000);
+  expect(parseTimestamp('1700000000000')).toBe(1700000000000);
+  expect(parseTimestamp('2023-11-14T22:13:20Z')).toBe(1700000000000);
+  expect(parseTimestamp('')).toBeNull();
+  expect(parseTimestamp('soon')).toBeNull();
+});
+
+test('orders trips by timestamp when every point has one', () => {
+  const points = [
+    point('a', 51.102, 71.4, { ts: 3000 }),
+    point('a', 51.1, 71.4, { ts: 1000 }),
+    point('a', 51.101, 71.4, { ts: 2000, spd: 0 }),
+  ];
+  const [trip] = buildTrips(points);
+  expect(trip.path).toEqual([1, 2, 0]);
+  expect(trip.duration).toBe(2);
+  expect(trip.stops).toBe(1);
+  expect(trip.distance).toBeCloseTo(222.6, 0);
+});
+
+test('chains points along the heading when timestamps are missing', () => {
+  const points = [0.003, 0, 0.002, 0.001].map(offset => point('b', 51.1 + offset, 71.4, { azm: 0 }));
+  const [trip] = buildTrips(points);
+  expect(trip.path).toEqual([1, 3, 2, 0]);
+  expect(trip.duration).toBeNull();
+});
+
+test('trips stay whole when a file is larger than the retained sample', () => {
+  const records = [];
+  for (let k = 0; k < 20; k++) {
+    for (let t = 0; t < 30; t++) {
+      records.push({ randomized_id: `t${t}`, lat: 51.1 + t * 0.01 + k * 0.001, lng: 71.4, alt: 0, spd: 10, azm: 0, ts: 1704096000 + k * 10 });
+    }
+  }
+  const result = runPipeline(records, { retainLimit: 100, cluster: { epsilon: 100, minPoints: 3 } });
+  expect(result.summary).toMatchObject({ points: 600, sampled: true });
+  expect(result.trips.length).toBeGreaterThan(0);
+  expect(result.trips.length).toBeLessThanOrEqual(5);
+  result.trips.forEach(trip => {
+    expect(trip.points).toBe(20);
+    expect(trip.distance).toBeCloseTo(19 * 111.2, -1);
+    expect(trip.duration).toBe(190);
+  });
+});
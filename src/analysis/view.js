@@ -0,0 +1,35 @@
+import { EMPTY_SELECTION, isEmptySelection, indicesInSelection } from './selection';
+import { indicesInRange, summarizePoints } from './timeline';
+import { privateSummary, queryRandom } from './privacy';
+import { computeSafetyFlags, safetyScore, DEFAULT_SAFETY_WEIGHTS } from './safety';
+
+// A decoded result narrowed to the points inside `timeRange` and
+// `selection`: their indices and set (both null when nothing narrows it),
+// and the summary, anomalies, bottlenecks and safety score of those points.
+// Under privacy the summary keeps its protections, with the same noise each
+// time the same points are asked for. Pass `safetyFlags` when they are
+// already computed for the result's points.
+export const filterResult = (result, {
+  timeRange = null,
+  selection = EMPTY_SELECTION,
+  safetyWeights = DEFAULT_SAFETY_WEIGHTS,
+  safetyFlags = computeSafetyFlags(result.points, result.anomalies, result.trips),
+} = {}) => {
+  const { points, clusters, summary, anomalies, bottlenecks } = result;
+  if (!timeRange && isEmptySelection(selection)) {
+    return { indices: null, kept: null, summary, anomalies, bottlenecks, safety: safetyScore(safetyFlags, safetyWeights) };
+  }
+  const indices = indicesInSelection(points, clusters, selection, timeRange ? indicesInRange(points, timeRange) : null);
+  const inRange = indices.map(i => points[i]);
+  const kept = new Set(inRange);
+  return {
+    indices,
+    kept,
+    summary: summary.privacy
+      ? { ...summarizePoints(inRange), ...privateSummary(inRange, summary.privacy, queryRandom(summary, indices)), privacy: summary.privacy }
+      : summarizePoints(inRange),
+    anomalies: anomalies.filter(anomaly => kept.has(anomaly.point)),
+    bottlenecks: bottlenecks.filter(point => kept.has(point)),
+    safety: safetyScore(safetyFlags, safetyWeights, indices),
+  };
+};
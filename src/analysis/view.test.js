@@ -0,0 +1,42 @@
+import { runPipeline } from './pipeline';
+import { resolveResult } from './transfer';
+import { filterResult } from './view';
+import { EMPTY_SELECTION } from './selection';
+
+const t0 = Date.UTC(2024, 0, 1, 12);
+const rows = [
+  ...Array.from({ length: 8 }, (_, i) => ({ randomized_id: 'a', lat: 51.1 + i * 0.0001, lng: 71.4, spd: 2, ts: t0 + i * 1000 })),
+  ...Array.from({ length: 4 }, (_, i) => ({ randomized_id: 'b', lat: 51.1 + i * 0.001, lng: 71.5, spd: 40, ts: t0 + 3600000 + i * 1000 })),
+];
+
+test('nothing narrows the view without a time range or selection', () => {
+  const result = resolveResult(runPipeline(rows, { cluster: { epsilon: 100, minPoints: 3 } }));
+  const shown = filterResult(result);
+  expect(shown.indices).toBeNull();
+  expect(shown.kept).toBeNull();
+  expect(shown.summary).toBe(result.summary);
+  expect(shown.bottlenecks).toBe(result.bottlenecks);
+});
+
+test('a time range narrows the summary, bottlenecks and safety score', () => {
+  const result = resolveResult(runPipeline(rows, { cluster: { epsilon: 100, minPoints: 3 } }));
+  const shown = filterResult(result, { timeRange: { from: t0 + 3600000, to: t0 + 7200000 }, selection: EMPTY_SELECTION });
+  expect(shown.indices.map(i => result.points[i].randomized_id)).toEqual(['b', 'b', 'b', 'b']);
+  expect(shown.summary).toMatchObject({ points: 4, bottlenecks: 0 });
+  expect(shown.bottlenecks).toEqual([]);
+  const bottleneck = shown.safety.components.find(component => component.key === 'bottleneck');
+  expect(bottleneck.rate).toBe(0);
+});
+
+test('the same points get the same noise under privacy', () => {
+  const result = resolveResult(runPipeline(rows, {
+    cluster: { epsilon: 100, minPoints: 3 },
+    privacy: { enabled: true, trimMeters: 0, k: 1, noise: true, epsilon: 0.1 },
+  }));
+  const later = { timeRange: { from: t0 + 3600000, to: t0 + 7200000 } };
+  const all = { timeRange: { from: t0, to: t0 + 7200000 } };
+  const first = filterResult(result, later).summary;
+  expect(filterResult(result, all).summary).toEqual(filterResult(result, all).summary);
+  filterResult(result, all);
+  expect(filterResult(result, later).summary).toEqual(first);
+});
@@ -0,0 +1,52 @@
+import { openDatabase } from './sqlite';
+
+// https://github.com/mapbox/mbtiles-spec. Tiles are looked up through the
+// (zoom_level, tile_column, tile_row) index, either on the `tiles` table or,
+// in deduplicated files where `tiles` is a view, on `map` joined to `images`.
+export const openMbtiles = async (read) => {
+  const db = await openDatabase(read);
+  const metadataTable = db.tableOf('metadata');
+  const metadata = metadataTable
+    ? Object.fromEntries((await metadataTable.rows()).map(row => [row.name, row.value]))
+    : {};
+
+  let getTile;
+  const tiles = db.tableOf('tiles');
+  const map = db.tableOf('map');
+  const images = db.tableOf('images');
+  const TILE_KEY = ['zoom_level', 'tile_column', 'tile_row'];
+  if (tiles) {
+    const find = db.indexOn('tiles', TILE_KEY);
+    if (!find) throw new Error('The MBTiles file has no index on its tiles.');
+    getTile = async (key) => {
+      const rowid = await find(key);
+      return rowid === null ? null : (await tiles.row(rowid)).tile_data;
+    };
+  } else if (map && images) {
+    const findMap = db.indexOn('map', TILE_KEY);
+    const findImage = db.indexOn('images', ['tile_id']);
+    if (!findMap || !findImage) throw new Error('The MBTiles file has no index on its tiles.');
+    getTile = async (key) => {
+      const rowid = await findMap(key);
+      if (rowid === null) return null;
+      const imageRowid = await findImage([(await map.row(rowid)).tile_id]);
+      return imageRowid === null ? null : (await images.row(imageRowid)).tile_data;
+    };
+  } else {
+    throw new Error('No tiles table in the MBTiles file.');
+  }
+
+  const number = (value, fallback) => (value === undefined || isNaN(parseFloat(value)) ? fallback : parseFloat(value));
+  const bounds = metadata.bounds ? metadata.bounds.split(',').map(Number) : null;
+  return {
+    format: metadata.format === 'jpeg' ? 'jpg' : metadata.format || 'png',
+    name: metadata.name || '',
+    attribution: metadata.attribution || '',
+    minZoom: number(metadata.minzoom, 0),
+    maxZoom: number(metadata.maxzoom, 18),
+    // [west, south, east, north]
+    bounds: bounds && bounds.length === 4 && bounds.every(value => !isNaN(value)) ? bounds : null,
+    // Rows count from the south in MBTiles (TMS), from the north on the map.
+    getTile: (z, x, y) => getTile([z, x, 2 ** z - 1 - y]),
+  };
+};
@@ -0,0 +1,146 @@
+// Reader for PMTiles v3 archives: a header, a directory tree keyed by tile
+// ID along a Hilbert curve, and the tile data, read in ranges through
+// `read(offset, length)`.
+// https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md
+
+const HEADER_SIZE = 127;
+const MAX_DEPTH = 4;
+
+export const COMPRESSION = { unknown: 0, none: 1, gzip: 2, brotli: 3, zstd: 4 };
+export const TILE_TYPES = { 1: 'pbf', 2: 'png', 3: 'jpg', 4: 'webp', 5: 'avif' };
+
+const readUint64 = (view, offset) => view.getUint32(offset + 4, true) * 2 ** 32 + view.getUint32(offset, true);
+
+const readVarint = (bytes, state) => {
+  let result = 0;
+  let shift = 1;
+  let byte;
+  do {
+    byte = bytes[state.pos++];
+    result += (byte & 0x7f) * shift;
+    shift *= 128;
+  } while (byte & 0x80);
+  return result;
+};
+
+const decompress = async (bytes, compression) => {
+  if (compression === COMPRESSION.none || compression === COMPRESSION.unknown) return bytes;
+  if (compression !== COMPRESSION.gzip) throw new Error('Unsupported PMTiles compression (only none and gzip are supported).');
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Tiles are numbered zoom by zoom, and within a zoom along a Hilbert curve.
+export const zxyToTileId = (z, x, y) => {
+  let id = (4 ** z - 1) / 3;
+  for (let s = 2 ** (z - 1); s >= 1; s /= 2) {
+    const rx = (x & s) > 0 ? 1 : 0;
+    const ry = (y & s) > 0 ? 1 : 0;
+    id += s * s * ((3 * rx) ^ ry);
+    if (ry === 0) {
+      if (rx === 1) {
+        x = s - 1 - (x % s);
+        y = s - 1 - (y % s);
+      }
+      [x, y] = [y, x];
+    }
+  }
+  return id;
+};
+
+export const parseHeader = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (String.fromCharCode(...bytes.subarray(0, 7)) !== 'PMTiles') throw new Error('Not a PMTiles archive.');
+  if (bytes[7] !== 3) throw new Error(`Unsupported PMTiles version ${bytes[7]} (only version 3 is supported).`);
+  return {
+    rootOffset: readUint64(view, 8),
+    rootLength: readUint64(view, 16),
+    metadataOffset: readUint64(view, 24),
+    metadataLength: readUint64(view, 32),
+    leafOffset: readUint64(view, 40),
+    tileDataOffset: readUint64(view, 56),
+    internalCompression: bytes[97],
+    tileCompression: bytes[98],
+    tileType: bytes[99],
+    minZoom: bytes[100],
+    maxZoom: bytes[101],
+    bounds: [view.getInt32(102, true), view.getInt32(106, true), view.getInt32(110, true), view.getInt32(114, true)].map(v => v / 1e7),
+  };
+};
+
+// Entries `{ tileId, offset, length, runLength }` sorted by tile ID. A run
+// length of 0 points at a leaf directory instead of tile data.
+export const parseDirectory = (bytes) => {
+  const state = { pos: 0 };
+  const count = readVarint(bytes, state);
+  const entries = [];
+  let tileId = 0;
+  for (let i = 0; i < count; i++) {
+    tileId += readVarint(bytes, state);
+    entries.push({ tileId, offset: 0, length: 0, runLength: 0 });
+  }
+  entries.forEach(entry => { entry.runLength = readVarint(bytes, state); });
+  entries.forEach(entry => { entry.length = readVarint(bytes, state); });
+  entries.forEach((entry, i) => {
+    const value = readVarint(bytes, state);
+    entry.offset = value === 0 && i > 0 ? entries[i - 1].offset + entries[i - 1].length : value - 1;
+  });
+  return entries;
+};
+
+// The last entry at or before `tileId`.
+const findEntry = (entries, tileId) => {
+  let low = 0;
+  let high = entries.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (entries[mid].tileId <= tileId) low = mid + 1;
+    else high = mid - 1;
+  }
+  return high >= 0 ? entries[high] : null;
+};
+
+export const openPmtiles = async (read) => {
+  const header = parseHeader(await read(0, HEADER_SIZE));
+  if (!TILE_TYPES[header.tileType]) throw new Error('The PMTiles archive does not say what kind of tiles it holds.');
+  if (header.tileCompression !== COMPRESSION.none && header.tileCompression !== COMPRESSION.unknown && header.tileType !== 1) {
+    throw new Error('Compressed raster tiles are not supported.');
+  }
+  const directory = async (offset, length) =>
+    parseDirectory(await decompress(await read(offset, length), header.internalCompression));
+
+  const leaves = new Map();
+  const leaf = (offset, length) => {
+    if (!leaves.has(offset)) leaves.set(offset, directory(header.leafOffset + offset, length));
+    return leaves.get(offset);
+  };
+
+  let metadata = {};
+  if (header.metadataLength > 0) {
+    const bytes = await decompress(await read(header.metadataOffset, header.metadataLength), header.internalCompression);
+    metadata = JSON.parse(new TextDecoder().decode(bytes));
+  }
+  const root = await directory(header.rootOffset, header.rootLength);
+
+  return {
+    format: TILE_TYPES[header.tileType],
+    name: metadata.name || '',
+    attribution: metadata.attribution || '',
+    minZoom: header.minZoom,
+    maxZoom: header.maxZoom,
+    bounds: header.bounds,
+    getTile: async (z, x, y) => {
+      const tileId = zxyToTileId(z, x, y);
+      let entries = root;
+      for (let depth = 0; depth < MAX_DEPTH; depth++) {
+        const entry = findEntry(entries, tileId);
+        if (!entry) return null;
+        if (entry.runLength > 0) {
+          return tileId < entry.tileId + entry.runLength ? read(header.tileDataOffset + entry.offset, entry.length) : null;
+        }
+        entries = await leaf(entry.offset, entry.length);
+      }
+      return null;
+    },
+  };
+};
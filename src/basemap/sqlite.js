@@ -0,0 +1,264 @@
+// A read-only SQLite reader covering what MBTiles needs: walking table and
+// index b-trees and decoding records. Pages are read on demand through
+// `read(offset, length)`, so multi-gigabyte files are never loaded whole.
+// https://www.sqlite.org/fileformat2.html
+
+const HEADER = 'SQLite format 3\u0000';
+const PAGE_CACHE_SIZE = 512;
+
+const INTERIOR_INDEX = 2;
+const INTERIOR_TABLE = 5;
+const LEAF_INDEX = 10;
+const LEAF_TABLE = 13;
+
+// Big-endian varint of up to nine bytes; the ninth contributes all 8 bits.
+// Values past 2^53 lose precision, which rowids and tile coordinates never
+// reach.
+const readVarint = (bytes, pos) => {
+  let value = 0;
+  for (let i = 0; i < 8; i++) {
+    const byte = bytes[pos + i];
+    value = value * 128 + (byte & 0x7f);
+    if (byte < 0x80) return [value, pos + i + 1];
+  }
+  return [value * 256 + bytes[pos + 8], pos + 9];
+};
+
+const readUint = (bytes, pos, length) => {
+  let value = 0;
+  for (let i = 0; i < length; i++) value = value * 256 + bytes[pos + i];
+  return value;
+};
+
+const readInt = (bytes, pos, length) => {
+  const value = readUint(bytes, pos, length);
+  return value >= 2 ** (length * 8 - 1) ? value - 2 ** (length * 8) : value;
+};
+
+const INT_SIZES = [0, 1, 2, 3, 4, 6, 8];
+
+let textDecoder = null;
+const decodeText = (bytes) => {
+  if (!textDecoder) textDecoder = new TextDecoder();
+  return textDecoder.decode(bytes);
+};
+
+export const decodeRecord = (bytes) => {
+  let [headerSize, pos] = readVarint(bytes, 0);
+  const types = [];
+  while (pos < headerSize) {
+    const [type, next] = readVarint(bytes, pos);
+    types.push(type);
+    pos = next;
+  }
+  pos = headerSize;
+  return types.map(type => {
+    if (type === 0) return null;
+    if (type === 8) return 0;
+    if (type === 9) return 1;
+    if (type === 7) {
+      const value = new DataView(bytes.buffer, bytes.byteOffset + pos, 8).getFloat64(0);
+      pos += 8;
+      return value;
+    }
+    if (type < 7) {
+      const value = readInt(bytes, pos, INT_SIZES[type]);
+      pos += INT_SIZES[type];
+      return value;
+    }
+    const length = Math.floor((type - 12) / 2);
+    const data = bytes.subarray(pos, pos + length);
+    pos += length;
+    return type % 2 === 0 ? data : decodeText(data);
+  });
+};
+
+// SQLite's ordering across storage classes: NULL, numbers, text, blobs.
+const rank = (value) => (value === null ? 0 : typeof value === 'number' ? 1 : typeof value === 'string' ? 2 : 3);
+
+export const compareValues = (a, b) => {
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (rank(a) === 3) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return a.length - b.length;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// Compares an index key against the leading columns of an index record.
+const compareKey = (key, record) => {
+  for (let i = 0; i < key.length; i++) {
+    const order = compareValues(key[i], record[i]);
+    if (order !== 0) return order;
+  }
+  return 0;
+};
+
+// Column definitions, in order, from a CREATE TABLE or CREATE INDEX
+// statement. Table constraints such as PRIMARY KEY (...) are skipped.
+const columnDefinitions = (sql) => {
+  const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of body) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts
+    .map(part => part.trim())
+    .filter(part => part && !/^(primary|unique|check|foreign|constraint)\b/i.test(part));
+};
+
+export const columnNames = (sql) =>
+  columnDefinitions(sql).map(part => part.split(/\s+/)[0].replace(/^["'`[]|["'`\]]$/g, '').toLowerCase());
+
+export const openDatabase = async (read) => {
+  const header = await read(0, 100);
+  if (decodeText(header.subarray(0, 16)) !== HEADER) throw new Error('Not an SQLite database.');
+  const rawSize = header[16] * 256 + header[17];
+  const pageSize = rawSize === 1 ? 65536 : rawSize;
+  const usable = pageSize - header[20];
+
+  const cache = new Map();
+  const page = (number) => {
+    if (!cache.has(number)) {
+      if (cache.size >= PAGE_CACHE_SIZE) cache.clear();
+      cache.set(number, read((number - 1) * pageSize, pageSize));
+    }
+    return cache.get(number);
+  };
+
+  // The part of a payload stored in the cell itself; the rest follows on a
+  // chain of overflow pages.
+  const localSize = (payloadSize, isTable) => {
+    const max = isTable ? usable - 35 : Math.floor(((usable - 12) * 64) / 255) - 23;
+    if (payloadSize <= max) return payloadSize;
+    const min = Math.floor(((usable - 12) * 32) / 255) - 23;
+    const size = min + ((payloadSize - min) % (usable - 4));
+    return size <= max ? size : min;
+  };
+
+  const payload = async (bytes, pos, payloadSize, isTable) => {
+    const local = localSize(payloadSize, isTable);
+    if (local === payloadSize) return bytes.subarray(pos, pos + payloadSize);
+    const result = new Uint8Array(payloadSize);
+    result.set(bytes.subarray(pos, pos + local));
+    let filled = local;
+    let next = readUint(bytes, pos + local, 4);
+    while (filled < payloadSize && next !== 0) {
+      const overflow = await page(next);
+      const chunk = Math.min(usable - 4, payloadSize - filled);
+      result.set(overflow.subarray(4, 4 + chunk), filled);
+      filled += chunk;
+      next = readUint(overflow, 0, 4);
+    }
+    return result;
+  };
+
+  const parsePage = async (number) => {
+    const bytes = await page(number);
+    const start = number === 1 ? 100 : 0;
+    const type = bytes[start];
+    const interior = type === INTERIOR_INDEX || type === INTERIOR_TABLE;
+    const cellCount = bytes[start + 3] * 256 + bytes[start + 4];
+    const pointers = start + (interior ? 12 : 8);
+    const cells = [];
+    for (let i = 0; i < cellCount; i++) cells.push(bytes[pointers + i * 2] * 256 + bytes[pointers + i * 2 + 1]);
+    return { bytes, type, cells, rightMost: interior ? readUint(bytes, start + 8, 4) : null };
+  };
+
+  const leafRow = async (bytes, cell) => {
+    const [size, afterSize] = readVarint(bytes, cell);
+    const [rowid, pos] = readVarint(bytes, afterSize);
+    return { rowid, values: decodeRecord(await payload(bytes, pos, size, true)) };
+  };
+
+  // Every row of a table b-tree, in rowid order.
+  const scan = async (root) => {
+    const { bytes, type, cells, rightMost } = await parsePage(root);
+    if (type === LEAF_TABLE) return Promise.all(cells.map(cell => leafRow(bytes, cell)));
+    const children = [...cells.map(cell => readUint(bytes, cell, 4)), rightMost];
+    const rows = [];
+    for (const child of children) rows.push(...(await scan(child)));
+    return rows;
+  };
+
+  // The row with `rowid` in a table b-tree, or null.
+  const findRow = async (root, rowid) => {
+    const { bytes, type, cells, rightMost } = await parsePage(root);
+    if (type === LEAF_TABLE) {
+      for (const cell of cells) {
+        const [, afterSize] = readVarint(bytes, cell);
+        if (readVarint(bytes, afterSize)[0] === rowid) return leafRow(bytes, cell);
+      }
+      return null;
+    }
+    for (const cell of cells) {
+      if (readVarint(bytes, cell + 4)[0] >= rowid) return findRow(readUint(bytes, cell, 4), rowid);
+    }
+    return findRow(rightMost, rowid);
+  };
+
+  // The first index record whose leading columns equal `key`, or null.
+  // Interior cells of an index b-tree are entries themselves.
+  const findEntry = async (root, key) => {
+    const { bytes, type, cells, rightMost } = await parsePage(root);
+    const leaf = type === LEAF_INDEX;
+    for (const cell of cells) {
+      const start = leaf ? cell : cell + 4;
+      const [size, pos] = readVarint(bytes, start);
+      const record = decodeRecord(await payload(bytes, pos, size, false));
+      const order = compareKey(key, record);
+      if (order === 0) return record;
+      if (order < 0) return leaf ? null : findEntry(readUint(bytes, cell, 4), key);
+    }
+    return leaf ? null : findEntry(rightMost, key);
+  };
+
+  const schema = (await scan(1)).map(({ values: [type, name, table, rootPage, sql] }) => ({ type, name, table, rootPage, sql }));
+
+  const tableOf = (name) => {
+    const entry = schema.find(item => item.type === 'table' && item.name.toLowerCase() === name.toLowerCase());
+    if (!entry) return null;
+    const columns = columnNames(entry.sql);
+    // An INTEGER PRIMARY KEY column is the rowid and stored as NULL.
+    const alias = columnDefinitions(entry.sql).findIndex(part => /\binteger\s+primary\s+key\b/i.test(part));
+    const toObject = ({ rowid, values }) =>
+      Object.fromEntries(columns.map((column, i) => [column, i === alias ? rowid : values[i] === undefined ? null : values[i]]));
+    return {
+      columns,
+      rows: async () => (await scan(entry.rootPage)).map(toObject),
+      row: async (rowid) => {
+        const found = await findRow(entry.rootPage, rowid);
+        return found ? toObject(found) : null;
+      },
+    };
+  };
+
+  // An index on `table` whose leading columns are `columns`, as a lookup
+  // from their values to the rowid of the matching row.
+  const indexOn = (table, columns) => {
+    const entry = schema.find(item =>
+      item.type === 'index' &&
+      item.sql &&
+      item.table.toLowerCase() === table.toLowerCase() &&
+      columns.every((column, i) => columnNames(item.sql)[i] === column));
+    if (!entry) return null;
+    return async (key) => {
+      const record = await findEntry(entry.rootPage, key);
+      return record ? record[record.length - 1] : null;
+    };
+  };
+
+  return { schema, tableOf, indexOn };
+};
@@ -0,0 +1,44 @@
+import { openMbtiles } from './mbtiles';
+import { openPmtiles } from './pmtiles';
+
+export const TILE_MIME_TYPES = { png: 'image/png', jpg: 'image/jpeg', webp: 'image/webp', avif: 'image/avif' };
+
+// `source` is which basemap the maps draw: the online tile server, the
+// tile package opened from disk (`archive`, kept while another source is
+// shown so it can be switched back to), or a plain grid for machines
+// without a network. REACT_APP_TILE_URL points the online source at a
+// self-hosted tile server, and REACT_APP_BASEMAP=none starts on the grid.
+export const ONLINE_TILES = {
+  url: process.env.REACT_APP_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: process.env.REACT_APP_TILE_URL
+    ? ''
+    : '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>',
+};
+
+export const DEFAULT_BASEMAP = {
+  source: process.env.REACT_APP_BASEMAP === 'none' ? 'none' : 'online',
+  archive: null,
+};
+
+// Reads byte ranges of a File or Blob without loading all of it.
+export const fileReader = (file) => (offset, length) =>
+  file
+    .slice(offset, offset + length)
+    .arrayBuffer()
+    .then(buffer => new Uint8Array(buffer));
+
+// Opens an MBTiles or PMTiles package, told apart by its first bytes.
+// Returns `{ name, format, attribution, minZoom, maxZoom, bounds, getTile }`
+// with `getTile(z, x, y)` resolving to the tile's bytes, or null when the
+// package has no such tile.
+export const openTileArchive = async (read, fileName = '') => {
+  const magic = String.fromCharCode(...(await read(0, 16)));
+  let archive;
+  if (magic.startsWith('PMTiles')) archive = await openPmtiles(read);
+  else if (magic.startsWith('SQLite format 3')) archive = await openMbtiles(read);
+  else throw new Error('Not an MBTiles or PMTiles file.');
+  if (!TILE_MIME_TYPES[archive.format]) {
+    throw new Error(`The package holds ${archive.format} tiles; only raster tiles (PNG, JPEG, WebP) can be shown.`);
+  }
+  return { ...archive, name: archive.name || fileName };
+};
@@ -0,0 +1,104 @@
+import fs from 'fs';
+import path from 'path';
+import { TextDecoder } from 'util';
+import { openTileArchive } from './tileSources';
+import { zxyToTileId, parseDirectory } from './pmtiles';
+
+global.TextDecoder = TextDecoder;
+
+const bytesReader = (bytes) => async (offset, length) => bytes.subarray(offset, offset + length);
+const fixture = (name) => bytesReader(new Uint8Array(fs.readFileSync(path.join(__dirname, '__fixtures__', name))));
+const text = (bytes) => Buffer.from(bytes).toString();
+
+const varints = (values) => values.flatMap(value => {
+  const out = [];
+  while (value >= 128) {
+    out.push((value % 128) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  out.push(value);
+  return out;
+});
+
+// An uncompressed PMTiles v3 archive holding `tiles` ({ z, x, y, data })
+// in one root directory.
+const buildPmtiles = (tiles, tileType = 2) => {
+  const sorted = tiles.map(tile => ({ ...tile, id: zxyToTileId(tile.z, tile.x, tile.y) })).sort((a, b) => a.id - b.id);
+  const directory = Uint8Array.from(varints([
+    sorted.length,
+    ...sorted.map((tile, i) => tile.id - (i > 0 ? sorted[i - 1].id : 0)),
+    ...sorted.map(() => 1),
+    ...sorted.map(tile => tile.data.length),
+    ...sorted.map((tile, i) => (i > 0 ? 0 : 1)),
+  ]));
+  const data = Buffer.concat(sorted.map(tile => Buffer.from(tile.data)));
+  const header = new DataView(new ArrayBuffer(127));
+  [...'PMTiles'].forEach((char, i) => header.setUint8(i, char.charCodeAt(0)));
+  header.setUint8(7, 3);
+  header.setUint32(8, 127, true);
+  header.setUint32(16, directory.length, true);
+  header.setUint32(40, 127 + directory.length, true);
+  header.setUint32(56, 127 + directory.length, true);
+  header.setUint32(64, data.length, true);
+  header.setUint8(97, 1);
+  header.setUint8(98, 1);
+  header.setUint8(99, tileType);
+  header.setUint8(101, 2);
+  return new Uint8Array(Buffer.concat([Buffer.from(header.buffer), Buffer.from(directory), data]));
+};
+
+test('tile IDs run zoom by zoom along a Hilbert curve', () => {
+  expect(zxyToTileId(0, 0, 0)).toBe(0);
+  expect([[0, 0], [0, 1], [1, 1], [1, 0]].map(([x, y]) => zxyToTileId(1, x, y))).toEqual([1, 2, 3, 4]);
+  expect(zxyToTileId(2, 0, 0)).toBe(5);
+  const ids = new Set();
+  for (let x = 0; x < 8; x++) for (let y = 0; y < 8; y++) ids.add(zxyToTileId(3, x, y));
+  expect(Math.min(...ids)).toBe(21);
+  expect(Math.max(...ids)).toBe(84);
+  expect(ids.size).toBe(64);
+});
+
+test('directory offsets of 0 continue from the previous entry', () => {
+  const entries = parseDirectory(Uint8Array.from(varints([2, 5, 1, 1, 3, 10, 4, 8, 0])));
+  expect(entries).toEqual([
+    { tileId: 5, runLength: 1, length: 10, offset: 7 },
+    { tileId: 6, runLength: 3, length: 4, offset: 17 },
+  ]);
+});
+
+test('reads tiles out of a PMTiles archive', async () => {
+  const tiles = [
+    { z: 0, x: 0, y: 0, data: 'zero' },
+    { z: 1, x: 1, y: 0, data: 'one' },
+    { z: 2, x: 3, y: 2, data: 'two' },
+  ];
+  const archive = await openTileArchive(bytesReader(buildPmtiles(tiles)), 'city.pmtiles');
+  expect(archive).toMatchObject({ format: 'png', name: 'city.pmtiles', maxZoom: 2 });
+  expect(text(await archive.getTile(1, 1, 0))).toBe('one');
+  expect(text(await archive.getTile(2, 3, 2))).toBe('two');
+  expect(await archive.getTile(2, 0, 0)).toBeNull();
+  await expect(openTileArchive(bytesReader(buildPmtiles(tiles, 1)))).rejects.toThrow('only raster tiles');
+});
+
+test('reads tiles and metadata out of an MBTiles file', async () => {
+  const archive = await openTileArchive(fixture('plain.mbtiles'));
+  expect(archive).toMatchObject({ format: 'png', name: 'Test tiles', minZoom: 0, maxZoom: 3, bounds: [71.0, 51.0, 71.5, 51.3] });
+  expect(text(await archive.getTile(3, 5, 2))).toBe('3/5/2');
+  expect(text(await archive.getTile(2, 0, 3))).toBe('2/0/3');
+  expect(await archive.getTile(4, 0, 0)).toBeNull();
+  // Larger than a page, so spread over overflow pages.
+  const big = await archive.getTile(0, 0, 0);
+  expect(big.length).toBe(2048);
+  expect(big[300]).toBe(300 % 256);
+});
+
+test('follows the map and images tables of a deduplicated MBTiles file', async () => {
+  const archive = await openTileArchive(fixture('deduplicated.mbtiles'));
+  expect(text(await archive.getTile(2, 1, 3))).toBe('2/1/3');
+  expect(text(await archive.getTile(3, 7, 0))).toBe('shared');
+  expect(await archive.getTile(3, 8, 0)).toBeNull();
+});
+
+test('rejects files that are not tile packages', async () => {
+  await expect(openTileArchive(bytesReader(new Uint8Array(64)))).rejects.toThrow('Not an MBTiles or PMTiles file.');
+});
@@ -0,0 +1,164 @@
+import React, { useState, useMemo } from 'react';
+import {
+  BarChart, Bar, AreaChart, Area, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar,
+  XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
+} from 'recharts';
+import { speedHistogram, speedByHour, speedByHeading, altitudeProfile, clusterRadar } from '../analysis';
+
+const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884d8'];
+const TOOLTIP_STYLE = { backgroundColor: '#ffffff', border: 'none' };
+
+const formatSpeed = (value) => (value === null ? '—' : `${Math.round(value)} km/h`);
+
+const chartCard = (title, explanation, chart) =>
+  React.createElement(
+    'div',
+    { className: 'chart-card' },
+    React.createElement('h3', null, title),
+    React.createElement('p', { className: 'explanation' }, explanation),
+    React.createElement(ResponsiveContainer, { width: '100%', height: 300 }, chart)
+  );
+
+const speedPolar = (data, dataKey) =>
+  React.createElement(
+    RadarChart,
+    { data, outerRadius: '75%' },
+    React.createElement(PolarGrid, null),
+    React.createElement(PolarAngleAxis, { dataKey, stroke: '#64748b', fontSize: 11 }),
+    React.createElement(PolarRadiusAxis, { angle: 90, stroke: '#64748b', fontSize: 10 }),
+    React.createElement(Tooltip, { contentStyle: TOOLTIP_STYLE, formatter: formatSpeed }),
+    React.createElement(Radar, { dataKey: 'meanSpeed', name: 'Avg speed', stroke: '#0088FE', fill: '#0088FE', fillOpacity: 0.4 })
+  );
+
+// Charts over the points on screen: `points` already follows the time range
+// and the selection, and `kept` (null for everything) narrows the clusters
+// and trips down the same way. Each chart is recomputed only when its inputs
+// change.
+const AnalyticsView = ({ points, kept, clusters, metrics, trips, anomalies }) => {
+  const [tripId, setTripId] = useState(null);
+
+  const histogram = useMemo(() => speedHistogram(points), [points]);
+  const byHour = useMemo(() => speedByHour(points), [points]);
+  const byHeading = useMemo(() => speedByHeading(points), [points]);
+  const radar = useMemo(
+    () => clusterRadar(clusters, metrics, new Set(anomalies.map(anomaly => anomaly.point)), kept),
+    [clusters, metrics, anomalies, kept]
+  );
+  const shownTrips = useMemo(
+    () => (kept ? trips.filter(trip => trip.path.some(point => kept.has(point))) : trips)
+      .slice()
+      .sort((a, b) => b.distance - a.distance),
+    [trips, kept]
+  );
+  const trip = shownTrips.find(candidate => String(candidate.id) === tripId) || shownTrips[0] || null;
+  const profile = useMemo(() => (trip ? altitudeProfile(trip) : []), [trip]);
+  const timed = byHour.some(hour => hour.points > 0);
+
+  return React.createElement(
+    'div',
+    { className: 'dashboard-view analytics-view' },
+    React.createElement('h2', null, 'Analytics'),
+    React.createElement('p', { className: 'explanation' }, 'Distributions of the points on screen. They follow the time range and the selection under the header, so brushing the timeline or drawing an area on the map updates every chart.'),
+    React.createElement(
+      'div',
+      { className: 'charts-grid' },
+      chartCard(
+        'Speed Distribution',
+        'Number of points per 10 km/h speed band.',
+        React.createElement(
+          BarChart,
+          { data: histogram },
+          React.createElement(CartesianGrid, { strokeDasharray: '3 3', stroke: '#e2e8f0' }),
+          React.createElement(XAxis, { dataKey: 'bin', stroke: '#64748b', fontSize: 11 }),
+          React.createElement(YAxis, { stroke: '#64748b' }),
+          React.createElement(Tooltip, { contentStyle: TOOLTIP_STYLE }),
+          React.createElement(Bar, { dataKey: 'count', name: 'Points', fill: '#00C49F' })
+        )
+      ),
+      chartCard(
+        'Speed by Hour',
+        timed
+          ? 'Average speed per hour of the day, local time, around the clock.'
+          : 'The data has no timestamps, so speeds cannot be placed in the day.',
+        speedPolar(byHour, 'label')
+      ),
+      chartCard(
+        'Speed by Heading',
+        'Average speed per compass direction of travel (azm).',
+        speedPolar(byHeading, 'label')
+      ),
+      chartCard(
+        'Cluster Comparison',
+        `The ${radar.profiles.length} largest clusters on each metric, scaled so the highest cluster on an axis reaches the edge.`,
+        React.createElement(
+          RadarChart,
+          { data: radar.data, outerRadius: '75%' },
+          React.createElement(PolarGrid, null),
+          React.createElement(PolarAngleAxis, { dataKey: 'axis', stroke: '#64748b', fontSize: 11 }),
+          React.createElement(PolarRadiusAxis, { angle: 90, domain: [0, 100], tick: false }),
+          React.createElement(Tooltip, { contentStyle: TOOLTIP_STYLE, formatter: (value) => `${Math.round(value)} / 100` }),
+          React.createElement(Legend, null),
+          radar.profiles.map((profile, i) =>
+            React.createElement(Radar, {
+              key: profile.id,
+              dataKey: profile.id,
+              name: profile.id,
+              stroke: COLORS[i % COLORS.length],
+              fill: COLORS[i % COLORS.length],
+              fillOpacity: 0.15,
+            })
+          )
+        )
+      )
+    ),
+    React.createElement(
+      'div',
+      { className: 'chart-card analytics-profile' },
+      React.createElement(
+        'div',
+        { className: 'analytics-profile-header' },
+        React.createElement('h3', null, 'Altitude Profile'),
+        React.createElement(
+          'select',
+          {
+            className: 'mode-btn',
+            value: trip ? trip.id : '',
+            disabled: shownTrips.length === 0,
+            onChange: (e) => setTripId(e.target.value),
+          },
+          shownTrips.map(candidate =>
+            React.createElement(
+              'option',
+              { key: candidate.id, value: candidate.id },
+              `${candidate.id} · ${(candidate.distance / 1000).toFixed(2)} km`
+            )
+          )
+        )
+      ),
+      React.createElement('p', { className: 'explanation' }, 'Altitude and speed along the chosen trip against the distance driven. Trips are listed longest first.'),
+      React.createElement(
+        ResponsiveContainer,
+        { width: '100%', height: 300 },
+        React.createElement(
+          AreaChart,
+          { data: profile },
+          React.createElement(CartesianGrid, { strokeDasharray: '3 3', stroke: '#e2e8f0' }),
+          React.createElement(XAxis, {
+            dataKey: 'distance',
+            type: 'number',
+            stroke: '#64748b',
+            tickFormatter: (value) => `${value.toFixed(1)} km`,
+          }),
+          React.createElement(YAxis, { yAxisId: 'alt', stroke: '#8884d8', unit: ' m' }),
+          React.createElement(YAxis, { yAxisId: 'spd', orientation: 'right', stroke: '#FF8042', unit: ' km/h' }),
+          React.createElement(Tooltip, { contentStyle: TOOLTIP_STYLE, labelFormatter: (value) => `${value.toFixed(2)} km` }),
+          React.createElement(Legend, null),
+          React.createElement(Area, { yAxisId: 'alt', dataKey: 'alt', name: 'Altitude', stroke: '#8884d8', fill: '#8884d8', fillOpacity: 0.3 }),
+          React.createElement(Area, { yAxisId: 'spd', dataKey: 'spd', name: 'Speed', stroke: '#FF8042', fill: 'none' })
+        )
+      )
+    )
+  );
+};
+
+export default AnalyticsView;
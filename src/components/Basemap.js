@@ -0,0 +1,87 @@
+import React, { useEffect, useRef } from 'react';
+import { TileLayer, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { ONLINE_TILES, TILE_MIME_TYPES } from '../basemap/tileSources';
+
+// Tile borders on a light background, drawn locally so the map keeps a sense
+// of scale and movement without any tiles.
+const GridLayer = L.GridLayer.extend({
+  createTile(coords) {
+    const size = this.getTileSize();
+    const tile = document.createElement('canvas');
+    tile.width = size.x;
+    tile.height = size.y;
+    const ctx = tile.getContext('2d');
+    ctx.fillStyle = '#f1f5f9';
+    ctx.fillRect(0, 0, size.x, size.y);
+    ctx.strokeStyle = '#cbd5e1';
+    ctx.strokeRect(0.5, 0.5, size.x, size.y);
+    ctx.fillStyle = '#94a3b8';
+    ctx.font = '11px sans-serif';
+    ctx.fillText(`${coords.z}/${coords.x}/${coords.y}`, 6, 16);
+    return tile;
+  },
+});
+
+// Tiles read out of an opened MBTiles or PMTiles package.
+const ArchiveLayer = L.GridLayer.extend({
+  createTile(coords, done) {
+    const { archive } = this.options;
+    const tile = document.createElement('img');
+    tile.alt = '';
+    archive
+      .getTile(coords.z, coords.x, coords.y)
+      .then(bytes => {
+        if (!bytes) {
+          done(null, tile);
+          return;
+        }
+        const url = URL.createObjectURL(new Blob([bytes], { type: TILE_MIME_TYPES[archive.format] }));
+        tile.onload = () => {
+          URL.revokeObjectURL(url);
+          done(null, tile);
+        };
+        tile.onerror = () => {
+          URL.revokeObjectURL(url);
+          done(new Error(`Tile ${coords.z}/${coords.x}/${coords.y} could not be decoded`), tile);
+        };
+        tile.src = url;
+      })
+      .catch(err => done(err, tile));
+    return tile;
+  },
+});
+
+const LocalLayers = ({ archive, onLoad }) => {
+  const map = useMap();
+  const loaded = useRef(onLoad);
+  loaded.current = onLoad;
+  useEffect(() => {
+    const layers = [new GridLayer({ zIndex: 0 })];
+    if (archive) {
+      const [west, south, east, north] = archive.bounds || [-180, -85.06, 180, 85.06];
+      layers.push(new ArchiveLayer({
+        archive,
+        zIndex: 1,
+        minNativeZoom: archive.minZoom,
+        maxNativeZoom: archive.maxZoom,
+        bounds: L.latLngBounds([south, west], [north, east]),
+        attribution: archive.attribution,
+      }));
+    }
+    layers[layers.length - 1].on('load', () => loaded.current && loaded.current());
+    layers.forEach(layer => layer.addTo(map));
+    return () => layers.forEach(layer => map.removeLayer(layer));
+  }, [archive, map]);
+  return null;
+};
+
+// The basemap chosen in the map controls, for every map in the app. A tile
+// package draws over the grid, so areas it does not cover stay readable.
+// `onLoad` fires once the visible tiles have loaded.
+const Basemap = ({ basemap, onLoad }) =>
+  basemap.source === 'online'
+    ? React.createElement(TileLayer, { ...ONLINE_TILES, eventHandlers: onLoad ? { load: onLoad } : undefined })
+    : React.createElement(LocalLayers, { archive: basemap.source === 'archive' ? basemap.archive : null, onLoad });
+
+export default Basemap;
@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { openTileArchive, fileReader } from '../basemap/tileSources';
+
+// Switches the basemap of every map between the online tiles, a local
+// MBTiles/PMTiles package and the plain grid.
+const BasemapPicker = ({ basemap, onChange }) => {
+  const [opening, setOpening] = useState(false);
+  const [error, setError] = useState('');
+
+  const openPackage = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    setOpening(true);
+    openTileArchive(fileReader(file), file.name)
+      .then(archive => {
+        onChange({ source: 'archive', archive });
+        setError('');
+      })
+      .catch(err => setError(`${file.name}: ${err.message}`))
+      .finally(() => setOpening(false));
+  };
+
+  return React.createElement(
+    React.Fragment,
+    null,
+    React.createElement(
+      'select',
+      {
+        className: 'mode-btn',
+        title: 'Basemap',
+        value: basemap.source,
+        onChange: (e) => onChange({ ...basemap, source: e.target.value }),
+      },
+      React.createElement('option', { value: 'online' }, process.env.REACT_APP_TILE_URL ? 'Tile server' : 'OpenStreetMap'),
+      React.createElement(
+        'option',
+        { value: 'archive', disabled: !basemap.archive },
+        basemap.archive ? `Tile package: ${basemap.archive.name}` : 'Tile package (open a file)'
+      ),
+      React.createElement('option', { value: 'none' }, 'No basemap (grid)')
+    ),
+    React.createElement(
+      'label',
+      { className: 'mode-btn basemap-file' },
+      opening ? 'Opening…' : 'Open tiles (.mbtiles / .pmtiles)',
+      React.createElement('input', { type: 'file', accept: '.mbtiles,.pmtiles', disabled: opening, onChange: openPackage })
+    ),
+    error && React.createElement('span', { className: 'basemap-error' }, error)
+  );
+};
+
+export default BasemapPicker;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { CANONICAL_FIELDS, validateMapping, formatBytes } from '../analysis';
+
+const ColumnMapping = ({ inspection, onConfirm, onCancel, error = '' }) => {
+  const [mapping, setMapping] = useState(inspection.mapping);
+  const problem = validateMapping(mapping);
+
+  const setField = (key, source) =>
+    setMapping(prev => ({ ...prev, fields: { ...prev.fields, [key]: source } }));
+  const setUnit = (key, unit) =>
+    setMapping(prev => ({ ...prev, units: { ...prev.units, [key]: unit } }));
+
+  return React.createElement(
+    'div',
+    { className: 'upload-screen' },
+    React.createElement(
+      'div',
+      { className: 'upload-box mapping-box' },
+      React.createElement('h2', null, 'Сопоставление полей'),
+      React.createElement(
+        'p',
+        null,
+        `${inspection.fileName}: ${inspection.count !== null ? `${inspection.count.toLocaleString()} записей` : formatBytes(inspection.size)} (${inspection.formatLabel}). Укажите, какой столбец соответствует каждому полю и в каких единицах он записан.`
+      ),
+      React.createElement(
+        'table',
+        { className: 'mapping-table' },
+        React.createElement(
+          'tbody',
+          null,
+          CANONICAL_FIELDS.map(field =>
+            React.createElement(
+              'tr',
+              { key: field.key },
+              React.createElement('td', null, field.required ? `${field.label} *` : field.label),
+              React.createElement(
+                'td',
+                null,
+                React.createElement(
+                  'select',
+                  { value: mapping.fields[field.key], onChange: (e) => setField(field.key, e.target.value) },
+                  React.createElement('option', { value: '' }, '— нет —'),
+                  inspection.fields.map(source => React.createElement('option', { key: source, value: source }, source))
+                )
+              ),
+              React.createElement(
+                'td',
+                null,
+                field.units &&
+                  React.createElement(
+                    'select',
+                    {
+                      value: mapping.units[field.key],
+                      disabled: !mapping.fields[field.key],
+                      onChange: (e) => setUnit(field.key, e.target.value),
+                    },
+                    Object.keys(field.units).map(unit => React.createElement('option', { key: unit, value: unit }, unit))
+                  )
+              ),
+              React.createElement(
+                'td',
+                { className: 'mapping-sample' },
+                inspection.sample
+                  .slice(0, 3)
+                  .map(record => (mapping.fields[field.key] ? record[mapping.fields[field.key]] : undefined))
+                  .filter(value => value !== undefined && value !== null && value !== '')
+                  .join(', ')
+              )
+            )
+          )
+        )
+      ),
+      problem && React.createElement('div', { className: 'error-message' }, problem),
+      error && React.createElement('div', { className: 'error-message' }, `Не удалось обработать файл: ${error}`),
+      React.createElement(
+        'div',
+        { className: 'mapping-actions' },
+        React.createElement('button', { className: 'cancel-btn', onClick: onCancel }, 'Назад'),
+        React.createElement(
+          'button',
+          { className: 'upload-btn', disabled: Boolean(problem), onClick: () => onConfirm(mapping) },
+          'Продолжить'
+        )
+      )
+    )
+  );
+};
+
+export default ColumnMapping;
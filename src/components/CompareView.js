@@ -0,0 +1,306 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { MapContainer, CircleMarker, Tooltip, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import FitBounds from './FitBounds';
+import Basemap from './Basemap';
+import {
+  describeSide, comparisonPrivacy, compareKpis, heatDifference, matchClusters, DIFF_CELL_SIZE, CLUSTER_MATCH_RADIUS, indicesInRange,
+} from '../analysis';
+import { clusterPoints } from '../workers/geotrackWorker';
+import { loadSession } from '../sessions/sessionStore';
+
+const INCREASE_COLOR = '#ef4444';
+const DECREASE_COLOR = '#0088FE';
+const APPEARED_COLOR = '#00C49F';
+const DISAPPEARED_COLOR = '#FF8042';
+
+const KPI_FORMATS = {
+  points: value => Math.round(value).toLocaleString(),
+  meanSpeed: value => `${Math.round(value)} km/h`,
+  safety: value => `${value}%`,
+  anomalies: value => Math.round(value).toLocaleString(),
+};
+
+// datetime-local inputs take local time without a zone.
+const toInput = (ms) => new Date(ms - new Date(ms).getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+const fromInput = (value) => new Date(value).getTime();
+
+const halves = ({ start, end, bucketMs, counts }) => {
+  const middle = start + Math.floor(counts.length / 2) * bucketMs;
+  return [{ from: start, to: middle }, { from: middle, to: end }];
+};
+
+const formatDelta = (kpi) => {
+  if (kpi.delta === null) return 'n/a';
+  const sign = kpi.delta > 0 ? '+' : kpi.delta < 0 ? '−' : '±';
+  const amount = KPI_FORMATS[kpi.key](Math.abs(kpi.delta)).replace('%', ' pts');
+  return kpi.change === null ? `${sign}${amount}` : `${sign}${amount} (${sign}${Math.abs(kpi.change * 100).toFixed(1)}%)`;
+};
+
+const DifferenceLayer = ({ cells }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (cells.length === 0) return;
+    const maxChange = cells.reduce((max, cell) => Math.max(max, Math.abs(cell.change)), 0) || 1;
+    const renderer = L.canvas();
+    const layer = L.layerGroup(
+      cells.map(cell =>
+        L.rectangle(cell.bounds, {
+          renderer,
+          weight: 0,
+          fillColor: cell.change >= 0 ? INCREASE_COLOR : DECREASE_COLOR,
+          fillOpacity: 0.1 + (0.6 * Math.abs(cell.change)) / maxChange,
+        }).bindTooltip(
+          `${cell.before.toLocaleString()} → ${cell.after.toLocaleString()} points<br>` +
+            `${cell.change >= 0 ? '+' : '−'}${Math.abs(cell.change).toFixed(2)} percentage points of all traffic`
+        )
+      )
+    );
+    layer.addTo(map);
+    return () => map.removeLayer(layer);
+  }, [cells, map]);
+  return null;
+};
+
+const clusterRows = (clusters, empty) =>
+  clusters.length === 0
+    ? React.createElement('li', null, empty)
+    : clusters.map(cluster =>
+        React.createElement(
+          'li',
+          { key: cluster.id },
+          `${cluster.id}: ${cluster.points.toLocaleString()} points, ${cluster.avgSpeed} km/h`
+        )
+      );
+
+// Compares two saved sessions, or two time windows of the dataset on screen.
+// Windows are clustered again through the processing worker so both sides are
+// clustered the same way.
+const CompareView = ({ sessions, dataset, timeline, clusterOptions, privacy, safetyWeights, basemap }) => {
+  const [source, setSource] = useState(timeline || sessions.length < 2 ? 'windows' : 'sessions');
+  const [sessionIds, setSessionIds] = useState(() => [
+    sessions[1] ? sessions[1].id : '',
+    sessions[0] ? sessions[0].id : '',
+  ]);
+  const [windows, setWindows] = useState(() => (timeline ? halves(timeline) : null));
+  const [comparison, setComparison] = useState(null);
+  const [status, setStatus] = useState('');
+  const jobsRef = useRef([]);
+
+  useEffect(() => () => jobsRef.current.forEach(job => job.cancel()), []);
+
+  const loadSides = () => {
+    if (source === 'sessions') {
+      return Promise.all(sessionIds.map(loadSession)).then(loaded =>
+        loaded.map(({ session, result }) => ({ label: session.name, result, indices: null, metrics: result.metrics }))
+      );
+    }
+    const indices = windows.map(range => indicesInRange(dataset.points, range));
+    jobsRef.current = indices.map(members =>
+      clusterPoints(members.map(i => dataset.points[i]), { cluster: clusterOptions, privacy })
+    );
+    return Promise.all(jobsRef.current.map(job => job.result)).then(clustered =>
+      clustered.map(({ metrics }, k) => ({
+        label: `${new Date(windows[k].from).toLocaleString()} – ${new Date(windows[k].to).toLocaleString()}`,
+        result: dataset,
+        indices: indices[k],
+        metrics,
+      }))
+    );
+  };
+
+  const compare = () => {
+    setStatus('Comparing…');
+    setComparison(null);
+    loadSides()
+      .then(([a, b]) => {
+        const before = describeSide(a.result, safetyWeights, a.indices);
+        const after = describeSide(b.result, safetyWeights, b.indices);
+        setComparison({
+          labels: [a.label, b.label],
+          kpis: compareKpis(before, after),
+          cells: heatDifference(before.points, after.points, {
+            privacy: comparisonPrivacy(before, after),
+            random: before.random || after.random,
+          }),
+          clusters: matchClusters(a.metrics, b.metrics),
+        });
+        setStatus('');
+      })
+      .catch(err => {
+        if (!err.cancelled) setStatus(err.message);
+      })
+      .finally(() => {
+        jobsRef.current = [];
+      });
+  };
+
+  const positions = useMemo(() => (comparison ? comparison.cells.flatMap(cell => cell.bounds) : []), [comparison]);
+
+  const ready = source === 'sessions'
+    ? sessionIds.every(Boolean) && sessionIds[0] !== sessionIds[1]
+    : windows && windows.every(range => range.from < range.to);
+
+  const setWindow = (k, key, value) => {
+    const ms = fromInput(value);
+    if (isNaN(ms)) return;
+    setWindows(windows.map((range, i) => (i === k ? { ...range, [key]: ms } : range)));
+  };
+
+  const picker = (k) =>
+    source === 'sessions'
+      ? React.createElement(
+          'select',
+          {
+            className: 'mode-btn',
+            value: sessionIds[k],
+            onChange: (e) => setSessionIds(sessionIds.map((id, i) => (i === k ? e.target.value : id))),
+          },
+          React.createElement('option', { value: '' }, 'Choose a session'),
+          sessions.map(session => React.createElement('option', { key: session.id, value: session.id }, session.name))
+        )
+      : React.createElement(
+          'span',
+          { className: 'compare-window' },
+          React.createElement('input', { type: 'datetime-local', value: toInput(windows[k].from), onChange: (e) => setWindow(k, 'from', e.target.value) }),
+          ' – ',
+          React.createElement('input', { type: 'datetime-local', value: toInput(windows[k].to), onChange: (e) => setWindow(k, 'to', e.target.value) })
+        );
+
+  return React.createElement(
+    'div',
+    { className: 'trips-view' },
+    React.createElement('h2', null, 'Compare'),
+    React.createElement('p', { className: 'explanation' }, `Compare two saved sessions, or two time windows of the data on screen, to see whether something like a road closure or a new pricing zone changed traffic. KPI changes are shown from A to B. The difference map splits the area into ${DIFF_CELL_SIZE} m cells and compares each cell's share of all points, so a larger dataset does not look busier everywhere: red cells carry more of the traffic in B, blue cells less. Clusters whose centres are more than ${CLUSTER_MATCH_RADIUS} m from any cluster on the other side count as appeared or disappeared. Data processed in privacy mode stays protected here: cells seen by fewer than k trips are left out, and counts are noised when noise is on.`),
+    React.createElement(
+      'div',
+      { className: 'compare-controls' },
+      React.createElement(
+        'div',
+        { className: 'map-modes' },
+        React.createElement(
+          'button',
+          { className: `mode-btn ${source === 'sessions' ? 'active' : ''}`, disabled: sessions.length < 2, onClick: () => setSource('sessions') },
+          'Two sessions'
+        ),
+        React.createElement(
+          'button',
+          { className: `mode-btn ${source === 'windows' ? 'active' : ''}`, disabled: !timeline, onClick: () => setSource('windows') },
+          'Two time windows'
+        )
+      ),
+      (source === 'sessions' || windows) &&
+        React.createElement(
+          'div',
+          { className: 'compare-pickers' },
+          React.createElement('label', null, 'A ', picker(0)),
+          React.createElement('label', null, 'B ', picker(1)),
+          React.createElement('button', { className: 'upload-btn', disabled: !ready || status === 'Comparing…', onClick: compare }, 'Compare')
+        ),
+      source === 'windows' && !windows &&
+        React.createElement('p', { className: 'explanation' }, 'This data has no timestamps to split into windows. Save two sessions to compare them instead.'),
+      status && React.createElement('p', { className: 'explanation' }, status)
+    ),
+    comparison &&
+      React.createElement(
+        React.Fragment,
+        null,
+        React.createElement(
+          'div',
+          { className: 'compare-kpis' },
+          comparison.kpis.map(kpi =>
+            React.createElement(
+              'div',
+              { key: kpi.key, className: 'compare-kpi' },
+              React.createElement('h3', null, kpi.label),
+              React.createElement(
+                'div',
+                { className: 'compare-kpi-values' },
+                kpi.before === null ? 'n/a' : KPI_FORMATS[kpi.key](kpi.before),
+                ' → ',
+                kpi.after === null ? 'n/a' : KPI_FORMATS[kpi.key](kpi.after)
+              ),
+              React.createElement(
+                'div',
+                { className: `compare-kpi-delta ${kpi.delta > 0 ? 'up' : kpi.delta < 0 ? 'down' : ''}` },
+                formatDelta(kpi)
+              )
+            )
+          )
+        ),
+        React.createElement('p', { className: 'explanation' }, `A: ${comparison.labels[0]} · B: ${comparison.labels[1]}`),
+        React.createElement(
+          'div',
+          { className: 'map-container' },
+          React.createElement(
+            MapContainer,
+            {
+              center: positions.length > 0 ? positions[0] : [51.1, 71.4],
+              zoom: 12,
+              style: { height: '600px', width: '100%' },
+            },
+            React.createElement(Basemap, { basemap }),
+            React.createElement(FitBounds, { positions }),
+            React.createElement(DifferenceLayer, { cells: comparison.cells }),
+            [
+              ...comparison.clusters.appeared.map(cluster => ({ cluster, side: 'B', color: APPEARED_COLOR, label: 'appeared' })),
+              ...comparison.clusters.disappeared.map(cluster => ({ cluster, side: 'A', color: DISAPPEARED_COLOR, label: 'disappeared' })),
+            ].map(({ cluster, side, color, label }) =>
+              React.createElement(
+                CircleMarker,
+                {
+                  key: `${side}-${cluster.id}`,
+                  center: [cluster.lat, cluster.lng],
+                  radius: 8,
+                  pathOptions: { color, weight: 3, fillOpacity: 0.2, dashArray: label === 'disappeared' ? '4 4' : null },
+                },
+                React.createElement(Tooltip, null, `${cluster.id} (${side}) ${label}: ${cluster.points} points`)
+              )
+            )
+          )
+        ),
+        React.createElement(
+          'div',
+          { className: 'map-legend' },
+          React.createElement('h4', null, 'Legend'),
+          [
+            { color: INCREASE_COLOR, label: 'Larger share of traffic in B' },
+            { color: DECREASE_COLOR, label: 'Smaller share of traffic in B' },
+            { color: APPEARED_COLOR, label: `Cluster appeared (${comparison.clusters.appeared.length})` },
+            { color: DISAPPEARED_COLOR, label: `Cluster disappeared (${comparison.clusters.disappeared.length})` },
+          ].map(item =>
+            React.createElement(
+              'div',
+              { key: item.label, className: 'legend-item' },
+              React.createElement('span', { className: 'legend-color', style: { background: item.color } }),
+              React.createElement('span', null, item.label)
+            )
+          )
+        ),
+        React.createElement(
+          'div',
+          { className: 'compare-clusters' },
+          React.createElement(
+            'div',
+            null,
+            React.createElement('h3', null, 'Appeared in B'),
+            React.createElement('ul', null, clusterRows(comparison.clusters.appeared, 'None'))
+          ),
+          React.createElement(
+            'div',
+            null,
+            React.createElement('h3', null, 'Disappeared from A'),
+            React.createElement('ul', null, clusterRows(comparison.clusters.disappeared, 'None'))
+          ),
+          React.createElement(
+            'div',
+            null,
+            React.createElement('h3', null, 'In both'),
+            React.createElement('p', null, `${comparison.clusters.matched.length} clusters`)
+          )
+        )
+      )
+  );
+};
+
+export default CompareView;
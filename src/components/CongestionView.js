@@ -0,0 +1,126 @@
+import React, { useState, useMemo } from 'react';
+import { MapContainer, Polygon, Tooltip } from 'react-leaflet';
+import FitBounds from './FitBounds';
+import Basemap from './Basemap';
+import { sortRows, nextSort } from './tableSort';
+
+// Zone ids are numbered by delay, so the Zone column sorts by delay too.
+const COLUMNS = [
+  { key: 'id', label: 'Zone', format: zone => zone.id, value: zone => zone.delay },
+  { key: 'direction', label: 'Direction', format: zone => zone.direction },
+  { key: 'delay', label: 'Delay', format: zone => `${(zone.delay / 60).toFixed(1)} min` },
+  { key: 'trips', label: 'Trips Affected', format: zone => zone.trips.toLocaleString() },
+  { key: 'points', label: 'Slow Points', format: zone => zone.points.toLocaleString() },
+  { key: 'meanSpeed', label: 'Avg Speed', format: zone => `${Math.round(zone.meanSpeed)} km/h` },
+];
+
+const severityColor = (zone, maxDelay) => {
+  const share = maxDelay > 0 ? zone.delay / maxDelay : 0;
+  if (share > 0.66) return '#ef4444';
+  if (share > 0.33) return '#FF8042';
+  return '#FFBB28';
+};
+
+const describeDwells = (dwells) => {
+  const at = (position) => dwells.filter(dwell => dwell.position === position).length;
+  return `${dwells.length.toLocaleString()} dwell events were set aside as stops rather than traffic: ` +
+    `${at('start').toLocaleString()} at the start of a trip, ${at('end').toLocaleString()} at the end and ` +
+    `${at('middle').toLocaleString()} mid-trip.`;
+};
+
+const CongestionView = ({ congestion, basemap }) => {
+  const { zones, dwells } = congestion;
+  const [sort, setSort] = useState({ key: 'delay', desc: true });
+  const [selectedId, setSelectedId] = useState(null);
+
+  const sorted = sortRows(zones, sort, COLUMNS.find(column => column.key === sort.key).value);
+  const selected = zones.find(zone => zone.id === selectedId) || null;
+  const maxDelay = zones.reduce((max, zone) => Math.max(max, zone.delay), 0);
+  const positions = useMemo(
+    () => (selected ? selected.polygon : zones.flatMap(zone => zone.polygon)),
+    [selected, zones]
+  );
+
+  const toggleSort = (key) => setSort(prev => nextSort(prev, key));
+
+  return React.createElement(
+    'div',
+    { className: 'trips-view' },
+    React.createElement('h2', null, 'Congestion Zones'),
+    React.createElement('p', { className: 'explanation' }, 'Points below 10 km/h are split into dwell events - a car standing still at the start or end of its trip, or for over two minutes - and slow moving traffic. Slow traffic is grouped into zones per direction of travel, so the two sides of a road are separate zones. Delay is the extra time spent in the zone compared with driving it at the typical free-flow speed of the data. Zones are ranked by delay; click a row to zoom to it.'),
+    React.createElement('p', { className: 'explanation' }, describeDwells(dwells)),
+    React.createElement(
+      'div',
+      { className: 'map-container' },
+      React.createElement(
+        MapContainer,
+        {
+          center: zones.length > 0 ? [zones[0].lat, zones[0].lng] : [51.1, 71.4],
+          zoom: 13,
+          style: { height: '600px', width: '100%' },
+        },
+        React.createElement(Basemap, { basemap }),
+        React.createElement(FitBounds, { positions }),
+        zones.map(zone =>
+          React.createElement(
+            Polygon,
+            {
+              key: zone.id,
+              positions: zone.polygon,
+              pathOptions: {
+                color: severityColor(zone, maxDelay),
+                weight: zone === selected ? 4 : 2,
+                fillOpacity: zone === selected ? 0.5 : 0.3,
+              },
+              eventHandlers: { click: () => setSelectedId(zone.id) },
+            },
+            React.createElement(
+              Tooltip,
+              null,
+              `${zone.id} (${zone.direction}): ${(zone.delay / 60).toFixed(1)} min delay over ${zone.trips} trips`
+            )
+          )
+        )
+      )
+    ),
+    zones.length === 0
+      ? React.createElement('p', { className: 'explanation' }, 'No congestion zones found: slow moving points are too sparse to form a zone.')
+      : React.createElement(
+          'table',
+          { className: 'trips-table' },
+          React.createElement(
+            'thead',
+            null,
+            React.createElement(
+              'tr',
+              null,
+              COLUMNS.map(column =>
+                React.createElement(
+                  'th',
+                  { key: column.key, onClick: () => toggleSort(column.key) },
+                  column.label,
+                  sort.key === column.key ? (sort.desc ? ' ▼' : ' ▲') : ''
+                )
+              )
+            )
+          ),
+          React.createElement(
+            'tbody',
+            null,
+            sorted.map(zone =>
+              React.createElement(
+                'tr',
+                {
+                  key: zone.id,
+                  className: zone === selected ? 'selected' : '',
+                  onClick: () => setSelectedId(zone.id === selectedId ? null : zone.id),
+                },
+                COLUMNS.map(column => React.createElement('td', { key: column.key }, column.format(zone)))
+              )
+            )
+          )
+        )
+  );
+};
+
+export default CongestionView;
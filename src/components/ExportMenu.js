@@ -0,0 +1,35 @@
+import React, { useState } from 'react';
+
+// Header dropdown; each item is `{ key, label, onSelect }`, optionally
+// `disabled` with a `title` saying why.
+const ExportMenu = ({ items }) => {
+  const [open, setOpen] = useState(false);
+
+  return React.createElement(
+    'div',
+    { className: 'export-menu', onMouseLeave: () => setOpen(false) },
+    React.createElement('button', { className: 'mode-btn', onClick: () => setOpen(!open) }, '⬇️ Export'),
+    open &&
+      React.createElement(
+        'div',
+        { className: 'export-menu-items' },
+        items.map(item =>
+          React.createElement(
+            'button',
+            {
+              key: item.key,
+              disabled: item.disabled,
+              title: item.title,
+              onClick: () => {
+                setOpen(false);
+                item.onSelect();
+              },
+            },
+            item.label
+          )
+        )
+      )
+  );
+};
+
+export default ExportMenu;
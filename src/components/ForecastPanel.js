@@ -0,0 +1,87 @@
+import React, { useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { HOUR_MS, FORECAST_MODELS } from '../analysis';
+
+const HISTORY_SHOWN_HOURS = 72;
+const TOOLTIP_STYLE = { backgroundColor: '#ffffff', border: 'none' };
+
+const formatHour = (ts) => {
+  const date = new Date(ts);
+  return `${date.toLocaleDateString(undefined, { weekday: 'short' })} ${String(date.getHours()).padStart(2, '0')}:00`;
+};
+
+const formatTrips = (value) => (value === null || value === undefined ? '—' : value.toFixed(1));
+
+// Observed demand of the last few days, the forecast after it, and over the
+// most recent hours what the backtest predicted for them from the hours
+// before, so the two can be compared by eye.
+const chartRows = (forecast, zone) => {
+  const { start, hours, forecastStart } = forecast;
+  const from = Math.max(0, hours - HISTORY_SHOWN_HOURS);
+  const backtestFrom = zone.backtest ? hours - zone.backtest.predicted.length : hours;
+  const observed = zone.counts.slice(from).map((value, i) => ({
+    ts: start + (from + i) * HOUR_MS,
+    observed: value,
+    backtest: from + i >= backtestFrom ? zone.backtest.predicted[from + i - backtestFrom] : null,
+    forecast: from + i === hours - 1 ? value : null,
+  }));
+  const ahead = zone.forecast.map((value, h) => ({ ts: forecastStart + h * HOUR_MS, observed: null, backtest: null, forecast: value }));
+  return [...observed, ...ahead];
+};
+
+// The forecast of one zone with how well the chosen model did on the hours
+// it was held out from.
+const ForecastPanel = ({ forecast, zone, onSelectZone }) => {
+  const rows = useMemo(() => chartRows(forecast, zone), [forecast, zone]);
+  const { backtest, reliability } = zone;
+
+  return React.createElement(
+    'div',
+    { className: 'chart-card forecast-panel' },
+    React.createElement(
+      'div',
+      { className: 'analytics-profile-header' },
+      React.createElement('h3', null, `Demand Forecast: ${zone.zone.id}`),
+      React.createElement(
+        'select',
+        { className: 'mode-btn', value: zone.zone.id, onChange: (e) => onSelectZone(e.target.value) },
+        forecast.zones.map(candidate =>
+          React.createElement('option', { key: candidate.zone.id, value: candidate.zone.id }, `${candidate.zone.id} · ${candidate.trips.toLocaleString()} trips`)
+        )
+      )
+    ),
+    React.createElement('p', { className: 'explanation' }, 'Distinct trips in the zone per hour. The dashed line is the backtest: the last day forecast from the days before it and compared with what happened. The lower its errors, the more the forecast after the vertical line can be trusted.'),
+    React.createElement(
+      'div',
+      { className: 'forecast-metrics' },
+      React.createElement('span', null, `Model: ${FORECAST_MODELS[zone.model]}`),
+      React.createElement('span', null, `MAE: ${backtest ? formatTrips(backtest.mae) : '—'} trips/h`),
+      React.createElement('span', null, `RMSE: ${backtest ? formatTrips(backtest.rmse) : '—'} trips/h`),
+      React.createElement('span', null, `WAPE: ${backtest && backtest.wape !== null ? `${Math.round(backtest.wape * 100)}%` : '—'}`),
+      React.createElement(
+        'span',
+        { className: `forecast-reliability ${reliability ? reliability.key : 'untested'}` },
+        reliability ? reliability.label : 'Not enough history to backtest'
+      )
+    ),
+    React.createElement(
+      ResponsiveContainer,
+      { width: '100%', height: 300 },
+      React.createElement(
+        LineChart,
+        { data: rows },
+        React.createElement(CartesianGrid, { strokeDasharray: '3 3', stroke: '#e2e8f0' }),
+        React.createElement(XAxis, { dataKey: 'ts', type: 'number', domain: ['dataMin', 'dataMax'], stroke: '#64748b', fontSize: 11, tickFormatter: formatHour }),
+        React.createElement(YAxis, { stroke: '#64748b', allowDecimals: false }),
+        React.createElement(Tooltip, { contentStyle: TOOLTIP_STYLE, labelFormatter: formatHour, formatter: formatTrips }),
+        React.createElement(Legend, null),
+        React.createElement(ReferenceLine, { x: forecast.forecastStart, stroke: '#94a3b8' }),
+        React.createElement(Line, { dataKey: 'observed', name: 'Observed', stroke: '#0088FE', dot: false, isAnimationActive: false }),
+        React.createElement(Line, { dataKey: 'backtest', name: 'Backtest', stroke: '#94a3b8', strokeDasharray: '5 4', dot: false, isAnimationActive: false }),
+        React.createElement(Line, { dataKey: 'forecast', name: 'Forecast', stroke: '#FF8042', strokeWidth: 2, dot: false, isAnimationActive: false })
+      )
+    )
+  );
+};
+
+export default ForecastPanel;
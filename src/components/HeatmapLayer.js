@@ -0,0 +1,23 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet.heat';
+
+// `maxCount` pins the colour scale, e.g. to the busiest cell of any time
+// bucket while playing through them; otherwise it follows the busiest cell.
+const HeatmapLayer = ({ cells, maxCount = null }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (!cells || cells.length === 0) return;
+    const scale = maxCount || cells.reduce((max, cell) => Math.max(max, cell[2]), 1);
+    const heat = L.heatLayer(
+      cells.map(([lat, lng, count]) => [lat, lng, Math.min(count / scale, 1)]),
+      { radius: 25, blur: 15, maxZoom: 17 }
+    );
+    heat.addTo(map);
+    return () => map.removeLayer(heat);
+  }, [cells, maxCount, map]);
+  return null;
+};
+
+export default HeatmapLayer;
@@ -0,0 +1,51 @@
+import React from 'react';
+
+// `safetyScore` is null while a file is still streaming in: it needs the
+// finished anomaly pass.
+const KpiCards = ({ points, avgSpeed, safetyScore, anomalyCount }) =>
+  React.createElement(
+    'div',
+    { className: 'kpi-grid' },
+    React.createElement(
+      'div',
+      { className: 'kpi-card gradient-1' },
+      React.createElement('div', { className: 'kpi-icon' }, '🚗'),
+      React.createElement(
+        'div',
+        { className: 'kpi-content' },
+        React.createElement('h3', null, 'Active Trips'),
+        React.createElement('div', { className: 'kpi-value' }, points.toLocaleString()),
+        React.createElement('div', { className: 'kpi-change' }, 'Number of geotrack points')
+      )
+    ),
+    React.createElement(
+      'div',
+      { className: 'kpi-card gradient-2' },
+      React.createElement('div', { className: 'kpi-icon' }, '⚡'),
+      React.createElement(
+        'div',
+        { className: 'kpi-content' },
+        React.createElement('h3', null, 'Avg Speed'),
+        React.createElement('div', { className: 'kpi-value' }, `${Math.round(avgSpeed)} km/h`),
+        React.createElement('div', { className: 'kpi-change' }, 'Average across all points')
+      )
+    ),
+    React.createElement(
+      'div',
+      { className: 'kpi-card gradient-3' },
+      React.createElement('div', { className: 'kpi-icon' }, '🛡️'),
+      React.createElement(
+        'div',
+        { className: 'kpi-content' },
+        React.createElement('h3', null, 'Safety Score'),
+        React.createElement('div', { className: 'kpi-value' }, safetyScore === null ? '…' : `${safetyScore}%`),
+        React.createElement(
+          'div',
+          { className: 'kpi-change' },
+          safetyScore === null ? 'Available once loading finishes' : `${anomalyCount} anomalies detected`
+        )
+      )
+    )
+  );
+
+export default KpiCards;
@@ -0,0 +1,16 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+
+// Moves the map whenever a new `focus` arrives: `{ bounds }` fits the map to
+// a set of positions, `{ point, zoom }` flies to one location.
+const MapFocus = ({ focus }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (!focus) return;
+    if (focus.bounds) map.fitBounds(focus.bounds, { padding: [30, 30], maxZoom: 17 });
+    else map.flyTo([focus.point.lat, focus.point.lng], focus.zoom);
+  }, [focus, map]);
+  return null;
+};
+
+export default MapFocus;
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { toCsv } from '../export/csv';
+import { downloadFile } from '../export/download';
+import { sortRows, nextSort } from './tableSort';
+
+const formatDuration = (seconds) => (seconds === null ? '—' : `${(seconds / 60).toFixed(1)} min`);
+
+const COLUMNS = [
+  { key: 'origin', label: 'Origin', format: flow => flow.origin },
+  { key: 'destination', label: 'Destination', format: flow => flow.destination },
+  { key: 'trips', label: 'Trips', format: flow => flow.trips.toLocaleString() },
+  { key: 'avgDistance', label: 'Avg Distance', format: flow => `${(flow.avgDistance / 1000).toFixed(2)} km` },
+  { key: 'avgDuration', label: 'Avg Duration', format: flow => formatDuration(flow.avgDuration) },
+];
+
+// Plain numbers in the export so spreadsheets can sort and sum them.
+const CSV_COLUMNS = [
+  { label: 'origin', value: flow => flow.origin },
+  { label: 'destination', value: flow => flow.destination },
+  { label: 'trips', value: flow => flow.trips },
+  { label: 'origin_lat', value: flow => flow.from[0].toFixed(6) },
+  { label: 'origin_lng', value: flow => flow.from[1].toFixed(6) },
+  { label: 'destination_lat', value: flow => flow.to[0].toFixed(6) },
+  { label: 'destination_lng', value: flow => flow.to[1].toFixed(6) },
+  { label: 'avg_distance_m', value: flow => Math.round(flow.avgDistance) },
+  { label: 'avg_duration_s', value: flow => (flow.avgDuration === null ? null : Math.round(flow.avgDuration)) },
+];
+
+// Origin–destination pairs, busiest first. The export follows the current
+// sort order.
+const OdTable = ({ flows, zoning }) => {
+  const [sort, setSort] = useState({ key: 'trips', desc: true });
+
+  const sorted = sortRows(flows, sort);
+
+  const toggleSort = (key) => setSort(prev => nextSort(prev, key));
+
+  const exportCsv = () => downloadFile(`od-flows-${zoning}.csv`, toCsv(sorted, CSV_COLUMNS), 'text/csv;charset=utf-8');
+
+  return React.createElement(
+    'div',
+    { className: 'od-table' },
+    React.createElement(
+      'div',
+      { className: 'od-table-header' },
+      React.createElement('h3', null, 'Origin–Destination Matrix'),
+      React.createElement('button', { className: 'mode-btn', disabled: flows.length === 0, onClick: exportCsv }, 'Export CSV')
+    ),
+    flows.length === 0
+      ? React.createElement('p', { className: 'explanation' }, 'No trips start and end inside a zone.')
+      : React.createElement(
+          'table',
+          { className: 'trips-table' },
+          React.createElement(
+            'thead',
+            null,
+            React.createElement(
+              'tr',
+              null,
+              COLUMNS.map(column =>
+                React.createElement(
+                  'th',
+                  { key: column.key, onClick: () => toggleSort(column.key) },
+                  column.label,
+                  sort.key === column.key ? (sort.desc ? ' ▼' : ' ▲') : ''
+                )
+              )
+            )
+          ),
+          React.createElement(
+            'tbody',
+            null,
+            sorted.map(flow =>
+              React.createElement(
+                'tr',
+                { key: `${flow.origin}→${flow.destination}` },
+                COLUMNS.map(column => React.createElement('td', { key: column.key }, column.format(flow)))
+              )
+            )
+          )
+        )
+  );
+};
+
+export default OdTable;
@@ -0,0 +1,35 @@
+import React, { useEffect, useState } from 'react';
+import { useMap, useMapEvents, Polyline, CircleMarker } from 'react-leaflet';
+
+// Each click adds a corner; a double click closes the polygon, which needs at
+// least three corners. Double-click zoom is off while drawing.
+const PolygonDrawLayer = ({ onFinish }) => {
+  const map = useMap();
+  const [vertices, setVertices] = useState([]);
+
+  useEffect(() => {
+    map.doubleClickZoom.disable();
+    return () => map.doubleClickZoom.enable();
+  }, [map]);
+
+  useMapEvents({
+    click: (event) => setVertices(prev => [...prev, [event.latlng.lat, event.latlng.lng]]),
+    dblclick: () => {
+      // The double click has already added its position twice as clicks.
+      const corners = vertices.slice(0, -1);
+      if (corners.length >= 3) onFinish(corners);
+    },
+  });
+
+  return React.createElement(
+    React.Fragment,
+    null,
+    vertices.length > 1 &&
+      React.createElement(Polyline, { positions: vertices, pathOptions: { color: '#0088FE', dashArray: '6 4' } }),
+    vertices.map((vertex, i) =>
+      React.createElement(CircleMarker, { key: i, center: vertex, radius: 4, pathOptions: { color: '#0088FE', fillOpacity: 1 } })
+    )
+  );
+};
+
+export default PolygonDrawLayer;
@@ -0,0 +1,91 @@
+import React, { useEffect, useRef } from 'react';
+import { MapContainer } from 'react-leaflet';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid } from 'recharts';
+import KpiCards from './KpiCards';
+import SafetyBreakdown from './SafetyBreakdown';
+import HeatmapLayer from './HeatmapLayer';
+import FitBounds from './FitBounds';
+import Basemap from './Basemap';
+
+// Tiles that have not arrived by then are printed blank.
+const PRINT_TIMEOUT_MS = 3000;
+
+// A one-page summary of what is on screen, laid over the app and printed as
+// soon as the map tiles have loaded. The browser's print dialog can save it
+// as PDF.
+const PrintReport = ({ title, filters, summary, safety, anomalyCount, metrics, basemap, onClose }) => {
+  const printed = useRef(false);
+
+  const print = () => {
+    if (printed.current) return;
+    printed.current = true;
+    window.print();
+  };
+
+  useEffect(() => {
+    const timer = setTimeout(print, PRINT_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, []);
+
+  const positions = summary.heat.map(([lat, lng]) => [lat, lng]);
+
+  return React.createElement(
+    'div',
+    { className: 'print-report' },
+    React.createElement(
+      'div',
+      { className: 'print-report-actions' },
+      React.createElement('button', { className: 'mode-btn', onClick: () => window.print() }, 'Print'),
+      React.createElement('button', { className: 'mode-btn', onClick: onClose }, 'Close')
+    ),
+    React.createElement('h1', null, title),
+    React.createElement(
+      'p',
+      { className: 'explanation' },
+      `Generated ${new Date().toLocaleString()}${filters.length > 0 ? ` · Filters: ${filters.join(', ')}` : ' · No filters'}`
+    ),
+    React.createElement(KpiCards, {
+      points: summary.points,
+      avgSpeed: summary.meanSpeed,
+      safetyScore: safety.score,
+      anomalyCount,
+    }),
+    React.createElement(
+      'div',
+      { className: 'print-report-row' },
+      React.createElement(
+        'div',
+        { className: 'chart-card' },
+        React.createElement('h3', null, 'Cluster Density'),
+        React.createElement(
+          BarChart,
+          { width: 520, height: 260, data: metrics },
+          React.createElement(CartesianGrid, { strokeDasharray: '3 3', stroke: '#e2e8f0' }),
+          React.createElement(XAxis, { dataKey: 'id', stroke: '#64748b' }),
+          React.createElement(YAxis, { stroke: '#64748b' }),
+          React.createElement(Bar, { dataKey: 'density', fill: '#00C49F', isAnimationActive: false })
+        )
+      ),
+      React.createElement(
+        'div',
+        { className: 'chart-card' },
+        React.createElement('h3', null, 'Point Density'),
+        React.createElement(
+          MapContainer,
+          {
+            center: positions.length > 0 ? positions[0] : [51.1, 71.4],
+            zoom: 12,
+            zoomControl: false,
+            style: { height: '260px', width: '100%' },
+          },
+          React.createElement(Basemap, { basemap, onLoad: print }),
+          React.createElement(FitBounds, { positions }),
+          React.createElement(HeatmapLayer, { cells: summary.heat })
+        )
+      )
+    ),
+    React.createElement(SafetyBreakdown, { components: safety.components, readOnly: true })
+  );
+};
+
+export default PrintReport;
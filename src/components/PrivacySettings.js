@@ -0,0 +1,68 @@
+import React from 'react';
+
+// Privacy options applied when a file is processed. Numbers that do not parse
+// keep their previous value.
+const PrivacySettings = ({ privacy, onChange }) => {
+  const set = (key, value) => onChange({ ...privacy, [key]: value });
+  const setNumber = (key, value, min) => {
+    const parsed = parseFloat(value);
+    if (!isNaN(parsed) && parsed >= min) set(key, parsed);
+  };
+
+  return React.createElement(
+    'div',
+    { className: 'privacy-settings' },
+    React.createElement(
+      'label',
+      { className: 'privacy-toggle' },
+      React.createElement('input', { type: 'checkbox', checked: privacy.enabled, onChange: (e) => set('enabled', e.target.checked) }),
+      ' Режим конфиденциальности'
+    ),
+    privacy.enabled &&
+      React.createElement(
+        'div',
+        { className: 'privacy-options' },
+        React.createElement(
+          'label',
+          null,
+          'Обрезать начало и конец поездок, м ',
+          React.createElement('input', {
+            type: 'number',
+            min: 0,
+            step: 50,
+            defaultValue: privacy.trimMeters,
+            onBlur: (e) => setNumber('trimMeters', e.target.value, 0),
+          })
+        ),
+        React.createElement(
+          'label',
+          null,
+          'Скрывать ячейки и кластеры, где поездок меньше k = ',
+          React.createElement('input', {
+            type: 'number',
+            min: 1,
+            step: 1,
+            defaultValue: privacy.k,
+            onBlur: (e) => setNumber('k', Math.round(e.target.value), 1),
+          })
+        ),
+        React.createElement(
+          'label',
+          null,
+          React.createElement('input', { type: 'checkbox', checked: privacy.noise, onChange: (e) => set('noise', e.target.checked) }),
+          ' Добавлять шум Лапласа к агрегатам, ε = ',
+          React.createElement('input', {
+            type: 'number',
+            min: 0.1,
+            step: 0.1,
+            defaultValue: privacy.epsilon,
+            disabled: !privacy.noise,
+            onBlur: (e) => setNumber('epsilon', e.target.value, 0.1),
+          })
+        ),
+        React.createElement('p', null, 'Применяется к загружаемым файлам. Экспорт отдельных точек при этом отключён.')
+      )
+  );
+};
+
+export default PrivacySettings;
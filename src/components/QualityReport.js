@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+const REASON_LABELS = {
+  lat: 'Нет широты или она не читается',
+  lng: 'Нет долготы или она не читается',
+  alt: 'Нет высоты или она не читается',
+  spd: 'Нет скорости или она не читается',
+  azm: 'Нет направления или оно не читается',
+  speedRange: 'Скорость вне допустимого диапазона',
+  altRange: 'Высота вне допустимого диапазона',
+  duplicate: 'Повтор предыдущей точки той же поездки',
+  noSpeed: 'Скорость не вычислить: нет или повторяется время',
+  outOfOrder: 'Пришла слишком поздно: время раньше уже обработанных точек поездки',
+  outlier: 'Далеко за пределами области данных',
+};
+
+const THRESHOLDS = [
+  { key: 'minSpeed', label: 'Скорость от, км/ч', step: 1 },
+  { key: 'maxSpeed', label: 'Скорость до, км/ч', step: 10 },
+  { key: 'minAlt', label: 'Высота от, м', step: 100 },
+  { key: 'maxAlt', label: 'Высота до, м', step: 100 },
+  { key: 'outlierKm', label: 'Выброс дальше, км от области данных', step: 5, min: 0 },
+  { key: 'jitterMeters', label: 'Дрожание GPS при стоянке больше, м', step: 5, min: 0 },
+  { key: 'gapSeconds', label: 'Разрыв во времени больше, с', step: 60, min: 0 },
+];
+
+// Bars of the histogram before and after cleaning, with the values below and
+// above its range as the first and last bar when there are any.
+const histogramRows = ({ before, after }) => {
+  const rows = before.counts.map((count, i) => ({
+    label: `${before.min + i * before.width}`,
+    before: count,
+    after: after.counts[i],
+  }));
+  if (before.under > 0) rows.unshift({ label: `< ${before.min}`, before: before.under, after: after.under });
+  const max = before.min + before.counts.length * before.width;
+  if (before.over > 0) rows.push({ label: `≥ ${max}`, before: before.over, after: after.over });
+  return rows;
+};
+
+const Histogram = ({ title, histogram }) =>
+  React.createElement(
+    'div',
+    { className: 'quality-histogram' },
+    React.createElement('h3', null, title),
+    React.createElement(
+      ResponsiveContainer,
+      { width: '100%', height: 220 },
+      React.createElement(
+        BarChart,
+        { data: histogramRows(histogram), barGap: 0 },
+        React.createElement(XAxis, { dataKey: 'label', fontSize: 11 }),
+        React.createElement(YAxis, { fontSize: 11 }),
+        React.createElement(Tooltip, null),
+        React.createElement(Legend, null),
+        React.createElement(Bar, { dataKey: 'before', name: 'До очистки', fill: '#FFBB28' }),
+        React.createElement(Bar, { dataKey: 'after', name: 'После очистки', fill: '#0088FE' })
+      )
+    )
+  );
+
+// Shown after a file is processed: what cleaning dropped and why, what the
+// whole-dataset checks found, and the thresholds to process the file again
+// with. Without the file - a reopened session - the thresholds are read-only.
+const QualityReport = ({ summary, canReprocess, onReprocess, onContinue, error = '' }) => {
+  const { quality } = summary;
+  const [settings, setSettings] = useState(quality.settings);
+  const rejected = Object.entries(quality.rejected).sort((a, b) => b[1] - a[1]);
+  const dropped = rejected.reduce((sum, [, count]) => sum + count, 0);
+
+  const set = (key, value) => setSettings(prev => ({ ...prev, [key]: value }));
+  const setNumber = (key, value, min) => {
+    const parsed = parseFloat(value);
+    if (!isNaN(parsed) && (min === undefined || parsed >= min)) set(key, parsed);
+  };
+
+  const findings = [
+    ['Повторяющиеся точки', (quality.rejected.duplicate || 0).toLocaleString()],
+    ['Высота вне диапазона', (quality.rejected.altRange || 0).toLocaleString()],
+    [
+      'Дрожание GPS при стоянке',
+      `${quality.jitter.steps.toLocaleString()} скачков в ${quality.jitter.trips.toLocaleString()} поездках` +
+        (quality.jitter.steps > 0 ? `, до ${Math.round(quality.jitter.largest)} м` : ''),
+    ],
+    [
+      'Разрывы во времени',
+      `${quality.gaps.count.toLocaleString()} в ${quality.gaps.trips.toLocaleString()} поездках` +
+        (quality.gaps.count > 0 ? `, самый длинный ${(quality.gaps.longest / 60).toFixed(1)} мин` : ''),
+    ],
+    [
+      'Точки далеко за пределами области данных',
+      `${quality.outliers.toLocaleString()}${quality.outliers > 0 ? (quality.settings.dropOutliers ? ' (отброшены)' : ' (оставлены)') : ''}`,
+    ],
+  ];
+
+  return React.createElement(
+    'div',
+    { className: 'upload-screen' },
+    React.createElement(
+      'div',
+      { className: 'upload-box quality-box' },
+      React.createElement('h2', null, 'Качество данных'),
+      React.createElement(
+        'p',
+        null,
+        `Прочитано ${summary.records.toLocaleString()} записей, для анализа оставлено ${summary.points.toLocaleString()} точек, отброшено ${dropped.toLocaleString()}.`
+      ),
+      rejected.length > 0 &&
+        React.createElement(
+          'table',
+          { className: 'mapping-table' },
+          React.createElement(
+            'tbody',
+            null,
+            rejected.map(([reason, count]) =>
+              React.createElement(
+                'tr',
+                { key: reason },
+                React.createElement('td', null, REASON_LABELS[reason] || reason),
+                React.createElement('td', { className: 'quality-count' }, count.toLocaleString()),
+                React.createElement('td', { className: 'quality-count' }, `${((count / Math.max(summary.records, 1)) * 100).toFixed(1)}%`)
+              )
+            )
+          )
+        ),
+      React.createElement('h3', null, 'Проверки'),
+      React.createElement(
+        'table',
+        { className: 'mapping-table' },
+        React.createElement(
+          'tbody',
+          null,
+          findings.map(([label, value]) =>
+            React.createElement(
+              'tr',
+              { key: label },
+              React.createElement('td', null, label),
+              React.createElement('td', { className: 'quality-count' }, value)
+            )
+          )
+        )
+      ),
+      React.createElement(
+        'div',
+        { className: 'quality-histograms' },
+        React.createElement(Histogram, { title: 'Скорость, км/ч', histogram: quality.histograms.speed }),
+        React.createElement(Histogram, { title: 'Высота, м', histogram: quality.histograms.alt })
+      ),
+      React.createElement('h3', null, 'Пороги очистки'),
+      React.createElement(
+        'div',
+        { className: 'quality-thresholds' },
+        THRESHOLDS.map(({ key, label, step, min }) =>
+          React.createElement(
+            'label',
+            { key },
+            `${label} `,
+            React.createElement('input', {
+              type: 'number',
+              step,
+              min,
+              defaultValue: settings[key],
+              disabled: !canReprocess,
+              onBlur: (e) => setNumber(key, e.target.value, min),
+            })
+          )
+        ),
+        React.createElement(
+          'label',
+          { className: 'quality-toggle' },
+          React.createElement('input', {
+            type: 'checkbox',
+            checked: settings.dropDuplicates,
+            disabled: !canReprocess,
+            onChange: (e) => set('dropDuplicates', e.target.checked),
+          }),
+          ' Отбрасывать повторяющиеся точки'
+        ),
+        React.createElement(
+          'label',
+          { className: 'quality-toggle' },
+          React.createElement('input', {
+            type: 'checkbox',
+            checked: settings.dropOutliers,
+            disabled: !canReprocess,
+            onChange: (e) => set('dropOutliers', e.target.checked),
+          }),
+          ' Отбрасывать точки далеко за пределами области данных'
+        ),
+        !canReprocess &&
+          React.createElement('p', null, 'Данные открыты из сохранённой сессии: чтобы изменить пороги, загрузите файл заново.')
+      ),
+      error && React.createElement('div', { className: 'error-message' }, `Не удалось пересчитать: ${error}`),
+      React.createElement(
+        'div',
+        { className: 'mapping-actions' },
+        React.createElement(
+          'button',
+          { className: 'cancel-btn', disabled: !canReprocess, onClick: () => onReprocess(settings) },
+          'Пересчитать'
+        ),
+        React.createElement('button', { className: 'upload-btn', onClick: onContinue }, 'Продолжить')
+      )
+    )
+  );
+};
+
+export default QualityReport;
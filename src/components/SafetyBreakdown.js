@@ -0,0 +1,70 @@
+import React from 'react';
+
+const BASIS_LABELS = { all: 'points', motion: 'timed trip steps', timed: 'timed points' };
+
+const formatRate = (rate) => (rate === null ? 'no data' : `${(rate * 100).toFixed(1)}%`);
+
+// One row per factor of the composite score: its own score, the share it was
+// computed from, and a slider for its weight. Factors without data are shown
+// but take no part in the total. `readOnly` shows the weights without
+// controls, e.g. in the printed report.
+const SafetyBreakdown = ({ components, onWeightChange, onReset, readOnly = false }) => {
+  const totalWeight = components
+    .filter(component => component.score !== null)
+    .reduce((sum, component) => sum + component.weight, 0);
+
+  return React.createElement(
+    'div',
+    { className: 'safety-breakdown' },
+    React.createElement(
+      'div',
+      { className: 'safety-breakdown-header' },
+      React.createElement('h3', null, 'Score Breakdown'),
+      !readOnly && React.createElement('button', { className: 'mode-btn', onClick: onReset }, 'Reset weights')
+    ),
+    components.map(component =>
+      React.createElement(
+        'div',
+        { key: component.key, className: `safety-factor ${component.score === null ? 'unavailable' : ''}` },
+        React.createElement(
+          'div',
+          { className: 'safety-factor-label', title: component.description },
+          React.createElement('strong', null, component.label),
+          React.createElement(
+            'span',
+            null,
+            `${formatRate(component.rate)} of ${BASIS_LABELS[component.basis]}` +
+              (component.score === null ? '' : ` · ${Math.round((component.weight / (totalWeight || 1)) * 100)}% of total`)
+          )
+        ),
+        React.createElement(
+          'div',
+          { className: 'safety-factor-bar' },
+          React.createElement('div', {
+            className: 'safety-factor-fill',
+            style: { width: `${component.score === null ? 0 : component.score}%` },
+          })
+        ),
+        React.createElement('span', { className: 'safety-factor-score' }, component.score === null ? '—' : Math.round(component.score)),
+        readOnly
+          ? React.createElement('span', { className: 'safety-factor-weight' }, `Weight ${component.weight}`)
+          : React.createElement(
+              'label',
+              { className: 'safety-factor-weight' },
+              'Weight ',
+              React.createElement('input', {
+                type: 'range',
+                min: 0,
+                max: 100,
+                step: 5,
+                value: component.weight,
+                onChange: (e) => onWeightChange(component.key, Number(e.target.value)),
+              }),
+              React.createElement('span', null, component.weight)
+            )
+      )
+    )
+  );
+};
+
+export default SafetyBreakdown;
@@ -0,0 +1,65 @@
+import React from 'react';
+import { EMPTY_SELECTION, isEmptySelection, toggleIn } from '../analysis';
+
+// Speed range inputs plus one removable chip per cluster, trip and drawn area
+// in the shared selection. An empty speed input leaves that end open.
+const SelectionBar = ({ selection, metrics, onChange }) => {
+  const setSpeed = (key, value) => {
+    const parsed = value === '' ? undefined : parseFloat(value);
+    if (parsed !== undefined && (isNaN(parsed) || parsed < 0)) return;
+    const speed = { ...selection.speed, [key]: parsed };
+    const open = speed.min === undefined && speed.max === undefined;
+    onChange({ ...selection, speed: open ? null : speed });
+  };
+
+  const chip = (key, label, onRemove) =>
+    React.createElement(
+      'span',
+      { key, className: 'selection-chip' },
+      label,
+      React.createElement('button', { title: 'Remove from the selection', onClick: onRemove }, '×')
+    );
+
+  return React.createElement(
+    'div',
+    { className: 'selection-bar' },
+    React.createElement(
+      'label',
+      null,
+      'Speed ',
+      React.createElement('input', {
+        type: 'number',
+        min: 0,
+        placeholder: 'min',
+        value: selection.speed && selection.speed.min !== undefined ? selection.speed.min : '',
+        onChange: (e) => setSpeed('min', e.target.value),
+      }),
+      ' – ',
+      React.createElement('input', {
+        type: 'number',
+        min: 0,
+        placeholder: 'max',
+        value: selection.speed && selection.speed.max !== undefined ? selection.speed.max : '',
+        onChange: (e) => setSpeed('max', e.target.value),
+      }),
+      ' km/h'
+    ),
+    selection.clusters.map(index =>
+      chip(`cluster-${index}`, metrics[index] ? metrics[index].id : `Cluster ${index + 1}`, () =>
+        onChange({ ...selection, clusters: toggleIn(selection.clusters, index) }))
+    ),
+    selection.trips.map(id =>
+      chip(`trip-${id}`, `Trip ${id}`, () => onChange({ ...selection, trips: toggleIn(selection.trips, id) }))
+    ),
+    selection.polygon &&
+      chip('polygon', `Drawn area (${selection.polygon.length} vertices)`, () => onChange({ ...selection, polygon: null })),
+    !isEmptySelection(selection) &&
+      React.createElement(
+        'button',
+        { className: 'mode-btn', onClick: () => onChange(EMPTY_SELECTION) },
+        'Clear selection'
+      )
+  );
+};
+
+export default SelectionBar;
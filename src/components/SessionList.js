@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+
+const formatBytes = (bytes) =>
+  bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} МБ` : `${Math.max(Math.round(bytes / 1024), 1)} КБ`;
+
+const formatDate = (ms) =>
+  new Date(ms).toLocaleString('ru-RU', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+// Saved sessions on the upload screen. Renaming happens in place: the name
+// turns into an input that saves on Enter or when it loses focus.
+const SessionList = ({ sessions, onOpen, onRename, onDelete }) => {
+  const [editing, setEditing] = useState(null);
+
+  const finishRename = (session, name) => {
+    setEditing(null);
+    if (name.trim() && name.trim() !== session.name) onRename(session.id, name.trim());
+  };
+
+  return React.createElement(
+    'div',
+    { className: 'session-list' },
+    React.createElement('h3', null, 'Сохранённые сессии'),
+    sessions.map(session =>
+      React.createElement(
+        'div',
+        { key: session.id, className: 'session-item' },
+        React.createElement(
+          'div',
+          { className: 'session-info' },
+          editing === session.id
+            ? React.createElement('input', {
+                type: 'text',
+                className: 'session-name-input',
+                defaultValue: session.name,
+                autoFocus: true,
+                onBlur: (e) => finishRename(session, e.target.value),
+                onKeyDown: (e) => {
+                  if (e.key === 'Enter') e.target.blur();
+                  if (e.key === 'Escape') setEditing(null);
+                },
+              })
+            : React.createElement('strong', { title: session.fileName }, session.name),
+          React.createElement(
+            'span',
+            null,
+            `${session.points.toLocaleString('ru-RU')} точек · ${formatBytes(session.bytes)} · ${formatDate(session.savedAt)}`
+          )
+        ),
+        React.createElement(
+          'div',
+          { className: 'session-actions' },
+          React.createElement('button', { className: 'mode-btn', onClick: () => onOpen(session.id) }, 'Открыть'),
+          React.createElement('button', { className: 'mode-btn', onClick: () => setEditing(session.id) }, 'Переименовать'),
+          React.createElement(
+            'button',
+            {
+              className: 'mode-btn',
+              onClick: () => {
+                if (window.confirm(`Удалить сессию «${session.name}»?`)) onDelete(session.id);
+              },
+            },
+            'Удалить'
+          )
+        )
+      )
+    )
+  );
+};
+
+export default SessionList;
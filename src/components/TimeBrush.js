@@ -0,0 +1,104 @@
+import React, { useRef, useState } from 'react';
+
+const WIDTH = 1000;
+const HEIGHT = 40;
+
+const formatTime = (ms, withDate) =>
+  new Date(ms).toLocaleString(undefined, withDate
+    ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+    : { hour: '2-digit', minute: '2-digit' });
+
+const formatRange = ({ from, to }) => {
+  const sameDay = new Date(from).toDateString() === new Date(to - 1).toDateString();
+  return `${formatTime(from, true)} – ${formatTime(to, !sameDay)}`;
+};
+
+const formatBucket = (ms) => (ms >= 3600000 ? `${ms / 3600000} h` : `${ms / 60000} min`);
+
+// Histogram of points over time with a draggable selection. Dragging selects
+// whole buckets; a click without dragging selects the bucket under the cursor.
+const TimeBrush = ({ timeline, range, onChange, playing, onTogglePlay }) => {
+  const svgRef = useRef(null);
+  const [anchor, setAnchor] = useState(null);
+  const { start, end, bucketMs, counts } = timeline;
+  const maxCount = Math.max(...counts, 1);
+  const barWidth = WIDTH / counts.length;
+
+  const bucketAt = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const fraction = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 0.9999);
+    return Math.floor(fraction * counts.length);
+  };
+
+  const select = (a, b) => onChange({
+    from: start + Math.min(a, b) * bucketMs,
+    to: start + (Math.max(a, b) + 1) * bucketMs,
+  });
+
+  const onPointerDown = (event) => {
+    if (playing) onTogglePlay();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const bucket = bucketAt(event);
+    setAnchor(bucket);
+    select(bucket, bucket);
+  };
+
+  const onPointerMove = (event) => {
+    if (anchor !== null) select(anchor, bucketAt(event));
+  };
+
+  const toX = (ms) => ((ms - start) / (end - start)) * WIDTH;
+
+  return React.createElement(
+    'div',
+    { className: 'time-brush' },
+    React.createElement(
+      'button',
+      { className: 'play-btn', onClick: onTogglePlay, title: `Play through ${formatBucket(bucketMs)} steps` },
+      playing ? '⏸' : '▶'
+    ),
+    React.createElement(
+      'svg',
+      {
+        ref: svgRef,
+        className: 'time-brush-chart',
+        viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+        preserveAspectRatio: 'none',
+        onPointerDown,
+        onPointerMove,
+        onPointerUp: () => setAnchor(null),
+      },
+      counts.map((count, i) =>
+        React.createElement('rect', {
+          key: i,
+          x: i * barWidth + 0.5,
+          width: Math.max(barWidth - 1, 0.5),
+          y: HEIGHT - (count / maxCount) * HEIGHT,
+          height: (count / maxCount) * HEIGHT,
+          className: 'time-brush-bar',
+        })
+      ),
+      range && React.createElement('rect', {
+        x: toX(range.from),
+        width: toX(range.to) - toX(range.from),
+        y: 0,
+        height: HEIGHT,
+        className: 'time-brush-selection',
+      })
+    ),
+    React.createElement(
+      'div',
+      { className: 'time-brush-label' },
+      React.createElement('span', null, range ? formatRange(range) : `All time · ${formatRange({ from: start, to: end })}`),
+      timeline.untimed > 0 &&
+        React.createElement(
+          'span',
+          { className: 'time-brush-note', title: 'Points without a timestamp are left out while a time range is selected' },
+          `${timeline.untimed.toLocaleString()} untimed`
+        ),
+      range && React.createElement('button', { className: 'mode-btn', onClick: () => onChange(null) }, 'Reset')
+    )
+  );
+};
+
+export default TimeBrush;
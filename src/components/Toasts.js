@@ -0,0 +1,29 @@
+import React, { useEffect } from 'react';
+
+const TOAST_MS = 8000;
+
+const Toast = ({ toast, onDismiss }) => {
+  useEffect(() => {
+    const timer = setTimeout(() => onDismiss(toast.id), TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [toast.id, onDismiss]);
+
+  return React.createElement(
+    'div',
+    { className: 'toast' },
+    React.createElement('strong', null, toast.title),
+    React.createElement('span', null, toast.message),
+    React.createElement('button', { title: 'Dismiss', onClick: () => onDismiss(toast.id) }, '×')
+  );
+};
+
+// Alerts stacked in the corner of the screen; each goes away by itself after
+// a few seconds.
+const Toasts = ({ toasts, onDismiss }) =>
+  React.createElement(
+    'div',
+    { className: 'toasts' },
+    toasts.map(toast => React.createElement(Toast, { key: toast.id, toast, onDismiss }))
+  );
+
+export default Toasts;
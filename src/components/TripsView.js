@@ -0,0 +1,109 @@
+import React, { useState, useMemo } from 'react';
+import { MapContainer, Polyline, CircleMarker } from 'react-leaflet';
+import FitBounds from './FitBounds';
+import Basemap from './Basemap';
+import { sortRows, nextSort } from './tableSort';
+
+const COLUMNS = [
+  { key: 'id', label: 'Trip ID', format: trip => trip.id },
+  { key: 'points', label: 'Points', format: trip => trip.points.toLocaleString() },
+  { key: 'distance', label: 'Distance', format: trip => `${(trip.distance / 1000).toFixed(2)} km` },
+  { key: 'duration', label: 'Duration', format: trip => formatDuration(trip.duration) },
+  { key: 'avgSpeed', label: 'Avg Speed', format: trip => `${Math.round(trip.avgSpeed)} km/h` },
+  { key: 'maxSpeed', label: 'Max Speed', format: trip => `${Math.round(trip.maxSpeed)} km/h` },
+  { key: 'stops', label: 'Stops', format: trip => trip.stops },
+];
+
+const formatDuration = (seconds) => {
+  if (seconds === null) return '—';
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+};
+
+// `filtered` holds the ids of the trips in the shared selection, which the
+// other views are narrowed down to.
+const TripsView = ({ trips, filtered = [], onToggleFilter, basemap }) => {
+  const [sort, setSort] = useState({ key: 'distance', desc: true });
+  const [selectedId, setSelectedId] = useState(null);
+
+  const sorted = sortRows(trips, sort);
+  const selected = trips.find(trip => trip.id === selectedId) || sorted[0];
+  const positions = useMemo(() => (selected ? selected.path.map(p => [p.lat, p.lng]) : []), [selected]);
+
+  const toggleSort = (key) => setSort(prev => nextSort(prev, key));
+
+  return React.createElement(
+    'div',
+    { className: 'trips-view' },
+    React.createElement('h2', null, 'Trips'),
+    React.createElement('p', { className: 'explanation' }, 'Points sharing a randomized_id are grouped into one trip and ordered by timestamp, or by following the nearest point in the direction of travel (azm) when no timestamps are present. A stop is counted each time the speed drops below 3 km/h. Click a row to draw the trip on the map, and add it to the selection to narrow the other views down to it.'),
+    selected && onToggleFilter &&
+      React.createElement(
+        'div',
+        { className: 'map-modes' },
+        React.createElement(
+          'button',
+          { className: `mode-btn ${filtered.includes(selected.id) ? 'active' : ''}`, onClick: () => onToggleFilter(selected.id) },
+          filtered.includes(selected.id) ? `Remove trip ${selected.id} from the selection` : `Add trip ${selected.id} to the selection`
+        )
+      ),
+    React.createElement(
+      'div',
+      { className: 'map-container' },
+      React.createElement(
+        MapContainer,
+        {
+          center: positions.length > 0 ? positions[0] : [51.1, 71.4],
+          zoom: 13,
+          style: { height: '600px', width: '100%' },
+        },
+        React.createElement(Basemap, { basemap }),
+        React.createElement(FitBounds, { positions }),
+        positions.length > 0 && React.createElement(Polyline, { positions, color: '#0088FE', weight: 4 }),
+        positions.length > 0 &&
+          React.createElement(CircleMarker, { center: positions[0], radius: 6, color: '#00C49F', fillOpacity: 1 }),
+        positions.length > 0 &&
+          React.createElement(CircleMarker, { center: positions[positions.length - 1], radius: 6, color: '#FF8042', fillOpacity: 1 })
+      )
+    ),
+    React.createElement(
+      'table',
+      { className: 'trips-table' },
+      React.createElement(
+        'thead',
+        null,
+        React.createElement(
+          'tr',
+          null,
+          COLUMNS.map(column =>
+            React.createElement(
+              'th',
+              { key: column.key, onClick: () => toggleSort(column.key) },
+              column.label,
+              sort.key === column.key ? (sort.desc ? ' ▼' : ' ▲') : ''
+            )
+          )
+        )
+      ),
+      React.createElement(
+        'tbody',
+        null,
+        sorted.map(trip =>
+          React.createElement(
+            'tr',
+            {
+              key: trip.id,
+              className: `${selected && trip.id === selected.id ? 'selected' : ''} ${filtered.includes(trip.id) ? 'filtered' : ''}`,
+              onClick: () => setSelectedId(trip.id),
+            },
+            COLUMNS.map(column => React.createElement('td', { key: column.key }, column.format(trip)))
+          )
+        )
+      )
+    )
+  );
+};
+
+export default TripsView;
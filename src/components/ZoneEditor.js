@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { MapContainer, Polygon, Tooltip } from 'react-leaflet';
+import MapFocus from './MapFocus';
+import PolygonDrawLayer from './PolygonDrawLayer';
+import Basemap from './Basemap';
+import { ZONE_RULES, DEFAULT_ZONE_RULES, newZoneId, zonesToGeoJson, zonesFromGeoJson } from '../analysis';
+import { downloadFile } from '../export/download';
+
+const ZONE_COLOR = '#8884d8';
+const VIOLATION_COLOR = '#ef4444';
+
+// Draws, names and configures zones on a map of their own, and imports or
+// exports them as GeoJSON. `summaries` are the per-zone results of
+// `evaluateZones` for the data on screen.
+const ZoneEditor = ({ zones, summaries, center, basemap, onChange }) => {
+  const [drawing, setDrawing] = useState(false);
+  const [focus, setFocus] = useState(null);
+  const [importError, setImportError] = useState('');
+
+  const summaryOf = (zone) => summaries.find(summary => summary.id === zone.id);
+  const violationCount = (zone) => {
+    const summary = summaryOf(zone);
+    return summary ? Object.values(summary.violations).reduce((sum, count) => sum + count, 0) : 0;
+  };
+
+  const update = (id, changes) => onChange(zones.map(zone => (zone.id === id ? { ...zone, ...changes } : zone)));
+
+  const setRule = (zone, key, value) => {
+    const parsed = value === '' ? null : parseFloat(value);
+    if (parsed !== null && (isNaN(parsed) || parsed < 0)) return;
+    update(zone.id, { rules: { ...zone.rules, [key]: parsed } });
+  };
+
+  const addZone = (polygon) => {
+    onChange([...zones, { id: newZoneId(), name: `Zone ${zones.length + 1}`, polygon, rules: DEFAULT_ZONE_RULES }]);
+    setDrawing(false);
+  };
+
+  const importZones = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    file
+      .text()
+      .then(text => {
+        onChange([...zones, ...zonesFromGeoJson(JSON.parse(text))]);
+        setImportError('');
+      })
+      .catch(err => setImportError(`${file.name}: ${err.message}`));
+  };
+
+  return React.createElement(
+    'div',
+    { className: 'zone-editor' },
+    React.createElement('h3', null, 'Zones'),
+    React.createElement('p', { className: 'explanation' }, 'Draw zones such as airports, school areas or the city centre and give each its own rules: a speed limit for every point inside it, and a dwell limit for how long one trip may stay inside without leaving. Leave a limit empty to switch that rule off. Zones are kept in this browser and checked against every dataset, and in Live mode new violations pop up as alerts.'),
+    React.createElement(
+      'div',
+      { className: 'map-modes' },
+      React.createElement(
+        'button',
+        {
+          className: `mode-btn ${drawing ? 'active' : ''}`,
+          title: 'Click the map to add corners, double-click to close the zone',
+          onClick: () => setDrawing(!drawing),
+        },
+        drawing ? 'Cancel drawing' : '✏️ Draw zone'
+      ),
+      React.createElement(
+        'label',
+        { className: 'mode-btn road-file' },
+        'Import GeoJSON',
+        React.createElement('input', { type: 'file', accept: '.geojson,.json', onChange: importZones })
+      ),
+      React.createElement(
+        'button',
+        {
+          className: 'mode-btn',
+          disabled: zones.length === 0,
+          onClick: () => downloadFile('zones.geojson', zonesToGeoJson(zones), 'application/geo+json'),
+        },
+        'Export GeoJSON'
+      )
+    ),
+    importError && React.createElement('div', { className: 'error-message' }, importError),
+    React.createElement(
+      'div',
+      { className: 'map-container' },
+      React.createElement(
+        MapContainer,
+        {
+          center: zones.length > 0 ? zones[0].polygon[0] : center,
+          zoom: 12,
+          style: { height: '450px', width: '100%' },
+        },
+        React.createElement(Basemap, { basemap }),
+        React.createElement(MapFocus, { focus }),
+        drawing && React.createElement(PolygonDrawLayer, { onFinish: addZone }),
+        zones.map(zone =>
+          React.createElement(
+            Polygon,
+            {
+              key: zone.id,
+              positions: zone.polygon,
+              interactive: !drawing,
+              pathOptions: { color: violationCount(zone) > 0 ? VIOLATION_COLOR : ZONE_COLOR, weight: 2, fillOpacity: 0.15 },
+            },
+            React.createElement(Tooltip, null, `${zone.name}: ${violationCount(zone).toLocaleString()} violations`)
+          )
+        )
+      )
+    ),
+    zones.length > 0 &&
+      React.createElement(
+        'table',
+        { className: 'trips-table zone-table' },
+        React.createElement(
+          'thead',
+          null,
+          React.createElement(
+            'tr',
+            null,
+            React.createElement('th', null, 'Zone'),
+            ZONE_RULES.map(rule => React.createElement('th', { key: rule.key }, `${rule.label} (${rule.unit})`)),
+            React.createElement('th', null, 'Points'),
+            React.createElement('th', null, 'Trips'),
+            ZONE_RULES.map(rule => React.createElement('th', { key: rule.key }, `${rule.label} violations`)),
+            React.createElement('th', null, '')
+          )
+        ),
+        React.createElement(
+          'tbody',
+          null,
+          zones.map(zone => {
+            const summary = summaryOf(zone);
+            return React.createElement(
+              'tr',
+              { key: zone.id, onClick: () => setFocus({ bounds: zone.polygon }) },
+              React.createElement(
+                'td',
+                null,
+                React.createElement('input', {
+                  type: 'text',
+                  defaultValue: zone.name,
+                  onClick: (e) => e.stopPropagation(),
+                  onBlur: (e) => e.target.value.trim() && update(zone.id, { name: e.target.value.trim() }),
+                })
+              ),
+              ZONE_RULES.map(rule =>
+                React.createElement(
+                  'td',
+                  { key: rule.key },
+                  React.createElement('input', {
+                    type: 'number',
+                    min: 0,
+                    placeholder: 'off',
+                    defaultValue: zone.rules[rule.key] === null ? '' : zone.rules[rule.key],
+                    onClick: (e) => e.stopPropagation(),
+                    onBlur: (e) => setRule(zone, rule.key, e.target.value),
+                  })
+                )
+              ),
+              React.createElement('td', null, summary ? summary.points.toLocaleString() : '—'),
+              React.createElement('td', null, summary ? summary.trips.toLocaleString() : '—'),
+              ZONE_RULES.map(rule =>
+                React.createElement(
+                  'td',
+                  { key: rule.key },
+                  summary && summary.violations[rule.key] !== undefined ? summary.violations[rule.key].toLocaleString() : '—'
+                )
+              ),
+              React.createElement(
+                'td',
+                null,
+                React.createElement(
+                  'button',
+                  {
+                    className: 'mode-btn',
+                    onClick: (e) => {
+                      e.stopPropagation();
+                      if (window.confirm(`Delete zone "${zone.name}"?`)) onChange(zones.filter(other => other.id !== zone.id));
+                    },
+                  },
+                  'Delete'
+                )
+              )
+            );
+          })
+        )
+      )
+  );
+};
+
+export default ZoneEditor;
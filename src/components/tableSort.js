@@ -0,0 +1,18 @@
+// Sorting shared by the tables with clickable column headers. `sort` is
+// `{ key, desc }`; a column sorts by `value(row)` when it has one, otherwise
+// by `row[key]`. Empty (null or missing) values go after the others in
+// either direction.
+const compareBy = (value, desc) => (a, b) => {
+  const x = value(a);
+  const y = value(b);
+  if (x === y) return 0;
+  if (x === null || x === undefined) return 1;
+  if (y === null || y === undefined) return -1;
+  return (x < y ? -1 : 1) * (desc ? -1 : 1);
+};
+
+export const sortRows = (rows, sort, value = row => row[sort.key]) => rows.slice().sort(compareBy(value, sort.desc));
+
+// Clicking the sorted column flips its direction; a new column starts
+// largest first.
+export const nextSort = (sort, key) => ({ key, desc: sort.key === key ? !sort.desc : true });
@@ -0,0 +1,21 @@
+import { sortRows, nextSort } from './tableSort';
+
+const rows = [{ id: 'a', duration: 30 }, { id: 'b', duration: null }, { id: 'c', duration: 90 }, { id: 'd' }, { id: 'e', duration: 60 }];
+const ids = (sorted) => sorted.map(row => row.id);
+
+test('rows sort either way with empty values last', () => {
+  expect(ids(sortRows(rows, { key: 'duration', desc: false }))).toEqual(['a', 'e', 'c', 'b', 'd']);
+  expect(ids(sortRows(rows, { key: 'duration', desc: true }))).toEqual(['c', 'e', 'a', 'b', 'd']);
+  expect(ids(rows)).toEqual(['a', 'b', 'c', 'd', 'e']);
+});
+
+test('a column value function overrides the key', () => {
+  const byId = sortRows(rows, { key: 'label', desc: true }, row => row.id.charCodeAt(0));
+  expect(ids(byId)).toEqual(['e', 'd', 'c', 'b', 'a']);
+});
+
+test('clicking a header flips the sorted column and starts others descending', () => {
+  expect(nextSort({ key: 'trips', desc: true }, 'trips')).toEqual({ key: 'trips', desc: false });
+  expect(nextSort({ key: 'trips', desc: false }, 'trips')).toEqual({ key: 'trips', desc: true });
+  expect(nextSort({ key: 'trips', desc: false }, 'distance')).toEqual({ key: 'distance', desc: true });
+});
@@ -0,0 +1,11 @@
+const escape = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// RFC 4180 text for `rows`, with one column per `{ label, value(row) }`.
+export const toCsv = (rows, columns) =>
+  [columns.map(column => escape(column.label)), ...rows.map(row => columns.map(column => escape(column.value(row))))]
+    .map(cells => cells.join(','))
+    .join('\r\n') + '\r\n';
@@ -0,0 +1,11 @@
+// Saves `content` as a file through a temporary object URL.
+export const downloadFile = (fileName, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,16 @@
+// GeoJSON positions are [longitude, latitude].
+export const pointFeature = (lat, lng, properties) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [lng, lat] },
+  properties,
+});
+
+export const featureCollection = (features) => JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+
+// `polygon` is one ring of [lat, lng] vertices; GeoJSON rings repeat their
+// first position at the end.
+export const polygonFeature = (polygon, properties) => ({
+  type: 'Feature',
+  geometry: { type: 'Polygon', coordinates: [[...polygon, polygon[0]].map(([lat, lng]) => [lng, lat])] },
+  properties,
+});
@@ -0,0 +1,129 @@
+import { toCsv } from './csv';
+import { filterClusterMetrics, metricsCsv, anomaliesCsv } from './results';
+import { filterResult, filterByTime, queryRandom, QUERY_CLUSTERS, DEFAULT_SAFETY_WEIGHTS } from '../analysis';
+
+export const REPORT_SCHEMA_VERSION = 1;
+const TOP_ANOMALIES = 100;
+const TOP_ZONES = 20;
+
+const isoTime = (ts) => (ts === null ? null : new Date(ts).toISOString());
+const round = (value, digits = 1) => (value === null ? null : Number(value.toFixed(digits)));
+
+/**
+ * A JSON-ready summary of one analysis, the same figures the dashboard and
+ * Safety view show for the given time range.
+ * @typedef {Object} Report
+ * @property {number} schemaVersion REPORT_SCHEMA_VERSION.
+ * @property {string} generatedAt ISO time.
+ * @property {Object} input What was analysed, as given by the caller.
+ * @property {{from: string, to: string}|null} timeRange
+ * @property {Object} summary Counts and speeds in km/h.
+ * @property {Object|null} quality Rejected records, outliers, jitter and gaps.
+ * @property {Object|null} privacy Privacy settings, when they were on.
+ * @property {{score: number|null, factors: Object[]}} safety
+ * @property {import('../analysis/schema').ClusterMetric[]} clusters
+ * @property {Object} trips
+ * @property {Object} congestion Totals and the zones with the most delay, over
+ *   all the data whatever the time range.
+ * @property {{total: number, byDetector: Object<string, number>, top: Object[]}} anomalies
+ *   `top` is empty under privacy, like the individual point exports in the app.
+ */
+
+// `result` is a decoded analysis result; see ../analysis/schema.
+export const buildReport = (result, { input = {}, timeRange = null, safetyWeights = DEFAULT_SAFETY_WEIGHTS, generatedAt = new Date() } = {}) => {
+  const shown = filterResult(result, { timeRange, safetyWeights });
+  const trips = shown.kept ? result.trips.filter(trip => trip.path.some(point => shown.kept.has(point))) : result.trips;
+  const { summary, anomalies } = shown;
+  const quality = result.summary.quality;
+  const privacy = result.summary.privacy || null;
+  const byDetector = {};
+  anomalies.forEach(anomaly => { byDetector[anomaly.detector] = (byDetector[anomaly.detector] || 0) + 1; });
+
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    generatedAt: generatedAt.toISOString(),
+    input,
+    timeRange: timeRange && { from: isoTime(timeRange.from), to: isoTime(timeRange.to) },
+    summary: {
+      records: summary.records,
+      points: summary.points,
+      retained: summary.retained,
+      sampled: summary.sampled,
+      meanSpeedKmh: round(summary.meanSpeed),
+      stdSpeedKmh: round(summary.stdSpeed),
+      bottlenecks: summary.bottlenecks,
+      heatCells: summary.heat.length,
+    },
+    quality: quality ? {
+      rejected: quality.rejected,
+      outliers: quality.outliers,
+      jitter: quality.jitter,
+      gaps: quality.gaps,
+    } : null,
+    privacy,
+    safety: {
+      score: shown.safety.score,
+      factors: shown.safety.components.map(({ key, label, weight, rate, score }) => ({ key, label, weight, rate: round(rate, 4), score: round(score) })),
+    },
+    clusters: shown.kept
+      ? filterClusterMetrics(result.clusters, result.metrics, members => members.filter(point => shown.kept.has(point)), {
+        privacy,
+        random: privacy && queryRandom(result.summary, shown.indices, QUERY_CLUSTERS),
+      })
+      : result.metrics,
+    trips: {
+      count: trips.length,
+      distanceKm: round(trips.reduce((sum, trip) => sum + trip.distance, 0) / 1000),
+      stops: trips.reduce((sum, trip) => sum + trip.stops, 0),
+    },
+    congestion: {
+      zones: result.congestion.zones.length,
+      dwells: result.congestion.dwells.length,
+      slowPoints: result.congestion.slowPoints,
+      freeFlowKmh: round(result.congestion.freeFlowKmh),
+      top: result.congestion.zones.slice(0, TOP_ZONES).map(({ polygon, ...zone }) => ({
+        ...zone,
+        delay: round(zone.delay),
+        meanSpeed: round(zone.meanSpeed),
+        consistency: round(zone.consistency, 2),
+      })),
+    },
+    anomalies: {
+      total: anomalies.length,
+      byDetector,
+      top: privacy ? [] : anomalies.slice(0, TOP_ANOMALIES).map(({ point, detector, reason, score }) => ({
+        randomized_id: point.randomized_id,
+        lat: point.lat,
+        lng: point.lng,
+        time: isoTime(point.ts),
+        spd: point.spd,
+        detector,
+        score: round(score, 2),
+        reason,
+      })),
+    },
+  };
+};
+
+const flatten = (value, prefix = '') =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+    ? Object.entries(value).flatMap(([key, inner]) => flatten(inner, prefix ? `${prefix}.${key}` : key))
+    : [[prefix, value]];
+
+// The report as CSV files by name: the scalar figures as key/value rows, the
+// clusters, and the anomalies of the report's time range in full unless
+// privacy mode was on.
+export const reportCsvFiles = (report, result) => {
+  const scalars = flatten({ ...report, clusters: undefined, congestion: { ...report.congestion, top: undefined }, anomalies: { ...report.anomalies, top: undefined } })
+    .filter(([, value]) => value !== undefined && !Array.isArray(value));
+  const safety = report.safety.factors.map(factor => [`safety.${factor.key}`, factor.score]);
+  const files = {
+    'summary.csv': toCsv([...scalars, ...safety], [{ label: 'key', value: row => row[0] }, { label: 'value', value: row => row[1] }]),
+    'clusters.csv': metricsCsv(report.clusters),
+  };
+  if (!report.privacy) {
+    const range = report.timeRange && { from: Date.parse(report.timeRange.from), to: Date.parse(report.timeRange.to) };
+    files['anomalies.csv'] = anomaliesCsv(filterByTime(result.anomalies, range, anomaly => anomaly.point));
+  }
+  return files;
+};
@@ -0,0 +1,48 @@
+import { runPipeline, resolveResult } from '../analysis';
+import { buildReport, reportCsvFiles, REPORT_SCHEMA_VERSION } from './report';
+
+const t0 = Date.UTC(2024, 0, 1, 12);
+const rows = [
+  ...Array.from({ length: 8 }, (_, i) => ({ randomized_id: 'a', lat: 51.1 + i * 0.0001, lng: 71.4, spd: 2, ts: t0 + i * 1000 })),
+  ...Array.from({ length: 4 }, (_, i) => ({ randomized_id: 'b', lat: 51.1 + i * 0.001, lng: 71.5, spd: 40, ts: t0 + 3600000 + i * 1000 })),
+];
+const analyse = (options = {}) => resolveResult(runPipeline(rows, { cluster: { epsilon: 100, minPoints: 3 }, ...options }));
+
+test('the report summarises the analysis as plain JSON', () => {
+  const report = buildReport(analyse(), { input: { file: 'trips.csv' }, generatedAt: new Date(t0) });
+  expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+  expect(report).toMatchObject({
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    generatedAt: '2024-01-01T12:00:00.000Z',
+    input: { file: 'trips.csv' },
+    timeRange: null,
+    summary: { records: 12, points: 12, bottlenecks: 8 },
+    trips: { count: 2 },
+    privacy: null,
+  });
+  expect(report.clusters).toHaveLength(1);
+  expect(report.safety.factors.map(factor => factor.key)).toEqual(['speeding', 'harsh', 'night', 'bottleneck']);
+});
+
+test('a time range narrows the report to the points inside it', () => {
+  const report = buildReport(analyse(), { timeRange: { from: t0 + 3600000, to: t0 + 7200000 } });
+  expect(report.timeRange).toEqual({ from: '2024-01-01T13:00:00.000Z', to: '2024-01-01T14:00:00.000Z' });
+  expect(report.summary).toMatchObject({ points: 4, bottlenecks: 0 });
+  expect(report.trips.count).toBe(1);
+  expect(report.clusters).toEqual([]);
+});
+
+test('CSV files flatten the figures and leave out anomalies under privacy', () => {
+  const result = analyse();
+  const files = reportCsvFiles(buildReport(result), result);
+  expect(Object.keys(files)).toEqual(['summary.csv', 'clusters.csv', 'anomalies.csv']);
+  expect(files['summary.csv']).toContain('\r\nsummary.points,12\r\n');
+  expect(files['summary.csv']).toContain('\r\nsafety.bottleneck,');
+
+  const hidden = analyse({ privacy: { enabled: true, trimMeters: 0, k: 1, noise: true } });
+  const report = buildReport(hidden);
+  expect(report.privacy).toMatchObject({ k: 1 });
+  expect(report.summary.bottlenecks).toBe(hidden.summary.bottlenecks);
+  expect(report.anomalies.top).toEqual([]);
+  expect(Object.keys(reportCsvFiles(report, hidden))).toEqual(['summary.csv', 'clusters.csv']);
+});
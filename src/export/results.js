@@ -0,0 +1,77 @@
+import { toCsv } from './csv';
+import { pointFeature, featureCollection } from './geojson';
+import { hasKTrips, noisyClusterMetrics } from '../analysis';
+
+const isoTime = (ts) => (ts === null ? null : new Date(ts).toISOString());
+
+// Cluster metrics over the members `select(members)` keeps, e.g. those inside
+// the brushed time range. Clusters left without members are dropped; under
+// `privacy` so are those left with fewer than `k` trips, and with its `noise`
+// the figures are noised with `random`, as the unfiltered metrics are.
+export const filterClusterMetrics = (clusters, metrics, select, { privacy = null, random = Math.random } = {}) => {
+  const kept = clusters.map(select);
+  const total = kept.reduce((sum, members) => sum + members.length, 0);
+  const filtered = [];
+  kept.forEach((members, c) => {
+    if (members.length === 0 || (privacy && !hasKTrips(members, privacy.k))) return;
+    filtered.push({
+      ...metrics[c],
+      points: members.length,
+      avgSpeed: Math.round(members.reduce((sum, point) => sum + point.spd, 0) / members.length),
+      density: Math.round((members.length / total) * 100),
+    });
+  });
+  return privacy && privacy.noise ? noisyClusterMetrics(filtered, total, privacy.epsilon, random) : filtered;
+};
+
+export const clustersGeoJson = (metrics) =>
+  featureCollection(metrics.map(cluster =>
+    pointFeature(cluster.lat, cluster.lng, {
+      id: cluster.id,
+      points: cluster.points,
+      avgSpeed: cluster.avgSpeed,
+      density: cluster.density,
+    })
+  ));
+
+export const anomaliesGeoJson = (anomalies) =>
+  featureCollection(anomalies.map(({ point, detector, reason, score }) =>
+    pointFeature(point.lat, point.lng, {
+      randomized_id: point.randomized_id,
+      detector,
+      reason,
+      score,
+      spd: point.spd,
+      azm: point.azm,
+      time: isoTime(point.ts),
+    })
+  ));
+
+export const bottlenecksGeoJson = (points) =>
+  featureCollection(points.map(point =>
+    pointFeature(point.lat, point.lng, { randomized_id: point.randomized_id, spd: point.spd, time: isoTime(point.ts) })
+  ));
+
+const METRIC_COLUMNS = [
+  { label: 'id', value: cluster => cluster.id },
+  { label: 'points', value: cluster => cluster.points },
+  { label: 'lat', value: cluster => cluster.lat.toFixed(6) },
+  { label: 'lng', value: cluster => cluster.lng.toFixed(6) },
+  { label: 'avg_speed_kmh', value: cluster => cluster.avgSpeed },
+  { label: 'density_pct', value: cluster => cluster.density },
+];
+
+const ANOMALY_COLUMNS = [
+  { label: 'randomized_id', value: anomaly => anomaly.point.randomized_id },
+  { label: 'lat', value: anomaly => anomaly.point.lat.toFixed(6) },
+  { label: 'lng', value: anomaly => anomaly.point.lng.toFixed(6) },
+  { label: 'time', value: anomaly => isoTime(anomaly.point.ts) },
+  { label: 'speed_kmh', value: anomaly => anomaly.point.spd.toFixed(1) },
+  { label: 'detector', value: anomaly => anomaly.detector },
+  { label: 'score', value: anomaly => anomaly.score.toFixed(2) },
+  { label: 'reason', value: anomaly => anomaly.reason },
+];
+
+export const metricsCsv = (metrics) => toCsv(metrics, METRIC_COLUMNS);
+
+export const anomaliesCsv = (anomalies) => toCsv(anomalies, ANOMALY_COLUMNS);
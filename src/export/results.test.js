@@ -0,0 +1,54 @@
+import { toCsv } from './csv';
+import { filterClusterMetrics, clustersGeoJson, anomaliesGeoJson, anomaliesCsv } from './results';
+
+const point = (id, lat, spd, ts = null) => ({ randomized_id: id, lat, lng: 71.4, alt: 0, spd, azm: 90, ts });
+
+test('CSV fields with commas or quotes are quoted', () => {
+  const columns = [{ label: 'zone', value: row => row.zone }, { label: 'trips', value: row => row.trips }];
+  expect(toCsv([{ zone: 'Hex 1,2', trips: 3 }, { zone: 'say "hi"', trips: null }], columns))
+    .toBe('zone,trips\r\n"Hex 1,2",3\r\n"say ""hi""",\r\n');
+});
+
+test('cluster metrics follow the members a filter keeps', () => {
+  const clusters = [[point('a', 51.1, 10, 1), point('a', 51.1, 30, 2)], [point('b', 51.2, 50, 3)]];
+  const metrics = [
+    { id: 'Cluster 1', points: 2, lat: 51.1, lng: 71.4, avgSpeed: 20, density: 67 },
+    { id: 'Cluster 2', points: 1, lat: 51.2, lng: 71.4, avgSpeed: 50, density: 33 },
+  ];
+  expect(filterClusterMetrics(clusters, metrics, members => members.filter(p => p.ts >= 2))).toEqual([
+    { id: 'Cluster 1', points: 1, lat: 51.1, lng: 71.4, avgSpeed: 30, density: 50 },
+    { id: 'Cluster 2', points: 1, lat: 51.2, lng: 71.4, avgSpeed: 50, density: 50 },
+  ]);
+});
+
+test('filtered cluster metrics keep the privacy protections', () => {
+  const clusters = [
+    ['a', 'b', 'c', 'a'].map((id, i) => point(id, 51.1, 20, i)),
+    ['d', 'd', 'e'].map((id, i) => point(id, 51.2, 40, i)),
+  ];
+  const metrics = [
+    { id: 'Cluster 1', points: 4, lat: 51.1, lng: 71.4, avgSpeed: 20, density: 57 },
+    { id: 'Cluster 2', points: 3, lat: 51.2, lng: 71.4, avgSpeed: 40, density: 43 },
+  ];
+  const all = members => members;
+  expect(filterClusterMetrics(clusters, metrics, all, { privacy: { k: 3, noise: false } }).map(c => [c.id, c.points]))
+    .toEqual([['Cluster 1', 4]]);
+  const noisy = filterClusterMetrics(clusters, metrics, all, { privacy: { k: 2, noise: true, epsilon: 0.1 }, random: () => 0.99 });
+  expect(noisy.map(c => c.id)).toEqual(['Cluster 1', 'Cluster 2']);
+  expect(noisy[0].points).toBeGreaterThan(4);
+});
+
+test('GeoJSON puts longitude first and keeps point ids', () => {
+  const clusters = JSON.parse(clustersGeoJson([{ id: 'Cluster 1', points: 2, lat: 51.1, lng: 71.4, avgSpeed: 20, density: 100 }]));
+  expect(clusters.features[0]).toEqual({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [71.4, 51.1] },
+    properties: { id: 'Cluster 1', points: 2, avgSpeed: 20, density: 100 },
+  });
+
+  const anomaly = { point: point('trip-7', 51.1, 120, Date.UTC(2024, 0, 1)), detector: 'speed-mad', reason: 'fast, for here', score: 5 };
+  const features = JSON.parse(anomaliesGeoJson([anomaly])).features;
+  expect(features[0].properties).toMatchObject({ randomized_id: 'trip-7', detector: 'speed-mad', time: '2024-01-01T00:00:00.000Z' });
+  expect(anomaliesCsv([anomaly]).split('\r\n')[1])
+    .toBe('trip-7,51.100000,71.400000,2024-01-01T00:00:00.000Z,120.0,speed-mad,5.00,"fast, for here"');
+});
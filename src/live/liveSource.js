@@ -0,0 +1,138 @@
+export const LIVE_STATUS_LABELS = {
+  idle: 'Not connected',
+  connecting: 'Connecting…',
+  open: 'Live',
+  reconnecting: 'Reconnecting…',
+  ended: 'Stream ended',
+  closed: 'Disconnected',
+};
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+// Exponential backoff with jitter so several tabs don't reconnect in lockstep.
+export const reconnectDelay = (attempt) =>
+  Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** (attempt - 1)) * (0.5 + Math.random() / 2);
+
+// Connects to a WebSocket (ws://, wss://) or Server-Sent Events (http://,
+// https://) endpoint that sends JSON records, either one per message or an
+// array per message. A message `{"type": "end"}` finishes the stream.
+//
+// Records are buffered and handed to `onBatch` once per `flushInterval`, so the
+// consumer's work is bounded regardless of the message rate. When the buffer
+// fills past half of `maxBuffer` a WebSocket server is asked to pause until the
+// next flush; past `maxBuffer` the oldest records are dropped and reported
+// through `onDrop`. SSE has no upstream channel, so there dropping is the only
+// relief.
+export const createLiveSource = ({
+  url,
+  onBatch,
+  onStatus = () => {},
+  onDrop = () => {},
+  flushInterval = 1000,
+  maxBuffer = 20000,
+}) => {
+  const isWebSocket = /^wss?:/i.test(url);
+  let buffer = [];
+  let connection = null;
+  let closed = false;
+  let paused = false;
+  let attempt = 0;
+  let retryTimer = null;
+
+  const send = (message) => {
+    if (isWebSocket && connection && connection.readyState === WebSocket.OPEN) {
+      connection.send(JSON.stringify(message));
+    }
+  };
+
+  const flush = () => {
+    if (buffer.length > 0) {
+      const batch = buffer;
+      buffer = [];
+      onBatch(batch);
+    }
+    if (paused) {
+      paused = false;
+      send({ type: 'resume' });
+    }
+  };
+
+  const finish = (status) => {
+    if (closed) return;
+    closed = true;
+    clearTimeout(retryTimer);
+    clearInterval(flushTimer);
+    flush();
+    if (connection) connection.close();
+    onStatus(status);
+  };
+
+  const receive = (text) => {
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch (err) {
+      return;
+    }
+    if (payload && payload.type === 'end') {
+      finish('ended');
+      return;
+    }
+    const records = Array.isArray(payload) ? payload : [payload];
+    records.forEach(record => buffer.push(record));
+    if (buffer.length > maxBuffer) {
+      const overflow = buffer.length - maxBuffer;
+      buffer.splice(0, overflow);
+      onDrop(overflow);
+    }
+    if (!paused && buffer.length > maxBuffer / 2) {
+      paused = true;
+      send({ type: 'pause' });
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (closed) return;
+    connection = null;
+    attempt++;
+    onStatus('reconnecting');
+    retryTimer = setTimeout(connect, reconnectDelay(attempt));
+  };
+
+  const opened = () => {
+    attempt = 0;
+    paused = false;
+    onStatus('open');
+  };
+
+  function connect() {
+    onStatus(attempt === 0 ? 'connecting' : 'reconnecting');
+    if (isWebSocket) {
+      const socket = new WebSocket(url);
+      socket.onopen = opened;
+      socket.onmessage = (event) => receive(event.data);
+      socket.onclose = () => {
+        if (connection === socket) scheduleReconnect();
+      };
+      connection = socket;
+    } else {
+      // EventSource retries on its own with a fixed delay; closing it on error
+      // keeps every transport on the same backoff.
+      const source = new EventSource(url);
+      source.onopen = opened;
+      source.onmessage = (event) => receive(event.data);
+      source.addEventListener('end', () => finish('ended'));
+      source.onerror = () => {
+        source.close();
+        if (connection === source) scheduleReconnect();
+      };
+      connection = source;
+    }
+  }
+
+  const flushTimer = setInterval(flush, flushInterval);
+  connect();
+
+  return { close: () => finish('closed') };
+};
@@ -0,0 +1,92 @@
+import { useEffect, useRef, useState } from 'react';
+import { createLiveSource } from './liveSource';
+import { createSlidingWindow, createRecordMapper, DEFAULT_MAPPING, isValidPoint } from '../analysis';
+import { createWindowAnalyser } from '../workers/geotrackWorker';
+
+// Incoming batches only go into the window; the window is analysed in a
+// worker at most this often, so a fast stream costs the page no more than a
+// slow one. DBSCAN looks at every window point at once, so it runs less often
+// still.
+const FLUSH_INTERVAL_MS = 1000;
+const RECLUSTER_INTERVAL_MS = 5000;
+
+// Streams records from `url` while `enabled`, keeps them in a sliding window
+// and calls `onResult` with the window analysed in the same shape as a
+// processed file. Points without a timestamp are stamped with their arrival
+// time so trips can still be ordered. A failed analysis is reported in
+// `error` and retried with the next flush.
+export const useLiveStream = ({ url, enabled, clusterOptions, mapping = DEFAULT_MAPPING, onResult }) => {
+  const [status, setStatus] = useState('idle');
+  const [dropped, setDropped] = useState(0);
+  const [error, setError] = useState('');
+  const onResultRef = useRef(onResult);
+  const clusterOptionsRef = useRef(clusterOptions);
+  onResultRef.current = onResult;
+  clusterOptionsRef.current = clusterOptions;
+
+  useEffect(() => {
+    if (!enabled || !url) {
+      setStatus('idle');
+      return undefined;
+    }
+    const toPoint = createRecordMapper(mapping);
+    const recent = createSlidingWindow();
+    const analyser = createWindowAnalyser();
+    let clustered = { clusters: [], metrics: [] };
+    let clusteredAt = 0;
+    let changed = false;
+    let closed = false;
+    setDropped(0);
+    setError('');
+
+    const onBatch = (records) => {
+      const now = Date.now();
+      const points = records
+        .map(toPoint)
+        .filter(point => isValidPoint(point))
+        .map(point => (point.ts == null ? { ...point, ts: now } : point));
+      recent.add(points, now);
+      changed = true;
+    };
+
+    // A flush that finds the previous analysis still running waits for the
+    // next one; the window keeps filling meanwhile.
+    const flush = () => {
+      if (!changed || analyser.busy()) return;
+      changed = false;
+      const now = Date.now();
+      const snapshot = recent.snapshot();
+      const recluster = now - clusteredAt >= RECLUSTER_INTERVAL_MS;
+      if (recluster) clusteredAt = now;
+      analyser
+        .analyse(snapshot.points, { cluster: recluster ? clusterOptionsRef.current : null })
+        .then(({ clustered: fresh, ...analysed }) => {
+          if (closed) return;
+          if (fresh) clustered = fresh;
+          setError('');
+          onResultRef.current({ ...snapshot, ...clustered, ...analysed });
+        })
+        .catch(err => {
+          if (closed) return;
+          changed = true;
+          setError(err.message);
+        });
+    };
+
+    const timer = setInterval(flush, FLUSH_INTERVAL_MS);
+    const source = createLiveSource({
+      url,
+      onBatch,
+      onStatus: setStatus,
+      onDrop: (count) => setDropped(total => total + count),
+    });
+    return () => {
+      closed = true;
+      clearInterval(timer);
+      source.close();
+      analyser.close();
+    };
+  }, [url, enabled, mapping]);
+
+  return { status, dropped, error };
+};
@@ -0,0 +1,111 @@
+import { encodeResult, decodeResult, indexResult } from '../analysis';
+
+// Analysed datasets kept in IndexedDB between visits. Session details live in
+// their own store so the upload screen can list them without reading the
+// results, which hold every point.
+const DB_NAME = 'geotrack-analyzer';
+const DB_VERSION = 1;
+const SESSIONS = 'sessions';
+const RESULTS = 'results';
+
+let opening = null;
+
+const requestResult = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openDatabase = () => {
+  if (!opening) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('Saved sessions need IndexedDB, which this browser does not provide.'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SESSIONS, { keyPath: 'id' });
+      request.result.createObjectStore(RESULTS, { keyPath: 'id' });
+    };
+    opening = requestResult(request);
+    opening.catch(() => { opening = null; });
+  }
+  return opening;
+};
+
+// Runs `work(stores)` in one transaction and resolves with its return value
+// once the transaction has committed.
+const transaction = (mode, work) =>
+  openDatabase().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction([SESSIONS, RESULTS], mode);
+    let value;
+    tx.oncomplete = () => resolve(value);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Saving the session was aborted.'));
+    value = work({ sessions: tx.objectStore(SESSIONS), results: tx.objectStore(RESULTS) });
+  }));
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const byteSize = (value) => {
+  if (ArrayBuffer.isView(value)) return value.byteLength;
+  if (Array.isArray(value)) return value.reduce((sum, item) => sum + byteSize(item), 0);
+  if (value && typeof value === 'object') return Object.values(value).reduce((sum, item) => sum + byteSize(item), 0);
+  return typeof value === 'string' ? value.length * 2 : 8;
+};
+
+// Newest first.
+export const listSessions = () =>
+  openDatabase()
+    .then(db => requestResult(db.transaction(SESSIONS).objectStore(SESSIONS).getAll()))
+    .then(sessions => sessions.sort((a, b) => b.savedAt - a.savedAt));
+
+// Stores a decoded result with the settings it was made with. Passing the id
+// of an existing session overwrites it and keeps its name.
+export const saveSession = ({ id = null, name, fileName, result, settings }) => {
+  const encoded = encodeResult(indexResult(result));
+  return transaction('readwrite', ({ sessions, results }) => {
+    const session = {
+      id: id || newId(),
+      name,
+      fileName,
+      savedAt: Date.now(),
+      points: result.points.length,
+      records: result.summary.records,
+      bytes: byteSize(encoded),
+      settings,
+    };
+    sessions.put(session);
+    results.put({ id: session.id, result: encoded });
+    return session;
+  });
+};
+
+// Resolves with the session details and its decoded result.
+export const loadSession = (id) =>
+  transaction('readonly', ({ sessions, results }) => {
+    const loaded = {};
+    sessions.get(id).onsuccess = (event) => { loaded.session = event.target.result; };
+    results.get(id).onsuccess = (event) => { loaded.stored = event.target.result; };
+    return loaded;
+  }).then(({ session, stored }) => {
+    if (!session || !stored) throw new Error('This session is no longer stored in the browser.');
+    return { session, result: decodeResult(stored.result) };
+  });
+
+export const renameSession = (id, name) =>
+  transaction('readwrite', ({ sessions }) => {
+    const renamed = {};
+    const request = sessions.get(id);
+    request.onsuccess = () => {
+      if (!request.result) return;
+      Object.assign(renamed, request.result, { name });
+      sessions.put(renamed);
+    };
+    return renamed;
+  });
+
+export const deleteSession = (id) =>
+  transaction('readwrite', ({ sessions, results }) => {
+    sessions.delete(id);
+    results.delete(id);
+  });
@@ -0,0 +1,20 @@
+// Zones belong to the city rather than to one dataset, so they are kept in
+// localStorage instead of with a session. Without storage they last as long
+// as the page.
+const STORAGE_KEY = 'geotrack-analyzer.zones';
+
+export const loadZones = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (err) {
+    return [];
+  }
+};
+
+export const saveZones = (zones) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(zones));
+  } catch (err) {
+    // Private browsing or a full quota: the zones stay in memory.
+  }
+};
@@ -0,0 +1,92 @@
+/* eslint-disable no-restricted-globals */
+import {
+  analyzeFile, clusterStage, PIPELINE_STAGES, sampleRecords, decodePoints, decodePaths, encodeResult, resultBuffers,
+  loadRoadNetwork, matchTrips, getImporter, collectFields, suggestMapping, buildTrips, analyseCongestion, detectAnomalies,
+  groupByLabel, hexZoning, clusterZoning, forecastDemand,
+} from '../analysis';
+
+const MATCH_STAGES = ['roads', 'matched'];
+
+// `within` is how far through its stage an update is, for stages that report
+// more than once.
+const reporter = (stages) => ({ within = 1, ...update }) =>
+  self.postMessage({
+    type: 'progress',
+    ...update,
+    fraction: (stages.indexOf(update.stage) + within) / stages.length,
+  });
+
+const handlers = {
+  inspect: async ({ file, format }) => {
+    reporter(['read'])({ stage: 'read', within: 0, message: `Reading ${file.name}` });
+    const { records, complete } = await sampleRecords(file, getImporter(format));
+    const fields = collectFields(records);
+    self.postMessage({
+      type: 'result',
+      result: {
+        fields,
+        sample: records.slice(0, 5),
+        count: complete ? records.length : null,
+        size: file.size,
+        mapping: suggestMapping(fields),
+      },
+    });
+  },
+  process: async ({ file, options }) => {
+    const encoded = encodeResult(await analyzeFile(file, options, reporter(PIPELINE_STAGES)));
+    self.postMessage({ type: 'result', result: encoded }, resultBuffers(encoded));
+  },
+  cluster: async ({ points, options }) => {
+    const { labels, metrics } = clusterStage(decodePoints(points), options.cluster, options.privacy);
+    reporter(['clustered'])({ stage: 'clustered', message: `Found ${metrics.length.toLocaleString()} clusters` });
+    self.postMessage({ type: 'result', result: { labels, metrics } }, [labels.buffer]);
+  },
+  // One refresh of the live window. Cluster labels usually belong to an older
+  // window, so anomaly detection runs without them; `options.cluster` is only
+  // set when it is time to recluster.
+  window: async ({ points, options }) => {
+    const decoded = decodePoints(points);
+    const trips = buildTrips(decoded);
+    const clustered = options.cluster ? clusterStage(decoded, options.cluster) : null;
+    const transfer = clustered ? [clustered.labels.buffer] : [];
+    self.postMessage({
+      type: 'result',
+      result: {
+        clustered,
+        trips,
+        congestion: analyseCongestion(decoded, trips),
+        anomalies: detectAnomalies(decoded, { trips, labels: null }),
+      },
+    }, transfer);
+  },
+  // Zones are the clusters when `labels` are given, otherwise hex cells laid
+  // out from the trip endpoints.
+  forecast: async ({ points, labels, metrics, endpoints, options }) => {
+    const decoded = decodePoints(points);
+    const zoneOf = labels
+      ? clusterZoning(groupByLabel(labels, decoded), metrics)
+      : hexZoning(decodePaths(endpoints).map(([origin, destination]) => ({ origin, destination })));
+    reporter(['forecast'])({ stage: 'forecast', within: 0, message: 'Fitting demand forecasts' });
+    self.postMessage({ type: 'result', result: forecastDemand(decoded, zoneOf, options) });
+  },
+  match: async ({ roadFile, paths }) => {
+    const progress = reporter(MATCH_STAGES);
+    progress({ stage: 'roads', message: `Building road graph from ${roadFile.name}` });
+    const graph = await loadRoadNetwork(roadFile);
+    const trips = decodePaths(paths).map(path => ({ path }));
+    progress({ stage: 'roads', message: `Matching ${trips.length.toLocaleString()} trips to ${graph.segments.length.toLocaleString()} road segments` });
+    const segments = matchTrips(graph, trips, {}, done =>
+      progress({ stage: 'matched', within: done / trips.length, message: `Matched ${done.toLocaleString()} of ${trips.length.toLocaleString()} trips` })
+    );
+    progress({ stage: 'matched', message: `Matched trips onto ${segments.length.toLocaleString()} road segments` });
+    self.postMessage({ type: 'result', result: segments });
+  },
+};
+
+self.onmessage = async ({ data }) => {
+  try {
+    await handlers[data.type](data);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,104 @@
+import { encodePoints, pointBuffers, encodePaths, pathBuffers, decodeResult, groupByLabel, encodeLabels } from '../analysis';
+
+// Each job gets its own worker, so cancelling is just terminating it.
+const startJob = (message, transfer, onProgress) => {
+  const worker = new Worker(new URL('./geotrack.worker.js', import.meta.url));
+  let rejectJob;
+
+  const result = new Promise((resolve, reject) => {
+    rejectJob = reject;
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress(data);
+        return;
+      }
+      worker.terminate();
+      if (data.type === 'result') resolve(data.result);
+      else reject(new Error(data.message));
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Processing worker failed.'));
+    };
+  });
+
+  worker.postMessage(message, transfer);
+
+  const cancel = () => {
+    worker.terminate();
+    rejectJob(Object.assign(new Error('Processing cancelled.'), { cancelled: true }));
+  };
+
+  return { result, cancel };
+};
+
+export const inspectFile = (file, format, onProgress = () => {}) =>
+  startJob({ type: 'inspect', file, format }, [], onProgress);
+
+export const processFile = (file, options, onProgress = () => {}) => {
+  const job = startJob({ type: 'process', file, options }, [], onProgress);
+  return { ...job, result: job.result.then(decodeResult) };
+};
+
+export const clusterPoints = (points, options, onProgress = () => {}) => {
+  const encoded = encodePoints(points);
+  const job = startJob({ type: 'cluster', points: encoded, options }, pointBuffers(encoded), onProgress);
+  return {
+    ...job,
+    result: job.result.then(({ labels, metrics }) => ({ clusters: groupByLabel(labels, points), metrics })),
+  };
+};
+
+export const matchRoads = (roadFile, trips, onProgress = () => {}) => {
+  const paths = encodePaths(trips.map(trip => trip.path));
+  return startJob({ type: 'match', roadFile, paths }, pathBuffers(paths), onProgress);
+};
+
+// Demand forecasts per zone (see forecastDemand) for `zoning` of either
+// `{ clusters, metrics }` or the trip `{ endpoints }` to lay hex cells over.
+export const forecastZones = (points, zoning, options, onProgress = () => {}) => {
+  const encoded = encodePoints(points);
+  if (zoning.clusters) {
+    const labels = encodeLabels(zoning.clusters, points);
+    return startJob({ type: 'forecast', points: encoded, labels, metrics: zoning.metrics, options }, [...pointBuffers(encoded), labels.buffer], onProgress);
+  }
+  const endpoints = encodePaths(zoning.endpoints.map(({ origin, destination }) => [origin, destination]));
+  return startJob({ type: 'forecast', points: encoded, endpoints, options }, [...pointBuffers(encoded), ...pathBuffers(endpoints)], onProgress);
+};
+
+// Live mode analyses its window over and over, so it keeps one worker for the
+// whole stream instead of starting one per job, and runs one analysis at a
+// time. Results refer to the points they were given.
+export const createWindowAnalyser = () => {
+  const worker = new Worker(new URL('./geotrack.worker.js', import.meta.url));
+  let pending = null;
+
+  const settle = (settleWith) => {
+    const job = pending;
+    pending = null;
+    settleWith(job);
+  };
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'progress' || !pending) return;
+    settle(job => (data.type === 'result' ? job.resolve(data.result) : job.reject(new Error(data.message))));
+  };
+  worker.onerror = (event) => {
+    if (pending) settle(job => job.reject(new Error(event.message || 'Live analysis failed.')));
+  };
+
+  const analyse = (points, options) => {
+    const encoded = encodePoints(points);
+    const result = new Promise((resolve, reject) => {
+      pending = { resolve, reject };
+    });
+    worker.postMessage({ type: 'window', points: encoded, options }, pointBuffers(encoded));
+    return result.then(({ clustered, trips, congestion, anomalies }) => ({
+      clustered: clustered && { clusters: groupByLabel(clustered.labels, points), metrics: clustered.metrics },
+      trips: trips.map(trip => ({ ...trip, path: trip.path.map(i => points[i]) })),
+      congestion,
+      anomalies: anomalies.map(({ index, ...anomaly }) => ({ ...anomaly, point: points[index] })),
+    }));
+  };
+
+  return { analyse, busy: () => pending !== null, close: () => worker.terminate() };
+};